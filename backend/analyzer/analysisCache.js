@@ -134,4 +134,30 @@ export class AnalysisCache {
     await this.load();
     return await fileFingerprintFast(filePath, statHint);
   }
+
+  /**
+   * Move entries recorded for `fromPath` to `toPath` (file moved/renamed).
+   * Keys include the path, so without this a moved file would be re-analyzed.
+   * @returns {Promise<number>} Number of entries moved
+   */
+  async relinkFilePath(fromPath, toPath, statHint) {
+    await this.load();
+    const fromAbs = path.resolve(fromPath);
+    const toAbs = path.resolve(toPath);
+    const newKey = await fileFingerprintFast(toAbs, statHint);
+
+    let moved = 0;
+    for (const [key, entry] of Object.entries(this._data.entries)) {
+      if (!entry || entry.filePath !== fromAbs) continue;
+      delete this._data.entries[key];
+      this._data.entries[newKey] = { ...entry, filePath: toAbs };
+      moved++;
+    }
+
+    if (moved > 0) {
+      this._dirty = true;
+      this._scheduleFlush();
+    }
+    return moved;
+  }
 }
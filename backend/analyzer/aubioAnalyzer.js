@@ -262,6 +262,13 @@ export class AubioAnalyzer {
     this._aubioAvailable = null; // lazy
   }
 
+  /**
+   * Number of files waiting for or currently in analysis.
+   */
+  get pendingCount() {
+    return this._queue.length + this._running;
+  }
+
   idle() {
     if (this._running === 0 && this._queue.length === 0) return Promise.resolve();
     return new Promise((resolve) => {
@@ -0,0 +1,137 @@
+/**
+ * BackgroundAnalysis
+ *
+ * The analyzers a scan feeds: BPM/key (AubioAnalyzer), loudness
+ * (LoudnessAnalyzer) and waveform + silence offsets (WaveformAnalyzer).
+ *
+ * Design goals:
+ * - Never blocks a scan or sync: songs are queued and analyzed afterwards
+ * - Each analyzer only gets the songs that still miss its result
+ * - Caches live in the data directory, so every scanner shares them
+ */
+
+import path from 'node:path';
+import { AubioAnalyzer } from './aubioAnalyzer.js';
+import { LoudnessAnalyzer } from './loudnessAnalyzer.js';
+import { WaveformAnalyzer, waveformContentKey, hasCurrentOffsets } from './waveformAnalyzer.js';
+
+export class BackgroundAnalysis {
+  /**
+   * @param {Object} options
+   * @param {Object} options.storage - Storage instance results are saved to
+   * @param {string} options.ffmpegPath - ffmpeg binary for loudness and waveforms
+   * @param {Function} options.runExclusive - Serializes library writes (see scanner.js)
+   * @param {Object} options.logger - console-like logger
+   */
+  constructor({ storage, ffmpegPath = 'ffmpeg', runExclusive, logger = console } = {}) {
+    this.storage = storage;
+
+    this.analyzer = new AubioAnalyzer({
+      cacheFilePath: path.join(storage.dataDir, 'analysis_cache.json'),
+      concurrency: 1,
+      logger
+    });
+
+    // Only for songs without ReplayGain tags.
+    this.loudness = new LoudnessAnalyzer({
+      cacheFilePath: path.join(storage.dataDir, 'loudness_cache.json'),
+      ffmpegPath,
+      runExclusive,
+      logger
+    });
+
+    this.waveforms = new WaveformAnalyzer({
+      directory: path.join(storage.dataDir, 'waveforms'),
+      ffmpegPath,
+      runExclusive,
+      logger
+    });
+  }
+
+  /**
+   * Files waiting for (or in) any of the analyzers
+   */
+  get pendingCount() {
+    return this.analyzer.pendingCount + this.loudness.pendingCount + this.waveforms.pendingCount;
+  }
+
+  /**
+   * Queue a song for every analysis it still needs
+   * @param {Object} song - Song record
+   * @param {Object} stats - File system stats object
+   */
+  enqueue(song, stats) {
+    this.enqueueAnalysis(song, stats);
+    this.enqueueLoudness(song, stats);
+    this.enqueueWaveform(song);
+  }
+
+  /**
+   * Queue background BPM/key analysis for MP3s missing either value
+   * @param {Object} song - Song record
+   * @param {Object} stats - File system stats object
+   */
+  enqueueAnalysis(song, stats) {
+    if (path.extname(song.filePath).toLowerCase() !== '.mp3') return;
+    if (song.bpm != null && song.key != null) return;
+
+    void this.analyzer.enqueue({
+      filePath: song.filePath,
+      statHint: { size: stats.size, mtimeMs: stats.mtimeMs },
+      songId: song.id,
+      storage: this.storage
+    });
+  }
+
+  /**
+   * Queue background loudness measurement for songs without ReplayGain tags
+   * @param {Object} song - Song record
+   * @param {Object} stats - File system stats object
+   */
+  enqueueLoudness(song, stats) {
+    if (song.replayGain !== null) return;
+
+    void this.loudness.enqueue({
+      filePath: song.filePath,
+      statHint: { size: stats.size, mtimeMs: stats.mtimeMs },
+      songId: song.id,
+      storage: this.storage
+    });
+  }
+
+  /**
+   * Queue background waveform and silence analysis for songs that don't have it yet
+   * @param {Object} song - Song record
+   */
+  enqueueWaveform(song) {
+    void this.waveforms.enqueue({
+      filePath: song.filePath,
+      songId: song.id,
+      contentKey: waveformContentKey(song),
+      storage: this.storage,
+      offsetsStored: hasCurrentOffsets(song)
+    });
+  }
+
+  /**
+   * Carry cached BPM/key and loudness results over to a moved file
+   * @param {string} fromPath - Previous file path
+   * @param {string} toPath - New file path
+   * @param {Object} statHint - { size, mtimeMs } of the file at its new path
+   */
+  async relinkFilePath(fromPath, toPath, statHint) {
+    await this.analyzer.cache.relinkFilePath(fromPath, toPath, statHint);
+    await this.loudness.cache.relinkFilePath(fromPath, toPath, statHint);
+  }
+
+  /**
+   * Wait for every queue to drain and the caches to be written
+   */
+  async idle() {
+    await this.analyzer.idle();
+    await this.analyzer.cache.flush();
+    await this.loudness.idle();
+    await this.loudness.cache.flush();
+    await this.waveforms.idle();
+  }
+}
@@ -0,0 +1,314 @@
+/**
+ * LoudnessAnalyzer
+ *
+ * ReplayGain data for loudness normalization during playback.
+ *
+ * Design goals:
+ * - Existing ReplayGain / R128 tags are read at scan time (readReplayGain())
+ * - Files without them get their integrated loudness (EBU R128) measured by
+ *   ffmpeg's ebur128 filter in a background queue, like AubioAnalyzer
+ * - Results cached by file fingerprint, so rescans and moves don't re-measure
+ * - Album gain for measured files is derived once every track of the album is measured
+ * - All gains use the ReplayGain 2.0 reference (-18 LUFS), so tagged and
+ *   measured songs play at the same level
+ *
+ * Songs carry the result as `replayGain`:
+ *   { trackGain, trackPeak, albumGain, albumPeak, source: 'tags' | 'analysis', loudness? }
+ * Gains are in dB, peaks linear (1.0 = full scale). `replayGain: null` means
+ * the file has no tags and hasn't been measured (yet).
+ */
+
+import path from 'node:path';
+import { parseFile } from 'music-metadata';
+import { AnalysisCache } from './analysisCache.js';
+import { runFfmpeg } from '../streaming/transcoder.js';
+
+// ReplayGain 2.0 reference level.
+export const REFERENCE_LUFS = -18;
+
+// R128_*_GAIN tags (Opus) are relative to -23 LUFS.
+const R128_OFFSET_DB = REFERENCE_LUFS - -23;
+
+// ebur128 reports -70 LUFS (its absolute gate) for silence.
+const MIN_LOUDNESS_LUFS = -70;
+
+function finiteInRange(value, min, max) {
+  const n = Number(value);
+  return Number.isFinite(n) && n >= min && n <= max ? n : null;
+}
+
+function round2(n) {
+  return n == null ? null : Math.round(n * 100) / 100;
+}
+
+// First value per tag name across tag formats, keyed by the lowercased name
+// without its prefix (ID3 "TXXX:REPLAYGAIN_TRACK_GAIN", MP4 "----:com.apple.iTunes:replaygain_track_gain", ...).
+function nativeTagValues(native) {
+  const values = new Map();
+  for (const tags of Object.values(native || {})) {
+    for (const tag of tags || []) {
+      const name = String(tag?.id || '').split(':').pop().toLowerCase();
+      if (!name || values.has(name)) continue;
+      let value = Array.isArray(tag.value) ? tag.value[0] : tag.value;
+      if (value && typeof value === 'object') value = value.text ?? value.value ?? null;
+      if (value != null) values.set(name, value);
+    }
+  }
+  return values;
+}
+
+// "-6.54 dB", "+1.2dB", "-6,54 dB"
+function parseDb(value) {
+  const m = String(value ?? '').replace(',', '.').match(/[-+]?\d+(?:\.\d+)?/);
+  return m ? finiteInRange(m[0], -60, 60) : null;
+}
+
+function parsePeak(value) {
+  const m = String(value ?? '').replace(',', '.').match(/\d+(?:\.\d+)?/);
+  return m ? finiteInRange(m[0], 0.000001, 10) : null;
+}
+
+// Q7.8 fixed point, e.g. "-2304" = -9 dB
+function parseR128(value) {
+  const text = String(value ?? '').trim();
+  const n = text ? Number(text) : NaN;
+  return Number.isInteger(n) ? finiteInRange(n / 256 + R128_OFFSET_DB, -60, 60) : null;
+}
+
+/**
+ * Read ReplayGain (or Opus R128) values from parsed tags
+ * @param {Object} metadata - music-metadata parse result (needs `native`)
+ * @returns {Object|null} replayGain record with source 'tags', or null without gain tags
+ */
+export function readReplayGain(metadata) {
+  const tags = nativeTagValues(metadata?.native);
+
+  const trackGain = parseDb(tags.get('replaygain_track_gain')) ?? parseR128(tags.get('r128_track_gain'));
+  const albumGain = parseDb(tags.get('replaygain_album_gain')) ?? parseR128(tags.get('r128_album_gain'));
+  if (trackGain == null && albumGain == null) return null;
+
+  return {
+    trackGain,
+    trackPeak: parsePeak(tags.get('replaygain_track_peak')),
+    albumGain,
+    albumPeak: parsePeak(tags.get('replaygain_album_peak')),
+    source: 'tags'
+  };
+}
+
+/**
+ * Read a file's ReplayGain / R128 tags without the rest of the metadata
+ * @param {string} filePath - Absolute audio file path
+ * @returns {Promise<Object|null>} See readReplayGain(); null for unreadable files too
+ */
+export async function readReplayGainTags(filePath) {
+  try {
+    return readReplayGain(await parseFile(filePath, { duration: false, skipCovers: true }));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Pull integrated loudness and true peak from ffmpeg's ebur128 summary
+ * @param {string} stderr
+ * @returns {{ loudness: number, peak: number|null } | null}
+ */
+export function parseEbur128Summary(stderr) {
+  const text = String(stderr || '');
+  const at = text.lastIndexOf('Summary:');
+  if (at === -1) return null;
+  const summary = text.slice(at);
+
+  const loudnessMatch = summary.match(/\bI:\s*(-?\d+(?:\.\d+)?)\s*LUFS/);
+  const loudness = loudnessMatch ? Number(loudnessMatch[1]) : NaN;
+  if (!Number.isFinite(loudness) || loudness <= MIN_LOUDNESS_LUFS) return null;
+
+  const peakMatch = summary.match(/\bPeak:\s*(-?\d+(?:\.\d+)?)\s*dBFS/);
+  const peakDb = peakMatch ? Number(peakMatch[1]) : NaN;
+  const peak = Number.isFinite(peakDb) ? Math.pow(10, peakDb / 20) : null;
+
+  return { loudness, peak };
+}
+
+function albumKey(song) {
+  const album = String(song?.album || '').trim().toLowerCase();
+  if (!album || album === 'unknown album') return null;
+  return `${String(song.albumArtist || song.artist || '').trim().toLowerCase()}\u0000${album}`;
+}
+
+// Duration-weighted energy mean of the tracks' loudness.
+function albumLoudness(tracks) {
+  let energy = 0;
+  let weight = 0;
+  for (const track of tracks) {
+    const duration = Number(track.duration) > 0 ? Number(track.duration) : 1;
+    energy += duration * Math.pow(10, track.replayGain.loudness / 10);
+    weight += duration;
+  }
+  return 10 * Math.log10(energy / weight);
+}
+
+export class LoudnessAnalyzer {
+  constructor({ cacheFilePath, ffmpegPath = 'ffmpeg', concurrency = 1, runExclusive = null, logger = console } = {}) {
+    this.cache = new AnalysisCache(cacheFilePath);
+    this.ffmpegPath = ffmpegPath;
+    this.concurrency = Math.max(1, Number(concurrency) || 1);
+    // Library writes queue behind scans (see runExclusive() in scanner.js).
+    this.runExclusive = runExclusive || ((task) => task());
+    this.logger = logger;
+
+    this._queue = [];
+    this._running = 0;
+    this._enqueuedKeys = new Set();
+    this._ffmpegAvailable = null; // lazy
+  }
+
+  /**
+   * Number of files waiting for or currently in measurement.
+   */
+  get pendingCount() {
+    return this._queue.length + this._running;
+  }
+
+  idle() {
+    if (this._running === 0 && this._queue.length === 0) return Promise.resolve();
+    return new Promise((resolve) => {
+      const check = () => {
+        if (this._running === 0 && this._queue.length === 0) return resolve();
+        setTimeout(check, 250);
+      };
+      check();
+    });
+  }
+
+  async isAvailable() {
+    if (this._ffmpegAvailable !== null) return this._ffmpegAvailable;
+
+    const res = await runFfmpeg(this.ffmpegPath, ['-hide_banner', '-version'], { timeoutMs: 5000 });
+    this._ffmpegAvailable = res.code === 0;
+    if (!this._ffmpegAvailable) {
+      this.logger?.warn?.('[loudness] ffmpeg not available; skipping loudness analysis.');
+    }
+    return this._ffmpegAvailable;
+  }
+
+  /**
+   * Enqueue loudness measurement for a song without ReplayGain tags.
+   * Returns immediately; work happens asynchronously.
+   */
+  async enqueue({ filePath, statHint, songId, storage } = {}) {
+    if (!filePath || !songId || !storage) return;
+
+    const abs = path.resolve(filePath);
+    let key;
+    try {
+      key = await this.cache.computeKeyFast(abs, statHint);
+    } catch (err) {
+      this.logger?.warn?.('[loudness] fingerprint failed:', err?.message || err);
+      return;
+    }
+
+    // Deduplicate within-process.
+    if (this._enqueuedKeys.has(key)) return;
+    this._enqueuedKeys.add(key);
+
+    this._queue.push({ abs, key, songId, storage });
+    this._drain();
+  }
+
+  _drain() {
+    while (this._running < this.concurrency && this._queue.length > 0) {
+      const task = this._queue.shift();
+      this._running += 1;
+      void this._runTask(task)
+        .catch((err) => this.logger?.warn?.('[loudness] analysis failed:', err?.message || err))
+        .finally(() => {
+          this._running -= 1;
+          this._drain();
+        });
+    }
+  }
+
+  async _runTask({ abs, key, songId, storage }) {
+    let entry = this.cache.get(key);
+
+    if (!entry) {
+      // Not cached as a failure: ffmpeg may be installed later.
+      if (!(await this.isAvailable())) {
+        this._enqueuedKeys.delete(key);
+        return;
+      }
+
+      const res = await runFfmpeg(this.ffmpegPath, [
+        '-hide_banner',
+        '-nostats',
+        '-nostdin',
+        '-i', abs,
+        '-vn',
+        // Per-frame measurements only at verbose level: keep the summary in the stderr we capture.
+        '-filter:a', 'ebur128=peak=true:framelog=verbose',
+        '-f', 'null',
+        '-'
+      ], { timeoutMs: 10 * 60_000 });
+
+      const measured = res.code === 0 ? parseEbur128Summary(res.stderr) : null;
+      entry = {
+        ok: Boolean(measured),
+        filePath: abs,
+        loudness: measured?.loudness ?? null,
+        peak: measured?.peak ?? null,
+        updatedAt: new Date().toISOString(),
+        exitCode: res.code
+      };
+      this.cache.set(key, entry);
+
+      try {
+        await this.cache.flush();
+      } catch {
+        // ignore
+      }
+    }
+
+    if (!entry.ok) return;
+    await this._apply(storage, songId, entry);
+  }
+
+  async _apply(storage, songId, { loudness, peak }) {
+    await this.runExclusive(async () => {
+      const song = await storage.getSongById(songId);
+      // Tags win; they may have been added since the song was queued.
+      if (!song || song.replayGain?.source === 'tags') return;
+
+      const replayGain = {
+        trackGain: round2(REFERENCE_LUFS - loudness),
+        trackPeak: round2(peak),
+        albumGain: null,
+        albumPeak: null,
+        source: 'analysis',
+        loudness: round2(loudness)
+      };
+      let changes = [{ id: song.id, updates: { replayGain } }];
+
+      // Album gain needs every track of the album measured.
+      const key = albumKey(song);
+      if (key) {
+        const tracks = (await storage.getSongs())
+          .filter((s) => albumKey(s) === key)
+          .map((s) => (s.id === song.id ? { ...s, replayGain } : s));
+        const measured = tracks.every((s) => s.replayGain?.source === 'analysis' && Number.isFinite(s.replayGain.loudness));
+        if (measured) {
+          const albumGain = round2(REFERENCE_LUFS - albumLoudness(tracks));
+          const peaks = tracks.map((s) => s.replayGain.trackPeak).filter((p) => Number.isFinite(p));
+          const albumPeak = peaks.length ? Math.max(...peaks) : null;
+          changes = tracks.map((s) => ({
+            id: s.id,
+            updates: { replayGain: { ...s.replayGain, albumGain, albumPeak } }
+          }));
+        }
+      }
+
+      await storage.updateSongs(changes);
+    });
+  }
+}
@@ -0,0 +1,329 @@
+/**
+ * WaveformAnalyzer
+ *
+ * Compact peak data for drawing a song's waveform on the seek bar, and the
+ * song's leading and trailing silence (found in the same decode).
+ *
+ * Design goals:
+ * - Computed in a background queue like AubioAnalyzer / LoudnessAnalyzer,
+ *   never blocking a scan
+ * - ffmpeg decodes to 8 kHz mono PCM, which is plenty for a picture
+ * - One small JSON file per song in `<dataDir>/waveforms/`, named by song ID, so
+ *   several analyzer instances (scan jobs, the file watcher, the API) can write
+ *   without clobbering a shared cache file
+ * - Each entry records the audio it was made from (waveformContentKey()). A song
+ *   keeps its ID when its file is re-encoded or replaced in place, so an entry
+ *   whose key no longer matches the song is stale and gets analyzed again
+ *
+ * Entry: { songId, version, contentKey, peaks: number[WAVEFORM_PEAKS] (0-255, linear peak level),
+ *   startOffset, endOffset, createdAt }
+ * Files ffmpeg can't decode get `peaks: null`, so they aren't retried on every scan.
+ *
+ * Songs carry the silence as `startOffset` (seconds where the audio starts, 0
+ * without leading silence) and `endOffset` (seconds where it ends, null
+ * without trailing silence); both are null for files that couldn't be decoded.
+ * `offsetsKey` is the content key they were measured on. Only the edges count:
+ * a gap before a hidden track is part of the song.
+ */
+
+import { spawn } from 'node:child_process';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { runFfmpeg } from '../streaming/transcoder.js';
+
+export const WAVEFORM_PEAKS = 500;
+// 2: silence offsets, 3: content key
+const WAVEFORM_VERSION = 3;
+
+const SAMPLE_RATE = 8000;
+// Decoded audio is first reduced to peaks per 20ms, then to WAVEFORM_PEAKS buckets.
+const WINDOW_SAMPLES = SAMPLE_RATE / 50;
+const WINDOW_SECONDS = WINDOW_SAMPLES / SAMPLE_RATE;
+
+// Quieter than -50 dBFS counts as silence (tape hiss and vinyl crackle included).
+const SILENCE_THRESHOLD = Math.pow(10, -50 / 20);
+// Shorter silence isn't worth skipping; fades keep a little room on either side.
+const MIN_SILENCE_SECONDS = 1;
+const SILENCE_PADDING_SECONDS = 0.1;
+
+const SONG_ID_PATTERN = /^[a-zA-Z0-9-]+$/;
+
+/**
+ * What a song's waveform and silence offsets were computed from: its audio
+ * fingerprint, or size + mtime for songs without one
+ * @param {Object} song - Song record
+ * @returns {string}
+ */
+export function waveformContentKey(song) {
+  if (song?.contentHash) return String(song.contentHash);
+  return `${song?.fileSize ?? ''}:${song?.lastModified ?? ''}`;
+}
+
+/**
+ * Whether a song's silence offsets belong to its current audio
+ * @param {Object} song - Song record
+ * @returns {boolean}
+ */
+export function hasCurrentOffsets(song) {
+  return song?.startOffset !== undefined && song.offsetsKey === waveformContentKey(song);
+}
+
+/**
+ * Reduce peaks to `count` buckets (max of each), quantized to 0-255
+ * @param {number[]} windows - Linear peak levels (0-1)
+ * @param {number} count
+ * @returns {number[]}
+ */
+export function bucketPeaks(windows, count = WAVEFORM_PEAKS) {
+  const peaks = new Array(count).fill(0);
+  if (windows.length === 0) return peaks;
+  for (let i = 0; i < count; i++) {
+    const start = Math.floor((i * windows.length) / count);
+    const end = Math.max(start + 1, Math.floor(((i + 1) * windows.length) / count));
+    let peak = 0;
+    for (let w = start; w < end && w < windows.length; w++) peak = Math.max(peak, windows[w]);
+    peaks[i] = Math.min(255, Math.round(peak * 255));
+  }
+  return peaks;
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+/**
+ * Find leading and trailing silence
+ * @param {number[]} windows - Linear peak levels (0-1) per 20ms
+ * @returns {{ startOffset: number, endOffset: number|null }} Seconds where the audio
+ *   starts and ends; 0 / null when there's no silence worth skipping
+ */
+export function detectSilence(windows) {
+  const first = windows.findIndex((peak) => peak >= SILENCE_THRESHOLD);
+  // Silent all the way through: nothing sensible to trim.
+  if (first < 0) return { startOffset: 0, endOffset: null };
+
+  let last = windows.length - 1;
+  while (last > first && windows[last] < SILENCE_THRESHOLD) last--;
+
+  const total = windows.length * WINDOW_SECONDS;
+  const start = Math.max(0, first * WINDOW_SECONDS - SILENCE_PADDING_SECONDS);
+  const end = Math.min(total, (last + 1) * WINDOW_SECONDS + SILENCE_PADDING_SECONDS);
+  return {
+    startOffset: start >= MIN_SILENCE_SECONDS ? round2(start) : 0,
+    endOffset: total - end >= MIN_SILENCE_SECONDS ? round2(end) : null
+  };
+}
+
+// Decode to s16le mono and collect the peak of every window.
+function decodePeakWindows(ffmpegPath, filePath, { timeoutMs = 10 * 60_000 } = {}) {
+  return new Promise((resolve) => {
+    const child = spawn(ffmpegPath, [
+      '-hide_banner',
+      '-nostats',
+      '-nostdin',
+      '-i', filePath,
+      '-vn',
+      '-ac', '1',
+      '-ar', String(SAMPLE_RATE),
+      '-f', 's16le',
+      '-'
+    ], { windowsHide: true, stdio: ['ignore', 'pipe', 'ignore'] });
+
+    const windows = [];
+    let windowPeak = 0;
+    let windowFill = 0;
+    let carry = null; // odd trailing byte between chunks
+    let finished = false;
+
+    const killTimer = setTimeout(() => {
+      try {
+        child.kill('SIGKILL');
+      } catch {
+        // ignore
+      }
+    }, timeoutMs);
+
+    child.stdout.on('data', (chunk) => {
+      const data = carry ? Buffer.concat([carry, chunk]) : chunk;
+      const usable = data.length - (data.length % 2);
+      carry = usable < data.length ? data.subarray(usable) : null;
+
+      for (let offset = 0; offset < usable; offset += 2) {
+        const level = Math.abs(data.readInt16LE(offset)) / 32768;
+        if (level > windowPeak) windowPeak = level;
+        if (++windowFill === WINDOW_SAMPLES) {
+          windows.push(windowPeak);
+          windowPeak = 0;
+          windowFill = 0;
+        }
+      }
+    });
+
+    const done = (code) => {
+      if (finished) return;
+      finished = true;
+      clearTimeout(killTimer);
+      if (windowFill > 0) windows.push(windowPeak);
+      resolve({ code, windows });
+    };
+
+    child.on('error', () => done(null));
+    child.on('close', done);
+  });
+}
+
+async function atomicWriteJson(filePath, data) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const tmp = `${filePath}.tmp-${Date.now()}-${Math.random().toString(16).slice(2)}`;
+  await fs.writeFile(tmp, JSON.stringify(data));
+  await fs.rename(tmp, filePath);
+}
+
+export class WaveformAnalyzer {
+  constructor({ directory, ffmpegPath = 'ffmpeg', concurrency = 1, runExclusive = null, logger = console } = {}) {
+    this.directory = directory;
+    this.ffmpegPath = ffmpegPath;
+    this.concurrency = Math.max(1, Number(concurrency) || 1);
+    // Library writes queue behind scans (see runExclusive() in scanner.js).
+    this.runExclusive = runExclusive || ((task) => task());
+    this.logger = logger;
+
+    this._queue = [];
+    this._running = 0;
+    this._enqueuedIds = new Set();
+    this._ffmpegAvailable = null; // lazy
+  }
+
+  /**
+   * Number of songs waiting for or currently in analysis.
+   */
+  get pendingCount() {
+    return this._queue.length + this._running;
+  }
+
+  idle() {
+    if (this._running === 0 && this._queue.length === 0) return Promise.resolve();
+    return new Promise((resolve) => {
+      const check = () => {
+        if (this._running === 0 && this._queue.length === 0) return resolve();
+        setTimeout(check, 250);
+      };
+      check();
+    });
+  }
+
+  async isAvailable() {
+    if (this._ffmpegAvailable !== null) return this._ffmpegAvailable;
+
+    const res = await runFfmpeg(this.ffmpegPath, ['-hide_banner', '-version'], { timeoutMs: 5000 });
+    this._ffmpegAvailable = res.code === 0;
+    if (!this._ffmpegAvailable) {
+      this.logger?.warn?.('[waveform] ffmpeg not available; skipping waveform analysis.');
+    }
+    return this._ffmpegAvailable;
+  }
+
+  _entryPath(songId) {
+    return path.join(this.directory, `${songId}.json`);
+  }
+
+  /**
+   * Stored waveform of a song
+   * @param {string} songId
+   * @param {string} contentKey - waveformContentKey() of the song as it is now
+   * @returns {Promise<Object|null>} Entry (`peaks: null` if the file couldn't be decoded),
+   *   or null when not analyzed yet or analyzed from different audio
+   */
+  async read(songId, contentKey) {
+    if (!SONG_ID_PATTERN.test(String(songId || ''))) return null;
+    try {
+      const entry = JSON.parse(await fs.readFile(this._entryPath(songId), 'utf-8'));
+      return entry?.version === WAVEFORM_VERSION && entry.contentKey === contentKey ? entry : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Whether a song is waiting for or in analysis in this process
+   * @param {string} songId
+   * @returns {boolean}
+   */
+  isPending(songId) {
+    return this._enqueuedIds.has(songId);
+  }
+
+  /**
+   * Enqueue waveform analysis for a song that doesn't have one for its current audio yet.
+   * With `storage`, the silence offsets are saved on the song as well; a song
+   * without current offsets (`offsetsStored: false`, see hasCurrentOffsets())
+   * gets them from a matching stored entry without decoding again.
+   * Returns immediately; work happens asynchronously.
+   */
+  async enqueue({ filePath, songId, contentKey, storage = null, offsetsStored = false } = {}) {
+    if (!filePath || !SONG_ID_PATTERN.test(String(songId || ''))) return;
+
+    // Deduplicate within-process.
+    if (this._enqueuedIds.has(songId)) return;
+    this._enqueuedIds.add(songId);
+
+    const entry = await this.read(songId, contentKey);
+    if (entry && (!storage || offsetsStored)) {
+      this._enqueuedIds.delete(songId);
+      return;
+    }
+
+    this._queue.push({ abs: path.resolve(filePath), songId, contentKey, storage, entry });
+    this._drain();
+  }
+
+  _drain() {
+    while (this._running < this.concurrency && this._queue.length > 0) {
+      const task = this._queue.shift();
+      this._running += 1;
+      void this._runTask(task)
+        .catch((err) => this.logger?.warn?.('[waveform] analysis failed:', err?.message || err))
+        .finally(() => {
+          this._running -= 1;
+          this._enqueuedIds.delete(task.songId);
+          this._drain();
+        });
+    }
+  }
+
+  async _runTask({ abs, songId, contentKey, storage, entry }) {
+    if (!entry) {
+      if (!(await this.isAvailable())) return;
+
+      const { code, windows } = await decodePeakWindows(this.ffmpegPath, abs);
+      const ok = code === 0 && windows.length > 0;
+      if (!ok) {
+        this.logger?.warn?.(`[waveform] could not decode ${abs} (ffmpeg exit ${code})`);
+      }
+
+      const silence = ok ? detectSilence(windows) : { startOffset: null, endOffset: null };
+      entry = {
+        songId,
+        version: WAVEFORM_VERSION,
+        contentKey,
+        peaks: ok ? bucketPeaks(windows) : null,
+        startOffset: silence.startOffset,
+        endOffset: silence.endOffset,
+        createdAt: new Date().toISOString()
+      };
+      await atomicWriteJson(this._entryPath(songId), entry);
+    }
+
+    if (storage) await this._applyOffsets(storage, songId, entry);
+  }
+
+  async _applyOffsets(storage, songId, { contentKey, startOffset = null, endOffset = null }) {
+    await this.runExclusive(async () => {
+      const song = await storage.getSongById(songId);
+      // The file changed again while it was being analyzed: the next scan queues it anew.
+      if (!song || waveformContentKey(song) !== contentKey) return;
+      if (song.startOffset === startOffset && song.endOffset === endOffset && song.offsetsKey === contentKey) return;
+      await storage.updateSong(songId, { startOffset, endOffset, offsetsKey: contentKey });
+    });
+  }
+}
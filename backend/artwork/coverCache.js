@@ -0,0 +1,325 @@
+/**
+ * Cover cache
+ *
+ * Serves album art without re-parsing the audio file on every request.
+ *
+ * Design goals:
+ * - Embedded pictures are extracted once and stored content-addressed
+ *   (`<sha1>.<ext>`), so all tracks of an album share one file on disk
+ * - Songs without an embedded picture fall back to folder art (cover.jpg,
+ *   folder.jpg, ...; see folderArt.js), copied into the cache the same way
+ * - A small index maps each song (keyed by file size + mtime) to its picture
+ *   hash; songs without art are remembered too, until their folder changes
+ * - Resized variants (COVER_SIZES, WebP or JPEG) are rendered with ffmpeg on
+ *   first request and cached next to the original; without ffmpeg the original is served
+ * - Concurrent requests for the same song or variant share one extraction/render
+ *
+ * Content-addressed files never change, so their hash doubles as a strong ETag.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import { parseFile } from 'music-metadata';
+import { runFfmpeg } from '../streaming/transcoder.js';
+import { findFolderArt, folderArtDirs } from './folderArt.js';
+
+// Sizes the cover route accepts via ?size= (longest edge in px; never upscaled)
+export const COVER_SIZES = [64, 256, 600];
+
+// Variant encodings the cover route accepts via ?format= (or picks from Accept)
+export const COVER_FORMATS = {
+  webp: {
+    mimeType: 'image/webp',
+    extension: 'webp',
+    args: ['-c:v', 'libwebp', '-quality', '80', '-f', 'webp']
+  },
+  jpeg: {
+    mimeType: 'image/jpeg',
+    extension: 'jpg',
+    args: ['-c:v', 'mjpeg', '-q:v', '3', '-f', 'image2']
+  }
+};
+
+const PICTURE_EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/jpg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif',
+  'image/bmp': 'bmp'
+};
+
+const IMAGE_EXTENSIONS = {
+  '.jpg': 'jpg',
+  '.jpeg': 'jpg',
+  '.png': 'png',
+  '.webp': 'webp'
+};
+
+const EXTENSION_MIME_TYPES = {
+  jpg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp',
+  gif: 'image/gif',
+  bmp: 'image/bmp'
+};
+
+const INDEX_FILE = 'index.json';
+const INDEX_SAVE_DELAY_MS = 2000;
+
+/**
+ * Validate ?size= / ?format= and pick a variant encoding.
+ * Without ?size= the original picture is served and ?format= is ignored.
+ * @param {{ size?: string|number, format?: string }} query
+ * @param {string} acceptHeader - Request Accept header (WebP is used when the client lists it)
+ * @returns {{ ok: boolean, error?: string, size?: number|null, format?: string|null }}
+ */
+export function parseCoverRequest({ size, format } = {}, acceptHeader = '') {
+  if (size == null || size === '') {
+    return { ok: true, size: null, format: null };
+  }
+
+  const n = Number(size);
+  if (!COVER_SIZES.includes(n)) {
+    return { ok: false, error: `Invalid size (expected one of: ${COVER_SIZES.join(', ')})` };
+  }
+
+  const name = String(format || '').trim().toLowerCase();
+  if (name && !Object.prototype.hasOwnProperty.call(COVER_FORMATS, name)) {
+    return { ok: false, error: `Invalid format (expected one of: ${Object.keys(COVER_FORMATS).join(', ')})` };
+  }
+
+  const acceptsWebp = /\bimage\/webp\b/i.test(String(acceptHeader || ''));
+  return { ok: true, size: n, format: name || (acceptsWebp ? 'webp' : 'jpeg') };
+}
+
+function songKey(song) {
+  return `${song.fileSize ?? ''}:${song.lastModified ?? ''}`;
+}
+
+async function statKey(filePath) {
+  try {
+    const stats = await fs.stat(filePath);
+    return `${stats.size}:${stats.mtimeMs}`;
+  } catch {
+    return null;
+  }
+}
+
+// Adding or removing a cover.jpg changes its folder's mtime.
+async function foldersKey(filePath) {
+  const keys = await Promise.all(folderArtDirs(filePath).map(statKey));
+  return keys.join('|');
+}
+
+async function exists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export class CoverCache {
+  constructor({ cacheDir, ffmpegPath = 'ffmpeg', logger = console } = {}) {
+    this.cacheDir = cacheDir;
+    this.ffmpegPath = ffmpegPath;
+    this.logger = logger;
+
+    // songId -> { key, hash, extension, source, ... } (hash null = no art found)
+    this._index = null;
+    this._indexLoading = null;
+    this._saveTimer = null;
+
+    // songId / variant path -> Promise for in-flight work
+    this._extracting = new Map();
+    this._rendering = new Map();
+
+    // Variants ffmpeg couldn't render (served as originals until restart)
+    this._failedVariants = new Set();
+  }
+
+  /**
+   * Original picture for a song (embedded, else folder art), extracting it on first use.
+   * @param {Object} song - Song record with absolute `filePath` (and `artPath` from the scanner, if any)
+   * @returns {Promise<{ path: string, hash: string, mimeType: string, source: string } | null>} null when the song has no art
+   */
+  async getCover(song) {
+    const index = await this._loadIndex();
+    const entry = index[song.id];
+
+    if (entry && await this._isFresh(song, entry)) {
+      if (!entry.hash) return null;
+      const cover = this._coverFromEntry(entry);
+      if (await exists(cover.path)) return cover;
+    }
+
+    const pending = this._extracting.get(song.id);
+    if (pending) return await pending;
+
+    const job = this._extract(song).finally(() => this._extracting.delete(song.id));
+    this._extracting.set(song.id, job);
+    return await job;
+  }
+
+  /**
+   * Resized variant of a song's cover, rendering it on first use.
+   * Falls back to the original picture when ffmpeg can't render it.
+   * @param {Object} song - Song record
+   * @param {{ size: number, format: string }} request - From parseCoverRequest()
+   * @returns {Promise<{ path: string, etag: string, mimeType: string } | null>} null when the song has no art
+   */
+  async getVariant(song, { size, format }) {
+    const cover = await this.getCover(song);
+    if (!cover) return null;
+
+    const target = COVER_FORMATS[format];
+    const name = `${cover.hash}-${size}.${target.extension}`;
+    const outPath = path.join(this.cacheDir, name);
+    const variant = { path: outPath, etag: name, mimeType: target.mimeType };
+    const original = { path: cover.path, etag: cover.hash, mimeType: cover.mimeType };
+
+    if (await exists(outPath)) return variant;
+    if (this._failedVariants.has(outPath)) return original;
+
+    let pending = this._rendering.get(outPath);
+    if (!pending) {
+      pending = this._render(cover.path, outPath, { size, target })
+        .finally(() => this._rendering.delete(outPath));
+      this._rendering.set(outPath, pending);
+    }
+    return (await pending) ? variant : original;
+  }
+
+  _coverFromEntry(entry) {
+    return {
+      path: path.join(this.cacheDir, `${entry.hash}.${entry.extension}`),
+      hash: entry.hash,
+      mimeType: EXTENSION_MIME_TYPES[entry.extension] || 'image/jpeg',
+      source: entry.source || 'embedded'
+    };
+  }
+
+  async _isFresh(song, entry) {
+    if (entry.key !== songKey(song)) return false;
+    if (entry.source === 'folder') return entry.sourceKey === await statKey(entry.sourcePath);
+    if (!entry.hash) return entry.foldersKey === await foldersKey(song.filePath);
+    return true;
+  }
+
+  async _extract(song) {
+    const metadata = await parseFile(song.filePath, { duration: false, skipCovers: false });
+    const picture = metadata.common.picture?.[0];
+    const key = songKey(song);
+
+    if (picture?.data?.length) {
+      const extension = PICTURE_EXTENSIONS[String(picture.format || '').toLowerCase()] || 'jpg';
+      return await this._store(song.id, Buffer.from(picture.data), { key, extension, source: 'embedded' });
+    }
+
+    const artPath = (song.artPath && await exists(song.artPath))
+      ? song.artPath
+      : await findFolderArt(song.filePath);
+    if (artPath) {
+      const extension = IMAGE_EXTENSIONS[path.extname(artPath).toLowerCase()] || 'jpg';
+      return await this._store(song.id, await fs.readFile(artPath), {
+        key,
+        extension,
+        source: 'folder',
+        sourcePath: artPath,
+        sourceKey: await statKey(artPath)
+      });
+    }
+
+    this._setEntry(song.id, { key, hash: null, extension: null, source: null, foldersKey: await foldersKey(song.filePath) });
+    return null;
+  }
+
+  async _store(songId, data, fields) {
+    const hash = crypto.createHash('sha1').update(data).digest('hex');
+    const entry = { ...fields, hash };
+    const cover = this._coverFromEntry(entry);
+
+    // Another track of the same album may have stored this picture already.
+    if (!await exists(cover.path)) {
+      await fs.mkdir(this.cacheDir, { recursive: true });
+      const tmp = `${cover.path}.tmp-${Date.now()}-${Math.random().toString(16).slice(2)}`;
+      await fs.writeFile(tmp, data);
+      await fs.rename(tmp, cover.path);
+    }
+
+    this._setEntry(songId, entry);
+    return cover;
+  }
+
+  async _render(srcPath, outPath, { size, target }) {
+    // Write to a temp file and rename so a crash never leaves a truncated variant.
+    const tmp = `${outPath}.tmp-${Date.now()}-${Math.random().toString(16).slice(2)}`;
+    const args = [
+      '-hide_banner',
+      '-loglevel', 'error',
+      '-nostdin',
+      '-i', srcPath,
+      '-vf', `scale=w='min(${size},iw)':h='min(${size},ih)':force_original_aspect_ratio=decrease`,
+      '-frames:v', '1',
+      ...target.args,
+      '-y', tmp
+    ];
+
+    const res = await runFfmpeg(this.ffmpegPath, args, { timeoutMs: 30_000 });
+    if (res.code !== 0) {
+      await fs.rm(tmp, { force: true });
+      const detail = String(res.stderr || '').trim().split(/\r?\n/).pop() || `exit code ${res.code}`;
+      if (this._failedVariants.size === 0) {
+        this.logger?.warn?.(`[cover] Could not resize cover art (is ffmpeg installed?): ${detail}`);
+      }
+      this._failedVariants.add(outPath);
+      return false;
+    }
+
+    await fs.rename(tmp, outPath);
+    return true;
+  }
+
+  async _loadIndex() {
+    if (this._index) return this._index;
+    if (!this._indexLoading) {
+      this._indexLoading = (async () => {
+        try {
+          const raw = await fs.readFile(path.join(this.cacheDir, INDEX_FILE), 'utf8');
+          const parsed = JSON.parse(raw);
+          this._index = parsed && typeof parsed === 'object' ? parsed : {};
+        } catch {
+          this._index = {};
+        }
+        return this._index;
+      })();
+    }
+    return await this._indexLoading;
+  }
+
+  _setEntry(songId, entry) {
+    this._index[songId] = entry;
+    if (this._saveTimer) return;
+    // Batch index writes: the albums grid requests dozens of covers at once.
+    this._saveTimer = setTimeout(() => {
+      this._saveTimer = null;
+      void this._saveIndex();
+    }, INDEX_SAVE_DELAY_MS);
+    this._saveTimer.unref?.();
+  }
+
+  async _saveIndex() {
+    try {
+      await fs.mkdir(this.cacheDir, { recursive: true });
+      const file = path.join(this.cacheDir, INDEX_FILE);
+      const tmp = `${file}.tmp-${Date.now()}`;
+      await fs.writeFile(tmp, JSON.stringify(this._index));
+      await fs.rename(tmp, file);
+    } catch (error) {
+      this.logger?.warn?.(`[cover] Could not save cover index: ${error.message}`);
+    }
+  }
+}
@@ -0,0 +1,83 @@
+/**
+ * Folder artwork
+ *
+ * Finds album art stored as an image file beside the audio files
+ * (cover.jpg, folder.jpg, front.png, ...), for rips without embedded pictures.
+ *
+ * Multi-disc rips often keep the art in the album folder above "CD1" /
+ * "Disc 2", so disc-like folders also look one level up. Other folders don't,
+ * so an artist folder's image is never mistaken for every album's cover.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+// Preferred first; names are matched case-insensitively.
+export const FOLDER_ART_NAMES = ['cover', 'folder', 'front', 'album', 'albumart'];
+export const FOLDER_ART_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp'];
+
+const DISC_FOLDER_PATTERN = /^(cd|dis[ck])[\s._-]*\d+/i;
+
+/**
+ * Directories searched for a song's folder art, nearest first
+ * @param {string} filePath - Absolute audio file path
+ * @returns {Array<string>}
+ */
+export function folderArtDirs(filePath) {
+  const dir = path.dirname(filePath);
+  const dirs = [dir];
+  if (DISC_FOLDER_PATTERN.test(path.basename(dir))) {
+    dirs.push(path.dirname(dir));
+  }
+  return dirs;
+}
+
+function rankArtFile(fileName) {
+  const ext = path.extname(fileName).toLowerCase();
+  const extRank = FOLDER_ART_EXTENSIONS.indexOf(ext);
+  if (extRank === -1) return -1;
+  const nameRank = FOLDER_ART_NAMES.indexOf(path.basename(fileName, path.extname(fileName)).toLowerCase());
+  if (nameRank === -1) return -1;
+  return nameRank * FOLDER_ART_EXTENSIONS.length + extRank;
+}
+
+async function findInDirectory(dir) {
+  let entries;
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch {
+    return null;
+  }
+
+  let best = null;
+  let bestRank = Infinity;
+  for (const entry of entries) {
+    if (!entry.isFile()) continue;
+    const rank = rankArtFile(entry.name);
+    if (rank !== -1 && rank < bestRank) {
+      best = entry.name;
+      bestRank = rank;
+    }
+  }
+  return best ? path.join(dir, best) : null;
+}
+
+/**
+ * Find the folder art image for an audio file
+ * @param {string} filePath - Absolute audio file path
+ * @param {Map<string, string|null>} cache - Optional per-directory results, shared across one scan
+ * @returns {Promise<string|null>} Absolute image path, or null
+ */
+export async function findFolderArt(filePath, cache = null) {
+  for (const dir of folderArtDirs(filePath)) {
+    let found;
+    if (cache?.has(dir)) {
+      found = cache.get(dir);
+    } else {
+      found = await findInDirectory(dir);
+      cache?.set(dir, found);
+    }
+    if (found) return found;
+  }
+  return null;
+}
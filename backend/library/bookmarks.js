@@ -0,0 +1,92 @@
+/**
+ * Bookmarks
+ *
+ * Named positions inside a song (a track of a DJ mix, a solo in a live set),
+ * kept on the song record as `bookmarks: [{ id, time, name, createdAt }]`,
+ * sorted by time. Living on the song means they follow it through rescans,
+ * moves and ID migrations like play counts do.
+ */
+
+import crypto from 'crypto';
+
+export const MAX_BOOKMARKS_PER_SONG = 200;
+const MAX_NAME_LENGTH = 100;
+
+/**
+ * Validate a bookmark create/update body
+ * @param {Object} body - { time, name }
+ * @param {Object} options
+ * @param {boolean} options.partial - Allow absent fields (updates)
+ * @returns {{ fields: Object } | { error: string }}
+ */
+export function parseBookmarkInput(body = {}, { partial = false } = {}) {
+  const has = (field) => Object.prototype.hasOwnProperty.call(body || {}, field);
+  const fields = {};
+
+  if (has('time') || !partial) {
+    const time = body?.time;
+    if (typeof time !== 'number' || !Number.isFinite(time) || time < 0) {
+      return { error: 'Invalid time (expected seconds >= 0)' };
+    }
+    fields.time = Math.round(time * 1000) / 1000;
+  }
+
+  if (has('name')) {
+    const name = body.name;
+    if (name !== null && typeof name !== 'string') {
+      return { error: 'Invalid name (expected string or null)' };
+    }
+    fields.name = String(name ?? '').replace(/[\u0000-\u001f]+/g, ' ').trim().slice(0, MAX_NAME_LENGTH);
+  } else if (!partial) {
+    fields.name = '';
+  }
+
+  return { fields };
+}
+
+function sortByTime(bookmarks) {
+  return [...bookmarks].sort((a, b) => a.time - b.time);
+}
+
+/**
+ * A song's bookmarks (validated copies, sorted by time)
+ * @param {Object} song
+ * @returns {Array<Object>}
+ */
+export function songBookmarks(song) {
+  const list = Array.isArray(song?.bookmarks) ? song.bookmarks : [];
+  return sortByTime(list.filter((b) => b && typeof b.id === 'string' && Number.isFinite(b.time)));
+}
+
+/**
+ * Add a bookmark to a song's list
+ * @param {Array<Object>} bookmarks - Current list
+ * @param {{ time: number, name: string }} fields - From parseBookmarkInput()
+ * @returns {{ bookmarks: Array<Object>, bookmark: Object } | { error: string }}
+ */
+export function addBookmark(bookmarks, fields) {
+  if (bookmarks.length >= MAX_BOOKMARKS_PER_SONG) {
+    return { error: `Too many bookmarks (max ${MAX_BOOKMARKS_PER_SONG} per song)` };
+  }
+  const bookmark = {
+    id: crypto.randomBytes(6).toString('hex'),
+    time: fields.time,
+    name: fields.name,
+    createdAt: new Date().toISOString()
+  };
+  return { bookmarks: sortByTime([...bookmarks, bookmark]), bookmark };
+}
+
+/**
+ * Change a bookmark's time and/or name
+ * @param {Array<Object>} bookmarks - Current list
+ * @param {string} bookmarkId
+ * @param {Object} fields - From parseBookmarkInput(..., { partial: true })
+ * @returns {{ bookmarks: Array<Object>, bookmark: Object } | null} null when the bookmark doesn't exist
+ */
+export function updateBookmark(bookmarks, bookmarkId, fields) {
+  const existing = bookmarks.find((b) => b.id === bookmarkId);
+  if (!existing) return null;
+  const bookmark = { ...existing, ...fields };
+  return { bookmarks: sortByTime(bookmarks.map((b) => (b.id === bookmarkId ? bookmark : b))), bookmark };
+}
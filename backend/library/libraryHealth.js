@@ -0,0 +1,101 @@
+/**
+ * Library health
+ *
+ * Finds references to songs that are no longer in the library: playlist
+ * entries and play history pointing at removed files. Songs removed under the
+ * "tombstone" policy (see MusicScanner.reconcileRemoved()) still have a record,
+ * so the report can say what they were.
+ */
+
+// Both storage backends keep at most this many history entries.
+const MAX_HISTORY_ENTRIES = 1000;
+
+function describeSong(id, tombstone) {
+  return {
+    id,
+    tombstoned: Boolean(tombstone),
+    title: tombstone?.title || null,
+    artist: tombstone?.artist || null,
+    album: tombstone?.album || null,
+    filePath: tombstone?.filePath || null,
+    removedAt: tombstone?.removedAt || null
+  };
+}
+
+/**
+ * Build a report of dangling song references
+ * @param {Object} storage - Storage instance
+ * @returns {Promise<Object>} { totalSongs, danglingSongIds, playlists, history, tombstones }
+ */
+export async function inspectLibraryHealth(storage) {
+  const songs = await storage.getSongs();
+  const playlists = await storage.getPlaylists();
+  const history = await storage.getPlayHistory(MAX_HISTORY_ENTRIES);
+  const tombstones = await storage.getTombstones();
+
+  const songIds = new Set(songs.map(song => song.id));
+  const tombstonesById = new Map(tombstones.map(tombstone => [tombstone.id, tombstone]));
+  const dangling = new Set();
+
+  const playlistReport = [];
+  for (const playlist of playlists) {
+    const ids = Array.isArray(playlist.songIds) ? playlist.songIds : [];
+    const missing = ids.filter(id => !songIds.has(id));
+    if (missing.length === 0) continue;
+    missing.forEach(id => dangling.add(id));
+    playlistReport.push({
+      id: playlist.id,
+      name: playlist.name,
+      songCount: ids.length,
+      missing: missing.map(id => describeSong(id, tombstonesById.get(id)))
+    });
+  }
+
+  // History is most recent first, so the first entry seen is the last play.
+  const historyById = new Map();
+  for (const entry of history) {
+    if (!entry?.songId || songIds.has(entry.songId)) continue;
+    dangling.add(entry.songId);
+    const item = historyById.get(entry.songId);
+    if (item) {
+      item.plays++;
+    } else {
+      historyById.set(entry.songId, { plays: 1, lastPlayedAt: entry.playedAt || null });
+    }
+  }
+  const historyReport = [...historyById].map(([id, item]) => ({
+    ...describeSong(id, tombstonesById.get(id)),
+    ...item
+  }));
+
+  return {
+    checkedAt: new Date().toISOString(),
+    totalSongs: songs.length,
+    danglingSongIds: [...dangling],
+    playlists: playlistReport,
+    history: historyReport,
+    tombstones: tombstones.map(tombstone => ({
+      ...describeSong(tombstone.id, tombstone),
+      playCount: tombstone.playCount || 0,
+      referenced: dangling.has(tombstone.id)
+    }))
+  };
+}
+
+/**
+ * Remove dangling references from playlists, history and the lyrics cache
+ * @param {Object} storage - Storage instance
+ * @param {Object} options
+ * @param {boolean} options.includeTombstoned - Also forget tombstoned songs (their play data is lost)
+ * @returns {Promise<Object>} { prunedSongIds, playlists, history, lyrics, tombstones }
+ */
+export async function pruneDanglingReferences(storage, { includeTombstoned = false } = {}) {
+  const report = await inspectLibraryHealth(storage);
+  const tombstoned = new Set(report.tombstones.map(tombstone => tombstone.id));
+
+  const ids = new Set(report.danglingSongIds.filter(id => includeTombstoned || !tombstoned.has(id)));
+  if (includeTombstoned) tombstoned.forEach(id => ids.add(id));
+
+  const pruned = await storage.pruneSongReferences([...ids]);
+  return { prunedSongIds: [...ids], ...pruned };
+}
@@ -0,0 +1,168 @@
+/**
+ * LibraryWatcher
+ *
+ * Watches the music directories and batches filesystem events into
+ * incremental syncs (see MusicScanner.syncPaths()).
+ *
+ * Design goals:
+ * - One fs.watch per music directory (recursive), with a per-folder fallback
+ *   on platforms/runtimes without recursive watching
+ * - Debounced: a burst of events (copying an album, a download finishing) becomes one sync
+ * - A max wait so a long copy still shows progress
+ * - Syncs never overlap; events arriving during a sync are batched into the next one
+ */
+
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+
+// Partial downloads / editor temp files: wait for the final rename instead.
+const TEMP_FILE_PATTERN = /(\.part|\.crdownload|\.download|\.tmp|~)$|^\.~|^\.#/i;
+
+export class LibraryWatcher {
+  /**
+   * @param {Object} options
+   * @param {Array<string>} options.directories - Music directories to watch
+   * @param {Function} options.onChanges - async (paths: string[]) => void
+   * @param {number} options.debounceMs - Quiet period before syncing
+   * @param {number} options.maxWaitMs - Sync at least this often during a continuous burst
+   */
+  constructor({ directories = [], onChanges, debounceMs = 1500, maxWaitMs = 10_000, logger = console } = {}) {
+    this.directories = directories;
+    this.onChanges = onChanges;
+    this.debounceMs = debounceMs;
+    this.maxWaitMs = maxWaitMs;
+    this.logger = logger;
+
+    this._watchers = new Map(); // directory -> fs.FSWatcher
+    this._pending = new Set();
+    this._timer = null;
+    this._firstPendingAt = 0;
+    this._flushing = false;
+    this._stopped = true;
+  }
+
+  async start() {
+    this._stopped = false;
+    for (const directory of this.directories) {
+      const root = path.resolve(directory);
+      try {
+        await fsp.access(root);
+      } catch {
+        this.logger?.warn?.(`[watch] Music directory not found: ${root}`);
+        continue;
+      }
+
+      if (!this._watch(root, { recursive: true })) {
+        // No recursive support: watch every folder individually.
+        await this._watchTree(root);
+      }
+    }
+
+    if (this._watchers.size > 0) {
+      this.logger?.log?.(`[watch] Watching ${this._watchers.size} folder(s) for library changes`);
+    }
+  }
+
+  stop() {
+    this._stopped = true;
+    clearTimeout(this._timer);
+    this._timer = null;
+    for (const watcher of this._watchers.values()) {
+      try {
+        watcher.close();
+      } catch {
+        // ignore
+      }
+    }
+    this._watchers.clear();
+    this._pending.clear();
+  }
+
+  _watch(dir, { recursive }) {
+    try {
+      const watcher = fs.watch(dir, { recursive, persistent: true }, (eventType, filename) => {
+        if (!filename) {
+          // Some platforms omit the name; resync the whole folder.
+          this._enqueue(dir);
+          return;
+        }
+        const fullPath = path.join(dir, filename.toString());
+        this._enqueue(fullPath);
+        if (!recursive && eventType === 'rename') {
+          void this._watchTree(fullPath);
+        }
+      });
+      watcher.on('error', (err) => {
+        this.logger?.warn?.(`[watch] ${dir}: ${err?.message || err}`);
+        watcher.close();
+        this._watchers.delete(dir);
+      });
+      this._watchers.set(dir, watcher);
+      return true;
+    } catch (err) {
+      // Recursive watching isn't available everywhere; start() falls back to per-folder watchers.
+      if (!recursive) {
+        this.logger?.warn?.(`[watch] Cannot watch ${dir}: ${err?.message || err}`);
+      }
+      return false;
+    }
+  }
+
+  async _watchTree(dir) {
+    if (this._stopped || this._watchers.has(dir)) return;
+
+    let entries;
+    try {
+      entries = await fsp.readdir(dir, { withFileTypes: true });
+    } catch {
+      return; // not a directory (or gone)
+    }
+
+    this._watch(dir, { recursive: false });
+    for (const entry of entries) {
+      if (entry.isDirectory()) {
+        await this._watchTree(path.join(dir, entry.name));
+      }
+    }
+  }
+
+  _enqueue(fullPath) {
+    if (this._stopped) return;
+    if (TEMP_FILE_PATTERN.test(path.basename(fullPath))) return;
+
+    if (this._pending.size === 0) this._firstPendingAt = Date.now();
+    this._pending.add(fullPath);
+    this._schedule();
+  }
+
+  _schedule() {
+    clearTimeout(this._timer);
+    const waited = Date.now() - this._firstPendingAt;
+    const delay = Math.max(0, Math.min(this.debounceMs, this.maxWaitMs - waited));
+    this._timer = setTimeout(() => {
+      this._timer = null;
+      void this._flush();
+    }, delay);
+  }
+
+  async _flush() {
+    if (this._flushing || this._pending.size === 0) return;
+    this._flushing = true;
+
+    const paths = [...this._pending];
+    this._pending.clear();
+
+    try {
+      await this.onChanges(paths);
+    } catch (err) {
+      this.logger?.warn?.('[watch] Sync failed:', err?.message || err);
+    } finally {
+      this._flushing = false;
+      if (this._pending.size > 0 && !this._stopped) {
+        this._firstPendingAt = Date.now();
+        this._schedule();
+      }
+    }
+  }
+}
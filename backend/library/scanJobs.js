@@ -0,0 +1,148 @@
+/**
+ * Scan jobs
+ *
+ * Runs full library scans in the background so POST /api/scan can return
+ * immediately with a job ID instead of holding the request open.
+ *
+ * Design goals:
+ * - One scan at a time: starting a scan while one is active returns the active job
+ * - Jobs queue behind watcher syncs (see runExclusive() in scanner.js)
+ * - Progress events are throttled; the final snapshot always goes out with "done"
+ * - Cancelling discards the scan (nothing is saved); the next scan is still incremental
+ */
+
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import MusicScanner, { runExclusive } from '../scanner.js';
+
+const PROGRESS_INTERVAL_MS = 250;
+const MAX_FINISHED_JOBS = 10;
+
+class ScanJob extends EventEmitter {
+  constructor({ storage }) {
+    super();
+    this.id = crypto.randomUUID();
+    this.status = 'queued'; // queued | running | completed | failed | cancelled
+    this.startedAt = new Date().toISOString();
+    this.finishedAt = null;
+    this.progress = null;
+    this.result = null;
+    this.error = null;
+
+    this.scanner = new MusicScanner({ storage });
+    this._controller = new AbortController();
+    this._lastProgressAt = 0;
+  }
+
+  get finished() {
+    return this.status === 'completed' || this.status === 'failed' || this.status === 'cancelled';
+  }
+
+  /**
+   * Files waiting for (or in) background BPM/key, loudness or waveform analysis
+   */
+  get analysisQueue() {
+    return this.scanner.background.pendingCount;
+  }
+
+  cancel() {
+    if (this.finished) return false;
+    this._controller.abort();
+    return true;
+  }
+
+  async run() {
+    try {
+      this.result = await runExclusive(() => {
+        // A job cancelled while queued still starts here; scan() bails out before saving.
+        this.status = 'running';
+        this._emitProgress(true);
+        return this.scanner.scan({
+          signal: this._controller.signal,
+          onProgress: (progress) => {
+            this.progress = progress;
+            this._emitProgress(false);
+          }
+        });
+      });
+      this.status = 'completed';
+    } catch (error) {
+      if (error?.name === 'AbortError') {
+        this.status = 'cancelled';
+      } else {
+        this.status = 'failed';
+        this.error = error?.message || String(error);
+      }
+    }
+
+    this.finishedAt = new Date().toISOString();
+    this.emit('done', this.toJSON());
+  }
+
+  _emitProgress(force) {
+    const now = Date.now();
+    if (!force && now - this._lastProgressAt < PROGRESS_INTERVAL_MS) return;
+    this._lastProgressAt = now;
+    this.emit('progress', this.toJSON());
+  }
+
+  toJSON() {
+    return {
+      jobId: this.id,
+      status: this.status,
+      startedAt: this.startedAt,
+      finishedAt: this.finishedAt,
+      progress: this.progress,
+      analysisQueue: this.analysisQueue,
+      result: this.result,
+      error: this.error
+    };
+  }
+}
+
+export class ScanJobManager {
+  /**
+   * @param {Object} options
+   * @param {Object} options.storage - Shared storage instance
+   * @param {Function} options.onComplete - (result) => void, called after a successful scan
+   */
+  constructor({ storage, onComplete } = {}) {
+    this.storage = storage;
+    this.onComplete = onComplete;
+
+    this._jobs = new Map(); // jobId -> ScanJob (active + recently finished)
+    this._active = null;
+  }
+
+  /**
+   * Start a scan, or return the one already running
+   * @returns {{ job: ScanJob, created: boolean }}
+   */
+  start() {
+    if (this._active) return { job: this._active, created: false };
+
+    const job = new ScanJob({ storage: this.storage });
+    this._active = job;
+    this._jobs.set(job.id, job);
+    this._prune();
+
+    job.once('done', () => {
+      if (this._active === job) this._active = null;
+      if (job.status === 'completed') this.onComplete?.(job.result);
+    });
+    void job.run();
+
+    return { job, created: true };
+  }
+
+  get(jobId) {
+    return this._jobs.get(jobId) || null;
+  }
+
+  _prune() {
+    const finished = [...this._jobs.values()].filter(job => job.finished);
+    for (const job of finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS))) {
+      this._jobs.delete(job.id);
+    }
+  }
+}
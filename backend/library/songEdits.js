@@ -0,0 +1,271 @@
+/**
+ * Song edits
+ *
+ * Validation and persistence for user edits to song metadata
+ * (PATCH /api/songs/:id), with optional write-back into the file's tags.
+ *
+ * Edits that only live in the library are listed in the song's `editedFields`;
+ * the scanner keeps those values when it re-reads a changed file's tags.
+ * Once a field is written to the file, file and library agree again and the
+ * field is dropped from the list.
+ *
+ * Playback settings (PLAYBACK_SONG_FIELDS) aren't tags: they're never written
+ * to the file and a rescan has nothing to overwrite them with.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { EDITABLE_TAG_FIELDS, writeTags } from './tagWriter.js';
+
+// trimSilence: true / false skips (or keeps) the song's silent intro and outro
+// whatever the player's setting; null follows the setting.
+export const PLAYBACK_SONG_FIELDS = ['trimSilence'];
+
+export const EDITABLE_SONG_FIELDS = [...EDITABLE_TAG_FIELDS, 'bpm', 'key', ...PLAYBACK_SONG_FIELDS];
+
+const TEXT_LIMITS = {
+  title: 512,
+  artist: 512,
+  albumArtist: 512,
+  album: 512,
+  genre: 128,
+  comment: 2000
+};
+
+const INTEGER_RANGES = {
+  year: [0, 9999],
+  trackNumber: [1, 999],
+  discNumber: [1, 999]
+};
+
+// Same placeholders the scanner uses for untagged files.
+const CLEARED_DEFAULTS = {
+  artist: 'Unknown Artist',
+  album: 'Unknown Album'
+};
+
+/**
+ * Validate an edit request body
+ * Absent fields are left alone; null or '' clears a field (except the title)
+ * @param {Object} body - Any of EDITABLE_SONG_FIELDS
+ * @returns {{ updates: Object } | { error: string }}
+ */
+export function parseSongEdits(body = {}) {
+  const has = (field) => Object.prototype.hasOwnProperty.call(body || {}, field);
+  const updates = {};
+
+  for (const [field, limit] of Object.entries(TEXT_LIMITS)) {
+    if (!has(field)) continue;
+    const raw = body[field];
+    if (raw !== null && typeof raw !== 'string') {
+      return { error: `Invalid ${field} (expected string or null)` };
+    }
+    // Comments may span lines; everything else is single-line.
+    const text = String(raw ?? '')
+      .replace(field === 'comment' ? /[\u0000-\u0009\u000b-\u001f]+/g : /[\u0000-\u001f]+/g, ' ')
+      .trim();
+    if (!text && field === 'title') {
+      return { error: 'Invalid title (cannot be empty)' };
+    }
+    updates[field] = text ? text.slice(0, limit) : null;
+  }
+
+  for (const [field, [min, max]] of Object.entries(INTEGER_RANGES)) {
+    if (!has(field)) continue;
+    const raw = body[field];
+    if (raw === null || raw === '') {
+      updates[field] = null;
+      continue;
+    }
+    const n = Number(raw);
+    if (!Number.isInteger(n) || n < min || n > max) {
+      return { error: `Invalid ${field} (expected integer ${min}-${max}, or null)` };
+    }
+    updates[field] = n;
+  }
+
+  if (has('bpm')) {
+    const bpmRaw = body.bpm;
+    if (bpmRaw === null || bpmRaw === '') {
+      updates.bpm = null;
+    } else {
+      const bpm = Number(bpmRaw);
+      if (!Number.isFinite(bpm) || bpm < 30 || bpm > 300) {
+        return { error: 'Invalid bpm (expected number 30-300, or null)' };
+      }
+      updates.bpm = Math.round(bpm);
+    }
+  }
+
+  if (has('key')) {
+    const keyRaw = body.key;
+    if (keyRaw === null || keyRaw === '') {
+      updates.key = null;
+    } else if (typeof keyRaw !== 'string') {
+      return { error: 'Invalid key (expected string or null)' };
+    } else {
+      const k = String(keyRaw).trim();
+      updates.key = k ? k.slice(0, 32) : null;
+    }
+  }
+
+  if (has('trimSilence')) {
+    const raw = body.trimSilence;
+    if (raw !== null && typeof raw !== 'boolean') {
+      return { error: 'Invalid trimSilence (expected boolean, or null to follow the player setting)' };
+    }
+    updates.trimSilence = raw;
+  }
+
+  return { updates };
+}
+
+/**
+ * Validate a find-and-replace request for one text field
+ * @param {Object} body
+ * @param {string} body.field - One of the text fields (title, artist, albumArtist, album, genre, comment)
+ * @param {string} body.find - Text to look for (not a pattern)
+ * @param {string} body.replaceWith - Replacement text ('' removes the match)
+ * @param {boolean} body.matchCase - Case-sensitive match (default false)
+ * @returns {{ replace: Object } | { error: string }}
+ */
+export function parseFieldReplace(body = {}) {
+  const { field, find, replaceWith = '', matchCase = false } = body || {};
+  if (!Object.prototype.hasOwnProperty.call(TEXT_LIMITS, field)) {
+    return { error: `Invalid replace field (expected one of: ${Object.keys(TEXT_LIMITS).join(', ')})` };
+  }
+  if (typeof find !== 'string' || find === '') {
+    return { error: 'Invalid find (expected non-empty string)' };
+  }
+  if (typeof replaceWith !== 'string') {
+    return { error: 'Invalid replaceWith (expected string)' };
+  }
+  const escaped = find.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return { replace: { field, pattern: new RegExp(escaped, matchCase ? 'g' : 'gi'), replaceWith } };
+}
+
+/**
+ * Work out one song's updates for a batch edit
+ * @param {Object} song - Current song record
+ * @param {Object} updates - From parseSongEdits(), applied to every song
+ * @param {Object|null} replace - From parseFieldReplace()
+ * @returns {{ updates: Object } | { error: string }}
+ */
+export function songBatchUpdates(song, updates, replace) {
+  const merged = { ...updates };
+  if (replace) {
+    const current = song[replace.field] == null ? '' : String(song[replace.field]);
+    // Literal replacement: "$" in the replacement text has no special meaning.
+    const next = current.replace(replace.pattern, () => replace.replaceWith);
+    if (next !== current) {
+      const parsed = parseSongEdits({ [replace.field]: next });
+      if (parsed.error) return parsed;
+      Object.assign(merged, parsed.updates);
+    }
+  }
+
+  // Only keep fields that actually change this song.
+  const effective = withClearedDefaults(merged);
+  for (const field of Object.keys(merged)) {
+    if ((song[field] ?? null) === effective[field]) delete merged[field];
+  }
+  return { updates: merged };
+}
+
+function withClearedDefaults(updates) {
+  const patch = { ...updates };
+  for (const [field, placeholder] of Object.entries(CLEARED_DEFAULTS)) {
+    if (field in patch && patch[field] == null) patch[field] = placeholder;
+  }
+  return patch;
+}
+
+/**
+ * Build the storage patch for one song, writing tags first when asked
+ * @returns {Promise<{ patch: Object, tagWrite: Object|null }>}
+ */
+async function prepareSongEdit(song, updates, { writeTags: writeBack = false, ffmpegPath } = {}) {
+  const tagUpdates = Object.fromEntries(
+    Object.entries(updates).filter(([field]) => !PLAYBACK_SONG_FIELDS.includes(field))
+  );
+  const fields = Object.keys(tagUpdates);
+  const patch = withClearedDefaults(updates);
+  const edited = new Set(song.editedFields || []);
+  let tagWrite = null;
+
+  if (writeBack && fields.length > 0) {
+    try {
+      await writeTags(song.filePath, tagUpdates, { ffmpegPath });
+      const stats = await fs.stat(song.filePath);
+      // Keep the next scan from treating our own write as an external change.
+      patch.lastModified = stats.mtime.toISOString();
+      patch.fileSize = stats.size;
+      tagWrite = { written: true };
+
+      const isMp3 = path.extname(song.filePath).toLowerCase() === '.mp3';
+      for (const field of fields) {
+        if (isMp3 || EDITABLE_TAG_FIELDS.includes(field)) {
+          edited.delete(field);
+        } else {
+          edited.add(field);
+        }
+      }
+    } catch (error) {
+      tagWrite = { written: false, error: error.message };
+      fields.forEach(field => edited.add(field));
+    }
+  } else {
+    fields.forEach(field => edited.add(field));
+  }
+
+  patch.editedFields = [...edited];
+  return { patch, tagWrite };
+}
+
+/**
+ * Save validated edits, optionally writing them into the file's tags first
+ * A failed tag write still saves the edits to the library (reported in `tagWrite`)
+ * @param {Object} storage - Storage instance
+ * @param {Object} song - Current song record
+ * @param {Object} updates - From parseSongEdits()
+ * @param {Object} options
+ * @param {boolean} options.writeTags - Write the edits into the audio file too
+ * @param {string} options.ffmpegPath - ffmpeg binary (non-MP3 tag writes)
+ * @returns {Promise<{ song: Object, tagWrite: Object|null }>} tagWrite: { written, error? } when requested
+ */
+export async function applySongEdits(storage, song, updates, options = {}) {
+  const { patch, tagWrite } = await prepareSongEdit(song, updates, options);
+
+  const ok = await storage.updateSong(song.id, patch);
+  if (!ok) throw new Error('Failed to update song');
+
+  return { song: await storage.getSongById(song.id), tagWrite };
+}
+
+/**
+ * Save edits for many songs with a single storage write
+ * Tags are written file by file first (when asked); failures are reported per song.
+ * @param {Object} storage - Storage instance
+ * @param {Array<{ song: Object, updates: Object }>} edits - Per-song updates (from songBatchUpdates())
+ * @param {Object} options - Same as applySongEdits()
+ * @returns {Promise<{ songs: Array<Object>, tagWrites: Object }>} tagWrites: songId -> { written, error? } when requested
+ */
+export async function applySongEditsBatch(storage, edits, options = {}) {
+  const changes = [];
+  const tagWrites = {};
+
+  for (const { song, updates } of edits) {
+    if (Object.keys(updates).length === 0) continue;
+    const { patch, tagWrite } = await prepareSongEdit(song, updates, options);
+    changes.push({ id: song.id, updates: patch });
+    if (tagWrite) tagWrites[song.id] = tagWrite;
+  }
+
+  if (changes.length > 0) {
+    await storage.updateSongs(changes);
+  }
+
+  const changedIds = new Set(changes.map(change => change.id));
+  const songs = (await storage.getSongs()).filter(song => changedIds.has(song.id));
+  return { songs, tagWrites };
+}
@@ -0,0 +1,188 @@
+/**
+ * Song identity
+ *
+ * Deterministic song IDs derived from the audio payload of a file.
+ *
+ * Design goals:
+ * - Same audio => same ID, regardless of path, rename or a rebuilt data directory
+ * - Tag edits don't change the ID for MP3/FLAC (ID3v2/ID3v1/APE and FLAC metadata
+ *   blocks are skipped); for other containers the tags are part of the sampled bytes
+ * - Cheap: only three 64 KiB samples are read, never the full file
+ *
+ * The fingerprint is a sampled one: the payload length plus its first, middle and
+ * last 64 KiB. Two files that differ only outside those samples (same length) get
+ * the same ID, so an ID says "probably the same audio", not "byte-identical".
+ * The scanner also keeps a song's ID when its file is re-encoded in place, so
+ * anything derived from the audio must check `contentHash`, not the ID.
+ *
+ * The fingerprint is stored on the song as `contentHash`; the ID is a prefix of it.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+const SAMPLE_SIZE = 64 * 1024;
+const ID_LENGTH = 16;
+
+async function readAt(handle, position, length) {
+  const buf = Buffer.alloc(Math.max(0, length));
+  if (length <= 0) return buf;
+  const { bytesRead } = await handle.read(buf, 0, length, position);
+  return bytesRead < length ? buf.subarray(0, bytesRead) : buf;
+}
+
+// ID3v2 sizes are "syncsafe": 4 bytes, 7 bits each.
+function syncsafeToInt(buf, offset) {
+  return ((buf[offset] & 0x7f) << 21)
+    | ((buf[offset + 1] & 0x7f) << 14)
+    | ((buf[offset + 2] & 0x7f) << 7)
+    | (buf[offset + 3] & 0x7f);
+}
+
+/**
+ * Skip any leading ID3v2 tags (some files carry more than one).
+ * @returns {Promise<number>} Offset of the first byte after the tags
+ */
+async function skipId3v2(handle, start, size) {
+  let offset = start;
+  while (offset + 10 <= size) {
+    const header = await readAt(handle, offset, 10);
+    if (header.length < 10 || header.toString('latin1', 0, 3) !== 'ID3') break;
+    const hasFooter = (header[5] & 0x10) !== 0;
+    offset += 10 + syncsafeToInt(header, 6) + (hasFooter ? 10 : 0);
+  }
+  return Math.min(offset, size);
+}
+
+/**
+ * Strip trailing ID3v1 and APEv2 tags.
+ * @returns {Promise<number>} Exclusive end offset of the audio payload
+ */
+async function stripTrailingTags(handle, start, end) {
+  let stripped = true;
+  while (stripped && end > start) {
+    stripped = false;
+
+    if (end - start >= 128) {
+      const tail = await readAt(handle, end - 128, 3);
+      if (tail.toString('latin1') === 'TAG') {
+        end -= 128;
+        stripped = true;
+        continue;
+      }
+    }
+
+    if (end - start >= 32) {
+      const footer = await readAt(handle, end - 32, 32);
+      if (footer.length === 32 && footer.toString('latin1', 0, 8) === 'APETAGEX') {
+        const tagSize = footer.readUInt32LE(12);
+        const hasHeader = (footer.readUInt32LE(20) & 0x80000000) !== 0;
+        const total = tagSize + (hasHeader ? 32 : 0);
+        if (total > 0 && total <= end - start) {
+          end -= total;
+          stripped = true;
+        }
+      }
+    }
+  }
+  return end;
+}
+
+/**
+ * Skip the FLAC marker and all metadata blocks (VORBIS_COMMENT, PICTURE, ...).
+ * @returns {Promise<number>} Offset of the first audio frame, or `start` if not FLAC
+ */
+async function skipFlacMetadata(handle, start, size) {
+  const marker = await readAt(handle, start, 4);
+  if (marker.toString('latin1') !== 'fLaC') return start;
+
+  let offset = start + 4;
+  while (offset + 4 <= size) {
+    const header = await readAt(handle, offset, 4);
+    if (header.length < 4) break;
+    const isLast = (header[0] & 0x80) !== 0;
+    const length = (header[1] << 16) | (header[2] << 8) | header[3];
+    offset += 4 + length;
+    if (isLast) break;
+  }
+  return Math.min(offset, size);
+}
+
+/**
+ * Locate the byte range holding the audio payload (tags excluded where we know how).
+ * @returns {Promise<{ start: number, end: number }>} end is exclusive
+ */
+async function locateAudioPayload(handle, filePath, size) {
+  const ext = path.extname(filePath).toLowerCase();
+  let start = 0;
+  let end = size;
+
+  if (ext === '.mp3') {
+    start = await skipId3v2(handle, 0, size);
+    end = await stripTrailingTags(handle, start, size);
+  } else if (ext === '.flac') {
+    start = await skipId3v2(handle, 0, size);
+    start = await skipFlacMetadata(handle, start, size);
+  }
+
+  if (end <= start) return { start: 0, end: size };
+  return { start, end };
+}
+
+/**
+ * Compute a content fingerprint for an audio file.
+ * @param {string} filePath - Absolute path to the audio file
+ * @param {{ size?: number }} statHint - Optional stat info to avoid an extra stat()
+ * @returns {Promise<string>} sha1 hex digest
+ */
+export async function audioFingerprint(filePath, { size } = {}) {
+  const fileSize = size != null ? size : (await fs.stat(filePath)).size;
+  const handle = await fs.open(filePath, 'r');
+
+  try {
+    const { start, end } = await locateAudioPayload(handle, filePath, fileSize);
+    const length = end - start;
+    const sampleLen = Math.min(SAMPLE_SIZE, length);
+    const middle = start + Math.max(0, Math.floor((length - sampleLen) / 2));
+
+    const h = crypto.createHash('sha1');
+    h.update('audio-v1\n');
+    h.update(String(length));
+    h.update('\n');
+    h.update(await readAt(handle, start, sampleLen));
+    h.update(await readAt(handle, middle, sampleLen));
+    h.update(await readAt(handle, end - sampleLen, sampleLen));
+    return h.digest('hex');
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Derive a song ID from a content fingerprint.
+ * @param {string} contentHash - From audioFingerprint()
+ * @returns {string} 16 hex characters
+ */
+export function songIdFromContentHash(contentHash) {
+  return String(contentHash).slice(0, ID_LENGTH);
+}
+
+/**
+ * Make an ID unique when the same audio exists at several paths.
+ * The suffix is derived from the path so it's stable across rescans. The scanner
+ * visits files in path order, so of several new copies the first path keeps the bare ID.
+ * @param {string} baseId
+ * @param {string} filePath
+ * @param {Set<string>} usedIds - IDs already assigned in this scan
+ * @returns {string}
+ */
+export function disambiguateSongId(baseId, filePath, usedIds) {
+  if (!usedIds.has(baseId)) return baseId;
+  const suffix = crypto.createHash('sha1').update(String(filePath)).digest('hex');
+  for (let len = 6; len <= suffix.length; len += 2) {
+    const candidate = `${baseId}-${suffix.slice(0, len)}`;
+    if (!usedIds.has(candidate)) return candidate;
+  }
+  return `${baseId}-${suffix}`;
+}
@@ -0,0 +1,157 @@
+/**
+ * Tag writer
+ *
+ * Writes edited song metadata back into the audio file.
+ *
+ * - MP3: ID3v2 frames via node-id3, updated in place
+ * - FLAC / OGG / Opus (Vorbis comments) and M4A / MP4 (iTunes atoms): ffmpeg
+ *   remux with `-c copy` into a temp file that then replaces the original, so a
+ *   failed write never leaves a truncated file behind
+ * - Other formats (WAV, WMA, raw AAC) are not written
+ *
+ * Fields use song record names (see EDITABLE_TAG_FIELDS); `null` removes the tag.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { createRequire } from 'module';
+import { runFfmpeg } from '../streaming/transcoder.js';
+
+const require = createRequire(import.meta.url);
+// node-id3 is CommonJS.
+const NodeID3 = require('node-id3');
+
+export const EDITABLE_TAG_FIELDS = [
+  'title',
+  'artist',
+  'albumArtist',
+  'album',
+  'genre',
+  'year',
+  'trackNumber',
+  'discNumber',
+  'comment'
+];
+
+// ffmpeg muxer per extension (the temp file's name can't be used to pick one).
+const FFMPEG_FORMATS = {
+  '.flac': 'flac',
+  '.ogg': 'ogg',
+  '.oga': 'ogg',
+  '.opus': 'opus',
+  '.m4a': 'mp4',
+  '.mp4': 'mp4'
+};
+
+// Generic ffmpeg metadata keys; each muxer maps them to its own tag names.
+const FFMPEG_KEYS = {
+  title: 'title',
+  artist: 'artist',
+  albumArtist: 'album_artist',
+  album: 'album',
+  genre: 'genre',
+  year: 'date',
+  trackNumber: 'track',
+  discNumber: 'disc',
+  comment: 'comment'
+};
+
+/**
+ * Whether tags can be written back for this file type
+ * @param {string} filePath
+ * @returns {boolean}
+ */
+export function canWriteTags(filePath) {
+  const ext = path.extname(String(filePath || '')).toLowerCase();
+  return ext === '.mp3' || Object.prototype.hasOwnProperty.call(FFMPEG_FORMATS, ext);
+}
+
+function tagText(value) {
+  return value == null || value === '' ? undefined : String(value);
+}
+
+function writeId3(filePath, fields) {
+  const tags = {};
+  const set = (name, value) => {
+    // node-id3 drops frames whose value is undefined.
+    tags[name] = value;
+  };
+
+  if ('title' in fields) set('title', tagText(fields.title));
+  if ('artist' in fields) set('artist', tagText(fields.artist));
+  if ('albumArtist' in fields) set('performerInfo', tagText(fields.albumArtist));
+  if ('album' in fields) set('album', tagText(fields.album));
+  if ('genre' in fields) set('genre', tagText(fields.genre));
+  if ('year' in fields) set('year', tagText(fields.year));
+  if ('trackNumber' in fields) set('trackNumber', tagText(fields.trackNumber));
+  if ('discNumber' in fields) set('partOfSet', tagText(fields.discNumber));
+  if ('comment' in fields) {
+    set('comment', fields.comment ? { language: 'eng', text: String(fields.comment) } : undefined);
+  }
+  if ('bpm' in fields) set('bpm', tagText(fields.bpm));
+  if ('key' in fields) set('initialKey', tagText(fields.key));
+
+  if (Object.keys(tags).length === 0) return;
+
+  const ok = NodeID3.update(tags, filePath);
+  if (ok !== true) {
+    throw new Error(ok instanceof Error ? ok.message : 'Could not write ID3 tags');
+  }
+}
+
+async function writeWithFfmpeg(filePath, fields, ffmpegPath) {
+  const format = FFMPEG_FORMATS[path.extname(filePath).toLowerCase()];
+  const metadataArgs = [];
+  for (const [field, key] of Object.entries(FFMPEG_KEYS)) {
+    if (!(field in fields)) continue;
+    // An empty value removes the tag.
+    metadataArgs.push('-metadata', `${key}=${fields[field] == null ? '' : String(fields[field])}`);
+  }
+  if (metadataArgs.length === 0) return;
+
+  // ".tmp" keeps the library watcher from picking up the half-written file.
+  const tmp = `${filePath}.p0tags-${Date.now()}.tmp`;
+  const args = [
+    '-hide_banner',
+    '-loglevel', 'error',
+    '-nostdin',
+    '-i', filePath,
+    '-map', '0',
+    '-c', 'copy',
+    '-map_metadata', '0',
+    ...metadataArgs,
+    '-f', format,
+    '-y', tmp
+  ];
+
+  const res = await runFfmpeg(ffmpegPath, args, { timeoutMs: 2 * 60_000 });
+  if (res.code !== 0) {
+    await fs.rm(tmp, { force: true });
+    const detail = String(res.stderr || '').trim().split(/\r?\n/).pop() || `exit code ${res.code}`;
+    throw new Error(`Could not write tags (is ffmpeg installed?): ${detail}`);
+  }
+
+  await fs.rename(tmp, filePath);
+}
+
+/**
+ * Write metadata fields into an audio file
+ * BPM and key are only written for MP3 (like the aubio analyzer)
+ * @param {string} filePath - Absolute path to the audio file
+ * @param {Object} fields - Subset of EDITABLE_TAG_FIELDS (+ bpm, key); null clears a tag
+ * @param {Object} options
+ * @param {string} options.ffmpegPath - ffmpeg binary for non-MP3 formats
+ * @throws {Error} When the format isn't supported or the write fails
+ */
+export async function writeTags(filePath, fields, { ffmpegPath = 'ffmpeg' } = {}) {
+  if (!canWriteTags(filePath)) {
+    throw new Error(`Writing tags is not supported for ${path.extname(filePath) || 'this file type'}`);
+  }
+
+  if (path.extname(filePath).toLowerCase() === '.mp3') {
+    writeId3(filePath, fields);
+    return;
+  }
+
+  await writeWithFfmpeg(filePath, fields, ffmpegPath);
+}
@@ -0,0 +1,455 @@
+/**
+ * LyricsIndex
+ *
+ * Full-text search over the library's lyrics ("which song goes like ...?").
+ *
+ * Design goals:
+ * - Lyrics are resolved the same way the lyrics panel gets them
+ *   (resolveLyricsForSong()): sidecar .lrc/.txt, then embedded tags. Online
+ *   instances are never asked, so indexing a library doesn't send a request per song
+ * - Built in a background queue like the analyzers; a search answers from what
+ *   is indexed so far and reports how many songs are still waiting
+ * - Each entry carries a signature (audio file mtime + sidecar file mtimes), so
+ *   added or edited .lrc files are picked up by the next refresh
+ * - Persisted to `<dataDir>/lyrics_index.json`
+ *
+ * Entry: { signature, source, synced, lines: [{ time: number|null, text }] }
+ * `time` is where a synced line starts (offset applied); songs without lyrics get `lines: []`.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { resolveLyricsForSong, lyricsSidecarPaths } from './lyricsService.js';
+
+const INDEX_VERSION = 1;
+// Searches look for changed lyrics files at most this often.
+const REFRESH_INTERVAL_MS = 60 * 1000;
+// Save progress every so many songs while a large library is being indexed.
+const SAVE_EVERY = 100;
+const MAX_SNIPPET_LENGTH = 140;
+
+const LINE_TAG = /\[(\d{1,2}):(\d{2})(?:[.:](\d{1,3}))?\]/g;
+const WORD_TAG = /<(\d{1,2}):(\d{2})(?:[.:](\d{1,3}))?>/g;
+const META_LINE = /^\[[a-z]+\s*:.*\]$/i;
+
+function tagSeconds(match) {
+  const mm = Number(match[1]);
+  const ss = Number(match[2]);
+  const frac = match[3] ? Number(match[3]) * Math.pow(10, 3 - match[3].length) : 0;
+  const seconds = mm * 60 + ss + frac / 1000;
+  return Number.isFinite(seconds) ? seconds : null;
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+/**
+ * Lines of resolved lyrics, with their start time when the lyrics are synced
+ * @param {string} lrc - LRC (line and/or enhanced word tags) or plain text
+ * @param {boolean} synced
+ * @returns {Array<{ time: number|null, text: string }>}
+ */
+export function lyricsLines(lrc, synced) {
+  const text = String(lrc || '');
+  const offset = synced ? Math.trunc(Number(text.match(/\[offset:\s*([+-]?\d+)\s*\]/i)?.[1])) || 0 : 0;
+  const lines = [];
+
+  for (const raw of text.replace(/\r\n?/g, '\n').split('\n')) {
+    const line = raw.trim();
+    if (!line || META_LINE.test(line)) continue;
+
+    const words = line.replace(LINE_TAG, '').replace(WORD_TAG, '').replace(/\s+/g, ' ').trim();
+    if (!words) continue;
+
+    const times = [];
+    if (synced) {
+      for (const match of line.matchAll(LINE_TAG)) {
+        const seconds = tagSeconds(match);
+        if (seconds !== null) times.push(seconds);
+      }
+      // Enhanced LRC lines may only carry word tags.
+      const firstWord = times.length ? null : line.match(/<(\d{1,2}):(\d{2})(?:[.:](\d{1,3}))?>/);
+      if (firstWord) times.push(tagSeconds(firstWord));
+    }
+
+    if (!times.length) {
+      lines.push({ time: null, text: words });
+      continue;
+    }
+    for (const t of times) {
+      lines.push({ time: round2(Math.max(0, t + offset / 1000)), text: words });
+    }
+  }
+
+  if (synced) lines.sort((a, b) => (a.time ?? -1) - (b.time ?? -1));
+  return lines;
+}
+
+/**
+ * Fold text for matching: lowercase, no accents, apostrophes dropped and other
+ * punctuation turned into single spaces, so "Don’t stop," finds "dont stop".
+ * @param {string} text
+ * @returns {string}
+ */
+export function foldForSearch(text) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/['’`]/g, '')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+// foldForSearch() one character at a time, remembering where each folded
+// character came from (`map[i]` = index in `text`), to highlight matches.
+function foldWithMap(text) {
+  const source = String(text || '');
+  let folded = '';
+  const map = [];
+  let gap = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const chars = source[i].normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    for (const ch of chars) {
+      if (/['’`]/.test(ch)) continue;
+      if (!/[\p{L}\p{N}]/u.test(ch)) {
+        gap = true;
+        continue;
+      }
+      if (gap && folded) {
+        folded += ' ';
+        map.push(i);
+      }
+      gap = false;
+      folded += ch;
+      map.push(i);
+    }
+  }
+  return { folded, map };
+}
+
+// The matching line (shortened around the match when long) and the
+// [start, end) ranges of the match in it.
+function snippetFor(text, phrase, tokens) {
+  const { folded, map } = foldWithMap(text);
+  const ranges = [];
+  const mark = (needle) => {
+    let from = 0;
+    let at;
+    while (needle && (at = folded.indexOf(needle, from)) >= 0) {
+      ranges.push([map[at], map[at + needle.length - 1] + 1]);
+      from = at + needle.length;
+    }
+  };
+  if (folded.includes(phrase)) mark(phrase);
+  else tokens.forEach(mark);
+
+  ranges.sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  for (const range of ranges) {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) last[1] = Math.max(last[1], range[1]);
+    else merged.push([...range]);
+  }
+
+  let start = 0;
+  let end = text.length;
+  if (text.length > MAX_SNIPPET_LENGTH) {
+    const first = merged[0]?.[0] ?? 0;
+    start = Math.max(0, Math.min(first - 40, text.length - MAX_SNIPPET_LENGTH));
+    end = start + MAX_SNIPPET_LENGTH;
+  }
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < text.length ? '…' : '';
+
+  return {
+    snippet: `${prefix}${text.slice(start, end)}${suffix}`,
+    highlights: merged
+      .filter(([from, to]) => from >= start && to <= end)
+      .map(([from, to]) => [from - start + prefix.length, to - start + prefix.length])
+  };
+}
+
+async function songSignature(song) {
+  const parts = [song.filePath, song.lastModified || ''];
+  for (const p of lyricsSidecarPaths(song)) {
+    try {
+      const stats = await fs.stat(p);
+      parts.push(`${path.basename(p)}:${stats.mtimeMs}`);
+    } catch {
+      parts.push('-');
+    }
+  }
+  return parts.join('|');
+}
+
+async function atomicWriteJson(filePath, data) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const tmp = `${filePath}.tmp-${Date.now()}-${Math.random().toString(16).slice(2)}`;
+  await fs.writeFile(tmp, JSON.stringify(data));
+  await fs.rename(tmp, filePath);
+}
+
+export class LyricsIndex {
+  constructor({ filePath, storage, concurrency = 1, logger = console } = {}) {
+    this.filePath = filePath;
+    this.storage = storage;
+    this.concurrency = Math.max(1, Number(concurrency) || 1);
+    this.logger = logger;
+
+    this._entries = new Map(); // songId -> entry
+    this._folded = new Map(); // songId -> foldForSearch() of each line (memory only)
+    this._queue = [];
+    this._running = 0;
+    this._enqueuedIds = new Set();
+    this._loading = null;
+    this._refreshing = null;
+    this._refreshAgain = false;
+    this._refreshedAt = 0;
+    this._unsaved = 0;
+    this._saving = Promise.resolve();
+  }
+
+  /**
+   * Number of songs waiting for or currently being indexed.
+   */
+  get pendingCount() {
+    return this._queue.length + this._running;
+  }
+
+  /**
+   * Whether songs are being checked or indexed, i.e. results may be incomplete.
+   */
+  get indexing() {
+    return Boolean(this._refreshing) || this.pendingCount > 0;
+  }
+
+  idle() {
+    if (this._running === 0 && this._queue.length === 0) return Promise.resolve();
+    return new Promise((resolve) => {
+      const check = () => {
+        if (this._running === 0 && this._queue.length === 0) return resolve();
+        setTimeout(check, 250);
+      };
+      check();
+    });
+  }
+
+  load() {
+    if (!this._loading) {
+      this._loading = (async () => {
+        try {
+          const data = JSON.parse(await fs.readFile(this.filePath, 'utf-8'));
+          if (data?.version !== INDEX_VERSION || !data.entries || typeof data.entries !== 'object') return;
+          for (const [songId, entry] of Object.entries(data.entries)) {
+            if (Array.isArray(entry?.lines)) this._set(songId, entry);
+          }
+        } catch {
+          // No index yet (or unreadable): start over.
+        }
+      })();
+    }
+    return this._loading;
+  }
+
+  /**
+   * Queue songs whose lyrics may have changed and forget removed songs.
+   * Returns once the queue is filled; indexing happens asynchronously.
+   * @param {Object} [options]
+   * @param {boolean} [options.force] - Check even if the last refresh was recent
+   *   (a forced refresh during a running one runs again once it's done)
+   */
+  async refresh({ force = false } = {}) {
+    if (this._refreshing) {
+      // The running refresh may have read the song list before the change.
+      if (force) this._refreshAgain = true;
+      return this._refreshing;
+    }
+    if (!force && Date.now() - this._refreshedAt < REFRESH_INTERVAL_MS) return;
+
+    this._refreshing = (async () => {
+      await this.load();
+      this._refreshedAt = Date.now();
+
+      const songs = await this.storage.getSongs();
+      const ids = new Set();
+      for (const song of songs) {
+        if (!song?.id || !song.filePath) continue;
+        ids.add(song.id);
+        const signature = await songSignature(song);
+        if (this._entries.get(song.id)?.signature !== signature) this._enqueue(song, signature);
+      }
+
+      let removed = 0;
+      for (const songId of [...this._entries.keys()]) {
+        if (ids.has(songId)) continue;
+        this._entries.delete(songId);
+        this._folded.delete(songId);
+        removed++;
+      }
+      if (removed > 0) {
+        this._unsaved += removed;
+        if (this.pendingCount === 0) await this._save();
+      }
+    })().catch((err) => {
+      this.logger?.warn?.('[lyrics-index] refresh failed:', err?.message || err);
+    }).finally(() => {
+      this._refreshing = null;
+      if (this._refreshAgain) {
+        this._refreshAgain = false;
+        void this.refresh({ force: true });
+      }
+    });
+    return this._refreshing;
+  }
+
+  /**
+   * Re-check only the given songs, e.g. the ones a library sync added, changed or removed.
+   * Returns once they are queued; indexing happens asynchronously.
+   * @param {Object} changes
+   * @param {Array<string>} [changes.changed] - IDs of added, updated or moved songs
+   * @param {Array<string>} [changes.removed] - IDs of songs no longer in the library
+   */
+  async refreshSongs({ changed = [], removed = [] } = {}) {
+    try {
+      await this.load();
+
+      for (const songId of new Set(changed)) {
+        const song = await this.storage.getSongById(songId);
+        if (!song?.filePath) continue;
+        const signature = await songSignature(song);
+        if (this._entries.get(song.id)?.signature !== signature) this._enqueue(song, signature);
+      }
+
+      let forgotten = 0;
+      for (const songId of removed) {
+        if (!this._entries.delete(songId)) continue;
+        this._folded.delete(songId);
+        forgotten++;
+      }
+      if (forgotten > 0) {
+        this._unsaved += forgotten;
+        if (this.pendingCount === 0) await this._save();
+      }
+    } catch (err) {
+      this.logger?.warn?.('[lyrics-index] refresh failed:', err?.message || err);
+    }
+  }
+
+  /**
+   * Forget a song's lyrics (e.g. after they were edited); the next search re-indexes it.
+   * @param {string} songId
+   */
+  invalidate(songId) {
+    this._entries.delete(songId);
+    this._folded.delete(songId);
+    this._refreshedAt = 0;
+  }
+
+  /**
+   * Songs whose lyrics contain the query, best matches first
+   * A line matches when it contains the query as a phrase, or else all of its words.
+   * @param {string} query
+   * @param {Object} [options]
+   * @param {number} [options.limit]
+   * @returns {Promise<Array<Object>>} [{ song, source, synced, time, snippet, highlights, matchCount }]
+   */
+  async search(query, { limit = 50 } = {}) {
+    await this.load();
+    const phrase = foldForSearch(query);
+    if (!phrase) return [];
+    const tokens = [...new Set(phrase.split(' '))];
+
+    const matches = [];
+    for (const song of await this.storage.getSongs()) {
+      const entry = this._entries.get(song?.id);
+      const folded = this._folded.get(song?.id);
+      if (!entry || !folded?.length) continue;
+
+      let best = null;
+      let count = 0;
+      folded.forEach((line, i) => {
+        const score = line.includes(phrase) ? 2 : (tokens.every((token) => line.includes(token)) ? 1 : 0);
+        if (!score) return;
+        count++;
+        if (!best || score > best.score) best = { score, line: entry.lines[i] };
+      });
+      if (best) matches.push({ song, entry, best, count });
+    }
+
+    matches.sort((a, b) => (
+      b.best.score - a.best.score ||
+      b.count - a.count ||
+      String(a.song.title || '').localeCompare(String(b.song.title || ''))
+    ));
+
+    return matches.slice(0, limit).map(({ song, entry, best, count }) => ({
+      song,
+      source: entry.source,
+      synced: entry.synced,
+      time: best.line.time,
+      ...snippetFor(best.line.text, phrase, tokens),
+      matchCount: count
+    }));
+  }
+
+  _set(songId, entry) {
+    this._entries.set(songId, entry);
+    this._folded.set(songId, entry.lines.map((line) => foldForSearch(line.text)));
+  }
+
+  _enqueue(song, signature) {
+    if (this._enqueuedIds.has(song.id)) return;
+    this._enqueuedIds.add(song.id);
+    this._queue.push({ song, signature });
+    this._drain();
+  }
+
+  _drain() {
+    while (this._running < this.concurrency && this._queue.length > 0) {
+      const task = this._queue.shift();
+      this._running += 1;
+      void this._runTask(task)
+        .catch((err) => this.logger?.warn?.('[lyrics-index] indexing failed:', err?.message || err))
+        .finally(() => {
+          this._running -= 1;
+          this._enqueuedIds.delete(task.song.id);
+          if (this.pendingCount === 0 || this._unsaved >= SAVE_EVERY) void this._save();
+          this._drain();
+        });
+    }
+  }
+
+  async _runTask({ song, signature }) {
+    let entry = { signature, source: null, synced: false, lines: [] };
+    try {
+      const result = await resolveLyricsForSong({ storage: this.storage, song });
+      if (result.ok && result.source !== 'instrumental') {
+        entry = {
+          signature,
+          source: result.source,
+          synced: Boolean(result.synced),
+          lines: lyricsLines(result.lrc, result.synced)
+        };
+      }
+    } catch (err) {
+      this.logger?.warn?.(`[lyrics-index] could not read lyrics of ${song.filePath}: ${err?.message || err}`);
+    }
+    this._set(song.id, entry);
+    this._unsaved++;
+  }
+
+  _save() {
+    if (this._unsaved === 0) return this._saving;
+    this._unsaved = 0;
+    this._saving = this._saving
+      .then(() => atomicWriteJson(this.filePath, {
+        version: INDEX_VERSION,
+        entries: Object.fromEntries(this._entries)
+      }))
+      .catch((err) => this.logger?.warn?.('[lyrics-index] could not save the index:', err?.message || err));
+    return this._saving;
+  }
+}
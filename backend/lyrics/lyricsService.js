@@ -2,16 +2,49 @@
  * Lyrics service
  *
  * Implements the flow:
- * 1) Try embedded lyrics (from tags)
- * 2) Try local .lrc next to the audio file
- * 3) Try local .txt next to the audio file (unsynced)
- * 4) If missing, return 404 (no network fetch)
+ * 1) Try local .lrc next to the audio file
+ * 2) Try local .txt next to the audio file (unsynced)
+ * 3) Try embedded lyrics (from tags)
+ * 4) Titles marked as instrumental
+ * 5) Opt-in: an LRCLIB-compatible instance (`lyricsProviderUrl` in config.json)
+ * 6) If missing, return 404
+ *
+ * Online results are cached per song with storage.setLyricsEntry(), found or
+ * not, so a song is looked up once rather than every time it plays:
+ *   { provider: 'lrclib', instanceUrl, query, found, lrc?, synced?, providerId?,
+ *     sourceUrl?, status?, fetchedAt, expiresAt? }
+ * Lyrics that were found are kept until the song's artist/title/album/duration
+ * change; misses expire after NOT_FOUND_TTL_MS, failed requests after ERROR_TTL_MS.
+ * `force` skips the cache.
+ *
+ * Lyrics edited in the app are saved as a sidecar .lrc (saveLocalLyrics()),
+ * which then wins over everything else.
+ *
+ * Parallel tracks (translation, romanization) come from sidecars named like the
+ * song's .lrc plus a track name, e.g. `Song.en.lrc` / `Song.romaji.lrc`
+ * (listLyricsTracks(), readLyricsTrack()). They are local only and never replace
+ * the song's own lyrics.
  */
 
 import fs from 'node:fs/promises';
 import fssync from 'node:fs';
 import path from 'node:path';
 import { parseFile } from 'music-metadata';
+import { fetchLyricsLrcgetStyle } from './lrclibClient.js';
+
+// The instance has nothing for the song: ask again in a week (it may be added).
+const NOT_FOUND_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+// Timeouts and server errors are usually short-lived.
+const ERROR_TTL_MS = 15 * 60 * 1000;
+
+// Plenty for any song's lyrics; guards against pasting something else by mistake.
+const MAX_LYRICS_LENGTH = 256 * 1024;
+
+// Names of parallel lyrics tracks: `Song.<track>.lrc`, e.g. en, pt-BR, romaji.
+const LYRICS_TRACK_PATTERN = /^[a-z0-9][a-z0-9_-]{0,23}$/i;
+
+// songId -> pending online lookup, so concurrent requests share one fetch.
+const pendingLookups = new Map();
 
 function normalizeWhitespace(text) {
   return String(text || '').replace(/\s+/g, ' ').trim();
@@ -31,15 +64,16 @@ function safeFileBaseName(name) {
   return s;
 }
 
+// Line tags ([mm:ss.xx]) and enhanced LRC / A2 word tags (<mm:ss.xx>) both count.
 function hasLrcTimestamps(text) {
-  return /\[\d{1,2}:\d{2}(?:[.:]\d{1,2})?\]/.test(String(text || ''));
+  return /\[\d{1,2}:\d{2}(?:[.:]\d{1,3})?\]|<\d{1,2}:\d{2}(?:[.:]\d{1,3})?>/.test(String(text || ''));
 }
 
 function inferSyncedFromText(text) {
   const s = String(text || '');
   if (!hasLrcTimestamps(s)) return false;
 
-  const re = /\[(\d{1,2}):(\d{2})(?:[.:](\d{1,2}))?\]/g;
+  const re = /(?:\[|<)(\d{1,2}):(\d{2})(?:[.:](\d{1,3}))?(?:\]|>)/g;
   let match;
   let maxSeconds = 0;
   let count = 0;
@@ -49,7 +83,7 @@ function inferSyncedFromText(text) {
     const frac = match[3] ? Number(match[3]) : 0;
     if (!Number.isFinite(mm) || !Number.isFinite(ss) || !Number.isFinite(frac)) continue;
     const ms = match[3]
-      ? (match[3].length === 1 ? frac * 100 : frac * 10)
+      ? frac * Math.pow(10, 3 - match[3].length)
       : 0;
     const seconds = mm * 60 + ss + ms / 1000;
     if (Number.isFinite(seconds)) {
@@ -93,17 +127,29 @@ function isInstrumentalText(text) {
 }
 
 
-function candidateLrcPaths(song) {
+// Base names a song's sidecar lyrics files start with.
+function sidecarStems(song) {
   const filePath = String(song?.filePath || '');
-  const dir = path.dirname(filePath);
-  const ext = path.extname(filePath);
-  const stem = path.basename(filePath, ext);
-
-  const byStem = path.join(dir, `${stem}.lrc`);
-
+  const stem = path.basename(filePath, path.extname(filePath));
   const artist = safeFileBaseName(song?.artist || '');
   const title = safeFileBaseName(song?.title || stem);
-  const byArtistTitle = path.join(dir, `${artist} - ${title}.lrc`);
+  return [stem, `${artist} - ${title}`];
+}
+
+/**
+ * .lrc files a song's lyrics are read from, in order
+ * @param {Object} song - Song record
+ * @param {Object} [options]
+ * @param {string} [options.track] - A parallel track (`Song.<track>.lrc`) instead of the song's own lyrics
+ * @returns {string[]}
+ */
+function candidateLrcPaths(song, { track = null } = {}) {
+  const dir = path.dirname(String(song?.filePath || ''));
+  const suffix = track ? `.${track}.lrc` : '.lrc';
+  const [stem, artistTitle] = sidecarStems(song);
+
+  const byStem = path.join(dir, `${stem}${suffix}`);
+  const byArtistTitle = path.join(dir, `${artistTitle}${suffix}`);
 
   const out = [];
   for (const p of [byStem, byArtistTitle]) {
@@ -131,6 +177,74 @@ function candidateTxtPaths(song) {
   return out;
 }
 
+/**
+ * Files next to the audio file that lyrics are read from (.lrc first, then .txt)
+ * @param {Object} song - Song record
+ * @returns {string[]}
+ */
+export function lyricsSidecarPaths(song) {
+  return [...candidateLrcPaths(song), ...candidateTxtPaths(song)];
+}
+
+/**
+ * Parallel lyrics tracks next to the audio file (`Song.en.lrc` -> 'en')
+ * @param {Object} song - Song record
+ * @returns {Promise<string[]>} Track names, sorted
+ */
+export async function listLyricsTracks(song) {
+  const filePath = String(song?.filePath || '');
+  if (!path.isAbsolute(filePath)) return [];
+
+  let names;
+  try {
+    names = await fs.readdir(path.dirname(filePath));
+  } catch {
+    return [];
+  }
+
+  const tracks = new Set();
+  for (const prefix of sidecarStems(song).map((stem) => `${stem}.`)) {
+    for (const name of names) {
+      if (!name.startsWith(prefix) || !name.toLowerCase().endsWith('.lrc')) continue;
+      const track = name.slice(prefix.length, -'.lrc'.length);
+      if (!LYRICS_TRACK_PATTERN.test(track)) continue;
+      // `Song.live.lrc` next to `Song.live.mp3` is that other song's own lyrics.
+      const other = `${prefix}${track}.`;
+      if (names.some((n) => n.startsWith(other) && !n.toLowerCase().endsWith('.lrc'))) continue;
+      tracks.add(track);
+    }
+  }
+  return [...tracks].sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * Read a parallel lyrics track (translation, romanization) of a song
+ * @param {Object} options
+ * @param {Object} options.song - Song record
+ * @param {string} options.track - Track name, e.g. 'en' for `Song.en.lrc`
+ * @returns {Promise<Object>} { ok, status, lrc, synced, source: 'local_file', lrcPath, track } or { ok: false, status, error }
+ */
+export async function readLyricsTrack({ song, track } = {}) {
+  if (!song?.id) throw new Error('song is required');
+
+  if (typeof track !== 'string' || !LYRICS_TRACK_PATTERN.test(track)) {
+    return { ok: false, status: 400, error: 'Invalid lyrics track' };
+  }
+
+  const filePath = String(song.filePath || '');
+  if (!path.isAbsolute(filePath) || !fssync.existsSync(filePath)) {
+    return { ok: false, status: 404, error: 'File not found' };
+  }
+
+  for (const p of candidateLrcPaths(song, { track })) {
+    const local = await readTextIfExists(p);
+    if (local) {
+      return { ok: true, status: 200, lrc: local, synced: inferSyncedFromText(local), source: 'local_file', lrcPath: p, track };
+    }
+  }
+  return { ok: false, status: 404, error: 'Lyrics track not found' };
+}
+
 function looksInstrumental(song) {
   const title = normalizeWhitespace(song?.title).toLowerCase();
   const filePath = String(song?.filePath || '').toLowerCase();
@@ -201,7 +315,130 @@ function extractEmbeddedLyrics(metadata) {
   return [...new Set(results)];
 }
 
-export async function resolveLyricsForSong({ storage, song } = {}) {
+/**
+ * Normalize a configured lyrics instance URL
+ * @param {string} value - e.g. "https://lrclib.net"
+ * @returns {string|null} Base URL without a trailing slash, or null when unset/invalid (online lookups off)
+ */
+export function normalizeLyricsProviderUrl(value) {
+  const raw = String(value || '').trim();
+  if (!raw) return null;
+  try {
+    const url = new URL(raw);
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+    return url.toString().replace(/\/+$/, '');
+  } catch {
+    return null;
+  }
+}
+
+// What the online lookup searched for; a cached result only counts for the same search.
+function onlineQueryKey(song) {
+  const duration = Number(song?.duration);
+  return [
+    normalizeWhitespace(song?.artist).toLowerCase(),
+    normalizeWhitespace(song?.title).toLowerCase(),
+    normalizeWhitespace(song?.album).toLowerCase(),
+    Number.isFinite(duration) && duration > 0 ? Math.round(duration) : ''
+  ].join('\n');
+}
+
+function onlineResult(entry) {
+  if (entry.instrumental) {
+    return { ok: true, status: 200, lrc: 'Instrumental', synced: false, source: 'instrumental', lrcPath: null };
+  }
+  return {
+    ok: true,
+    status: 200,
+    lrc: entry.lrc,
+    synced: inferSyncedFromText(entry.lrc) && Boolean(entry.synced),
+    source: 'lrclib',
+    lrcPath: null
+  };
+}
+
+function isCacheUsable(entry, { instanceUrl, query }) {
+  if (entry?.provider !== 'lrclib' || entry.query !== query) return false;
+  if (entry.found) return typeof entry.lrc === 'string' && entry.lrc.trim() !== '';
+  // Misses only count for the instance that missed, and only for a while.
+  return entry.instanceUrl === instanceUrl && Date.now() < Date.parse(entry.expiresAt || 0);
+}
+
+async function lookupOnline({ storage, song, instanceUrl }) {
+  const query = onlineQueryKey(song);
+  const fetchedAt = new Date();
+
+  let res;
+  try {
+    res = await fetchLyricsLrcgetStyle({
+      artist: song.artist,
+      title: song.title,
+      album: song.album,
+      durationSeconds: song.duration,
+      instanceUrl
+    });
+  } catch (error) {
+    // Network failure or timeout.
+    res = { found: false, status: 502, error: error?.message || String(error) };
+  }
+
+  const base = { provider: 'lrclib', instanceUrl, query, fetchedAt: fetchedAt.toISOString() };
+  let entry;
+  if (res.found) {
+    entry = {
+      ...base,
+      found: true,
+      lrc: res.lrc,
+      synced: Boolean(res.synced),
+      instrumental: Boolean(res.instrumental),
+      providerId: res.providerId ?? null,
+      sourceUrl: res.sourceUrl || null
+    };
+  } else {
+    // 404: the instance has nothing; 400: not enough tags to search. Anything else is a failure.
+    const missing = res.status === 404 || res.status === 400;
+    entry = {
+      ...base,
+      found: false,
+      status: res.status || 500,
+      expiresAt: new Date(fetchedAt.getTime() + (missing ? NOT_FOUND_TTL_MS : ERROR_TTL_MS)).toISOString()
+    };
+  }
+
+  await storage.setLyricsEntry(song.id, entry);
+  return entry;
+}
+
+async function resolveOnlineLyrics({ storage, song, instanceUrl, force }) {
+  const query = onlineQueryKey(song);
+
+  let entry = force ? null : await storage.getLyricsEntry(song.id);
+  if (!isCacheUsable(entry, { instanceUrl, query })) {
+    let pending = pendingLookups.get(song.id);
+    if (!pending) {
+      pending = lookupOnline({ storage, song, instanceUrl }).finally(() => pendingLookups.delete(song.id));
+      pendingLookups.set(song.id, pending);
+    }
+    entry = await pending;
+  }
+
+  if (entry.found) return onlineResult(entry);
+  if (entry.status === 404 || entry.status === 400) {
+    return { ok: false, status: 404, error: 'No local or embedded lyrics, and none found online' };
+  }
+  return { ok: false, status: 502, error: `Lyrics provider unavailable (status ${entry.status})` };
+}
+
+/**
+ * Resolve lyrics for a song through the provider chain (see the top of this file)
+ * @param {Object} options
+ * @param {Object} options.storage - Storage instance (lyrics cache)
+ * @param {Object} options.song - Song record
+ * @param {string|null} [options.providerUrl] - LRCLIB-compatible instance; online lookups are off without one
+ * @param {boolean} [options.force] - Look up online again even if a cached result exists
+ * @returns {Promise<Object>} { ok, status, lrc, synced, source, lrcPath } or { ok: false, status, error }
+ */
+export async function resolveLyricsForSong({ storage, song, providerUrl = null, force = false } = {}) {
   if (!storage) throw new Error('storage is required');
   if (!song?.id) throw new Error('song is required');
   if (!song.filePath) throw new Error('song.filePath is required');
@@ -256,5 +493,60 @@ export async function resolveLyricsForSong({ storage, song } = {}) {
     return { ok: true, status: 200, lrc: 'Instrumental', synced: false, source: 'instrumental', lrcPath: null };
   }
 
+  const instanceUrl = normalizeLyricsProviderUrl(providerUrl);
+  if (instanceUrl) {
+    return await resolveOnlineLyrics({ storage, song, instanceUrl, force });
+  }
+
   return { ok: false, status: 404, error: 'No local .lrc/.txt file and no embedded lyrics found' };
 }
+
+/**
+ * Save lyrics as the song's sidecar .lrc and drop its cached online result
+ * Overwrites the .lrc the song already uses, else creates `<file name>.lrc`
+ * next to the audio file.
+ * @param {Object} options
+ * @param {Object} options.storage - Storage instance (lyrics cache)
+ * @param {Object} options.song - Song record
+ * @param {string} options.lrc - LRC or plain text
+ * @returns {Promise<Object>} { ok, status, lrc, synced, source, lrcPath } or { ok: false, status, error }
+ */
+export async function saveLocalLyrics({ storage, song, lrc } = {}) {
+  if (!storage) throw new Error('storage is required');
+  if (!song?.id) throw new Error('song is required');
+
+  if (typeof lrc !== 'string') {
+    return { ok: false, status: 400, error: 'Invalid lyrics (expected a string)' };
+  }
+  if (lrc.length > MAX_LYRICS_LENGTH) {
+    return { ok: false, status: 400, error: 'Lyrics are too long' };
+  }
+  const text = lrc.replace(/\r\n?/g, '\n').trim();
+  if (!text) {
+    return { ok: false, status: 400, error: 'Lyrics are empty' };
+  }
+
+  const filePath = String(song.filePath || '');
+  if (!path.isAbsolute(filePath) || !fssync.existsSync(filePath)) {
+    return { ok: false, status: 404, error: 'File not found' };
+  }
+
+  const candidates = candidateLrcPaths(song);
+  const lrcPath = candidates.find((p) => fssync.existsSync(p)) || candidates[0];
+
+  const tmp = `${lrcPath}.tmp-${Date.now()}-${Math.random().toString(16).slice(2)}`;
+  try {
+    await fs.writeFile(tmp, `${text}\n`, 'utf-8');
+    await fs.rename(tmp, lrcPath);
+  } catch (error) {
+    await fs.rm(tmp, { force: true }).catch(() => {});
+    if (error?.code === 'EACCES' || error?.code === 'EPERM' || error?.code === 'EROFS') {
+      return { ok: false, status: 403, error: 'No permission to write next to the audio file' };
+    }
+    throw error;
+  }
+
+  await storage.deleteLyricsEntry(song.id);
+
+  return { ok: true, status: 200, lrc: `${text}\n`, synced: inferSyncedFromText(text), source: 'local_file', lrcPath };
+}
@@ -0,0 +1,144 @@
+import { runExclusive } from '../scanner.js';
+import { parseBookmarkInput, songBookmarks, addBookmark, updateBookmark } from '../library/bookmarks.js';
+
+const SONG_ID_PATTERN = /^[a-zA-Z0-9-]+$/;
+const BOOKMARK_ID_PATTERN = /^[a-f0-9]+$/;
+
+export function registerBookmarkRoutes(app, { storage }) {
+  // Read-modify-write of song.bookmarks; serialized with scans so a running
+  // scan can't save over it. Resolves null when the song doesn't exist.
+  const editBookmarks = (songId, edit) => runExclusive(async () => {
+    const song = await storage.getSongById(songId);
+    if (!song) return null;
+    const result = edit(songBookmarks(song));
+    if (result?.bookmarks) {
+      await storage.updateSong(songId, { bookmarks: result.bookmarks });
+    }
+    return result;
+  });
+
+  /**
+   * GET /api/songs/:id/bookmarks
+   * Named positions saved inside a song
+   * @param {string} id - Song ID
+   * @returns {Object} { songId, bookmarks: [{ id, time, name, createdAt }] } sorted by time
+   */
+  app.get('/api/songs/:id/bookmarks', async (req, res) => {
+    try {
+      if (!SONG_ID_PATTERN.test(req.params.id)) {
+        return res.status(400).json({ error: 'Invalid song ID format' });
+      }
+      const song = await storage.getSongById(req.params.id);
+      if (!song) {
+        return res.status(404).json({ error: 'Song not found' });
+      }
+      res.json({ songId: song.id, bookmarks: songBookmarks(song) });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * POST /api/songs/:id/bookmarks
+   * Save a bookmark
+   * @param {string} id - Song ID
+   * @body {number} time - Position in seconds
+   * @body {string} name - Optional label
+   * @returns {Object} { bookmark, bookmarks } (201)
+   */
+  app.post('/api/songs/:id/bookmarks', async (req, res) => {
+    try {
+      if (!SONG_ID_PATTERN.test(req.params.id)) {
+        return res.status(400).json({ error: 'Invalid song ID format' });
+      }
+      const parsed = parseBookmarkInput(req.body);
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+      }
+
+      const result = await editBookmarks(req.params.id, (bookmarks) => addBookmark(bookmarks, parsed.fields));
+      if (!result) {
+        return res.status(404).json({ error: 'Song not found' });
+      }
+      if (result.error) {
+        return res.status(400).json({ error: result.error });
+      }
+      res.status(201).json(result);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * PATCH /api/songs/:id/bookmarks/:bookmarkId
+   * Rename or move a bookmark
+   * @param {string} id - Song ID
+   * @param {string} bookmarkId - Bookmark ID
+   * @body {number} time - New position in seconds (optional)
+   * @body {string} name - New label (optional)
+   * @returns {Object} { bookmark, bookmarks }
+   */
+  app.patch('/api/songs/:id/bookmarks/:bookmarkId', async (req, res) => {
+    try {
+      if (!SONG_ID_PATTERN.test(req.params.id)) {
+        return res.status(400).json({ error: 'Invalid song ID format' });
+      }
+      if (!BOOKMARK_ID_PATTERN.test(req.params.bookmarkId)) {
+        return res.status(400).json({ error: 'Invalid bookmark ID format' });
+      }
+      const parsed = parseBookmarkInput(req.body, { partial: true });
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+      }
+
+      let found = false;
+      const result = await editBookmarks(req.params.id, (bookmarks) => {
+        const updated = updateBookmark(bookmarks, req.params.bookmarkId, parsed.fields);
+        found = Boolean(updated);
+        return updated || {};
+      });
+      if (!result) {
+        return res.status(404).json({ error: 'Song not found' });
+      }
+      if (!found) {
+        return res.status(404).json({ error: 'Bookmark not found' });
+      }
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * DELETE /api/songs/:id/bookmarks/:bookmarkId
+   * Remove a bookmark
+   * @param {string} id - Song ID
+   * @param {string} bookmarkId - Bookmark ID
+   * @returns {Object} { bookmarks } - The remaining bookmarks
+   */
+  app.delete('/api/songs/:id/bookmarks/:bookmarkId', async (req, res) => {
+    try {
+      if (!SONG_ID_PATTERN.test(req.params.id)) {
+        return res.status(400).json({ error: 'Invalid song ID format' });
+      }
+      if (!BOOKMARK_ID_PATTERN.test(req.params.bookmarkId)) {
+        return res.status(400).json({ error: 'Invalid bookmark ID format' });
+      }
+
+      let found = false;
+      const result = await editBookmarks(req.params.id, (bookmarks) => {
+        found = bookmarks.some((b) => b.id === req.params.bookmarkId);
+        return found ? { bookmarks: bookmarks.filter((b) => b.id !== req.params.bookmarkId) } : {};
+      });
+      if (!result) {
+        return res.status(404).json({ error: 'Song not found' });
+      }
+      if (!found) {
+        return res.status(404).json({ error: 'Bookmark not found' });
+      }
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+}
@@ -1,4 +1,5 @@
 import fs from 'fs/promises';
+import { normalizeLyricsProviderUrl } from '../lyrics/lyricsService.js';
 
 function sanitizeConfigForClient(cfg) {
   return {
@@ -6,7 +7,8 @@ function sanitizeConfigForClient(cfg) {
     supportedFormats: Array.isArray(cfg.supportedFormats) ? cfg.supportedFormats : [],
     dataDirectory: String(cfg.dataDirectory || './data'),
     host: String(cfg.host || '0.0.0.0'),
-    port: Number(cfg.port) || 3000
+    port: Number(cfg.port) || 3000,
+    lyricsProviderUrl: normalizeLyricsProviderUrl(cfg.lyricsProviderUrl) || ''
   };
 }
 
@@ -43,11 +45,25 @@ function sanitizeUpdate(body, current) {
       if (Number.isFinite(port) && port > 0 && port < 65536) next.port = Math.trunc(port);
     }
 
+    if (body.lyricsProviderUrl != null) {
+      // Empty turns online lyrics off (null, so Object.assign() clears the running value too).
+      // Anything else was checked by invalidLyricsProviderUrl().
+      const raw = String(body.lyricsProviderUrl || '').trim();
+      next.lyricsProviderUrl = raw ? normalizeLyricsProviderUrl(raw) : null;
+    }
+
   }
 
   return next;
 }
 
+// A lyrics instance URL that was given but isn't an http(s) URL.
+function invalidLyricsProviderUrl(body) {
+  if (body?.lyricsProviderUrl == null) return false;
+  const raw = String(body.lyricsProviderUrl || '').trim();
+  return Boolean(raw) && !normalizeLyricsProviderUrl(raw);
+}
+
 export function registerConfigRoutes(app, { runtimeConfig, configFilePath, requireAdmin }) {
   const auth = (typeof requireAdmin === 'function') ? requireAdmin : (req, res, next) => next();
 
@@ -57,6 +73,10 @@ export function registerConfigRoutes(app, { runtimeConfig, configFilePath, requi
 
   app.put('/api/config', auth, async (req, res) => {
     try {
+      if (invalidLyricsProviderUrl(req.body)) {
+        return res.status(400).json({ message: 'lyricsProviderUrl must be an http(s) URL' });
+      }
+
       const next = sanitizeUpdate(req.body, runtimeConfig);
 
       // Mutate the runtime config so changes apply immediately where supported (e.g., rate limit).
@@ -0,0 +1,68 @@
+import fs from 'fs';
+import path from 'path';
+import { CoverCache, parseCoverRequest } from '../artwork/coverCache.js';
+
+export function registerCoverRoutes(app, { storage, runtimeConfig }) {
+  const covers = new CoverCache({
+    cacheDir: path.join(storage.dataDir, 'cover_cache'),
+    ffmpegPath: runtimeConfig.ffmpegPath || 'ffmpeg'
+  });
+
+  /**
+   * GET /api/cover/:id
+   * Serve album artwork embedded in the song's audio file
+   * Pictures are extracted once into a content-addressed cache; tracks sharing
+   * the same art share one file and one ETag
+   * @param {string} id - Song ID
+   * @query {number} size - Optional resized variant (64, 256, 600)
+   * @query {string} format - Optional variant encoding (webp, jpeg); defaults to WebP when accepted
+   * @returns {Image} Album artwork with a strong ETag, or 404 if not available
+   */
+  app.get('/api/cover/:id', async (req, res) => {
+    try {
+      // Validate ID format
+      if (!/^[a-zA-Z0-9-]+$/.test(req.params.id)) {
+        return res.status(400).json({ error: 'Invalid song ID format' });
+      }
+
+      const request = parseCoverRequest(req.query, req.get('Accept'));
+      if (!request.ok) {
+        return res.status(400).json({ error: request.error });
+      }
+
+      const song = await storage.getSongById(req.params.id);
+
+      if (!song || !song.filePath) {
+        return res.status(404).json({ error: 'Song not found' });
+      }
+
+      if (!fs.existsSync(song.filePath)) {
+        return res.status(404).json({ error: 'File not found' });
+      }
+
+      let image;
+      if (request.size) {
+        image = await covers.getVariant(song, request);
+        res.set('Vary', 'Accept');
+      } else {
+        const cover = await covers.getCover(song);
+        image = cover && { path: cover.path, etag: cover.hash, mimeType: cover.mimeType };
+      }
+
+      if (!image) {
+        return res.status(404).json({ error: 'No cover art found' });
+      }
+
+      res.set('Content-Type', image.mimeType);
+      res.set('Cache-Control', 'public, max-age=86400');
+      // Set before res.send() so Express answers If-None-Match with 304 using it.
+      res.set('ETag', `"${image.etag}"`);
+      return res.send(await fs.promises.readFile(image.path));
+    } catch (error) {
+      console.error('Error extracting cover art:', error);
+      return res.status(500).json({ error: 'Error extracting cover art' });
+    }
+  });
+
+  return { covers };
+}
@@ -0,0 +1,70 @@
+import MusicScanner, { runExclusive } from '../scanner.js';
+import { LibraryWatcher } from '../library/libraryWatcher.js';
+import { inspectLibraryHealth, pruneDanglingReferences } from '../library/libraryHealth.js';
+import { EventHub } from '../sse.js';
+
+export function registerLibraryRoutes(app, { storage, runtimeConfig, onLibraryChange }) {
+  const libraryEvents = new EventHub();
+
+  /**
+   * GET /api/library/events
+   * Server-Sent Events stream of library changes
+   * Event "library": { source: 'watch' | 'scan', added, updated, removed, moved, restored, total }
+   */
+  app.get('/api/library/events', (req, res) => {
+    libraryEvents.attach(req, res);
+  });
+
+  /**
+   * GET /api/library/health
+   * Report playlist entries and play history pointing at songs that are no longer in the library
+   * @returns {Object} { totalSongs, danglingSongIds, playlists, history, tombstones }
+   */
+  app.get('/api/library/health', async (req, res) => {
+    try {
+      res.json(await inspectLibraryHealth(storage));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * POST /api/library/health/prune
+   * Remove dangling references from playlists, play history and the lyrics cache
+   * @body {boolean} includeTombstoned - Also forget removed songs kept as tombstones (default: false)
+   * @returns {Object} { prunedSongIds, playlists, history, lyrics, tombstones }
+   */
+  app.post('/api/library/health/prune', async (req, res) => {
+    try {
+      const includeTombstoned = req.body?.includeTombstoned === true;
+      const result = await runExclusive(() => pruneDanglingReferences(storage, { includeTombstoned }));
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Watch mode: keep the library in sync with the music folders between scans.
+  if (runtimeConfig.watchLibrary) {
+    const scanner = new MusicScanner({ storage });
+    const watcher = new LibraryWatcher({
+      directories: runtimeConfig.musicDirectories || [],
+      debounceMs: Number(runtimeConfig.watchDebounceMs) || 1500,
+      onChanges: async (paths) => {
+        const result = await runExclusive(() => scanner.syncPaths(paths));
+        const changes = result.added.length + result.updated.length + result.removed.length + result.moved.length;
+        if (changes === 0) return;
+
+        console.log(
+          `[watch] Library synced: +${result.added.length} ~${result.updated.length} ` +
+          `-${result.removed.length} moved ${result.moved.length}`
+        );
+        libraryEvents.broadcast('library', { source: 'watch', ...result });
+        onLibraryChange?.(result);
+      }
+    });
+    void watcher.start();
+  }
+
+  return { libraryEvents };
+}
@@ -0,0 +1,117 @@
+import path from 'path';
+import { resolveLyricsForSong, saveLocalLyrics, listLyricsTracks, readLyricsTrack } from '../lyrics/lyricsService.js';
+import { LyricsIndex } from '../lyrics/lyricsIndex.js';
+
+const SONG_ID_PATTERN = /^[a-zA-Z0-9-]+$/;
+
+export function registerLyricsRoutes(app, { storage, runtimeConfig }) {
+  // Index for lyrics full-text search (see lyricsSearchRoutes.js), built in the background from startup on.
+  const lyricsIndex = new LyricsIndex({
+    filePath: path.join(storage.dataDir, 'lyrics_index.json'),
+    storage
+  });
+  void lyricsIndex.refresh();
+
+  /**
+   * GET /api/lyrics/:id
+   * Resolve synced lyrics (LRC) for a song.
+   * Flow: local .lrc/.txt -> embedded tags -> LRCLIB-compatible instance
+   * (only with `lyricsProviderUrl` in config.json; results cached in the lyrics cache)
+   * Query params:
+   * - force=1 : look up online again instead of using a cached result
+   * - track=<name> : a parallel track instead (translation/romanization, `Song.<name>.lrc`)
+   * @returns {Object} { songId, source: 'local_file' | 'local_txt' | 'embedded' | 'instrumental' | 'lrclib', synced, lrcPath, lrc,
+   *   tracks: parallel track names }, with `track` set: { songId, track, source: 'local_file', synced, lrcPath, lrc };
+   *   404 when nothing was found, 502 when the online instance couldn't be reached
+   */
+  app.get('/api/lyrics/:id', async (req, res) => {
+    try {
+      if (!SONG_ID_PATTERN.test(req.params.id)) {
+        return res.status(400).json({ error: 'Invalid song ID format' });
+      }
+
+      const song = await storage.getSongById(req.params.id);
+      if (!song || !song.filePath) {
+        return res.status(404).json({ error: 'Song not found' });
+      }
+
+      if (req.query.track !== undefined) {
+        const track = await readLyricsTrack({ song, track: req.query.track });
+        if (!track.ok) {
+          return res.status(track.status || 404).json({ error: track.error || 'Lyrics track not found' });
+        }
+        return res.json({
+          songId: song.id,
+          track: track.track,
+          source: track.source,
+          synced: Boolean(track.synced),
+          lrcPath: track.lrcPath,
+          lrc: track.lrc
+        });
+      }
+
+      const result = await resolveLyricsForSong({
+        storage,
+        song,
+        providerUrl: runtimeConfig.lyricsProviderUrl,
+        force: req.query.force === '1' || req.query.force === 'true'
+      });
+
+      if (!result.ok) {
+        return res.status(result.status || 404).json({ error: result.error || 'Lyrics not found' });
+      }
+
+      return res.json({
+        songId: song.id,
+        source: result.source,
+        synced: Boolean(result.synced),
+        lrcPath: result.lrcPath || null,
+        lrc: result.lrc || '',
+        tracks: await listLyricsTracks(song)
+      });
+    } catch (error) {
+      console.error('Error resolving lyrics:', error);
+      return res.status(500).json({ error: 'Error resolving lyrics' });
+    }
+  });
+
+  /**
+   * PUT /api/lyrics/:id
+   * Save edited lyrics as a sidecar .lrc next to the audio file
+   * (the .lrc the song already uses, else `<file name>.lrc`) and drop the song's cached online lyrics
+   * @body {string} lrc - LRC (optionally with an [offset:] tag) or plain text
+   * @returns {Object} { songId, source: 'local_file', synced, lrcPath, lrc },
+   *   403 when the folder isn't writable
+   */
+  app.put('/api/lyrics/:id', async (req, res) => {
+    try {
+      if (!SONG_ID_PATTERN.test(req.params.id)) {
+        return res.status(400).json({ error: 'Invalid song ID format' });
+      }
+
+      const song = await storage.getSongById(req.params.id);
+      if (!song || !song.filePath) {
+        return res.status(404).json({ error: 'Song not found' });
+      }
+
+      const result = await saveLocalLyrics({ storage, song, lrc: req.body?.lrc });
+      if (!result.ok) {
+        return res.status(result.status || 400).json({ error: result.error });
+      }
+      lyricsIndex.invalidate(song.id);
+
+      return res.json({
+        songId: song.id,
+        source: result.source,
+        synced: Boolean(result.synced),
+        lrcPath: result.lrcPath,
+        lrc: result.lrc
+      });
+    } catch (error) {
+      console.error('Error saving lyrics:', error);
+      return res.status(500).json({ error: 'Error saving lyrics' });
+    }
+  });
+
+  return { lyricsIndex };
+}
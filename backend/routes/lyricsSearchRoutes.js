@@ -0,0 +1,45 @@
+// Upper bound for lyrics search results.
+const MAX_LYRICS_RESULTS = 200;
+
+export function registerLyricsSearchRoutes(app, { lyricsIndex }) {
+  /**
+   * GET /api/search/lyrics
+   * Find songs by their lyrics (sidecar .lrc/.txt and embedded lyrics)
+   * The index is built in the background at startup and refreshed after scans,
+   * watcher syncs and lyrics edits, so results can be incomplete while `indexing` is true
+   * @query {string} q - Words or a phrase from the lyrics (min 2 chars)
+   * @query {number} limit - Max songs (default: 50, max: 200)
+   * @returns {Object} { results: [{ song, source, synced, time, snippet, highlights: [[start, end]], matchCount }],
+   *   indexing, pending } - `time` is where the matching line starts (seconds, null for unsynced lyrics),
+   *   `highlights` are the matched ranges of `snippet`
+   */
+  app.get('/api/search/lyrics', async (req, res) => {
+    try {
+      const { q, limit = 50 } = req.query;
+
+      if (q !== undefined && typeof q !== 'string') {
+        return res.status(400).json({ error: 'Invalid search query' });
+      }
+      if (q && q.length > 100) {
+        return res.status(400).json({ error: 'Query too long' });
+      }
+
+      // Pick up new and edited lyrics; songs are indexed in the background.
+      void lyricsIndex.refresh();
+
+      const query = String(q || '').trim();
+      const results = query.length < 2
+        ? []
+        : await lyricsIndex.search(query, { limit: Math.min(parseInt(limit) || 50, MAX_LYRICS_RESULTS) });
+
+      res.set('Cache-Control', 'no-store');
+      res.json({
+        results,
+        indexing: lyricsIndex.indexing,
+        pending: lyricsIndex.pendingCount
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+}
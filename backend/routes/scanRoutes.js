@@ -0,0 +1,116 @@
+import { ScanJobManager } from '../library/scanJobs.js';
+import { openEventStream } from '../sse.js';
+
+const ANALYSIS_POLL_MS = 1000;
+
+export function registerScanRoutes(app, { storage, libraryEvents, onLibraryChange }) {
+  const scanJobs = new ScanJobManager({
+    storage,
+    onComplete: (result) => {
+      libraryEvents?.broadcast('library', { source: 'scan', ...result });
+      onLibraryChange?.(result);
+    }
+  });
+
+  const findJob = (req, res) => {
+    const { jobId } = req.params;
+    if (!/^[a-zA-Z0-9-]+$/.test(jobId)) {
+      res.status(400).json({ error: 'Invalid job ID' });
+      return null;
+    }
+    const job = scanJobs.get(jobId);
+    if (!job) {
+      res.status(404).json({ error: 'Scan job not found' });
+      return null;
+    }
+    return job;
+  };
+
+  /**
+   * POST /api/scan
+   * Start a full library scan in the background
+   * If a scan is already running, that job is returned instead (200 rather than 202)
+   * @returns {Object} Job snapshot ({ jobId, status, progress, ... })
+   */
+  app.post('/api/scan', (req, res) => {
+    const { job, created } = scanJobs.start();
+    res.status(created ? 202 : 200).json(job.toJSON());
+  });
+
+  /**
+   * GET /api/scan/:jobId
+   * Current state of a scan job
+   * @param {string} jobId - Job ID from POST /api/scan
+   * @returns {Object} Job snapshot; `result` ({ added, updated, moved, total }) once completed
+   */
+  app.get('/api/scan/:jobId', (req, res) => {
+    const job = findJob(req, res);
+    if (job) res.json(job.toJSON());
+  });
+
+  /**
+   * GET /api/scan/:jobId/events
+   * Server-Sent Events stream of scan progress
+   * Event "progress": job snapshot; progress = { filesSeen, expectedFiles, added, updated, errors, currentPath }
+   * Event "done": final snapshot (status completed | failed | cancelled)
+   * Event "analysis": { analysisQueue } while background BPM/key/loudness/waveform analysis drains after the scan
+   * The stream closes once the scan is done and the analysis queue is empty
+   * @param {string} jobId - Job ID from POST /api/scan
+   */
+  app.get('/api/scan/:jobId/events', (req, res) => {
+    const job = findJob(req, res);
+    if (!job) return;
+
+    const stream = openEventStream(req, res);
+    let analysisTimer = null;
+
+    const followAnalysis = () => {
+      const analysisQueue = job.analysisQueue;
+      if (analysisQueue === 0 || job.status !== 'completed') {
+        stream.close();
+        return;
+      }
+      stream.send('analysis', { analysisQueue });
+      analysisTimer = setTimeout(followAnalysis, ANALYSIS_POLL_MS);
+    };
+
+    const onProgress = (snapshot) => stream.send('progress', snapshot);
+    const onDone = (snapshot) => {
+      stream.send('done', snapshot);
+      followAnalysis();
+    };
+
+    stream.onClose(() => {
+      clearTimeout(analysisTimer);
+      job.off('progress', onProgress);
+      job.off('done', onDone);
+    });
+
+    if (job.finished) {
+      onDone(job.toJSON());
+      return;
+    }
+
+    stream.send('progress', job.toJSON());
+    job.on('progress', onProgress);
+    job.once('done', onDone);
+  });
+
+  /**
+   * POST /api/scan/:jobId/cancel
+   * Cancel a queued or running scan (nothing from it is saved)
+   * @param {string} jobId - Job ID from POST /api/scan
+   * @returns {Object} Job snapshot
+   */
+  app.post('/api/scan/:jobId/cancel', (req, res) => {
+    const job = findJob(req, res);
+    if (!job) return;
+
+    if (!job.cancel()) {
+      return res.status(409).json({ ...job.toJSON(), error: `Scan already ${job.status}` });
+    }
+    res.json(job.toJSON());
+  });
+
+  return { scanJobs };
+}
@@ -0,0 +1,134 @@
+import { runExclusive } from '../scanner.js';
+import { parseSongEdits, applySongEdits, parseFieldReplace, songBatchUpdates, applySongEditsBatch } from '../library/songEdits.js';
+
+const SONG_ID_PATTERN = /^[a-zA-Z0-9-]+$/;
+
+// Upper bound for one batch edit request.
+const MAX_BATCH_SONGS = 5000;
+
+export function registerSongEditRoutes(app, { storage, runtimeConfig }) {
+  /**
+   * PATCH /api/songs
+   * Apply the same edits to many songs with one library write
+   * @body {Array<string>} songIds - Songs to edit
+   * @body {Object} updates - Fields to set on every song (same fields/rules as PATCH /api/songs/:id)
+   * @body {Object} replace - Optional find-and-replace: { field, find, replaceWith, matchCase }
+   * @body {boolean} writeTags - Also write the edits into each file's tags
+   * @returns {Object} { updated, songs, skipped: [{ id, error }], tagWrites? }
+   */
+  app.patch('/api/songs', async (req, res) => {
+    try {
+      const songIds = req.body?.songIds;
+      if (!Array.isArray(songIds) || songIds.length === 0) {
+        return res.status(400).json({ error: 'songIds must be a non-empty array' });
+      }
+      if (songIds.length > MAX_BATCH_SONGS) {
+        return res.status(400).json({ error: `Too many songs (max ${MAX_BATCH_SONGS})` });
+      }
+      if (!songIds.every(id => typeof id === 'string' && SONG_ID_PATTERN.test(id))) {
+        return res.status(400).json({ error: 'Invalid song ID format' });
+      }
+
+      const parsed = parseSongEdits(req.body?.updates || {});
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+      }
+
+      let replace = null;
+      if (req.body?.replace) {
+        const parsedReplace = parseFieldReplace(req.body.replace);
+        if (parsedReplace.error) {
+          return res.status(400).json({ error: parsedReplace.error });
+        }
+        replace = parsedReplace.replace;
+      }
+
+      if (Object.keys(parsed.updates).length === 0 && !replace) {
+        return res.status(400).json({ error: 'Nothing to update' });
+      }
+      const writeTags = req.body?.writeTags === true;
+
+      // Serialized with scans so a running scan can't save over the edits.
+      const result = await runExclusive(async () => {
+        const wanted = new Set(songIds);
+        const songs = (await storage.getSongs()).filter(song => wanted.has(song.id));
+        const found = new Set(songs.map(song => song.id));
+        const skipped = songIds
+          .filter(id => !found.has(id))
+          .map(id => ({ id, error: 'Song not found' }));
+
+        const edits = [];
+        for (const song of songs) {
+          const batch = songBatchUpdates(song, parsed.updates, replace);
+          if (batch.error) {
+            skipped.push({ id: song.id, error: batch.error });
+          } else {
+            edits.push({ song, updates: batch.updates });
+          }
+        }
+
+        const applied = await applySongEditsBatch(storage, edits, {
+          writeTags,
+          ffmpegPath: runtimeConfig.ffmpegPath || 'ffmpeg'
+        });
+        return { ...applied, skipped };
+      });
+
+      res.json({
+        updated: result.songs.length,
+        songs: result.songs,
+        skipped: result.skipped,
+        ...(writeTags ? { tagWrites: result.tagWrites } : {})
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * PATCH /api/songs/:id
+   * Update editable song metadata
+   * Absent fields are left alone; null or '' clears a field (the title can't be cleared)
+   * @body {string|null} title, artist, albumArtist, album, genre, comment - Text fields
+   * @body {number|null} year - 0-9999
+   * @body {number|null} trackNumber, discNumber - 1-999
+   * @body {number|null} bpm - Beats per minute (30-300) or null to clear
+   * @body {string|null} key - Musical key (short string) or null to clear
+   * @body {boolean|null} trimSilence - Skip (true) or keep (false) the silent intro/outro
+   *   regardless of the player setting; null follows the setting. Never written to tags
+   * @body {boolean} writeTags - Also write the edits into the file's ID3/Vorbis/MP4 tags
+   * @returns {Object} Updated song; with writeTags, plus tagWrite: { written, error? }
+   */
+  app.patch('/api/songs/:id', async (req, res) => {
+    try {
+      // Validate ID format (alphanumeric and hyphens only)
+      if (!SONG_ID_PATTERN.test(req.params.id)) {
+        return res.status(400).json({ error: 'Invalid song ID format' });
+      }
+
+      const parsed = parseSongEdits(req.body);
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+      }
+      const writeTags = req.body?.writeTags === true;
+
+      // Serialized with scans so a running scan can't save over the edit.
+      const result = await runExclusive(async () => {
+        const song = await storage.getSongById(req.params.id);
+        if (!song) return null;
+        return await applySongEdits(storage, song, parsed.updates, {
+          writeTags,
+          ffmpegPath: runtimeConfig.ffmpegPath || 'ffmpeg'
+        });
+      });
+
+      if (!result) {
+        return res.status(404).json({ error: 'Song not found' });
+      }
+
+      res.json(writeTags ? { ...result.song, tagWrite: result.tagWrite } : result.song);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+}
@@ -0,0 +1,163 @@
+import fs from 'fs';
+import path from 'path';
+import { Transcoder, mimeTypeForSong, parseStreamRequest } from '../streaming/transcoder.js';
+
+/**
+ * Parse a single-range "bytes=start-end" header.
+ * Supports open-ended ("bytes=100-") and suffix ("bytes=-500") forms.
+ * @returns {{ start: number, end: number } | null} null when unsatisfiable
+ */
+export function parseRange(rangeHeader, fileSize) {
+  const m = String(rangeHeader || '').match(/^bytes=(\d*)-(\d*)$/);
+  if (!m || (!m[1] && !m[2])) return null;
+
+  let start;
+  let end;
+  if (!m[1]) {
+    // Suffix range: last N bytes.
+    const suffix = parseInt(m[2], 10);
+    start = Math.max(0, fileSize - suffix);
+    end = fileSize - 1;
+  } else {
+    start = parseInt(m[1], 10);
+    end = m[2] ? Math.min(parseInt(m[2], 10), fileSize - 1) : fileSize - 1;
+  }
+
+  if (!Number.isFinite(start) || !Number.isFinite(end) || start > end || start >= fileSize) return null;
+  return { start, end };
+}
+
+// A read error after the headers went out (file deleted or unreadable
+// mid-stream) can't become an error response: drop the connection so the
+// client sees a failed download instead of a hung or truncated one.
+function pipeFile(res, filePath, options) {
+  fs.createReadStream(filePath, options)
+    .on('error', (error) => {
+      console.error('Error streaming file:', error);
+      res.destroy(error);
+    })
+    .pipe(res);
+}
+
+/**
+ * Stream a file with HTTP range request support.
+ */
+function sendFileWithRange(req, res, filePath, contentType) {
+  const stat = fs.statSync(filePath);
+  const fileSize = stat.size;
+  const rangeHeader = req.headers.range;
+
+  if (rangeHeader) {
+    const range = parseRange(rangeHeader, fileSize);
+    if (!range) {
+      res.writeHead(416, { 'Content-Range': `bytes */${fileSize}` });
+      return res.end();
+    }
+
+    const { start, end } = range;
+    res.writeHead(206, {
+      'Content-Range': `bytes ${start}-${end}/${fileSize}`,
+      'Accept-Ranges': 'bytes',
+      'Content-Length': (end - start) + 1,
+      'Content-Type': contentType
+    });
+    pipeFile(res, filePath, { start, end });
+    return;
+  }
+
+  res.writeHead(200, {
+    'Accept-Ranges': 'bytes',
+    'Content-Length': fileSize,
+    'Content-Type': contentType
+  });
+  pipeFile(res, filePath);
+}
+
+/**
+ * Send a transcode that is still running. Its final size isn't known yet, so
+ * this is a plain 200 without range support; once the rendition is cached,
+ * later requests (a seek, a replay) get ranges as usual.
+ */
+function sendTranscodeStream(res, stream, contentType) {
+  res.writeHead(200, { 'Content-Type': contentType });
+  stream
+    .on('error', (error) => {
+      console.error('Error streaming transcode:', error);
+      res.destroy(error);
+    })
+    .pipe(res);
+  // The transcode itself keeps going for the cache; only this copy stops.
+  res.on('close', () => stream.destroy());
+}
+
+export function registerStreamRoutes(app, { storage, runtimeConfig }) {
+  const transcoder = new Transcoder({
+    cacheDir: path.join(storage.dataDir, 'transcode_cache'),
+    ffmpegPath: runtimeConfig.ffmpegPath || 'ffmpeg',
+    maxCacheBytes: (Number(runtimeConfig.transcodeCacheMaxMB) || 2048) * 1024 * 1024,
+    maxCacheAgeMs: (Number(runtimeConfig.transcodeCacheMaxAgeDays) || 30) * 24 * 60 * 60 * 1000
+  });
+
+  /**
+   * GET /api/stream/:id
+   * Stream audio file with HTTP range request support
+   * Enables seeking in audio player and bandwidth optimization
+   * @param {string} id - Song ID
+   * @query {string} profile - Optional quality profile (original, high, normal, low)
+   * @query {string} format - Optional transcode target (mp3, opus, aac)
+   * @query {number} bitrate - Optional transcode bitrate in kbps (32-320), overrides the profile
+   * @returns {Stream} Audio file stream with appropriate headers
+   */
+  app.get('/api/stream/:id', async (req, res) => {
+    try {
+      // Validate ID format
+      if (!/^[a-zA-Z0-9-]+$/.test(req.params.id)) {
+        return res.status(400).json({ error: 'Invalid song ID format' });
+      }
+
+      const song = await storage.getSongById(req.params.id);
+
+      if (!song || !song.filePath) {
+        return res.status(404).json({ error: 'Song not found' });
+      }
+
+      const filePath = song.filePath;
+
+      // Ensure file path is absolute and exists
+      if (!path.isAbsolute(filePath) || !fs.existsSync(filePath)) {
+        return res.status(404).json({ error: 'File not found' });
+      }
+
+      const request = parseStreamRequest(req.query);
+      if (!request.ok) {
+        return res.status(400).json({ error: request.error });
+      }
+
+      if (request.original) {
+        return sendFileWithRange(req, res, filePath, mimeTypeForSong(song));
+      }
+
+      // Transcode once into the on-disk cache and serve it like any other file, so
+      // range requests (seeking) behave exactly as for originals. The first request
+      // gets the output while ffmpeg is still writing it.
+      let rendition;
+      try {
+        rendition = await transcoder.openRendition(song, request);
+      } catch (error) {
+        // A profile is only a bandwidth preference: play the original rather than nothing.
+        if (request.profile) {
+          return sendFileWithRange(req, res, filePath, mimeTypeForSong(song));
+        }
+        throw error;
+      }
+      if (rendition.stream) {
+        return sendTranscodeStream(res, rendition.stream, request.target.mimeType);
+      }
+      return sendFileWithRange(req, res, rendition.path, request.target.mimeType);
+    } catch (error) {
+      if (!res.headersSent) {
+        res.status(500).json({ error: error.message });
+      }
+    }
+  });
+}
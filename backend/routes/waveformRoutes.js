@@ -0,0 +1,65 @@
+import fs from 'fs';
+import path from 'path';
+import { WaveformAnalyzer, waveformContentKey, hasCurrentOffsets } from '../analyzer/waveformAnalyzer.js';
+import { runExclusive } from '../scanner.js';
+
+export function registerWaveformRoutes(app, { storage, runtimeConfig }) {
+  const waveforms = new WaveformAnalyzer({
+    directory: path.join(storage.dataDir, 'waveforms'),
+    ffmpegPath: runtimeConfig.ffmpegPath || 'ffmpeg',
+    runExclusive
+  });
+
+  /**
+   * GET /api/waveform/:id
+   * Peak levels for drawing the song's waveform on the seek bar
+   * Peaks are computed by a background job after scans; a song without them
+   * yet is queued and answered with 202, so the client can ask again later
+   * @param {string} id - Song ID
+   * @returns {Object} { songId, peaks: number[] (0-255, evenly spread over the song) },
+   *   202 { songId, status: 'pending' } while analyzing, 404 if the file can't be decoded,
+   *   503 without ffmpeg
+   */
+  app.get('/api/waveform/:id', async (req, res) => {
+    try {
+      if (!/^[a-zA-Z0-9-]+$/.test(req.params.id)) {
+        return res.status(400).json({ error: 'Invalid song ID format' });
+      }
+
+      const song = await storage.getSongById(req.params.id);
+      if (!song || !song.filePath) {
+        return res.status(404).json({ error: 'Song not found' });
+      }
+
+      const contentKey = waveformContentKey(song);
+      const entry = await waveforms.read(song.id, contentKey);
+      if (entry?.peaks) {
+        // A song keeps its ID when its file is replaced, so revalidate (ETag) rather than cache blindly.
+        res.set('Cache-Control', 'no-cache');
+        return res.json({ songId: song.id, peaks: entry.peaks });
+      }
+
+      res.set('Cache-Control', 'no-store');
+      if (entry) {
+        return res.status(404).json({ error: 'Could not decode the audio file' });
+      }
+      if (!fs.existsSync(song.filePath)) {
+        return res.status(404).json({ error: 'File not found' });
+      }
+      if (!(await waveforms.isAvailable())) {
+        return res.status(503).json({ error: 'Waveforms need ffmpeg' });
+      }
+
+      void waveforms.enqueue({
+        filePath: song.filePath,
+        songId: song.id,
+        contentKey,
+        storage,
+        offsetsStored: hasCurrentOffsets(song)
+      });
+      res.status(202).json({ songId: song.id, status: 'pending' });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+}
@@ -10,6 +10,9 @@
  * - ID3 tag extraction (title, artist, album, etc.)
  * - Incremental updates (only scans modified files)
  * - Play count preservation during updates
+ * - Deterministic, content-derived song IDs (see library/songIdentity.js)
+ * - Moved/renamed files keep their identity (playlists, history, analysis cache)
+ * - Deleted files are tombstoned (play data restored if they return) or pruned
  * - Batch processing with progress logging
  * - Error handling per file (one bad file won't stop entire scan)
  * 
@@ -21,9 +24,13 @@
 import fs from 'fs/promises';
 import path from 'path';
 import { parseFile } from 'music-metadata';
-import Storage from './storage.js';
+import Storage, { createStorage } from './storage.js';
 import configData from './config.json' with { type: 'json' };
-import { AubioAnalyzer } from './analyzer/aubioAnalyzer.js';
+import { BackgroundAnalysis } from './analyzer/backgroundAnalysis.js';
+import { readReplayGain, readReplayGainTags } from './analyzer/loudnessAnalyzer.js';
+import { audioFingerprint, songIdFromContentHash, disambiguateSongId } from './library/songIdentity.js';
+import { findFolderArt } from './artwork/folderArt.js';
+import crypto from 'crypto';
 
 function normalizeWhitespace(text) {
   return String(text || '')
@@ -114,60 +121,402 @@ function normalizeKey(value) {
   return s;
 }
 
+// Code unit order, so the same tree is walked the same way on every file system and locale.
+function comparePaths(a, b) {
+  return a < b ? -1 : (a > b ? 1 : 0);
+}
+
+/**
+ * Async generator for recursive directory traversal
+ * Yields full file paths for all files in directory tree, in path order
+ * (duplicate audio gets its ID suffixes in this order, see disambiguateSongId())
+ */
+async function* walk(dir) {
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+  // A directory sorts as `name/`, which makes the walk order the full paths' order.
+  const sortKey = (entry) => (entry.isDirectory() ? entry.name + path.sep : entry.name);
+  entries.sort((a, b) => comparePaths(sortKey(a), sortKey(b)));
+  for (const entry of entries) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      yield* walk(fullPath);
+    } else {
+      yield fullPath;
+    }
+  }
+}
+
+// Library writes (full scans, watcher syncs) run one at a time so they can't
+// overwrite each other's saveSongs().
+let libraryWriteChain = Promise.resolve();
+
+/**
+ * Run a library-mutating task after any in-flight one finishes
+ * @param {Function} task - Async function to run exclusively
+ * @returns {Promise<*>} The task's result
+ */
+export function runExclusive(task) {
+  const run = libraryWriteChain.then(() => task());
+  libraryWriteChain = run.catch(() => {});
+  return run;
+}
+
+function isPathInside(filePath, dir) {
+  const abs = path.resolve(String(filePath || ''));
+  return abs === dir || abs.startsWith(dir + path.sep);
+}
+
+/**
+ * Songs from before a scan that are gone afterwards
+ * (not found at their path, and not kept under the same or a re-linked ID)
+ */
+function findRemovedSongs(previousSongs, allSongs, identity) {
+  const paths = new Set(allSongs.map(song => song.filePath));
+  const ids = new Set(allSongs.map(song => song.id));
+  return previousSongs.filter(song =>
+    !paths.has(song.filePath) && !ids.has(song.id) && !identity.idMap.has(song.id)
+  );
+}
+
+function throwIfAborted(signal) {
+  if (!signal?.aborted) return;
+  const error = new Error('Scan cancelled');
+  error.name = 'AbortError';
+  throw error;
+}
+
 class MusicScanner {
   /**
    * Initialize music scanner with configuration
+   * @param {Object} options
+   * @param {Object} options.storage - Storage instance to share (defaults to JSON storage)
    */
-  constructor() {
-    this.storage = new Storage(configData.dataDirectory);
+  constructor({ storage } = {}) {
+    this.storage = storage || new Storage(configData.dataDirectory);
     this.supportedFormats = configData.supportedFormats;
     this.musicDirectories = configData.musicDirectories;
+    this.removedSongPolicy = configData.removedSongPolicy === 'prune' ? 'prune' : 'tombstone';
 
-    // Background analyzer: never blocks scan() completion.
-    this.analyzer = new AubioAnalyzer({
-      cacheFilePath: path.join(this.storage.dataDir, 'analysis_cache.json'),
-      concurrency: 1,
+    // BPM/key, loudness and waveform analysis; never blocks scan() completion.
+    this.background = new BackgroundAnalysis({
+      storage: this.storage,
+      ffmpegPath: configData.ffmpegPath || 'ffmpeg',
+      runExclusive,
       logger: console
     });
+
+    // Folder art lookups per directory, reset for every scan/sync.
+    this._folderArtCache = new Map();
   }
 
   /**
    * Scan all configured music directories
    * Performs incremental scan - only processes new/modified files
    * Preserves play counts and other user data during updates
-   * @returns {Object} Scan results with added/updated/total counts
+   * Files that moved since the last scan keep their song record instead of
+   * being treated as a delete plus an add
+   * A cancelled scan throws before anything is saved
+   * @param {Object} options
+   * @param {Function} options.onProgress - Called with a progress snapshot as files are processed
+   * @param {AbortSignal} options.signal - Cancels the scan
+   * @returns {Object} Scan results with added/updated/moved/total counts
    */
-  async scan() {
+  async scan({ onProgress, signal } = {}) {
     console.log('Starting music library scan...');
     await this.storage.init();
+    this._folderArtCache = new Map();
     
     // Load existing songs for comparison
     const songs = await this.storage.getSongs();
     const existingSongs = new Map(songs.map(song => [song.filePath, song]));
+
+    // The previous library size is the best guess at how many files the walk will see.
+    const progress = {
+      filesSeen: 0,
+      expectedFiles: songs.length,
+      added: 0,
+      updated: 0,
+      errors: 0,
+      currentPath: null
+    };
+    const report = () => onProgress?.({ ...progress });
+    report();
+
+    // ID bookkeeping shared by all directories.
+    // Content-derived IDs from earlier scans stay reserved so duplicates can't steal them.
+    const identity = {
+      idMap: new Map(),
+      usedIds: new Set(songs.filter(song => song.contentHash).map(song => song.id))
+    };
     
     let totalAdded = 0;
     let totalUpdated = 0;
     let allSongs = [];
+    let addedSongs = [];
+    const unavailableDirectories = [];
 
     // Scan each configured directory
     for (const directory of this.musicDirectories) {
       try {
         await fs.access(directory);
         console.log(`Scanning: ${directory}`);
-        const { added, updated, songs: dirSongs } = await this.scanDirectory(directory, existingSongs);
-        totalAdded += added;
-        totalUpdated += updated;
-        allSongs.push(...dirSongs);
+        const result = await this.scanDirectory(directory, existingSongs, identity, { progress, report, signal });
+        totalAdded += result.added;
+        totalUpdated += result.updated;
+        allSongs.push(...result.songs);
+        addedSongs.push(...result.addedSongs);
       } catch (error) {
+        if (signal?.aborted) throw error;
         console.log(`Directory not found or inaccessible: ${directory}`);
+        unavailableDirectories.push(path.resolve(directory));
       }
     }
+    throwIfAborted(signal);
+
+    const moved = await this.reconcileMoves(songs, allSongs, addedSongs, identity);
+    totalAdded -= moved.length;
+
+    const movedTo = new Set(moved.map(m => m.to));
+    const restored = await this.restoreTombstones(
+      addedSongs.filter(({ song }) => !movedTo.has(song.filePath)),
+      identity
+    );
+
+    // Re-link playlists, history and lyrics cache for any songs whose ID changed.
+    if (identity.idMap.size > 0) {
+      const relinked = await this.storage.remapSongIds(identity.idMap);
+      console.log(
+        `Re-linked ${identity.idMap.size} song IDs ` +
+        `(playlists: ${relinked.playlists}, history: ${relinked.history}, lyrics: ${relinked.lyrics})`
+      );
+    }
 
     // Save all songs to storage
     await this.storage.saveSongs(allSongs);
+
+    // Songs on a missing/unmounted music folder are only tombstoned, never pruned:
+    // the folder is most likely coming back.
+    const removedSongs = findRemovedSongs(songs, allSongs, identity);
+    const isOffline = (song) => unavailableDirectories.some(dir => isPathInside(song.filePath, dir));
+    await this.reconcileRemoved(removedSongs.filter(song => !isOffline(song)));
+    await this.reconcileRemoved(removedSongs.filter(isOffline), { prune: false });
+
+    // New songs are analyzed only now, after moved files had their analysis cache re-linked.
+    for (const { song, stats } of addedSongs) {
+      this.background.enqueue(song, stats);
+    }
     
-    console.log(`\nScan complete! Added: ${totalAdded}, Updated: ${totalUpdated}, Total: ${allSongs.length}`);
-    return { added: totalAdded, updated: totalUpdated, total: allSongs.length };
+    console.log(
+      `\nScan complete! Added: ${totalAdded}, Updated: ${totalUpdated}, Moved: ${moved.length}, ` +
+      `Removed: ${removedSongs.length}, Total: ${allSongs.length}`
+    );
+    return {
+      added: totalAdded,
+      updated: totalUpdated,
+      moved: moved.length,
+      restored,
+      removed: removedSongs.map(song => song.id),
+      total: allSongs.length
+    };
+  }
+
+  /**
+   * Apply the removed-song policy (config `removedSongPolicy`) to songs whose files are gone
+   * "tombstone" (default) keeps playlist/history references plus the song's record, so its
+   * play data comes back with the file; "prune" drops every reference to the song
+   * @param {Array<Object>} removedSongs - Song records no longer in the library
+   * @param {Object} options
+   * @param {boolean} options.prune - Override the configured policy
+   */
+  async reconcileRemoved(removedSongs, { prune = this.removedSongPolicy === 'prune' } = {}) {
+    if (removedSongs.length === 0) return;
+
+    if (prune) {
+      const pruned = await this.storage.pruneSongReferences(removedSongs.map(song => song.id));
+      console.log(
+        `Pruned ${removedSongs.length} removed songs ` +
+        `(playlists: ${pruned.playlists}, history: ${pruned.history}, lyrics: ${pruned.lyrics})`
+      );
+      return;
+    }
+
+    await this.storage.addTombstones(removedSongs);
+  }
+
+  /**
+   * Give songs whose files came back the play data they had before removal
+   * Tombstones match by ID or content hash; a match under a different ID re-links
+   * the old ID's playlists and history (via identity.idMap)
+   * @param {Array<Object>} addedSongs - { song, stats } for songs new to the library (mutated)
+   * @param {Object} identity - { idMap, usedIds } scan bookkeeping
+   * @returns {number} Number of restored songs
+   */
+  async restoreTombstones(addedSongs, identity) {
+    if (addedSongs.length === 0) return 0;
+
+    const byId = new Map(addedSongs.map(({ song }) => [song.id, song]));
+    const byHash = new Map(addedSongs.filter(({ song }) => song.contentHash).map(({ song }) => [song.contentHash, song]));
+    const songFor = (tombstone) => byId.get(tombstone.id) || (tombstone.contentHash && byHash.get(tombstone.contentHash)) || null;
+
+    const tombstones = await this.storage.takeTombstones(tombstone => songFor(tombstone) !== null);
+    for (const tombstone of tombstones) {
+      const song = songFor(tombstone);
+      const previousIds = [...new Set([...(tombstone.previousIds || []), ...(song.previousIds || [])])];
+      if (tombstone.id !== song.id) {
+        identity.idMap.set(tombstone.id, song.id);
+        if (!previousIds.includes(tombstone.id)) previousIds.push(tombstone.id);
+      }
+
+      const { removedAt, ...previous } = tombstone;
+      Object.assign(song, {
+        ...previous,
+        ...song,
+        addedDate: previous.addedDate || song.addedDate,
+        playCount: previous.playCount || 0,
+        lastPlayed: previous.lastPlayed || null,
+        // Measured loudness is still valid: the audio didn't change.
+        replayGain: song.replayGain ?? previous.replayGain ?? null,
+        ...(previousIds.length > 0 ? { previousIds } : {})
+      });
+      console.log(`Restored: ${song.filePath} (removed ${removedAt})`);
+    }
+
+    return tombstones.length;
+  }
+
+  /**
+   * Match newly found files against songs whose file disappeared
+   * A match (same audio fingerprint, or for legacy records the same size and
+   * file name/tags) is a move: the new record inherits the old one's user data
+   * and, where possible, its ID
+   * @param {Array<Object>} previousSongs - Songs from before this scan
+   * @param {Array<Object>} allSongs - Songs found in this scan (mutated in place)
+   * @param {Array<Object>} addedSongs - { song, stats } for songs that had no record by path
+   * @param {Object} identity - { idMap, usedIds } scan bookkeeping
+   * @returns {Array<{ id: string, from: string, to: string }>} Moved songs and their file paths
+   */
+  async reconcileMoves(previousSongs, allSongs, addedSongs, identity) {
+    const moved = [];
+    if (addedSongs.length === 0) return moved;
+
+    const seenPaths = new Set(allSongs.map(song => song.filePath));
+    const missing = previousSongs.filter(song => !seenPaths.has(song.filePath));
+    if (missing.length === 0) return moved;
+
+    const legacyKeys = (song) => [
+      `${song.fileSize}|name|${path.basename(String(song.filePath || '')).toLowerCase()}`,
+      `${song.fileSize}|tags|${song.title}|${song.artist}|${song.album}`
+    ];
+
+    const byHash = new Map();
+    const byLegacyKey = new Map();
+    for (const song of missing) {
+      if (song.contentHash) {
+        if (!byHash.has(song.contentHash)) byHash.set(song.contentHash, song);
+      } else {
+        for (const key of legacyKeys(song)) {
+          if (!byLegacyKey.has(key)) byLegacyKey.set(key, song);
+        }
+      }
+    }
+
+    const claimed = new Set();
+    for (const { song, stats } of addedSongs) {
+      let previous = song.contentHash ? byHash.get(song.contentHash) : null;
+      if (!previous) {
+        previous = legacyKeys(song).map(key => byLegacyKey.get(key)).find(Boolean) || null;
+      }
+      if (!previous || claimed.has(previous)) continue;
+      claimed.add(previous);
+
+      // Content-derived IDs survive the move; legacy IDs are migrated to the new one.
+      const newId = previous.contentHash ? previous.id : song.id;
+      const previousIds = [...(previous.previousIds || [])];
+      if (previous.id !== newId && !previousIds.includes(previous.id)) {
+        previousIds.push(previous.id);
+      }
+      if (previous.id !== newId) {
+        identity.idMap.set(previous.id, newId);
+      }
+
+      Object.assign(song, {
+        ...previous,
+        ...song,
+        id: newId,
+        addedDate: previous.addedDate || song.addedDate,
+        playCount: previous.playCount || 0,
+        lastPlayed: previous.lastPlayed || null,
+        // Measured loudness is still valid: the audio didn't change.
+        replayGain: song.replayGain ?? previous.replayGain ?? null,
+        ...(previousIds.length > 0 ? { previousIds } : {})
+      });
+
+      try {
+        await this.background.relinkFilePath(previous.filePath, song.filePath, {
+          size: stats.size,
+          mtimeMs: stats.mtimeMs
+        });
+      } catch (error) {
+        console.warn(`Could not re-link analysis cache for ${song.filePath}:`, error.message);
+      }
+
+      console.log(`Moved: ${previous.filePath} -> ${song.filePath}`);
+      moved.push({ id: newId, from: previous.filePath, to: song.filePath });
+    }
+
+    return moved;
+  }
+
+  /**
+   * Fingerprint a file's audio content for its song ID
+   * @param {string} filePath - Path to audio file
+   * @param {Object} stats - File system stats object
+   * @returns {string|null} Content hash, or null if the file couldn't be read
+   */
+  async fingerprint(filePath, stats) {
+    try {
+      return await audioFingerprint(filePath, { size: stats.size });
+    } catch (error) {
+      console.error(`Error fingerprinting ${filePath}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Give an existing song record a content hash, migrating legacy
+   * (path hash + timestamp) IDs to content-derived ones
+   * @param {Object} song - Existing song record (mutated)
+   * @param {string} filePath - Path to audio file
+   * @param {Object} stats - File system stats object
+   * @param {Object} identity - { idMap, usedIds } scan bookkeeping
+   * @param {boolean} contentChanged - Re-fingerprint even if a hash exists
+   */
+  async ensureIdentity(song, filePath, stats, identity, contentChanged = false) {
+    if (song.contentHash && !contentChanged) {
+      identity.usedIds.add(song.id);
+      return;
+    }
+
+    const legacy = !song.contentHash;
+    const contentHash = await this.fingerprint(filePath, stats);
+    if (!contentHash) {
+      identity.usedIds.add(song.id);
+      return;
+    }
+    song.contentHash = contentHash;
+
+    if (!legacy) {
+      // Already migrated: the ID stays put even if the content changed (e.g. re-tagged).
+      identity.usedIds.add(song.id);
+      return;
+    }
+
+    const newId = this.generateId(filePath, contentHash, identity.usedIds);
+    if (newId !== song.id) {
+      identity.idMap.set(song.id, newId);
+      song.previousIds = [...(song.previousIds || []), song.id];
+      song.id = newId;
+    }
   }
 
   /**
@@ -175,114 +524,264 @@ class MusicScanner {
    * Walks through all subdirectories and processes audio files
    * @param {string} directory - Root directory to scan
    * @param {Map} existingSongs - Map of existing songs by file path
-   * @returns {Object} Results with added/updated counts and song list
+   * @param {Object} identity - { idMap, usedIds } scan bookkeeping (see scan())
+   * @param {Object} tracking - { progress, report, signal } from scan(); all optional
+   * @returns {Object} Results with added/updated counts, song list and newly added { song, stats } pairs
    */
-  async scanDirectory(directory, existingSongs) {
+  async scanDirectory(
+    directory,
+    existingSongs,
+    identity = { idMap: new Map(), usedIds: new Set() },
+    { progress, report, signal } = {}
+  ) {
     let added = 0;
     let updated = 0;
     let songs = [];
+    let addedSongs = [];
+
+    // Process each file in the directory tree
+    for await (const filePath of walk(directory)) {
+      // Only process supported audio formats
+      if (!this.isSupportedFile(filePath)) continue;
+      throwIfAborted(signal);
 
-    /**
-     * Async generator for recursive directory traversal
-     * Yields full file paths for all files in directory tree
-     */
-    async function* walk(dir) {
-      const entries = await fs.readdir(dir, { withFileTypes: true });
-      for (const entry of entries) {
-        const fullPath = path.join(dir, entry.name);
-        if (entry.isDirectory()) {
-          yield* walk(fullPath);
+      if (progress) {
+        progress.filesSeen++;
+        progress.currentPath = filePath;
+      }
+
+      try {
+        const result = await this.processFile(filePath, directory, existingSongs.get(filePath), identity);
+        songs.push(result.song);
+
+        if (result.status === 'unchanged') continue;
+        if (result.status === 'added') {
+          addedSongs.push({ song: result.song, stats: result.stats });
+          added++;
+          if (progress) progress.added++;
         } else {
-          yield fullPath;
+          updated++;
+          if (progress) progress.updated++;
         }
+
+        // Progress logging every 100 files
+        if ((added + updated) % 100 === 0) {
+          console.log(`Processed ${added + updated} files...`);
+        }
+      } catch (error) {
+        if (progress) progress.errors++;
+        console.error(`Error processing ${filePath}:`, error.message);
+      } finally {
+        report?.();
       }
     }
 
-    // Process each file in the directory tree
-    for await (const filePath of walk(directory)) {
-      const ext = path.extname(filePath).toLowerCase();
-      
-      // Only process supported audio formats
-      if (this.supportedFormats.includes(ext)) {
-        try {
-          const stats = await fs.stat(filePath);
-          const lastModified = stats.mtime.toISOString();
-          
-          const existingSong = existingSongs.get(filePath);
-          
-          // Skip if file hasn't been modified since last scan
-          if (existingSong && existingSong.lastModified === lastModified) {
-            // Even if unchanged, opportunistically analyze missing BPM/key in background.
-            if (ext === '.mp3' && (existingSong.bpm == null || existingSong.key == null)) {
-              void this.analyzer.enqueue({
-                filePath,
-                statHint: { size: stats.size, mtimeMs: stats.mtimeMs },
-                songId: existingSong.id,
-                storage: this.storage
-              });
-            }
-            songs.push(existingSong);
-            continue;
-          }
-          
-          // Extract metadata from audio file
-          const metadata = await this.extractMetadata(filePath, stats, directory);
-          
-          if (existingSong) {
-            // Update existing song, preserve user data (play stats)
-            const updatedSong = {
-              ...existingSong,
-              ...metadata,
-              lastModified,
-              playCount: existingSong.playCount || 0,
-              lastPlayed: existingSong.lastPlayed || null
-            };
-            songs.push(updatedSong);
-            updated++;
-
-            if (ext === '.mp3' && (updatedSong.bpm == null || updatedSong.key == null)) {
-              void this.analyzer.enqueue({
-                filePath,
-                statHint: { size: stats.size, mtimeMs: stats.mtimeMs },
-                songId: updatedSong.id,
-                storage: this.storage
-              });
-            }
-          } else {
-            // New song - create with default values
-            const newSong = {
-              id: this.generateId(filePath),
-              ...metadata,
-              filePath,
-              lastModified,
-              addedDate: new Date().toISOString(),
-              playCount: 0,
-              lastPlayed: null
-            };
-            songs.push(newSong);
-            added++;
-
-            if (ext === '.mp3' && (newSong.bpm == null || newSong.key == null)) {
-              void this.analyzer.enqueue({
-                filePath,
-                statHint: { size: stats.size, mtimeMs: stats.mtimeMs },
-                songId: newSong.id,
-                storage: this.storage
-              });
-            }
-          }
-          
-          // Progress logging every 100 files
-          if ((added + updated) % 100 === 0) {
-            console.log(`Processed ${added + updated} files...`);
-          }
-        } catch (error) {
-          console.error(`Error processing ${filePath}:`, error.message);
+    return { added, updated, songs, addedSongs };
+  }
+
+  /**
+   * Check whether a path has one of the configured audio extensions
+   * @param {string} filePath - File path
+   * @returns {boolean}
+   */
+  isSupportedFile(filePath) {
+    return this.supportedFormats.includes(path.extname(filePath).toLowerCase());
+  }
+
+  /**
+   * Bring a single audio file's song record up to date
+   * Unchanged files (same mtime) skip metadata extraction entirely
+   * New songs are not queued for analysis here; callers do that once moves are reconciled
+   * @param {string} filePath - Path to audio file
+   * @param {string} rootDir - Music directory the file lives in (for folder-based guesses)
+   * @param {Object|undefined} existingSong - Current record for this path, if any
+   * @param {Object} identity - { idMap, usedIds } scan bookkeeping (see scan())
+   * @returns {Object} { song, stats, status: 'unchanged' | 'updated' | 'added' }
+   */
+  async processFile(filePath, rootDir, existingSong, identity) {
+    const stats = await fs.stat(filePath);
+    const lastModified = stats.mtime.toISOString();
+
+    // Skip if file hasn't been modified since last scan
+    if (existingSong && existingSong.lastModified === lastModified) {
+      await this.ensureIdentity(existingSong, filePath, stats, identity);
+      if (!('artSource' in existingSong)) {
+        // Songs scanned before art sources were recorded: check once.
+        Object.assign(existingSong, await this.detectArt(filePath));
+      } else if (existingSong.artSource !== 'embedded') {
+        // Folder art can appear or go away without the audio file changing.
+        Object.assign(existingSong, await this.folderArt(filePath));
+      }
+      if (!('replayGain' in existingSong)) {
+        // Songs scanned before ReplayGain tags were read: check once.
+        existingSong.replayGain = await readReplayGainTags(filePath);
+      }
+      // Even if unchanged, opportunistically analyze missing BPM/key, loudness and waveform in background.
+      this.background.enqueue(existingSong, stats);
+      return { song: existingSong, stats, status: 'unchanged' };
+    }
+
+    // Extract metadata from audio file
+    const metadata = await this.extractMetadata(filePath, stats, rootDir);
+    if (metadata.artSource !== 'embedded') {
+      Object.assign(metadata, await this.folderArt(filePath));
+    }
+
+    if (existingSong) {
+      // Fields edited in Player 0 but not written to the file win over the file's tags.
+      const edited = {};
+      for (const field of existingSong.editedFields || []) {
+        if (field in existingSong) edited[field] = existingSong[field];
+      }
+
+      // Update existing song, preserve user data (play stats)
+      const updatedSong = {
+        ...existingSong,
+        ...metadata,
+        ...edited,
+        lastModified,
+        playCount: existingSong.playCount || 0,
+        lastPlayed: existingSong.lastPlayed || null
+      };
+      await this.ensureIdentity(updatedSong, filePath, stats, identity, true);
+      // Silence offsets belong to the old file; same audio gets them back from its waveform entry.
+      delete updatedSong.startOffset;
+      delete updatedSong.endOffset;
+      delete updatedSong.offsetsKey;
+      this.background.enqueue(updatedSong, stats);
+      return { song: updatedSong, stats, status: 'updated' };
+    }
+
+    // New song - create with default values
+    const contentHash = await this.fingerprint(filePath, stats);
+    const newSong = {
+      id: this.generateId(filePath, contentHash, identity.usedIds),
+      ...metadata,
+      filePath,
+      lastModified,
+      addedDate: new Date().toISOString(),
+      playCount: 0,
+      lastPlayed: null,
+      ...(contentHash ? { contentHash } : {})
+    };
+    return { song: newSong, stats, status: 'added' };
+  }
+
+  /**
+   * Incrementally sync specific paths (used by the file watcher)
+   * Only files under the changed paths go through extractMetadata(); the rest
+   * of the library is left as is. Paths that no longer exist remove their songs,
+   * unless the same audio shows up elsewhere in the batch (a rename/move)
+   * @param {Array<string>} changedPaths - Files or directories that were added, changed, removed or renamed
+   * @returns {Object} { added, updated, removed, moved } (song IDs / moved songs with their paths), plus restored and total counts
+   */
+  async syncPaths(changedPaths) {
+    await this.storage.init();
+    this._folderArtCache = new Map();
+
+    const songs = await this.storage.getSongs();
+    const existingSongs = new Map(songs.map(song => [song.filePath, song]));
+    const identity = {
+      idMap: new Map(),
+      usedIds: new Set(songs.filter(song => song.contentHash).map(song => song.id))
+    };
+
+    // Expand changed paths into audio files to (re)process and paths that are gone.
+    const files = new Map();
+    const gonePaths = [];
+    const walkedDirs = [];
+    for (const changedPath of new Set(changedPaths.map(p => path.resolve(p)))) {
+      const rootDir = this.rootDirectoryFor(changedPath);
+      if (!rootDir) continue;
+
+      let stats;
+      try {
+        stats = await fs.stat(changedPath);
+      } catch {
+        gonePaths.push(changedPath);
+        continue;
+      }
+
+      if (stats.isDirectory()) {
+        // Anything previously under a re-walked folder that isn't found again is gone.
+        walkedDirs.push(changedPath);
+        for await (const filePath of walk(changedPath)) {
+          if (this.isSupportedFile(filePath)) files.set(filePath, rootDir);
         }
+      } else if (this.isSupportedFile(changedPath)) {
+        files.set(changedPath, rootDir);
       }
     }
 
-    return { added, updated, songs };
+    const isUnder = (filePath, p) => filePath === p || filePath.startsWith(p + path.sep);
+    const isGone = (filePath) => [...gonePaths, ...walkedDirs].some(p => isUnder(filePath, p));
+    const removedSongs = songs.filter(song => isGone(song.filePath) && !files.has(song.filePath));
+
+    const changed = new Map();
+    const addedSongs = [];
+    // Same order as a full scan, so duplicates in one batch get the same IDs either way.
+    for (const [filePath, rootDir] of [...files].sort(([a], [b]) => comparePaths(a, b))) {
+      try {
+        const result = await this.processFile(filePath, rootDir, existingSongs.get(filePath), identity);
+        if (result.status === 'unchanged') continue;
+        changed.set(filePath, result);
+        if (result.status === 'added') addedSongs.push({ song: result.song, stats: result.stats });
+      } catch (error) {
+        console.error(`Error processing ${filePath}:`, error.message);
+      }
+    }
+
+    const removedPaths = new Set(removedSongs.map(song => song.filePath));
+    const allSongs = songs
+      .filter(song => !removedPaths.has(song.filePath))
+      .map(song => changed.get(song.filePath)?.song || song);
+    allSongs.push(...addedSongs.map(({ song }) => song));
+
+    const moved = await this.reconcileMoves(removedSongs, allSongs, addedSongs, identity);
+    const movedTo = new Set(moved.map(m => m.to));
+    const newSongs = addedSongs.filter(({ song }) => !movedTo.has(song.filePath));
+    const restored = await this.restoreTombstones(newSongs, identity);
+
+    if (identity.idMap.size > 0) {
+      await this.storage.remapSongIds(identity.idMap);
+    }
+
+    const goneSongs = findRemovedSongs(removedSongs, allSongs, identity);
+    const summary = {
+      added: newSongs.map(({ song }) => song.id),
+      updated: [...changed.values()].filter(r => r.status === 'updated').map(r => r.song.id),
+      removed: goneSongs.map(song => song.id),
+      moved,
+      restored,
+      total: allSongs.length
+    };
+
+    if (summary.added.length + summary.updated.length + summary.removed.length + moved.length === 0) {
+      return summary;
+    }
+
+    await this.storage.saveSongs(allSongs);
+    await this.reconcileRemoved(goneSongs);
+
+    for (const { song, stats } of addedSongs) {
+      this.background.enqueue(song, stats);
+    }
+
+    return summary;
+  }
+
+  /**
+   * Find the configured music directory containing a path
+   * @param {string} filePath - Absolute path
+   * @returns {string|null} Music directory, or null if the path is outside all of them
+   */
+  rootDirectoryFor(filePath) {
+    const abs = path.resolve(filePath);
+    for (const directory of this.musicDirectories) {
+      const root = path.resolve(directory);
+      if (abs === root || abs.startsWith(root + path.sep)) return directory;
+    }
+    return null;
   }
 
   /**
@@ -333,6 +832,10 @@ class MusicScanner {
       const bpm = normalizeBpm(common.bpm);
       const key = normalizeKey(common.key);
 
+      // music-metadata returns comments as strings (v9) or { text } objects (v10+).
+      const firstComment = common.comment?.[0];
+      const comment = normalizeWhitespace(typeof firstComment === 'string' ? firstComment : firstComment?.text) || null;
+
       return {
         title,
         artist,
@@ -344,6 +847,10 @@ class MusicScanner {
         discNumber,
         bpm,
         key,
+        comment,
+        artSource: common.picture?.length ? 'embedded' : null,
+        artPath: null,
+        replayGain: readReplayGain(metadata),
         duration: format.duration || null,
         bitrate: format.bitrate || null,
         fileSize: stats.size,
@@ -373,6 +880,10 @@ class MusicScanner {
         year,
         trackNumber: parseLeadingTrackNumber(stemRaw) || null,
         discNumber: null,
+        comment: null,
+        artSource: null,
+        artPath: null,
+        replayGain: null,
         duration: null,
         bitrate: null,
         fileSize: stats.size,
@@ -382,19 +893,45 @@ class MusicScanner {
   }
 
   /**
-   * Generate unique ID for a song based on file path and timestamp
-   * Uses simple hash algorithm combined with timestamp for uniqueness
-   * @param {string} filePath - File path to hash
-   * @returns {string} Base36 encoded unique ID
+   * Look for cover.jpg/folder.jpg-style art beside a file (see artwork/folderArt.js)
+   * @param {string} filePath - Absolute audio file path
+   * @returns {Object} { artSource: 'folder' | null, artPath }
    */
-  generateId(filePath) {
-    let hash = 0;
-    for (let i = 0; i < filePath.length; i++) {
-      const char = filePath.charCodeAt(i);
-      hash = ((hash << 5) - hash) + char;
-      hash = hash & hash; // Convert to 32-bit integer
+  async folderArt(filePath) {
+    const artPath = await findFolderArt(filePath, this._folderArtCache);
+    return { artSource: artPath ? 'folder' : null, artPath };
+  }
+
+  /**
+   * Work out where a file's art comes from: embedded picture, else folder art
+   * @param {string} filePath - Absolute audio file path
+   * @returns {Object} { artSource: 'embedded' | 'folder' | null, artPath }
+   */
+  async detectArt(filePath) {
+    try {
+      const { common } = await parseFile(filePath, { duration: false });
+      if (common.picture?.length) return { artSource: 'embedded', artPath: null };
+    } catch {
+      // Unreadable tags: folder art may still apply.
     }
-    return Math.abs(hash).toString(36) + Date.now().toString(36);
+    return await this.folderArt(filePath);
+  }
+
+  /**
+   * Generate a deterministic ID for a song
+   * Derived from the audio content fingerprint, so moving/renaming a file or
+   * rebuilding the data directory yields the same ID again
+   * Falls back to a hash of the path when the file couldn't be fingerprinted
+   * @param {string} filePath - File path (fallback input and duplicate suffix)
+   * @param {string|null} contentHash - From audioFingerprint()
+   * @param {Set<string>} usedIds - IDs already assigned; the new ID is added
+   * @returns {string} Hex ID (with a suffix for duplicate audio)
+   */
+  generateId(filePath, contentHash, usedIds = new Set()) {
+    const hash = contentHash || crypto.createHash('sha1').update(`path:${filePath}`).digest('hex');
+    const id = disambiguateSongId(songIdFromContentHash(hash), filePath, usedIds);
+    usedIds.add(id);
+    return id;
   }
 }
 
@@ -407,13 +944,12 @@ class MusicScanner {
  * Usage: bun run backend/scanner.js
  */
 if (import.meta.url === `file://${process.argv[1]}`) {
-  const scanner = new MusicScanner();
+  const scanner = new MusicScanner({ storage: await createStorage(configData) });
   scanner.scan().then(async () => {
     // When invoked as a CLI, wait for background analysis/tagging to finish.
     // (The API route still returns immediately after scan completes.)
     try {
-      await scanner.analyzer.idle();
-      await scanner.analyzer.cache.flush();
+      await scanner.background.idle();
     } catch {
       // ignore
     }
@@ -5,7 +5,7 @@
  * 
  * Main Express server providing REST API for:
  * - Music library management and scanning
- * - Audio streaming with range request support
+ * - Audio streaming with range request support (and ffmpeg transcoding)
  * - Playlist CRUD operations
  * - Play history tracking and statistics
  * - Album and artist browsing
@@ -24,13 +24,19 @@ import express from 'express';
 import cors from 'cors';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import fs from 'fs';
-import Storage from './storage.js';
-import MusicScanner from './scanner.js';
+import { createStorage } from './storage.js';
 import logger, { httpLogger } from './logger.js';
 import configData from './config.json' with { type: 'json' };
-import { resolveLyricsForSong } from './lyrics/lyricsService.js';
 import { registerConfigRoutes } from './routes/configRoutes.js';
+import { registerStreamRoutes } from './routes/streamRoutes.js';
+import { registerCoverRoutes } from './routes/coverRoutes.js';
+import { registerLibraryRoutes } from './routes/libraryRoutes.js';
+import { registerScanRoutes } from './routes/scanRoutes.js';
+import { registerSongEditRoutes } from './routes/songEditRoutes.js';
+import { registerBookmarkRoutes } from './routes/bookmarkRoutes.js';
+import { registerWaveformRoutes } from './routes/waveformRoutes.js';
+import { registerLyricsRoutes } from './routes/lyricsRoutes.js';
+import { registerLyricsSearchRoutes } from './routes/lyricsSearchRoutes.js';
 
 // ESM __dirname equivalent
 const __filename = fileURLToPath(import.meta.url);
@@ -42,7 +48,7 @@ const runtimeConfig = JSON.parse(JSON.stringify(configData));
 
 // Initialize Express app and Storage
 const app = express();
-const storage = new Storage(runtimeConfig.dataDirectory);
+const storage = await createStorage(runtimeConfig);
 
 /**
  * Security Headers Middleware
@@ -156,100 +162,14 @@ app.get('/api/songs/:id', async (req, res) => {
 // API Routes - Lyrics
 // ============================================
 
-/**
- * GET /api/lyrics/:id
- * Resolve synced lyrics (LRC) for a song.
- * Flow: local .lrc -> embedded tags. (No network fetch.)
- * Query params:
- * - force=1 : re-check local file and tags
- */
-app.get('/api/lyrics/:id', async (req, res) => {
-  try {
-    if (!/^[a-zA-Z0-9-]+$/.test(req.params.id)) {
-      return res.status(400).json({ error: 'Invalid song ID format' });
-    }
-
-    const song = await storage.getSongById(req.params.id);
-    if (!song || !song.filePath) {
-      return res.status(404).json({ error: 'Song not found' });
-    }
-
-    // "force" is accepted for backwards-compat but lyrics are local/tags only.
-    const result = await resolveLyricsForSong({ storage, song });
-
-    if (!result.ok) {
-      return res.status(result.status || 404).json({ error: result.error || 'Lyrics not found' });
-    }
-
-    return res.json({
-      songId: song.id,
-      source: result.source,
-      synced: Boolean(result.synced),
-      lrcPath: result.lrcPath || null,
-      lrc: result.lrc || ''
-    });
-  } catch (error) {
-    console.error('Error resolving lyrics:', error);
-    return res.status(500).json({ error: 'Error resolving lyrics' });
-  }
-});
-
-/**
- * PATCH /api/songs/:id
- * Update editable song metadata (currently: bpm, key)
- * @body {number|null} bpm - Beats per minute (30-300) or null to clear
- * @body {string|null} key - Musical key (short string) or null to clear
- */
-app.patch('/api/songs/:id', async (req, res) => {
-  try {
-    // Validate ID format (alphanumeric and hyphens only)
-    if (!/^[a-zA-Z0-9-]+$/.test(req.params.id)) {
-      return res.status(400).json({ error: 'Invalid song ID format' });
-    }
-
-    const song = await storage.getSongById(req.params.id);
-    if (!song) {
-      return res.status(404).json({ error: 'Song not found' });
-    }
-
-    const updates = {};
-
-    if (Object.prototype.hasOwnProperty.call(req.body, 'bpm')) {
-      const bpmRaw = req.body.bpm;
-      if (bpmRaw === null || bpmRaw === '') {
-        updates.bpm = null;
-      } else {
-        const bpm = Number(bpmRaw);
-        if (!Number.isFinite(bpm) || bpm < 30 || bpm > 300) {
-          return res.status(400).json({ error: 'Invalid bpm (expected number 30-300, or null)' });
-        }
-        updates.bpm = Math.round(bpm);
-      }
-    }
-
-    if (Object.prototype.hasOwnProperty.call(req.body, 'key')) {
-      const keyRaw = req.body.key;
-      if (keyRaw === null || keyRaw === '') {
-        updates.key = null;
-      } else if (typeof keyRaw !== 'string') {
-        return res.status(400).json({ error: 'Invalid key (expected string or null)' });
-      } else {
-        const k = String(keyRaw).trim();
-        updates.key = k ? k.slice(0, 32) : null;
-      }
-    }
+const { lyricsIndex } = registerLyricsRoutes(app, { storage, runtimeConfig });
+registerLyricsSearchRoutes(app, { lyricsIndex });
 
-    const ok = await storage.updateSong(req.params.id, updates);
-    if (!ok) {
-      return res.status(500).json({ error: 'Failed to update song' });
-    }
+// Song info edits, single and batch (optional tag write-back)
+registerSongEditRoutes(app, { storage, runtimeConfig });
 
-    const updated = await storage.getSongById(req.params.id);
-    res.json(updated);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
+// Named positions inside a song (song.bookmarks)
+registerBookmarkRoutes(app, { storage });
 
 /**
  * GET /api/search
@@ -282,38 +202,7 @@ app.get('/api/search', async (req, res) => {
       return res.status(400).json({ error: 'Invalid year' });
     }
     
-    let songs = await storage.getSongs();
-    
-    if (q) {
-      const query = q.toLowerCase();
-      songs = songs.filter(song =>
-        song.title?.toLowerCase().includes(query) ||
-        song.artist?.toLowerCase().includes(query) ||
-        song.album?.toLowerCase().includes(query)
-      );
-    }
-    
-    if (artist) {
-      songs = songs.filter(song => 
-        song.artist?.toLowerCase().includes(artist.toLowerCase())
-      );
-    }
-    
-    if (album) {
-      songs = songs.filter(song => 
-        song.album?.toLowerCase().includes(album.toLowerCase())
-      );
-    }
-    
-    if (genre) {
-      songs = songs.filter(song => 
-        song.genre?.toLowerCase().includes(genre.toLowerCase())
-      );
-    }
-    
-    if (year) {
-      songs = songs.filter(song => song.year === parseInt(year));
-    }
+    const songs = await storage.searchSongs({ q, artist, album, genre, year: year ? parseInt(year) : undefined });
     
     res.json(songs);
   } catch (error) {
@@ -434,6 +323,11 @@ app.get('/api/suggestions', async (req, res) => {
 // API Routes - Albums
 // ============================================
 
+// The album's art comes from its first track that has any (embedded or folder art).
+function albumCoverSongId(songs) {
+  return (songs.find(song => song.artSource) || songs[0])?.id || null;
+}
+
 /**
  * GET /api/albums
  * Get all albums with aggregated metadata
@@ -460,6 +354,7 @@ app.get('/api/albums', async (req, res) => {
     
     const albums = Array.from(albumMap.values()).map(album => ({
       ...album,
+      coverSongId: albumCoverSongId(album.songs),
       songCount: album.songs.length,
       duration: album.songs.reduce((sum, s) => sum + (s.duration || 0), 0)
     }));
@@ -487,23 +382,14 @@ app.get('/api/albums/:artist/:album', async (req, res) => {
       return res.status(400).json({ error: 'Invalid parameters' });
     }
     
-    const songs = await storage.getSongs();
-    
-    const albumSongs = songs.filter(song =>
-      song.album === decodeURIComponent(album) &&
-      (song.albumArtist || song.artist) === decodeURIComponent(artist)
-    ).sort((a, b) => {
-      if (a.discNumber !== b.discNumber) {
-        return (a.discNumber || 0) - (b.discNumber || 0);
-      }
-      return (a.trackNumber || 0) - (b.trackNumber || 0);
-    });
+    const albumSongs = await storage.getAlbumSongs(decodeURIComponent(artist), decodeURIComponent(album));
     
     if (albumSongs.length > 0) {
       res.json({
         album: decodeURIComponent(album),
         artist: decodeURIComponent(artist),
         year: albumSongs[0].year,
+        coverSongId: albumCoverSongId(albumSongs),
         songs: albumSongs,
         duration: albumSongs.reduce((sum, s) => sum + (s.duration || 0), 0)
       });
@@ -526,30 +412,7 @@ app.get('/api/albums/:artist/:album', async (req, res) => {
  */
 app.get('/api/artists', async (req, res) => {
   try {
-    const songs = await storage.getSongs();
-    const artistMap = new Map();
-    
-    songs.forEach(song => {
-      const artist = song.artist || 'Unknown Artist';
-      if (!artistMap.has(artist)) {
-        artistMap.set(artist, {
-          name: artist,
-          songCount: 0,
-          albums: new Set()
-        });
-      }
-      const artistData = artistMap.get(artist);
-      artistData.songCount++;
-      if (song.album) {
-        artistData.albums.add(song.album);
-      }
-    });
-    
-    const artists = Array.from(artistMap.values()).map(artist => ({
-      name: artist.name,
-      songCount: artist.songCount,
-      albumCount: artist.albums.size
-    }));
+    const artists = await storage.getArtists();
     
     res.json(artists);
   } catch (error) {
@@ -561,107 +424,11 @@ app.get('/api/artists', async (req, res) => {
 // API Routes - Streaming
 // ============================================
 
-/**
- * GET /api/stream/:id
- * Stream audio file with HTTP range request support
- * Enables seeking in audio player and bandwidth optimization
- * @param {string} id - Song ID
- * @returns {Stream} Audio file stream with appropriate headers
- */
-app.get('/api/stream/:id', async (req, res) => {
-  try {
-    // Validate ID format
-    if (!/^[a-zA-Z0-9-]+$/.test(req.params.id)) {
-      return res.status(400).json({ error: 'Invalid song ID format' });
-    }
-    
-    const song = await storage.getSongById(req.params.id);
-    
-    if (!song || !song.filePath) {
-      return res.status(404).json({ error: 'Song not found' });
-    }
-    
-    const filePath = song.filePath;
-    
-    // Ensure file path is absolute and exists
-    if (!path.isAbsolute(filePath) || !fs.existsSync(filePath)) {
-      return res.status(404).json({ error: 'File not found' });
-    }
-    
-    const stat = fs.statSync(filePath);
-    const fileSize = stat.size;
-    const range = req.headers.range;
-    
-    if (range) {
-      const parts = range.replace(/bytes=/, '').split('-');
-      const start = parseInt(parts[0], 10);
-      const end = parts[1] ? parseInt(parts[1], 10) : fileSize - 1;
-      const chunksize = (end - start) + 1;
-      const file = fs.createReadStream(filePath, { start, end });
-      const head = {
-        'Content-Range': `bytes ${start}-${end}/${fileSize}`,
-        'Accept-Ranges': 'bytes',
-        'Content-Length': chunksize,
-        'Content-Type': 'audio/mpeg',
-      };
-      res.writeHead(206, head);
-      file.pipe(res);
-    } else {
-      const head = {
-        'Content-Length': fileSize,
-        'Content-Type': 'audio/mpeg',
-      };
-      res.writeHead(200, head);
-      fs.createReadStream(filePath).pipe(res);
-    }
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
+registerStreamRoutes(app, { storage, runtimeConfig });
 
-/**
- * GET /api/cover/:id
- * Extract and serve album artwork from audio file metadata
- * Returns embedded cover art or 404 if not available
- * @param {string} id - Song ID
- * @returns {Image} Album artwork (JPEG/PNG)
- */
-app.get('/api/cover/:id', async (req, res) => {
-  try {
-    // Validate ID format
-    if (!/^[a-zA-Z0-9-]+$/.test(req.params.id)) {
-      return res.status(400).json({ error: 'Invalid song ID format' });
-    }
-    
-    const song = await storage.getSongById(req.params.id);
-    
-    if (!song || !song.filePath) {
-      return res.status(404).json({ error: 'Song not found' });
-    }
-    
-    const filePath = song.filePath;
-    
-    if (!fs.existsSync(filePath)) {
-      return res.status(404).json({ error: 'File not found' });
-    }
-    
-    // Import parseFile from music-metadata
-    const { parseFile } = await import('music-metadata');
-    const metadata = await parseFile(filePath);
-    
-    if (metadata.common.picture && metadata.common.picture.length > 0) {
-      const picture = metadata.common.picture[0];
-      res.set('Content-Type', picture.format || 'image/jpeg');
-      res.set('Cache-Control', 'public, max-age=86400');
-      return res.send(Buffer.from(picture.data));
-    } else {
-      return res.status(404).json({ error: 'No cover art found' });
-    }
-  } catch (error) {
-    console.error('Error extracting cover art:', error);
-    return res.status(500).json({ error: 'Error extracting cover art' });
-  }
-});
+registerCoverRoutes(app, { storage, runtimeConfig });
+
+registerWaveformRoutes(app, { storage, runtimeConfig });
 
 // ============================================
 // API Routes - Playlists
@@ -948,6 +715,12 @@ app.post('/api/stats/import', async (req, res) => {
 
     const songs = await storage.getSongs();
     const byId = new Map(songs.map((s) => [String(s.id), s]));
+    // CSVs exported before an ID migration still carry the old IDs.
+    for (const s of songs) {
+      for (const oldId of s.previousIds || []) {
+        if (!byId.has(String(oldId))) byId.set(String(oldId), s);
+      }
+    }
 
     let updatedCount = 0;
     let skippedCount = 0;
@@ -998,21 +771,25 @@ app.post('/api/stats/import', async (req, res) => {
 // API Routes - Library Management
 // ============================================
 
-/**
- * POST /api/scan
- * Trigger a full library scan
- * Scans configured music directories and updates database
- * @returns {Object} Scan results (added, updated, total)
- */
-app.post('/api/scan', async (req, res) => {
-  try {
-    const scanner = new MusicScanner();
-    const result = await scanner.scan();
-    res.json(result);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+// Songs added or changed by a scan or the watcher get their lyrics indexed.
+// The watcher reports which songs changed; a full scan only counts them.
+const onLibraryChange = (result) => {
+  const { added, updated, removed, moved } = result || {};
+  if (![added, updated, removed, moved].every(Array.isArray)) {
+    void lyricsIndex.refresh({ force: true });
+    return;
   }
-});
+  void lyricsIndex.refreshSongs({
+    changed: [...added, ...updated, ...moved.map((move) => move.id)],
+    removed
+  });
+};
+
+// Live library sync: SSE change feed + optional file watcher (config: watchLibrary)
+const { libraryEvents } = registerLibraryRoutes(app, { storage, runtimeConfig, onLibraryChange });
+
+// Background scan jobs with SSE progress
+registerScanRoutes(app, { storage, libraryEvents, onLibraryChange });
 
 // ============================================
 // Frontend Route
@@ -0,0 +1,868 @@
+/**
+ * ============================================
+ * SQLite Storage Module
+ * ============================================
+ *
+ * SQLite-backed (bun:sqlite) storage with the same interface as the JSON
+ * Storage class in storage.js. Selected with `"storageBackend": "sqlite"`.
+ *
+ * Database: <dataDirectory>/player0.db
+ * - songs: full song record as JSON, plus indexed columns
+ *   (file_path, artist, album, genre, year) for lookups
+ * - playlists + playlist_songs: ordered song IDs per playlist
+ * - play_history: one row per play (last 1000 kept, like the JSON backend)
+ * - lyrics_cache: one row per song
+ * - tombstones: records of removed songs kept for if their files come back
+ * - meta: schema version, JSON import marker
+ *
+ * Features:
+ * - Row-level updates (a play no longer rewrites the whole library)
+ * - Every multi-statement write runs in a transaction
+ * - One-time import from the JSON files on first start
+ *
+ * bun:sqlite is synchronous, so methods stay `async` only to match the
+ * JSON Storage interface.
+ *
+ * @module sqliteStorage
+ */
+
+import { Database } from 'bun:sqlite';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { computeLibraryStats, filterSongs, albumTracks } from './storage.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const SCHEMA_VERSION = 2;
+const MAX_HISTORY_ENTRIES = 1000;
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS songs (
+    seq INTEGER PRIMARY KEY AUTOINCREMENT,
+    id TEXT NOT NULL UNIQUE,
+    file_path TEXT,
+    artist TEXT,
+    album TEXT,
+    genre TEXT,
+    year INTEGER,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_songs_file_path ON songs(file_path);
+  CREATE INDEX IF NOT EXISTS idx_songs_artist ON songs(artist COLLATE NOCASE);
+  CREATE INDEX IF NOT EXISTS idx_songs_album ON songs(album COLLATE NOCASE);
+  CREATE INDEX IF NOT EXISTS idx_songs_genre ON songs(genre COLLATE NOCASE);
+  CREATE INDEX IF NOT EXISTS idx_songs_year ON songs(year);
+  CREATE INDEX IF NOT EXISTS idx_songs_artist_album ON songs(artist, album);
+
+  CREATE TABLE IF NOT EXISTS playlists (
+    seq INTEGER PRIMARY KEY AUTOINCREMENT,
+    id TEXT NOT NULL UNIQUE,
+    name TEXT NOT NULL,
+    description TEXT NOT NULL DEFAULT '',
+    pinned INTEGER NOT NULL DEFAULT 0,
+    created_date TEXT,
+    modified_date TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS playlist_songs (
+    playlist_id TEXT NOT NULL,
+    position INTEGER NOT NULL,
+    song_id TEXT NOT NULL,
+    PRIMARY KEY (playlist_id, position)
+  );
+  CREATE INDEX IF NOT EXISTS idx_playlist_songs_song ON playlist_songs(song_id);
+
+  CREATE TABLE IF NOT EXISTS play_history (
+    seq INTEGER PRIMARY KEY AUTOINCREMENT,
+    id TEXT NOT NULL,
+    song_id TEXT NOT NULL,
+    played_at TEXT NOT NULL,
+    duration_played REAL
+  );
+  CREATE INDEX IF NOT EXISTS idx_play_history_song ON play_history(song_id);
+
+  CREATE TABLE IF NOT EXISTS lyrics_cache (
+    song_id TEXT PRIMARY KEY,
+    entry TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS tombstones (
+    song_id TEXT PRIMARY KEY,
+    removed_at TEXT NOT NULL,
+    data TEXT NOT NULL
+  );
+`;
+
+function toNullableText(value) {
+  return value == null || value === '' ? null : String(value);
+}
+
+function toNullableInt(value) {
+  if (value == null || value === '') return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? Math.trunc(n) : null;
+}
+
+// LIKE pattern for a substring. LIKE only folds ASCII letters, so other
+// needles get null and are left to the exact filter in JS.
+function likePattern(text) {
+  if (!text || !/^[\x00-\x7f]*$/.test(text)) return null;
+  return `%${text.replace(/[\\%_]/g, '\\$&')}%`;
+}
+
+function parseJson(text, fallback) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return fallback;
+  }
+}
+
+class SqliteStorage {
+  /**
+   * Initialize storage with data directory path
+   * @param {string} dataDir - Directory for data files (relative to backend/)
+   */
+  constructor(dataDir = './data') {
+    this.dataDir = path.resolve(__dirname, dataDir);
+    this.dbFile = path.join(this.dataDir, 'player0.db');
+    this.db = null;
+  }
+
+  /**
+   * Open the database, create the schema and import legacy JSON data once
+   * Safe to call multiple times
+   */
+  async init() {
+    if (this.db) return;
+
+    await fs.mkdir(this.dataDir, { recursive: true });
+
+    this.db = new Database(this.dbFile, { create: true });
+    this.db.exec('PRAGMA journal_mode = WAL;');
+    this.db.exec('PRAGMA synchronous = NORMAL;');
+    this.db.exec(SCHEMA);
+    this.setMeta('schemaVersion', String(SCHEMA_VERSION));
+
+    if (!this.getMeta('jsonImportedAt')) {
+      await this.importFromJson();
+    }
+  }
+
+  getMeta(key) {
+    const row = this.db.query('SELECT value FROM meta WHERE key = ?').get(key);
+    return row ? row.value : null;
+  }
+
+  // Rows touched by the last INSERT/UPDATE/DELETE (works on every Bun version).
+  changes() {
+    return Number(this.db.query('SELECT changes() AS n').get()?.n) || 0;
+  }
+
+  setMeta(key, value) {
+    this.db.query('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value')
+      .run(key, value);
+  }
+
+  // ============================================
+  // One-time JSON Import
+  // ============================================
+
+  /**
+   * Import songs, playlists, play history and lyrics cache from the JSON
+   * backend's files (if present). The JSON files are left untouched so the
+   * JSON backend can still be used as a fallback.
+   */
+  async importFromJson() {
+    const readJsonFile = async (name, fallback) => {
+      try {
+        return JSON.parse(await fs.readFile(path.join(this.dataDir, name), 'utf-8'));
+      } catch {
+        return fallback;
+      }
+    };
+
+    const songs = await readJsonFile('songs.json', []);
+    const playlists = await readJsonFile('playlists.json', []);
+    const history = await readJsonFile('play_history.json', []);
+    const lyricsCache = await readJsonFile('lyrics_cache.json', {});
+    const tombstones = await readJsonFile('tombstones.json', []);
+
+    const importAll = this.db.transaction(() => {
+      if (Array.isArray(songs)) this.replaceAllSongs(songs);
+
+      if (Array.isArray(playlists)) {
+        this.db.exec('DELETE FROM playlist_songs; DELETE FROM playlists;');
+        for (const p of playlists) {
+          if (!p?.id) continue;
+          const songIds = Array.isArray(p.songIds) ? p.songIds : (Array.isArray(p.songs) ? p.songs : []);
+          this.insertPlaylistRow({
+            id: p.id,
+            name: p.name || 'Untitled',
+            description: p.description || '',
+            pinned: Boolean(p.pinned),
+            createdDate: p.createdDate || new Date().toISOString(),
+            modifiedDate: p.modifiedDate || new Date().toISOString()
+          });
+          this.replacePlaylistSongs(p.id, songIds);
+        }
+      }
+
+      if (Array.isArray(history)) {
+        this.db.exec('DELETE FROM play_history;');
+        const insert = this.db.query(
+          'INSERT INTO play_history (id, song_id, played_at, duration_played) VALUES (?, ?, ?, ?)'
+        );
+        for (const entry of history) {
+          if (!entry?.songId) continue;
+          insert.run(
+            String(entry.id || ''),
+            String(entry.songId),
+            String(entry.playedAt || new Date().toISOString()),
+            entry.durationPlayed ?? null
+          );
+        }
+      }
+
+      if (lyricsCache && typeof lyricsCache === 'object') {
+        this.replaceLyricsCache(lyricsCache);
+      }
+
+      if (Array.isArray(tombstones)) {
+        this.insertTombstones(tombstones);
+      }
+
+      this.setMeta('jsonImportedAt', new Date().toISOString());
+    });
+
+    importAll();
+
+    const songCount = Array.isArray(songs) ? songs.length : 0;
+    if (songCount > 0) {
+      console.log(`Imported ${songCount} songs from JSON into ${this.dbFile}`);
+    }
+  }
+
+  // ============================================
+  // Lyrics Cache
+  // ============================================
+
+  async getLyricsCache() {
+    const rows = this.db.query('SELECT song_id, entry FROM lyrics_cache').all();
+    const cache = {};
+    for (const row of rows) {
+      cache[row.song_id] = parseJson(row.entry, null);
+    }
+    return cache;
+  }
+
+  async saveLyricsCache(cache) {
+    this.db.transaction(() => this.replaceLyricsCache(cache && typeof cache === 'object' ? cache : {}))();
+    return true;
+  }
+
+  replaceLyricsCache(cache) {
+    this.db.exec('DELETE FROM lyrics_cache;');
+    const insert = this.db.query('INSERT INTO lyrics_cache (song_id, entry) VALUES (?, ?)');
+    for (const [songId, entry] of Object.entries(cache)) {
+      insert.run(songId, JSON.stringify(entry ?? null));
+    }
+  }
+
+  async getLyricsEntry(songId) {
+    if (!songId) return null;
+    const row = this.db.query('SELECT entry FROM lyrics_cache WHERE song_id = ?').get(songId);
+    return row ? parseJson(row.entry, null) : null;
+  }
+
+  async setLyricsEntry(songId, entry) {
+    if (!songId) return false;
+    this.db.query(
+      'INSERT INTO lyrics_cache (song_id, entry) VALUES (?, ?) ON CONFLICT(song_id) DO UPDATE SET entry = excluded.entry'
+    ).run(songId, JSON.stringify(entry ?? null));
+    return true;
+  }
+
+  async deleteLyricsEntry(songId) {
+    if (!songId) return false;
+    this.db.query('DELETE FROM lyrics_cache WHERE song_id = ?').run(songId);
+    return true;
+  }
+
+  // ============================================
+  // Songs Management
+  // ============================================
+
+  songRowParams(song) {
+    return [
+      String(song.id),
+      toNullableText(song.filePath),
+      toNullableText(song.artist),
+      toNullableText(song.album),
+      toNullableText(song.genre),
+      toNullableInt(song.year),
+      JSON.stringify(song)
+    ];
+  }
+
+  replaceAllSongs(songs) {
+    this.db.exec('DELETE FROM songs;');
+    const insert = this.db.query(
+      'INSERT OR REPLACE INTO songs (id, file_path, artist, album, genre, year, data) VALUES (?, ?, ?, ?, ?, ?, ?)'
+    );
+    for (const song of songs) {
+      if (!song?.id) continue;
+      insert.run(...this.songRowParams(song));
+    }
+  }
+
+  writeSong(song) {
+    this.db.query(
+      'UPDATE songs SET file_path = ?, artist = ?, album = ?, genre = ?, year = ?, data = ? WHERE id = ?'
+    ).run(...this.songRowParams(song).slice(1), String(song.id));
+  }
+
+  readSong(id) {
+    const row = this.db.query('SELECT data FROM songs WHERE id = ?').get(id);
+    return row ? parseJson(row.data, null) : null;
+  }
+
+  /**
+   * Get all songs from library
+   * @returns {Array<Object>} Array of song objects
+   */
+  async getSongs() {
+    return this.db.query('SELECT data FROM songs ORDER BY seq').all()
+      .map(row => parseJson(row.data, null))
+      .filter(Boolean);
+  }
+
+  /**
+   * Save entire songs array (replaces all songs)
+   * Used by scanner to update library
+   * @param {Array<Object>} songs - Complete array of songs
+   * @returns {boolean} Success status
+   */
+  async saveSongs(songs) {
+    try {
+      this.db.transaction(() => this.replaceAllSongs(Array.isArray(songs) ? songs : []))();
+      return true;
+    } catch (error) {
+      console.error('Error saving songs:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get a single song by ID
+   * @param {string} id - Song ID
+   * @returns {Object|undefined} Song object or undefined
+   */
+  async getSongById(id) {
+    return this.readSong(id) || undefined;
+  }
+
+  songsWhere(where, params) {
+    return this.db.query(`SELECT data FROM songs WHERE ${where} ORDER BY seq`).all(...params)
+      .map(row => parseJson(row.data, null))
+      .filter(Boolean);
+  }
+
+  /**
+   * Search songs (see filterSongs())
+   * The columns narrow the rows in SQL; filterSongs() then applies the exact rules.
+   * @param {Object} filters - { q, artist, album, genre, year }
+   * @returns {Array<Object>} Matching songs
+   */
+  async searchSongs(filters = {}) {
+    const clauses = [];
+    const params = [];
+    // Any of the columns contains the text
+    const like = (columns, text) => {
+      const pattern = likePattern(text);
+      if (!pattern) return;
+      clauses.push(`(${columns.map(column => `${column} LIKE ? ESCAPE '\\'`).join(' OR ')})`);
+      params.push(...columns.map(() => pattern));
+    };
+
+    if (filters.year) {
+      clauses.push('year = ?');
+      params.push(filters.year);
+    }
+    like(["json_extract(data, '$.title')", 'artist', 'album'], filters.q);
+    like(['artist'], filters.artist);
+    like(['album'], filters.album);
+    like(['genre'], filters.genre);
+
+    return filterSongs(this.songsWhere(clauses.join(' AND ') || '1', params), filters);
+  }
+
+  /**
+   * Get an album's tracks (see albumTracks())
+   * @param {string} artist - Album artist
+   * @param {string} album - Album name
+   * @returns {Array<Object>} Tracks sorted by disc and track number
+   */
+  async getAlbumSongs(artist, album) {
+    // Case-insensitive so idx_songs_album applies; albumTracks() matches exactly.
+    return albumTracks(this.songsWhere('album = ? COLLATE NOCASE', [String(album)]), artist, album);
+  }
+
+  /**
+   * Get all artists with song and album counts, in order of first appearance
+   * Counted in SQL (idx_songs_artist_album covers the query) without reading song records
+   * @returns {Array<{ name: string, songCount: number, albumCount: number }>}
+   */
+  async getArtists() {
+    return this.db.query(`
+      SELECT COALESCE(artist, 'Unknown Artist') AS name, COUNT(*) AS songCount, COUNT(DISTINCT album) AS albumCount
+      FROM songs
+      GROUP BY name
+      ORDER BY MIN(seq)
+    `).all();
+  }
+
+  /**
+   * Add a new song to library
+   * @param {Object} song - Song object to add
+   * @returns {boolean} Success status
+   */
+  async addSong(song) {
+    try {
+      this.db.query(
+        'INSERT INTO songs (id, file_path, artist, album, genre, year, data) VALUES (?, ?, ?, ?, ?, ?, ?)'
+      ).run(...this.songRowParams(song));
+      return true;
+    } catch (error) {
+      console.error('Error adding song:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Update an existing song
+   * @param {string} id - Song ID to update
+   * @param {Object} updates - Fields to update
+   * @returns {boolean} Success status
+   */
+  async updateSong(id, updates) {
+    return this.db.transaction(() => {
+      const song = this.readSong(id);
+      if (!song) return false;
+      this.writeSong({ ...song, ...updates, id: song.id });
+      return true;
+    })();
+  }
+
+  /**
+   * Update several songs in one transaction
+   * @param {Array<{id: string, updates: Object}>} changes - Per-song field updates
+   * @returns {number} Number of songs updated (unknown IDs are skipped)
+   */
+  async updateSongs(changes) {
+    if (!Array.isArray(changes) || changes.length === 0) return 0;
+    return this.db.transaction(() => {
+      let updated = 0;
+      for (const { id, updates } of changes) {
+        const song = this.readSong(id);
+        if (!song) continue;
+        this.writeSong({ ...song, ...updates, id: song.id });
+        updated++;
+      }
+      return updated;
+    })();
+  }
+
+  // ============================================
+  // Playlists Management
+  // ============================================
+
+  insertPlaylistRow(p) {
+    this.db.query(
+      'INSERT OR REPLACE INTO playlists (id, name, description, pinned, created_date, modified_date) VALUES (?, ?, ?, ?, ?, ?)'
+    ).run(p.id, p.name, p.description || '', p.pinned ? 1 : 0, p.createdDate, p.modifiedDate);
+  }
+
+  replacePlaylistSongs(playlistId, songIds) {
+    this.db.query('DELETE FROM playlist_songs WHERE playlist_id = ?').run(playlistId);
+    const insert = this.db.query('INSERT INTO playlist_songs (playlist_id, position, song_id) VALUES (?, ?, ?)');
+    songIds.forEach((songId, position) => {
+      insert.run(playlistId, position, String(songId));
+    });
+  }
+
+  playlistSongIds(playlistId) {
+    return this.db.query('SELECT song_id FROM playlist_songs WHERE playlist_id = ? ORDER BY position')
+      .all(playlistId)
+      .map(row => row.song_id);
+  }
+
+  rowToPlaylist(row) {
+    const songIds = this.playlistSongIds(row.id);
+    return {
+      id: row.id,
+      name: row.name,
+      description: row.description || '',
+      pinned: Boolean(row.pinned),
+      songIds,
+      songCount: songIds.length,
+      createdDate: row.created_date || new Date().toISOString(),
+      modifiedDate: row.modified_date || new Date().toISOString()
+    };
+  }
+
+  /**
+   * Get all playlists
+   * @returns {Array<Object>} Array of playlist objects
+   */
+  async getPlaylists() {
+    return this.db.query('SELECT * FROM playlists ORDER BY seq').all()
+      .map(row => this.rowToPlaylist(row));
+  }
+
+  /**
+   * Save all playlists (replaces all playlists)
+   * @param {Array<Object>} playlists - Complete playlist array
+   * @returns {boolean} Success status
+   */
+  async savePlaylists(playlists) {
+    this.db.transaction(() => {
+      this.db.exec('DELETE FROM playlist_songs; DELETE FROM playlists;');
+      for (const p of Array.isArray(playlists) ? playlists : []) {
+        if (!p?.id) continue;
+        this.insertPlaylistRow({
+          ...p,
+          createdDate: p.createdDate || new Date().toISOString(),
+          modifiedDate: p.modifiedDate || new Date().toISOString()
+        });
+        this.replacePlaylistSongs(p.id, Array.isArray(p.songIds) ? p.songIds : []);
+      }
+    })();
+    return true;
+  }
+
+  /**
+   * Get a single playlist by ID
+   * @param {string} id - Playlist ID
+   * @returns {Object|undefined} Playlist object or undefined
+   */
+  async getPlaylistById(id) {
+    const row = this.db.query('SELECT * FROM playlists WHERE id = ?').get(id);
+    return row ? this.rowToPlaylist(row) : undefined;
+  }
+
+  /**
+   * Create a new playlist
+   * @param {Object} data - Playlist data (name, description, songIds)
+   * @returns {Object} Created playlist with generated ID and timestamps
+   */
+  async createPlaylist(data) {
+    const now = new Date().toISOString();
+    const newPlaylist = {
+      id: `pl_${Date.now()}`,
+      name: data.name,
+      description: data.description || '',
+      pinned: Boolean(data.pinned),
+      songIds: Array.isArray(data.songIds) ? data.songIds : [],
+      songCount: Array.isArray(data.songIds) ? data.songIds.length : 0,
+      createdDate: now,
+      modifiedDate: now
+    };
+
+    this.db.transaction(() => {
+      this.insertPlaylistRow(newPlaylist);
+      this.replacePlaylistSongs(newPlaylist.id, newPlaylist.songIds);
+    })();
+    return newPlaylist;
+  }
+
+  /**
+   * Update an existing playlist
+   * Automatically updates modifiedDate and recalculates songCount
+   * @param {string} id - Playlist ID
+   * @param {Object} updates - Fields to update
+   * @returns {Object|boolean} Updated playlist or false if not found
+   */
+  async updatePlaylist(id, updates) {
+    return this.db.transaction(() => {
+      const row = this.db.query('SELECT * FROM playlists WHERE id = ?').get(id);
+      if (!row) return false;
+
+      const updated = {
+        ...this.rowToPlaylist(row),
+        ...updates,
+        id: row.id,
+        modifiedDate: new Date().toISOString()
+      };
+
+      this.db.query(
+        'UPDATE playlists SET name = ?, description = ?, pinned = ?, modified_date = ? WHERE id = ?'
+      ).run(updated.name, updated.description || '', updated.pinned ? 1 : 0, updated.modifiedDate, id);
+
+      if (Array.isArray(updates.songIds)) {
+        this.replacePlaylistSongs(id, updates.songIds);
+      }
+
+      // Always recalculate songCount from songIds
+      if (Array.isArray(updated.songIds)) {
+        updated.songCount = updated.songIds.length;
+      }
+      return updated;
+    })();
+  }
+
+  /**
+   * Delete a playlist
+   * @param {string} id - Playlist ID
+   * @returns {boolean} True if deleted, false if not found
+   */
+  async deletePlaylist(id) {
+    return this.db.transaction(() => {
+      this.db.query('DELETE FROM playlist_songs WHERE playlist_id = ?').run(id);
+      this.db.query('DELETE FROM playlists WHERE id = ?').run(id);
+      return this.changes() > 0;
+    })();
+  }
+
+  // ============================================
+  // Play History Tracking
+  // ============================================
+
+  rowToHistoryEntry(row) {
+    return {
+      id: row.id,
+      songId: row.song_id,
+      playedAt: row.played_at,
+      durationPlayed: row.duration_played
+    };
+  }
+
+  /**
+   * Get play history (most recent first)
+   * @param {number} limit - Maximum number of entries to return
+   * @returns {Array<Object>} Play history entries
+   */
+  async getPlayHistory(limit = 100) {
+    return this.db.query('SELECT * FROM play_history ORDER BY seq DESC LIMIT ?')
+      .all(Math.max(0, Number(limit) || 0))
+      .map(row => this.rowToHistoryEntry(row));
+  }
+
+  /**
+   * Add a play to history
+   * Also increments song play count and updates last played
+   * Automatically prunes history to last 1000 entries
+   * @param {string} songId - ID of played song
+   * @param {number} durationPlayed - Seconds played
+   * @returns {boolean} Success status
+   */
+  async addPlayHistory(songId, durationPlayed) {
+    const now = new Date().toISOString();
+    this.db.transaction(() => {
+      this.db.query(
+        'INSERT INTO play_history (id, song_id, played_at, duration_played) VALUES (?, ?, ?, ?)'
+      ).run(Date.now().toString(), songId, now, durationPlayed ?? null);
+
+      // Keep only last 1000 entries to prevent unbounded growth
+      this.db.query(
+        'DELETE FROM play_history WHERE seq <= (SELECT MAX(seq) FROM play_history) - ?'
+      ).run(MAX_HISTORY_ENTRIES);
+
+      this.bumpPlayCount(songId, now);
+    })();
+    return true;
+  }
+
+  bumpPlayCount(songId, playedAt) {
+    const song = this.readSong(songId);
+    if (!song) return;
+    song.playCount = (song.playCount || 0) + 1;
+    song.lastPlayed = playedAt;
+    this.writeSong(song);
+  }
+
+  /**
+   * Increment play count for a song and update last played timestamp
+   * @param {string} songId - Song ID
+   */
+  async incrementPlayCount(songId) {
+    this.db.transaction(() => this.bumpPlayCount(songId, new Date().toISOString()))();
+  }
+
+  // ============================================
+  // Removed Songs (tombstones)
+  // ============================================
+
+  insertTombstones(songs, removedAt = null) {
+    const upsert = this.db.query(
+      'INSERT INTO tombstones (song_id, removed_at, data) VALUES (?, ?, ?) ' +
+      'ON CONFLICT(song_id) DO UPDATE SET removed_at = excluded.removed_at, data = excluded.data'
+    );
+    for (const song of songs) {
+      if (!song?.id) continue;
+      const at = removedAt || song.removedAt || new Date().toISOString();
+      upsert.run(String(song.id), at, JSON.stringify({ ...song, removedAt: at }));
+    }
+  }
+
+  /**
+   * Get records of songs whose files disappeared but whose references were kept
+   * @returns {Array<Object>} Song records with a `removedAt` timestamp
+   */
+  async getTombstones() {
+    return this.db.query('SELECT data FROM tombstones ORDER BY removed_at').all()
+      .map(row => parseJson(row.data, null))
+      .filter(Boolean);
+  }
+
+  /**
+   * Keep the records of removed songs (play counts, dates) for if their files come back
+   * An existing tombstone for the same ID is replaced
+   * @param {Array<Object>} songs - Song records that were removed from the library
+   * @returns {boolean} Success status
+   */
+  async addTombstones(songs) {
+    if (!Array.isArray(songs) || songs.length === 0) return true;
+    const removedAt = new Date().toISOString();
+    this.db.transaction(() => this.insertTombstones(songs, removedAt))();
+    return true;
+  }
+
+  /**
+   * Remove and return tombstones (used when a removed song's file reappears)
+   * @param {Function} match - (tombstone) => boolean
+   * @returns {Array<Object>} The removed tombstones
+   */
+  async takeTombstones(match) {
+    const taken = (await this.getTombstones()).filter(match);
+    if (taken.length > 0) {
+      const remove = this.db.query('DELETE FROM tombstones WHERE song_id = ?');
+      this.db.transaction(() => {
+        for (const tombstone of taken) remove.run(String(tombstone.id));
+      })();
+    }
+    return taken;
+  }
+
+  /**
+   * Drop every reference to songs that no longer exist
+   * Removes the IDs from playlists, play history, lyrics cache and tombstones
+   * @param {Array<string>} songIds - IDs to forget
+   * @returns {Object} Counts of removed references per table
+   */
+  async pruneSongReferences(songIds) {
+    const result = { playlists: 0, history: 0, lyrics: 0, tombstones: 0 };
+    const ids = new Set((songIds || []).map(String));
+    if (ids.size === 0) return result;
+
+    this.db.transaction(() => {
+      const playlistIds = new Set();
+      const findPlaylists = this.db.query('SELECT DISTINCT playlist_id FROM playlist_songs WHERE song_id = ?');
+      for (const id of ids) {
+        for (const row of findPlaylists.all(id)) playlistIds.add(row.playlist_id);
+      }
+
+      const touchPlaylist = this.db.query('UPDATE playlists SET modified_date = ? WHERE id = ?');
+      const now = new Date().toISOString();
+      for (const playlistId of playlistIds) {
+        this.replacePlaylistSongs(playlistId, this.playlistSongIds(playlistId).filter(id => !ids.has(id)));
+        touchPlaylist.run(now, playlistId);
+      }
+      result.playlists = playlistIds.size;
+
+      const dropHistory = this.db.query('DELETE FROM play_history WHERE song_id = ?');
+      const dropLyrics = this.db.query('DELETE FROM lyrics_cache WHERE song_id = ?');
+      const dropTombstone = this.db.query('DELETE FROM tombstones WHERE song_id = ?');
+      for (const id of ids) {
+        dropHistory.run(id);
+        result.history += this.changes();
+        dropLyrics.run(id);
+        result.lyrics += this.changes();
+        dropTombstone.run(id);
+        result.tombstones += this.changes();
+      }
+    })();
+
+    return result;
+  }
+
+  // ============================================
+  // Song ID Migration
+  // ============================================
+
+  /**
+   * Re-point every song ID reference to a new ID
+   * Used by the scanner when songs get new IDs (legacy ID migration, moved files)
+   * Rewrites playlists, play history and lyrics cache entries
+   * @param {Map<string, string>} idMap - Old song ID -> new song ID
+   * @returns {Object} Counts of rewritten references per table
+   */
+  async remapSongIds(idMap) {
+    const result = { playlists: 0, history: 0, lyrics: 0 };
+    if (!idMap || idMap.size === 0) return result;
+
+    this.db.transaction(() => {
+      const playlistIds = new Set();
+      const findPlaylists = this.db.query('SELECT DISTINCT playlist_id FROM playlist_songs WHERE song_id = ?');
+      for (const oldId of idMap.keys()) {
+        for (const row of findPlaylists.all(oldId)) playlistIds.add(row.playlist_id);
+      }
+
+      for (const playlistId of playlistIds) {
+        // Two old IDs can collapse into one new ID; keep the first occurrence.
+        const seen = new Set();
+        const songIds = this.playlistSongIds(playlistId)
+          .map(id => (idMap.has(id) ? idMap.get(id) : id))
+          .filter(id => (seen.has(id) ? false : seen.add(id)));
+        this.replacePlaylistSongs(playlistId, songIds);
+      }
+      result.playlists = playlistIds.size;
+
+      const updateHistory = this.db.query('UPDATE play_history SET song_id = ? WHERE song_id = ?');
+      const moveLyrics = this.db.query(
+        'UPDATE OR IGNORE lyrics_cache SET song_id = ? WHERE song_id = ?'
+      );
+      const dropLyrics = this.db.query('DELETE FROM lyrics_cache WHERE song_id = ?');
+      for (const [oldId, newId] of idMap) {
+        updateHistory.run(newId, oldId);
+        result.history += this.changes();
+
+        // Don't clobber an entry the new ID already has (UPDATE OR IGNORE leaves the old row).
+        moveLyrics.run(newId, oldId);
+        let touched = this.changes();
+        if (!touched) {
+          dropLyrics.run(oldId);
+          touched = this.changes();
+        }
+        if (touched) result.lyrics++;
+      }
+    })();
+
+    return result;
+  }
+
+  // ============================================
+  // Statistics
+  // ============================================
+
+  /**
+   * Calculate comprehensive library statistics
+   * @returns {Object} Statistics object with various metrics
+   */
+  async getStats() {
+    const songs = await this.getSongs();
+    const playlists = await this.getPlaylists();
+    const history = this.db.query('SELECT * FROM play_history ORDER BY seq').all()
+      .map(row => this.rowToHistoryEntry(row));
+    return computeLibraryStats(songs, playlists, history);
+  }
+}
+
+export default SqliteStorage;
@@ -0,0 +1,95 @@
+/**
+ * ============================================
+ * Server-Sent Events helpers
+ * ============================================
+ *
+ * Minimal SSE plumbing for Express responses:
+ * - openEventStream(): turns one response into an event stream (with heartbeat)
+ * - EventHub: fan-out to every connected client
+ *
+ * @module sse
+ */
+
+/**
+ * Turn a response into a Server-Sent Events stream
+ * @param {Object} req - Express request (closing it ends the stream)
+ * @param {Object} res - Express response
+ * @param {Object} options
+ * @param {number} options.heartbeatMs - Comment ping interval (keeps proxies from timing out)
+ * @returns {Object} { send(event, data), close(), onClose(fn), closed }
+ */
+export function openEventStream(req, res, { heartbeatMs = 25_000 } = {}) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    // Disable response buffering in nginx.
+    'X-Accel-Buffering': 'no'
+  });
+  res.write(': connected\n\n');
+
+  const closeHandlers = [];
+  let closed = false;
+
+  const heartbeat = setInterval(() => {
+    if (!closed) res.write(': ping\n\n');
+  }, heartbeatMs);
+
+  const cleanup = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    for (const fn of closeHandlers) {
+      try {
+        fn();
+      } catch {
+        // ignore
+      }
+    }
+  };
+
+  req.on('close', cleanup);
+
+  return {
+    send(event, data) {
+      if (closed) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data ?? null)}\n\n`);
+    },
+    close() {
+      cleanup();
+      res.end();
+    },
+    onClose(fn) {
+      closeHandlers.push(fn);
+    },
+    get closed() {
+      return closed;
+    }
+  };
+}
+
+/**
+ * Broadcast events to every connected SSE client
+ */
+export class EventHub {
+  constructor() {
+    this.clients = new Set();
+  }
+
+  /**
+   * Register a request as a client of this hub
+   * @returns {Object} The client's stream (see openEventStream)
+   */
+  attach(req, res) {
+    const stream = openEventStream(req, res);
+    this.clients.add(stream);
+    stream.onClose(() => this.clients.delete(stream));
+    return stream;
+  }
+
+  broadcast(event, data) {
+    for (const client of this.clients) {
+      client.send(event, data);
+    }
+  }
+}
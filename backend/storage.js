@@ -5,6 +5,7 @@
  * 
  * JSON-based persistent storage for music library data.
  * Manages songs, playlists, play history, and statistics.
+ * (sqliteStorage.js implements the same interface on SQLite; see createStorage())
  * 
  * Data Files:
  * - songs.json: Music library with metadata
@@ -29,6 +30,232 @@ import { fileURLToPath } from 'url';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+/**
+ * Calculate library statistics from raw records
+ * Shared by the JSON and SQLite storage backends
+ * @param {Array<Object>} songs - All songs
+ * @param {Array<Object>} playlists - All playlists
+ * @param {Array<Object>} history - Play history, oldest first
+ * @returns {Object} Statistics object with various metrics
+ */
+export function computeLibraryStats(songs, playlists, history) {
+  // Calculate various statistics
+  const totalSongs = songs.length;
+  const totalDuration = songs.reduce((sum, song) => sum + (song.duration || 0), 0);
+  const totalPlays = songs.reduce((sum, song) => sum + (song.playCount || 0), 0);
+
+  // Approximate total listening time from play counts.
+  // (durationPlayed is not consistently recorded by all clients)
+  const totalListeningTime = songs.reduce((sum, song) => {
+    const plays = song.playCount || 0;
+    const duration = song.duration || 0;
+    return sum + (plays * duration);
+  }, 0);
+  
+  // Get unique counts
+  const artists = new Set(songs.map(s => s.artist).filter(Boolean));
+  const albums = new Set(songs.map(s => s.album).filter(Boolean));
+  const genres = new Set(songs.map(s => s.genre).filter(Boolean));
+  
+  // Most played songs (top 10)
+  const mostPlayed = [...songs]
+    .sort((a, b) => (b.playCount || 0) - (a.playCount || 0))
+    .slice(0, 10);
+
+  // Album report (top 20)
+  const albumMap = new Map();
+  songs.forEach(song => {
+    const album = song.album || 'Unknown Album';
+    const artist = song.albumArtist || song.artist || 'Unknown Artist';
+    const key = `${album}|||${artist}`;
+    const plays = song.playCount || 0;
+    const duration = song.duration || 0;
+
+    if (!albumMap.has(key)) {
+      albumMap.set(key, {
+        album,
+        artist,
+        tracks: 0,
+        totalPlays: 0,
+        totalDuration: 0,
+        listeningTime: 0
+      });
+    }
+    const entry = albumMap.get(key);
+    entry.tracks += 1;
+    entry.totalPlays += plays;
+    entry.totalDuration += duration;
+    entry.listeningTime += plays * duration;
+  });
+
+  const albumReport = Array.from(albumMap.values())
+    .sort((a, b) => {
+      if (b.listeningTime !== a.listeningTime) return b.listeningTime - a.listeningTime;
+      if (b.totalPlays !== a.totalPlays) return b.totalPlays - a.totalPlays;
+      return String(a.album).localeCompare(String(b.album));
+    })
+    .slice(0, 20);
+
+  // Genre report (top 20)
+  const genreMap = new Map();
+  songs.forEach(song => {
+    const genre = song.genre || 'Unknown';
+    const plays = song.playCount || 0;
+    const duration = song.duration || 0;
+
+    if (!genreMap.has(genre)) {
+      genreMap.set(genre, {
+        genre,
+        songs: 0,
+        totalPlays: 0,
+        listeningTime: 0
+      });
+    }
+    const entry = genreMap.get(genre);
+    entry.songs += 1;
+    entry.totalPlays += plays;
+    entry.listeningTime += plays * duration;
+  });
+
+  const genreReport = Array.from(genreMap.values())
+    .sort((a, b) => {
+      if (b.listeningTime !== a.listeningTime) return b.listeningTime - a.listeningTime;
+      if (b.totalPlays !== a.totalPlays) return b.totalPlays - a.totalPlays;
+      return String(a.genre).localeCompare(String(b.genre));
+    })
+    .slice(0, 20);
+
+  // Artist report (top 20)
+  const artistMap = new Map();
+  songs.forEach(song => {
+    const artist = song.artist || 'Unknown Artist';
+    const plays = song.playCount || 0;
+    const duration = song.duration || 0;
+
+    if (!artistMap.has(artist)) {
+      artistMap.set(artist, {
+        artist,
+        songs: 0,
+        totalPlays: 0,
+        listeningTime: 0
+      });
+    }
+    const entry = artistMap.get(artist);
+    entry.songs += 1;
+    entry.totalPlays += plays;
+    entry.listeningTime += plays * duration;
+  });
+
+  const artistReport = Array.from(artistMap.values())
+    .sort((a, b) => {
+      if (b.listeningTime !== a.listeningTime) return b.listeningTime - a.listeningTime;
+      if (b.totalPlays !== a.totalPlays) return b.totalPlays - a.totalPlays;
+      return String(a.artist).localeCompare(String(b.artist));
+    })
+    .slice(0, 20);
+  
+  // Recently played - enrich with song data
+  const recentPlays = history.slice(-10).reverse();
+  const recentlyPlayed = recentPlays.map(play => {
+    const song = songs.find(s => s.id === play.songId);
+    return {
+      ...play,
+      title: song?.title || 'Unknown',
+      artist: song?.artist || 'Unknown Artist',
+      album: song?.album || 'Unknown Album'
+    };
+  }).filter(play => play.title !== 'Unknown');
+  
+  return {
+    totalSongs,
+    totalDuration,
+    totalListeningTime,
+    totalPlays,
+    totalPlaylists: playlists.length,
+    uniqueArtists: artists.size,
+    uniqueAlbums: albums.size,
+    uniqueGenres: genres.size,
+    mostPlayed,
+    recentlyPlayed,
+    albumReport,
+    genreReport,
+    artistReport
+  };
+}
+
+/**
+ * Songs matching the /api/search filters (case-insensitive substrings, exact year)
+ * Shared by the JSON and SQLite storage backends, so both answer the same way
+ * @param {Array<Object>} songs - Songs to filter, in library order
+ * @param {Object} filters
+ * @param {string} [filters.q] - Matches title, artist or album
+ * @param {string} [filters.artist]
+ * @param {string} [filters.album]
+ * @param {string} [filters.genre]
+ * @param {number} [filters.year]
+ * @returns {Array<Object>} Matching songs
+ */
+export function filterSongs(songs, { q, artist, album, genre, year } = {}) {
+  const contains = (value, text) => Boolean(value?.toLowerCase().includes(text.toLowerCase()));
+
+  return songs.filter(song =>
+    (!q || contains(song.title, q) || contains(song.artist, q) || contains(song.album, q)) &&
+    (!artist || contains(song.artist, artist)) &&
+    (!album || contains(song.album, album)) &&
+    (!genre || contains(song.genre, genre)) &&
+    (!year || song.year === year)
+  );
+}
+
+/**
+ * An album's tracks, sorted by disc and track number
+ * @param {Array<Object>} songs - Candidate songs
+ * @param {string} artist - Album artist (falls back to the track artist)
+ * @param {string} album - Album name, matched exactly
+ * @returns {Array<Object>} Tracks of the album
+ */
+export function albumTracks(songs, artist, album) {
+  return songs
+    .filter(song => song.album === album && (song.albumArtist || song.artist) === artist)
+    .sort((a, b) => {
+      if (a.discNumber !== b.discNumber) {
+        return (a.discNumber || 0) - (b.discNumber || 0);
+      }
+      return (a.trackNumber || 0) - (b.trackNumber || 0);
+    });
+}
+
+/**
+ * Artists with their song and album counts, in order of first appearance
+ * @param {Array<Object>} songs - All songs
+ * @returns {Array<{ name: string, songCount: number, albumCount: number }>}
+ */
+export function summarizeArtists(songs) {
+  const artistMap = new Map();
+
+  songs.forEach(song => {
+    const artist = song.artist || 'Unknown Artist';
+    if (!artistMap.has(artist)) {
+      artistMap.set(artist, {
+        name: artist,
+        songCount: 0,
+        albums: new Set()
+      });
+    }
+    const artistData = artistMap.get(artist);
+    artistData.songCount++;
+    if (song.album) {
+      artistData.albums.add(song.album);
+    }
+  });
+
+  return Array.from(artistMap.values()).map(artist => ({
+    name: artist.name,
+    songCount: artist.songCount,
+    albumCount: artist.albums.size
+  }));
+}
+
 class Storage {
   /**
    * Initialize storage with data directory path
@@ -41,6 +268,7 @@ class Storage {
     this.statsFile = path.join(this.dataDir, 'stats.json');
     this.playHistoryFile = path.join(this.dataDir, 'play_history.json');
     this.lyricsCacheFile = path.join(this.dataDir, 'lyrics_cache.json');
+    this.tombstonesFile = path.join(this.dataDir, 'tombstones.json');
   }
 
   /**
@@ -58,6 +286,7 @@ class Storage {
     await this.ensureFile(this.statsFile, {});
     await this.ensureFile(this.playHistoryFile, []);
     await this.ensureFile(this.lyricsCacheFile, {});
+    await this.ensureFile(this.tombstonesFile, []);
   }
 
   // ============================================
@@ -86,6 +315,14 @@ class Storage {
     return await this.saveLyricsCache(cache);
   }
 
+  async deleteLyricsEntry(songId) {
+    if (!songId) return false;
+    const cache = await this.getLyricsCache();
+    if (!Object.prototype.hasOwnProperty.call(cache, songId)) return false;
+    delete cache[songId];
+    return await this.saveLyricsCache(cache);
+  }
+
   /**
    * Ensure a file exists with default content
    * Only creates file if it doesn't already exist
@@ -164,6 +401,33 @@ class Storage {
     return songs.find(song => song.id === id);
   }
 
+  /**
+   * Search songs (see filterSongs())
+   * @param {Object} filters - { q, artist, album, genre, year }
+   * @returns {Array<Object>} Matching songs
+   */
+  async searchSongs(filters) {
+    return filterSongs(await this.getSongs(), filters);
+  }
+
+  /**
+   * Get an album's tracks (see albumTracks())
+   * @param {string} artist - Album artist
+   * @param {string} album - Album name
+   * @returns {Array<Object>} Tracks sorted by disc and track number
+   */
+  async getAlbumSongs(artist, album) {
+    return albumTracks(await this.getSongs(), artist, album);
+  }
+
+  /**
+   * Get all artists with song and album counts
+   * @returns {Array<Object>} See summarizeArtists()
+   */
+  async getArtists() {
+    return summarizeArtists(await this.getSongs());
+  }
+
   /**
    * Add a new song to library
    * @param {Object} song - Song object to add
@@ -191,6 +455,27 @@ class Storage {
     return false;
   }
 
+  /**
+   * Update several songs in one write
+   * @param {Array<{id: string, updates: Object}>} changes - Per-song field updates
+   * @returns {number} Number of songs updated (unknown IDs are skipped)
+   */
+  async updateSongs(changes) {
+    if (!Array.isArray(changes) || changes.length === 0) return 0;
+    const byId = new Map(changes.map(change => [change.id, change.updates]));
+    const songs = await this.getSongs();
+    let updated = 0;
+    for (let i = 0; i < songs.length; i++) {
+      const updates = byId.get(songs[i].id);
+      if (!updates) continue;
+      songs[i] = { ...songs[i], ...updates };
+      updated++;
+    }
+    if (updated === 0) return 0;
+    if (!await this.saveSongs(songs)) throw new Error('Failed to save songs');
+    return updated;
+  }
+
   // ============================================
   // Playlists Management
   // ============================================
@@ -355,6 +640,144 @@ class Storage {
     }
   }
 
+  // ============================================
+  // Removed Songs (tombstones)
+  // ============================================
+
+  /**
+   * Get records of songs whose files disappeared but whose references were kept
+   * @returns {Array<Object>} Song records with a `removedAt` timestamp
+   */
+  async getTombstones() {
+    return await this.readJSON(this.tombstonesFile) || [];
+  }
+
+  /**
+   * Keep the records of removed songs (play counts, dates) for if their files come back
+   * An existing tombstone for the same ID is replaced
+   * @param {Array<Object>} songs - Song records that were removed from the library
+   * @returns {boolean} Success status
+   */
+  async addTombstones(songs) {
+    if (!Array.isArray(songs) || songs.length === 0) return true;
+    const removedAt = new Date().toISOString();
+    const ids = new Set(songs.map(song => song.id));
+    const tombstones = (await this.getTombstones()).filter(t => !ids.has(t.id));
+    tombstones.push(...songs.map(song => ({ ...song, removedAt })));
+    return await this.writeJSON(this.tombstonesFile, tombstones);
+  }
+
+  /**
+   * Remove and return tombstones (used when a removed song's file reappears)
+   * @param {Function} match - (tombstone) => boolean
+   * @returns {Array<Object>} The removed tombstones
+   */
+  async takeTombstones(match) {
+    const tombstones = await this.getTombstones();
+    const taken = tombstones.filter(match);
+    if (taken.length > 0) {
+      await this.writeJSON(this.tombstonesFile, tombstones.filter(t => !taken.includes(t)));
+    }
+    return taken;
+  }
+
+  /**
+   * Drop every reference to songs that no longer exist
+   * Removes the IDs from playlists, play history, lyrics cache and tombstones
+   * @param {Array<string>} songIds - IDs to forget
+   * @returns {Object} Counts of removed references per file
+   */
+  async pruneSongReferences(songIds) {
+    const result = { playlists: 0, history: 0, lyrics: 0, tombstones: 0 };
+    const ids = new Set(songIds || []);
+    if (ids.size === 0) return result;
+
+    const playlists = await this.readJSON(this.playlistsFile) || [];
+    for (const playlist of playlists) {
+      const key = Array.isArray(playlist.songIds) ? 'songIds' : (Array.isArray(playlist.songs) ? 'songs' : null);
+      if (!key || !playlist[key].some(id => ids.has(id))) continue;
+      playlist[key] = playlist[key].filter(id => !ids.has(id));
+      playlist.songCount = playlist[key].length;
+      playlist.modifiedDate = new Date().toISOString();
+      result.playlists++;
+    }
+    if (result.playlists > 0) await this.savePlaylists(playlists);
+
+    const history = await this.readJSON(this.playHistoryFile) || [];
+    const keptHistory = history.filter(entry => !(entry && ids.has(entry.songId)));
+    result.history = history.length - keptHistory.length;
+    if (result.history > 0) await this.writeJSON(this.playHistoryFile, keptHistory);
+
+    const lyricsCache = await this.getLyricsCache();
+    for (const id of ids) {
+      if (!Object.prototype.hasOwnProperty.call(lyricsCache, id)) continue;
+      delete lyricsCache[id];
+      result.lyrics++;
+    }
+    if (result.lyrics > 0) await this.saveLyricsCache(lyricsCache);
+
+    result.tombstones = (await this.takeTombstones(t => ids.has(t.id))).length;
+
+    return result;
+  }
+
+  // ============================================
+  // Song ID Migration
+  // ============================================
+
+  /**
+   * Re-point every song ID reference to a new ID
+   * Used by the scanner when songs get new IDs (legacy ID migration, moved files)
+   * Rewrites playlists, play history and lyrics cache entries
+   * @param {Map<string, string>} idMap - Old song ID -> new song ID
+   * @returns {Object} Counts of rewritten references per file
+   */
+  async remapSongIds(idMap) {
+    const result = { playlists: 0, history: 0, lyrics: 0 };
+    if (!idMap || idMap.size === 0) return result;
+
+    const remap = (id) => (idMap.has(id) ? idMap.get(id) : id);
+
+    const playlists = await this.readJSON(this.playlistsFile) || [];
+    let playlistsChanged = false;
+    for (const playlist of playlists) {
+      const key = Array.isArray(playlist.songIds) ? 'songIds' : (Array.isArray(playlist.songs) ? 'songs' : null);
+      if (!key) continue;
+      const before = playlist[key];
+      if (!before.some(id => idMap.has(id))) continue;
+      // Two old IDs can collapse into one new ID; keep the first occurrence.
+      const seen = new Set();
+      playlist[key] = before.map(remap).filter(id => (seen.has(id) ? false : seen.add(id)));
+      playlist.songCount = playlist[key].length;
+      playlistsChanged = true;
+      result.playlists++;
+    }
+    if (playlistsChanged) await this.savePlaylists(playlists);
+
+    const history = await this.readJSON(this.playHistoryFile) || [];
+    for (const entry of history) {
+      if (entry && idMap.has(entry.songId)) {
+        entry.songId = idMap.get(entry.songId);
+        result.history++;
+      }
+    }
+    if (result.history > 0) await this.writeJSON(this.playHistoryFile, history);
+
+    const lyricsCache = await this.getLyricsCache();
+    for (const [oldId, newId] of idMap) {
+      if (!Object.prototype.hasOwnProperty.call(lyricsCache, oldId)) continue;
+      // Don't clobber an entry the new ID already has.
+      if (!Object.prototype.hasOwnProperty.call(lyricsCache, newId)) {
+        lyricsCache[newId] = lyricsCache[oldId];
+      }
+      delete lyricsCache[oldId];
+      result.lyrics++;
+    }
+    if (result.lyrics > 0) await this.saveLyricsCache(lyricsCache);
+
+    return result;
+  }
+
   // ============================================
   // Statistics
   // ============================================
@@ -368,150 +791,30 @@ class Storage {
     const songs = await this.getSongs();
     const playlists = await this.getPlaylists();
     const history = await this.readJSON(this.playHistoryFile) || [];
-    
-    // Calculate various statistics
-    const totalSongs = songs.length;
-    const totalDuration = songs.reduce((sum, song) => sum + (song.duration || 0), 0);
-    const totalPlays = songs.reduce((sum, song) => sum + (song.playCount || 0), 0);
-
-    // Approximate total listening time from play counts.
-    // (durationPlayed is not consistently recorded by all clients)
-    const totalListeningTime = songs.reduce((sum, song) => {
-      const plays = song.playCount || 0;
-      const duration = song.duration || 0;
-      return sum + (plays * duration);
-    }, 0);
-    
-    // Get unique counts
-    const artists = new Set(songs.map(s => s.artist).filter(Boolean));
-    const albums = new Set(songs.map(s => s.album).filter(Boolean));
-    const genres = new Set(songs.map(s => s.genre).filter(Boolean));
-    
-    // Most played songs (top 10)
-    const mostPlayed = [...songs]
-      .sort((a, b) => (b.playCount || 0) - (a.playCount || 0))
-      .slice(0, 10);
-
-    // Album report (top 20)
-    const albumMap = new Map();
-    songs.forEach(song => {
-      const album = song.album || 'Unknown Album';
-      const artist = song.albumArtist || song.artist || 'Unknown Artist';
-      const key = `${album}|||${artist}`;
-      const plays = song.playCount || 0;
-      const duration = song.duration || 0;
-
-      if (!albumMap.has(key)) {
-        albumMap.set(key, {
-          album,
-          artist,
-          tracks: 0,
-          totalPlays: 0,
-          totalDuration: 0,
-          listeningTime: 0
-        });
-      }
-      const entry = albumMap.get(key);
-      entry.tracks += 1;
-      entry.totalPlays += plays;
-      entry.totalDuration += duration;
-      entry.listeningTime += plays * duration;
-    });
-
-    const albumReport = Array.from(albumMap.values())
-      .sort((a, b) => {
-        if (b.listeningTime !== a.listeningTime) return b.listeningTime - a.listeningTime;
-        if (b.totalPlays !== a.totalPlays) return b.totalPlays - a.totalPlays;
-        return String(a.album).localeCompare(String(b.album));
-      })
-      .slice(0, 20);
-
-    // Genre report (top 20)
-    const genreMap = new Map();
-    songs.forEach(song => {
-      const genre = song.genre || 'Unknown';
-      const plays = song.playCount || 0;
-      const duration = song.duration || 0;
-
-      if (!genreMap.has(genre)) {
-        genreMap.set(genre, {
-          genre,
-          songs: 0,
-          totalPlays: 0,
-          listeningTime: 0
-        });
-      }
-      const entry = genreMap.get(genre);
-      entry.songs += 1;
-      entry.totalPlays += plays;
-      entry.listeningTime += plays * duration;
-    });
+    return computeLibraryStats(songs, playlists, history);
+  }
+}
 
-    const genreReport = Array.from(genreMap.values())
-      .sort((a, b) => {
-        if (b.listeningTime !== a.listeningTime) return b.listeningTime - a.listeningTime;
-        if (b.totalPlays !== a.totalPlays) return b.totalPlays - a.totalPlays;
-        return String(a.genre).localeCompare(String(b.genre));
-      })
-      .slice(0, 20);
-
-    // Artist report (top 20)
-    const artistMap = new Map();
-    songs.forEach(song => {
-      const artist = song.artist || 'Unknown Artist';
-      const plays = song.playCount || 0;
-      const duration = song.duration || 0;
-
-      if (!artistMap.has(artist)) {
-        artistMap.set(artist, {
-          artist,
-          songs: 0,
-          totalPlays: 0,
-          listeningTime: 0
-        });
-      }
-      const entry = artistMap.get(artist);
-      entry.songs += 1;
-      entry.totalPlays += plays;
-      entry.listeningTime += plays * duration;
-    });
+/**
+ * Create the storage backend selected in config
+ * `storageBackend: "sqlite"` uses bun:sqlite (see sqliteStorage.js); anything else,
+ * or a runtime without bun:sqlite, uses the JSON files
+ * @param {Object} config - Server config (dataDirectory, storageBackend)
+ * @returns {Promise<Object>} Storage instance (call init() before use)
+ */
+export async function createStorage(config = {}) {
+  const dataDir = config.dataDirectory || './data';
 
-    const artistReport = Array.from(artistMap.values())
-      .sort((a, b) => {
-        if (b.listeningTime !== a.listeningTime) return b.listeningTime - a.listeningTime;
-        if (b.totalPlays !== a.totalPlays) return b.totalPlays - a.totalPlays;
-        return String(a.artist).localeCompare(String(b.artist));
-      })
-      .slice(0, 20);
-    
-    // Recently played - enrich with song data
-    const recentPlays = history.slice(-10).reverse();
-    const recentlyPlayed = recentPlays.map(play => {
-      const song = songs.find(s => s.id === play.songId);
-      return {
-        ...play,
-        title: song?.title || 'Unknown',
-        artist: song?.artist || 'Unknown Artist',
-        album: song?.album || 'Unknown Album'
-      };
-    }).filter(play => play.title !== 'Unknown');
-    
-    return {
-      totalSongs,
-      totalDuration,
-      totalListeningTime,
-      totalPlays,
-      totalPlaylists: playlists.length,
-      uniqueArtists: artists.size,
-      uniqueAlbums: albums.size,
-      uniqueGenres: genres.size,
-      mostPlayed,
-      recentlyPlayed,
-      albumReport,
-      genreReport,
-      artistReport
-    };
+  if (String(config.storageBackend || 'json').toLowerCase() === 'sqlite') {
+    try {
+      const { default: SqliteStorage } = await import('./sqliteStorage.js');
+      return new SqliteStorage(dataDir);
+    } catch (error) {
+      console.warn(`SQLite storage unavailable (${error.message}); using JSON files instead.`);
+    }
   }
+
+  return new Storage(dataDir);
 }
 
 export default Storage;
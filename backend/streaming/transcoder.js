@@ -0,0 +1,499 @@
+/**
+ * Transcoder
+ *
+ * On-the-fly transcoding for formats the browser can't play natively.
+ *
+ * Design goals:
+ * - Uses a local ffmpeg via child_process.spawn (no shell, no native deps)
+ * - Transcoded output is cached on disk so range requests/seeking work
+ * - The first request doesn't wait for the whole file: ffmpeg's output goes to the
+ *   client while it is written to the cache (see openRendition())
+ * - Concurrent requests for the same rendition share one ffmpeg run
+ * - The cache stays bounded: entries unused for maxCacheAgeMs are removed, then the
+ *   least recently used ones until it fits in maxCacheBytes
+ * - A failed transcode is remembered for failureTtlMs, so the range requests that
+ *   follow it don't start ffmpeg over and over
+ *
+ * Cache key: sha1 of song id + file size + mtime + target format + bitrate.
+ * Any change to the source file produces a new key; stale entries age out of the cache.
+ * An entry's mtime is its last use (touched on every hit).
+ */
+
+import { spawn } from 'node:child_process';
+import { createWriteStream } from 'node:fs';
+import fs from 'node:fs/promises';
+import { PassThrough } from 'node:stream';
+import path from 'node:path';
+import crypto from 'node:crypto';
+
+// Source MIME types by music-metadata container name (lowercased) and by extension.
+const CONTAINER_MIME_TYPES = {
+  mpeg: 'audio/mpeg',
+  flac: 'audio/flac',
+  ogg: 'audio/ogg',
+  'mpeg-4': 'audio/mp4',
+  'm4a/mp4a': 'audio/mp4',
+  'm4a/isom': 'audio/mp4',
+  wave: 'audio/wav',
+  adts: 'audio/aac',
+  asf: 'audio/x-ms-wma'
+};
+
+const EXTENSION_MIME_TYPES = {
+  mp3: 'audio/mpeg',
+  flac: 'audio/flac',
+  m4a: 'audio/mp4',
+  mp4: 'audio/mp4',
+  aac: 'audio/aac',
+  ogg: 'audio/ogg',
+  oga: 'audio/ogg',
+  opus: 'audio/ogg; codecs=opus',
+  wav: 'audio/wav',
+  wma: 'audio/x-ms-wma'
+};
+
+// Transcode targets the stream route accepts via ?format=
+export const TRANSCODE_TARGETS = {
+  mp3: {
+    mimeType: 'audio/mpeg',
+    extension: 'mp3',
+    defaultBitrate: 256,
+    args: ['-c:a', 'libmp3lame', '-f', 'mp3']
+  },
+  opus: {
+    mimeType: 'audio/ogg; codecs=opus',
+    extension: 'opus',
+    defaultBitrate: 160,
+    args: ['-c:a', 'libopus', '-f', 'ogg']
+  },
+  aac: {
+    mimeType: 'audio/mp4',
+    extension: 'm4a',
+    defaultBitrate: 256,
+    // faststart moves the moov atom to the front so the browser can start playback immediately.
+    args: ['-c:a', 'aac', '-movflags', '+faststart', '-f', 'ipod'],
+    // ...which needs a seekable output file, so this one can't be sent while it's written.
+    streamable: false
+  }
+};
+
+// Named quality profiles the stream route accepts via ?profile= (bitrate in kbps, null = untouched original)
+export const STREAM_PROFILES = {
+  original: null,
+  high: 256,
+  normal: 128,
+  low: 64
+};
+
+const MIN_BITRATE_KBPS = 32;
+const MAX_BITRATE_KBPS = 320;
+
+// Transcode cache limits (overridable via the Transcoder constructor)
+const DEFAULT_MAX_CACHE_BYTES = 2 * 1024 * 1024 * 1024;
+const DEFAULT_MAX_CACHE_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+const DEFAULT_FAILURE_TTL_MS = 10 * 60 * 1000;
+// Leftover temp files older than this come from an interrupted run (longer than the ffmpeg timeout).
+const STALE_TEMP_MS = 60 * 60 * 1000;
+
+/**
+ * Resolve the real MIME type for a song from its container/extension.
+ * @param {Object} song - Song record (uses `format` and `filePath`)
+ * @returns {string} MIME type (falls back to audio/mpeg)
+ */
+export function mimeTypeForSong(song) {
+  const container = String(song?.format || '').toLowerCase().split('/')[0].trim();
+  const ext = path.extname(String(song?.filePath || '')).slice(1).toLowerCase();
+
+  // Ogg can hold either vorbis or opus; the extension is the better hint there.
+  if (ext === 'opus') return EXTENSION_MIME_TYPES.opus;
+
+  return CONTAINER_MIME_TYPES[container]
+    || EXTENSION_MIME_TYPES[container]
+    || EXTENSION_MIME_TYPES[ext]
+    || 'audio/mpeg';
+}
+
+/**
+ * Validate ?format= / ?bitrate= query values.
+ * @param {{ format?: string, bitrate?: string|number }} query
+ * @returns {{ ok: boolean, error?: string, target?: Object, format?: string, bitrate?: number }}
+ */
+export function parseTranscodeRequest({ format, bitrate } = {}) {
+  const name = String(format || '').trim().toLowerCase();
+  const target = TRANSCODE_TARGETS[name];
+  if (!target) {
+    return { ok: false, error: `Invalid format (expected one of: ${Object.keys(TRANSCODE_TARGETS).join(', ')})` };
+  }
+
+  let kbps = target.defaultBitrate;
+  if (bitrate != null && bitrate !== '') {
+    const n = Number(bitrate);
+    if (!Number.isFinite(n) || n < MIN_BITRATE_KBPS || n > MAX_BITRATE_KBPS) {
+      return { ok: false, error: `Invalid bitrate (expected ${MIN_BITRATE_KBPS}-${MAX_BITRATE_KBPS} kbps)` };
+    }
+    kbps = Math.round(n);
+  }
+
+  return { ok: true, target, format: name, bitrate: kbps };
+}
+
+/**
+ * Resolve ?profile= / ?format= / ?bitrate= into either the original file or a transcode request.
+ * A profile only supplies a default bitrate; an explicit ?bitrate= still wins.
+ * @param {{ profile?: string, format?: string, bitrate?: string|number }} query
+ * @returns {{ ok: boolean, error?: string, original?: boolean, profile?: string|null, target?: Object, format?: string, bitrate?: number }}
+ */
+export function parseStreamRequest({ profile, format, bitrate } = {}) {
+  const profileName = String(profile || '').trim().toLowerCase();
+  if (profileName && !Object.prototype.hasOwnProperty.call(STREAM_PROFILES, profileName)) {
+    return { ok: false, error: `Invalid profile (expected one of: ${Object.keys(STREAM_PROFILES).join(', ')})` };
+  }
+
+  const profileBitrate = profileName ? STREAM_PROFILES[profileName] : null;
+  if (!format && profileBitrate == null) {
+    return { ok: true, original: true, profile: profileName || null };
+  }
+
+  const request = parseTranscodeRequest({
+    format: format || 'mp3',
+    bitrate: (bitrate != null && bitrate !== '') ? bitrate : profileBitrate
+  });
+  return request.ok ? { ...request, profile: profileName || null } : request;
+}
+
+/**
+ * Run ffmpeg to completion.
+ * @param {string} ffmpegPath
+ * @param {string[]} args
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs] - Kill ffmpeg after this long
+ * @param {number} [options.maxStderrBytes] - Keep at most this much stderr
+ * @param {Function} [options.onStdout] - Receives stdout chunks (output to "pipe:1"); stdout is ignored without it
+ * @returns {Promise<{ code: number|null, signal: string|null, stderr: string }>}
+ */
+export function runFfmpeg(ffmpegPath, args, { timeoutMs = 10 * 60_000, maxStderrBytes = 64 * 1024, onStdout = null } = {}) {
+  return new Promise((resolve) => {
+    const child = spawn(ffmpegPath, args, {
+      windowsHide: true,
+      stdio: ['ignore', onStdout ? 'pipe' : 'ignore', 'pipe']
+    });
+
+    if (onStdout) child.stdout.on('data', onStdout);
+
+    let stderr = '';
+    let finished = false;
+
+    const killTimer = setTimeout(() => {
+      try {
+        child.kill('SIGKILL');
+      } catch {
+        // ignore
+      }
+    }, timeoutMs);
+
+    child.stderr.on('data', (d) => {
+      if (stderr.length >= maxStderrBytes) return;
+      stderr += d.toString();
+    });
+
+    const done = (code, signal) => {
+      if (finished) return;
+      finished = true;
+      clearTimeout(killTimer);
+      resolve({ code, signal, stderr });
+    };
+
+    child.on('error', (err) => {
+      // Spawn failure (ffmpeg missing, permission issues, etc.)
+      stderr = String(err?.message || err);
+      done(null, null);
+    });
+
+    child.on('close', done);
+  });
+}
+
+export class Transcoder {
+  /**
+   * @param {Object} options
+   * @param {string} options.cacheDir - Directory for transcoded renditions
+   * @param {string} options.ffmpegPath - ffmpeg binary
+   * @param {number} options.maxCacheBytes - Size cap for cacheDir (least recently used entries go first)
+   * @param {number} options.maxCacheAgeMs - Entries unused for this long are removed
+   * @param {number} options.failureTtlMs - How long a failed transcode is answered from memory
+   * @param {Object} options.logger - console-like logger
+   */
+  constructor({
+    cacheDir,
+    ffmpegPath = 'ffmpeg',
+    maxCacheBytes = DEFAULT_MAX_CACHE_BYTES,
+    maxCacheAgeMs = DEFAULT_MAX_CACHE_AGE_MS,
+    failureTtlMs = DEFAULT_FAILURE_TTL_MS,
+    logger = console
+  } = {}) {
+    this.cacheDir = cacheDir;
+    this.ffmpegPath = ffmpegPath;
+    this.maxCacheBytes = maxCacheBytes;
+    this.maxCacheAgeMs = maxCacheAgeMs;
+    this.failureTtlMs = failureTtlMs;
+    this.logger = logger;
+
+    // cache file path -> { promise, started, chunks, listeners, done } for in-flight transcodes
+    this._inFlight = new Map();
+    // cache file path -> { error, until } for recently failed transcodes
+    this._failures = new Map();
+    this._cleaning = null;
+    this._cleanedOnce = false;
+  }
+
+  cacheKey(song, { format, bitrate }) {
+    const h = crypto.createHash('sha1');
+    h.update(String(song.id));
+    h.update('\n');
+    h.update(String(song.fileSize ?? ''));
+    h.update('\n');
+    h.update(String(song.lastModified ?? ''));
+    h.update('\n');
+    h.update(`${format}@${bitrate}`);
+    return h.digest('hex');
+  }
+
+  /**
+   * Return a path to a fully transcoded rendition, transcoding on first use.
+   * @param {Object} song - Song record with absolute `filePath`
+   * @param {{ target: Object, format: string, bitrate: number }} request - From parseTranscodeRequest()
+   * @returns {Promise<string>} Absolute path to cached output
+   */
+  async getRendition(song, request) {
+    const { outPath, job } = await this._lookup(song, request);
+    return job ? await job.promise : outPath;
+  }
+
+  /**
+   * Like getRendition(), but without waiting for a transcode to finish: while one
+   * runs, the caller gets a stream of the output as ffmpeg writes it to the cache
+   * (starting from the first byte, also for a caller that joins late).
+   * Resolves once the first output is there, so a transcode that fails right away
+   * still rejects instead of producing an empty stream.
+   * @param {Object} song - Song record with absolute `filePath`
+   * @param {{ target: Object, format: string, bitrate: number }} request - From parseTranscodeRequest()
+   * @returns {Promise<{ path: string }|{ stream: import('node:stream').Readable }>} The cached
+   *   file, or the live output (destroyed with an error if the transcode fails midway)
+   */
+  async openRendition(song, request) {
+    const { outPath, job } = await this._lookup(song, request);
+    if (!job) return { path: outPath };
+    if (request.target.streamable === false) {
+      return { path: await job.promise };
+    }
+
+    await Promise.race([job.started, job.promise]);
+    if (job.done) return { path: await job.promise };
+
+    const stream = new PassThrough();
+    job.chunks.forEach((chunk) => stream.write(chunk));
+    const listener = (chunk) => stream.write(chunk);
+    job.listeners.add(listener);
+    const stop = () => job.listeners.delete(listener);
+    stream.on('close', stop);
+    job.promise.then(() => {
+      stop();
+      stream.end();
+    }, (error) => {
+      stop();
+      stream.destroy(error);
+    });
+    return { stream };
+  }
+
+  /**
+   * Find a cached rendition, or the transcode producing it (started if needed).
+   * @returns {Promise<{ outPath: string, job: Object|null }>}
+   */
+  async _lookup(song, { target, format, bitrate }) {
+    const key = this.cacheKey(song, { format, bitrate });
+    const outPath = path.join(this.cacheDir, `${key}.${target.extension}`);
+
+    // Entries left over from earlier runs count against the limits too.
+    if (!this._cleanedOnce) {
+      this._cleanedOnce = true;
+      void this.cleanup();
+    }
+
+    try {
+      const now = new Date();
+      // Mark as recently used for the LRU cleanup.
+      await fs.utimes(outPath, now, now);
+      return { outPath, job: null };
+    } catch {
+      // Not cached yet.
+    }
+
+    const pending = this._inFlight.get(outPath);
+    if (pending) return { outPath, job: pending };
+
+    const failure = this._failures.get(outPath);
+    if (failure && failure.until > Date.now()) throw failure.error;
+    this._failures.delete(outPath);
+
+    let markStarted;
+    const job = {
+      started: new Promise((resolve) => {
+        markStarted = resolve;
+      }),
+      // Output so far, for streams that join while the transcode runs.
+      chunks: [],
+      listeners: new Set(),
+      done: false
+    };
+    const onData = (chunk) => {
+      job.chunks.push(chunk);
+      job.listeners.forEach((listener) => listener(chunk));
+      markStarted();
+    };
+    job.promise = this._transcode(song.filePath, outPath, { target, bitrate }, onData)
+      .then((result) => {
+        void this.cleanup();
+        return result;
+      }, (error) => {
+        this._rememberFailure(outPath, error);
+        throw error;
+      })
+      .finally(() => {
+        job.done = true;
+        this._inFlight.delete(outPath);
+      });
+    // Callers that only stream never await the promise itself.
+    job.promise.catch(() => {});
+    this._inFlight.set(outPath, job);
+    return { outPath, job };
+  }
+
+  _rememberFailure(outPath, error) {
+    const now = Date.now();
+    for (const [key, entry] of this._failures) {
+      if (entry.until <= now) this._failures.delete(key);
+    }
+    this._failures.set(outPath, { error, until: now + this.failureTtlMs });
+  }
+
+  /**
+   * Enforce the cache limits: drop entries unused for maxCacheAgeMs, then the least
+   * recently used ones until the directory fits in maxCacheBytes.
+   * Runs one at a time; a call while a cleanup is running shares it.
+   * @returns {Promise<{ removed: number, bytes: number }>} Removed entries and the remaining cache size
+   */
+  async cleanup() {
+    if (this._cleaning) return await this._cleaning;
+
+    this._cleaning = this._cleanup()
+      .catch((err) => {
+        this.logger?.warn?.('[transcode] Cache cleanup failed:', err?.message || err);
+        return { removed: 0, bytes: 0 };
+      })
+      .finally(() => {
+        this._cleaning = null;
+      });
+    return await this._cleaning;
+  }
+
+  async _cleanup() {
+    let names;
+    try {
+      names = await fs.readdir(this.cacheDir);
+    } catch {
+      return { removed: 0, bytes: 0 };
+    }
+
+    const now = Date.now();
+    const entries = [];
+    let removed = 0;
+    for (const name of names) {
+      const filePath = path.join(this.cacheDir, name);
+      let stat;
+      try {
+        stat = await fs.stat(filePath);
+      } catch {
+        continue;
+      }
+      if (!stat.isFile()) continue;
+
+      const age = now - stat.mtimeMs;
+      if (name.includes('.tmp-')) {
+        // In-progress output; only clear what an interrupted run left behind.
+        if (age > STALE_TEMP_MS) {
+          await fs.rm(filePath, { force: true });
+          removed++;
+        }
+        continue;
+      }
+
+      if (age > this.maxCacheAgeMs) {
+        await fs.rm(filePath, { force: true });
+        removed++;
+        continue;
+      }
+      entries.push({ filePath, size: stat.size, usedAt: stat.mtimeMs });
+    }
+
+    let bytes = entries.reduce((sum, entry) => sum + entry.size, 0);
+    entries.sort((a, b) => a.usedAt - b.usedAt);
+    // Never drop the newest entry: it's the one that was just requested.
+    for (let i = 0; i < entries.length - 1 && bytes > this.maxCacheBytes; i++) {
+      await fs.rm(entries[i].filePath, { force: true });
+      bytes -= entries[i].size;
+      removed++;
+    }
+
+    return { removed, bytes };
+  }
+
+  async _transcode(srcPath, outPath, { target, bitrate }, onData = null) {
+    await fs.mkdir(this.cacheDir, { recursive: true });
+
+    // Write to a temp file and rename so a crash never leaves a truncated cache entry.
+    const tmp = `${outPath}.tmp-${Date.now()}-${Math.random().toString(16).slice(2)}`;
+    // Streamable formats go through stdout, so the output can be passed on as it comes.
+    const file = target.streamable === false ? null : createWriteStream(tmp);
+    let writeError = null;
+    const written = file && new Promise((resolve) => {
+      file.on('error', (error) => {
+        writeError = error;
+      });
+      file.on('close', resolve);
+    });
+    const args = [
+      '-hide_banner',
+      '-loglevel', 'error',
+      '-nostdin',
+      '-i', srcPath,
+      '-map', '0:a:0',
+      '-vn',
+      '-b:a', `${bitrate}k`,
+      ...target.args,
+      '-y', file ? 'pipe:1' : tmp
+    ];
+
+    const res = await runFfmpeg(this.ffmpegPath, args, {
+      onStdout: file && ((chunk) => {
+        file.write(chunk);
+        if (onData) onData(chunk);
+      })
+    });
+    if (file) {
+      file.end();
+      await written;
+    }
+    if (res.code !== 0 || writeError) {
+      await fs.rm(tmp, { force: true });
+      const detail = writeError?.message
+        || String(res.stderr || '').trim().split(/\r?\n/).pop()
+        || `exit code ${res.code}`;
+      this.logger?.warn?.(`[ffmpeg] Transcode failed for ${srcPath}: ${detail}`);
+      throw new Error('Transcoding failed (is ffmpeg installed?)');
+    }
+
+    await fs.rename(tmp, outPath);
+    return outPath;
+  }
+}
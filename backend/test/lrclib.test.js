@@ -0,0 +1,232 @@
+/**
+ * Online lyrics: the lrcget-style request chain (lrclibClient.js) and the
+ * lyrics cache around it (lyricsService.js), against a stand-in LRCLIB server.
+ */
+
+import { describe, test, expect, beforeAll, afterAll, beforeEach, afterEach, setSystemTime } from 'bun:test';
+import http from 'node:http';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import Storage from '../storage.js';
+import { fetchLyricsLrcgetStyle } from '../lyrics/lrclibClient.js';
+import { resolveLyricsForSong } from '../lyrics/lyricsService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+const SYNCED = '[00:01.00]First line\n[00:02.00]Second line';
+
+// Stand-in LRCLIB instance: answers /api/get and /api/search from `routes`
+// and records every request it gets.
+let server;
+let instanceUrl;
+let requests = [];
+let routes = {};
+
+function reply(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+beforeAll(async () => {
+  server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    requests.push({ pathname: url.pathname, params: Object.fromEntries(url.searchParams) });
+    const route = routes[url.pathname];
+    if (!route) return reply(res, 404, { message: 'Not found' });
+    const [status, body] = route(url.searchParams);
+    reply(res, status, body);
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  instanceUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(() => {
+  server.close();
+});
+
+beforeEach(() => {
+  requests = [];
+  routes = {};
+});
+
+describe('fetchLyricsLrcgetStyle', () => {
+  test('asks /api/get with the rounded duration first', async () => {
+    routes['/api/get'] = () => [200, { id: 7, syncedLyrics: SYNCED, plainLyrics: 'First line\nSecond line' }];
+
+    const res = await fetchLyricsLrcgetStyle({
+      artist: ' Some  Artist ',
+      title: 'Song',
+      album: 'Album',
+      durationSeconds: 201.6,
+      instanceUrl
+    });
+
+    expect(res).toMatchObject({ found: true, status: 200, synced: true, providerId: 7, instrumental: false });
+    expect(res.lrc).toBe(`${SYNCED}\n`);
+    expect(requests).toHaveLength(1);
+    expect(requests[0]).toEqual({
+      pathname: '/api/get',
+      params: { artist_name: 'Some Artist', track_name: 'Song', album_name: 'Album', duration: '202' }
+    });
+  });
+
+  test('falls back to /api/search and picks synced lyrics with the closest duration', async () => {
+    routes['/api/get'] = () => [404, { message: 'Not found' }];
+    routes['/api/search'] = () => [200, [
+      { id: 1, duration: 200, plainLyrics: 'Plain only' },
+      { id: 2, duration: 260, syncedLyrics: '[00:01.00]Far' },
+      { id: 3, duration: 203, syncedLyrics: '[00:01.00]Close' }
+    ]];
+
+    const res = await fetchLyricsLrcgetStyle({ artist: 'A', title: 'T', durationSeconds: 202, instanceUrl });
+
+    expect(res).toMatchObject({ found: true, synced: true, providerId: 3, lrc: '[00:01.00]Close\n' });
+    expect(requests.map((r) => r.pathname)).toEqual(['/api/get', '/api/search']);
+  });
+
+  test('searches right away without a duration', async () => {
+    routes['/api/search'] = () => [200, [{ id: 4, plainLyrics: 'Words' }]];
+
+    const res = await fetchLyricsLrcgetStyle({ artist: 'A', title: 'T', instanceUrl });
+
+    expect(res).toMatchObject({ found: true, synced: false, lrc: 'Words\n' });
+    expect(requests.map((r) => r.pathname)).toEqual(['/api/search']);
+  });
+
+  test('reports instrumental tracks', async () => {
+    routes['/api/get'] = () => [200, { id: 5, instrumental: true }];
+
+    const res = await fetchLyricsLrcgetStyle({ artist: 'A', title: 'T', durationSeconds: 90, instanceUrl });
+
+    expect(res).toMatchObject({ found: true, instrumental: true, synced: false });
+  });
+
+  test('is a 404 when nothing matches and a 400 without artist or title', async () => {
+    routes['/api/search'] = () => [200, []];
+
+    expect(await fetchLyricsLrcgetStyle({ artist: 'A', title: 'T', instanceUrl })).toEqual({ found: false, status: 404 });
+    expect(await fetchLyricsLrcgetStyle({ title: 'T', instanceUrl })).toEqual({ found: false, status: 400 });
+    expect(requests).toHaveLength(1);
+  });
+
+  test('passes server errors on', async () => {
+    routes['/api/get'] = () => [500, { message: 'Boom' }];
+    routes['/api/search'] = () => [503, { message: 'Busy' }];
+
+    const res = await fetchLyricsLrcgetStyle({ artist: 'A', title: 'T', durationSeconds: 90, instanceUrl });
+
+    expect(res).toEqual({ found: false, status: 503 });
+  });
+});
+
+describe('resolveLyricsForSong (online lookups)', () => {
+  let dir;
+  let storage;
+  let song;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'player0-lyrics-'));
+    storage = new Storage(path.join(dir, 'data'));
+    await storage.init();
+
+    // Not a real MP3: no embedded lyrics, and no sidecar files next to it.
+    const filePath = path.join(dir, 'song.mp3');
+    await fs.writeFile(filePath, 'not audio');
+    song = { id: 'song-1', filePath, artist: 'Artist', title: 'Title', album: 'Album', duration: 180 };
+  });
+
+  afterEach(async () => {
+    setSystemTime();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  const resolve = (options = {}) => resolveLyricsForSong({ storage, song, providerUrl: instanceUrl, ...options });
+
+  test('stays offline without a provider URL', async () => {
+    const res = await resolveLyricsForSong({ storage, song });
+
+    expect(res).toMatchObject({ ok: false, status: 404 });
+    expect(requests).toHaveLength(0);
+  });
+
+  test('keeps found lyrics until the artist, title, album or duration change', async () => {
+    routes['/api/get'] = () => [200, { id: 9, syncedLyrics: SYNCED }];
+
+    expect(await resolve()).toMatchObject({ ok: true, source: 'lrclib', synced: true, lrc: `${SYNCED}\n` });
+    expect(await storage.getLyricsEntry(song.id)).toMatchObject({ found: true, providerId: 9 });
+
+    // Long after any expiry: still served from the cache.
+    setSystemTime(new Date(Date.now() + 365 * DAY_MS));
+    expect(await resolve()).toMatchObject({ ok: true, source: 'lrclib' });
+    expect(requests).toHaveLength(1);
+
+    for (const change of [{ artist: 'Other' }, { title: 'Other' }, { album: 'Other' }, { duration: 240 }]) {
+      song = { ...song, ...change };
+      await resolve();
+    }
+    expect(requests).toHaveLength(5);
+  });
+
+  test('asks again 7 days after a miss', async () => {
+    routes['/api/search'] = () => [200, []];
+    const start = Date.now();
+
+    expect(await resolve()).toMatchObject({ ok: false, status: 404 });
+    expect(requests.map((r) => r.pathname)).toEqual(['/api/get', '/api/search']);
+
+    setSystemTime(new Date(start + 7 * DAY_MS - MINUTE_MS));
+    expect(await resolve()).toMatchObject({ ok: false, status: 404 });
+    expect(requests).toHaveLength(2);
+
+    setSystemTime(new Date(start + 7 * DAY_MS + MINUTE_MS));
+    await resolve();
+    expect(requests).toHaveLength(4);
+  });
+
+  test('asks again 15 minutes after a failed request', async () => {
+    routes['/api/get'] = () => [500, { message: 'Boom' }];
+    routes['/api/search'] = () => [500, { message: 'Boom' }];
+    const start = Date.now();
+
+    expect(await resolve()).toMatchObject({ ok: false, status: 502 });
+    expect(await storage.getLyricsEntry(song.id)).toMatchObject({ found: false, status: 500 });
+
+    setSystemTime(new Date(start + 15 * MINUTE_MS - 1000));
+    await resolve();
+    expect(requests).toHaveLength(2);
+
+    setSystemTime(new Date(start + 15 * MINUTE_MS + 1000));
+    routes['/api/get'] = () => [200, { id: 10, plainLyrics: 'Back up' }];
+    expect(await resolve()).toMatchObject({ ok: true, lrc: 'Back up\n', synced: false });
+    expect(requests).toHaveLength(3);
+  });
+
+  test('a miss only counts for the instance that missed', async () => {
+    routes['/api/search'] = () => [200, []];
+    await resolve();
+
+    await resolve({ providerUrl: instanceUrl.replace('127.0.0.1', 'localhost') });
+    expect(requests).toHaveLength(4);
+  });
+
+  test('force skips the cache', async () => {
+    routes['/api/get'] = () => [200, { id: 11, plainLyrics: 'Old' }];
+    await resolve();
+
+    routes['/api/get'] = () => [200, { id: 12, plainLyrics: 'New' }];
+    expect(await resolve()).toMatchObject({ lrc: 'Old\n' });
+    expect(await resolve({ force: true })).toMatchObject({ lrc: 'New\n' });
+    expect(await storage.getLyricsEntry(song.id)).toMatchObject({ providerId: 12 });
+  });
+
+  test('concurrent requests share one lookup', async () => {
+    routes['/api/get'] = () => [200, { id: 13, plainLyrics: 'Once' }];
+
+    const results = await Promise.all([resolve(), resolve(), resolve()]);
+
+    expect(results.every((res) => res.lrc === 'Once\n')).toBe(true);
+    expect(requests).toHaveLength(1);
+  });
+});
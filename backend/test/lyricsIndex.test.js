@@ -0,0 +1,131 @@
+import { describe, test, expect, beforeEach, afterEach } from 'bun:test';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { LyricsIndex, lyricsLines } from '../lyrics/lyricsIndex.js';
+
+describe('lyricsLines', () => {
+  test('reads line timestamps and skips metadata tags', () => {
+    const lrc = '[ar: Artist]\n[ti: Title]\n[00:01.50]First line\n[01:02.25]Second line\n';
+
+    expect(lyricsLines(lrc, true)).toEqual([
+      { time: 1.5, text: 'First line' },
+      { time: 62.25, text: 'Second line' }
+    ]);
+  });
+
+  test('repeats lines with several timestamps and sorts them by time', () => {
+    const lrc = '[00:10.00][00:30.00]Chorus\n[00:20.00]Verse';
+
+    expect(lyricsLines(lrc, true)).toEqual([
+      { time: 10, text: 'Chorus' },
+      { time: 20, text: 'Verse' },
+      { time: 30, text: 'Chorus' }
+    ]);
+  });
+
+  test('uses the first word tag of enhanced LRC lines and strips the tags from the text', () => {
+    const lrc = '<00:05.00>Word <00:05.50>by <00:06.00>word';
+
+    expect(lyricsLines(lrc, true)).toEqual([{ time: 5, text: 'Word by word' }]);
+  });
+
+  test('applies [offset:] in milliseconds without going below zero', () => {
+    expect(lyricsLines('[offset: -500]\n[00:00.20]Early\n[00:02.00]Later', true)).toEqual([
+      { time: 0, text: 'Early' },
+      { time: 1.5, text: 'Later' }
+    ]);
+  });
+
+  test('reads one- and three-digit fractions', () => {
+    expect(lyricsLines('[00:01.5]A\n[00:02.125]B', true)).toEqual([
+      { time: 1.5, text: 'A' },
+      { time: 2.13, text: 'B' }
+    ]);
+  });
+
+  test('keeps unsynced lyrics in order without times', () => {
+    const text = 'First\r\n\r\n  Second  line \n[00:03.00]Tagged';
+
+    expect(lyricsLines(text, false)).toEqual([
+      { time: null, text: 'First' },
+      { time: null, text: 'Second line' },
+      { time: null, text: 'Tagged' }
+    ]);
+  });
+});
+
+describe('LyricsIndex.refreshSongs', () => {
+  let dir;
+  let songs;
+  let storage;
+
+  const addSong = async (id, lyrics) => {
+    const filePath = path.join(dir, `${id}.mp3`);
+    await fs.writeFile(filePath, '');
+    await fs.writeFile(path.join(dir, `${id}.lrc`), lyrics);
+    songs.set(id, { id, title: id, filePath });
+  };
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'lyrics-index-test-'));
+    songs = new Map();
+    storage = {
+      getSongsCalls: 0,
+      async getSongs() {
+        this.getSongsCalls++;
+        return [...songs.values()];
+      },
+      async getSongById(id) {
+        return songs.get(id) || null;
+      }
+    };
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  // idle() checks every 250ms; the queue here empties within a few milliseconds.
+  const indexed = async (index) => {
+    while (index.pendingCount > 0) await Bun.sleep(5);
+  };
+
+  test('re-indexes changed songs and forgets removed ones without listing the library', async () => {
+    await addSong('a', '[00:01.00]Walking on the moon');
+    await addSong('b', '[00:01.00]Under the bridge');
+    const index = new LyricsIndex({ filePath: path.join(dir, 'lyrics_index.json'), storage, logger: null });
+    await index.refresh({ force: true });
+    await indexed(index);
+
+    const lrc = path.join(dir, 'b.lrc');
+    await fs.writeFile(lrc, '[00:01.00]Over the rainbow');
+    const later = new Date(Date.now() + 60_000);
+    await fs.utimes(lrc, later, later);
+    await addSong('c', '[00:01.00]Across the universe');
+    songs.delete('a');
+    storage.getSongsCalls = 0;
+
+    await index.refreshSongs({ changed: ['b', 'c'], removed: ['a'] });
+    await indexed(index);
+
+    expect(storage.getSongsCalls).toBe(0);
+    expect(index._entries.has('a')).toBe(false);
+    expect((await index.search('rainbow')).map((m) => m.song.id)).toEqual(['b']);
+    expect(await index.search('bridge')).toEqual([]);
+    expect((await index.search('universe')).map((m) => m.song.id)).toEqual(['c']);
+  });
+
+  test('skips songs whose lyrics did not change', async () => {
+    await addSong('a', '[00:01.00]Walking on the moon');
+    const index = new LyricsIndex({ filePath: path.join(dir, 'lyrics_index.json'), storage, logger: null });
+    await index.refresh({ force: true });
+    await indexed(index);
+    const entry = index._entries.get('a');
+
+    await index.refreshSongs({ changed: ['a', 'missing'] });
+
+    expect(index.pendingCount).toBe(0);
+    expect(index._entries.get('a')).toBe(entry);
+  });
+});
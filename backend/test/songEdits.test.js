@@ -0,0 +1,47 @@
+import { describe, test, expect } from 'bun:test';
+import { parseSongEdits } from '../library/songEdits.js';
+
+describe('parseSongEdits', () => {
+  test('only returns the fields that were sent', () => {
+    expect(parseSongEdits({ title: '  New title ', year: '1999' })).toEqual({
+      updates: { title: 'New title', year: 1999 }
+    });
+    expect(parseSongEdits({})).toEqual({ updates: {} });
+  });
+
+  test('clears fields with null or an empty string, except the title', () => {
+    expect(parseSongEdits({ album: '', genre: null, trackNumber: '', bpm: null, key: '' })).toEqual({
+      updates: { album: null, genre: null, trackNumber: null, bpm: null, key: null }
+    });
+    expect(parseSongEdits({ title: '   ' })).toEqual({ error: 'Invalid title (cannot be empty)' });
+  });
+
+  test('keeps line breaks in comments only', () => {
+    const { updates } = parseSongEdits({ artist: 'A\nB', comment: 'Line one\nLine\ttwo' });
+
+    expect(updates).toEqual({ artist: 'A B', comment: 'Line one\nLine two' });
+  });
+
+  test('truncates over-long text', () => {
+    expect(parseSongEdits({ genre: 'g'.repeat(500) }).updates.genre).toHaveLength(128);
+  });
+
+  test('validates numbers', () => {
+    expect(parseSongEdits({ bpm: '127.6' })).toEqual({ updates: { bpm: 128 } });
+    expect(parseSongEdits({ bpm: 12 }).error).toMatch(/Invalid bpm/);
+    expect(parseSongEdits({ year: 2001.5 }).error).toMatch(/Invalid year/);
+    expect(parseSongEdits({ trackNumber: 0 }).error).toMatch(/Invalid trackNumber/);
+    expect(parseSongEdits({ discNumber: 'two' }).error).toMatch(/Invalid discNumber/);
+  });
+
+  test('rejects wrong types', () => {
+    expect(parseSongEdits({ artist: 42 }).error).toMatch(/Invalid artist/);
+    expect(parseSongEdits({ key: 5 }).error).toMatch(/Invalid key/);
+    expect(parseSongEdits({ trimSilence: 'yes' }).error).toMatch(/Invalid trimSilence/);
+  });
+
+  test('accepts trimSilence as true, false or null', () => {
+    expect(parseSongEdits({ trimSilence: false })).toEqual({ updates: { trimSilence: false } });
+    expect(parseSongEdits({ trimSilence: null })).toEqual({ updates: { trimSilence: null } });
+  });
+});
@@ -0,0 +1,76 @@
+import { describe, test, expect, beforeEach, afterEach } from 'bun:test';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { disambiguateSongId } from '../library/songIdentity.js';
+import MusicScanner from '../scanner.js';
+
+// A short mono 16-bit WAV; the same samples give the same content fingerprint.
+function wavFile(sampleCount = 4000) {
+  const data = Buffer.alloc(sampleCount * 2);
+  for (let i = 0; i < sampleCount; i++) data.writeInt16LE(Math.round(Math.sin(i / 10) * 8000), i * 2);
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0);
+  header.writeUInt32LE(36 + data.length, 4);
+  header.write('WAVE', 8);
+  header.write('fmt ', 12);
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);
+  header.writeUInt16LE(1, 22);
+  header.writeUInt32LE(8000, 24);
+  header.writeUInt32LE(16000, 28);
+  header.writeUInt16LE(2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36);
+  header.writeUInt32LE(data.length, 40);
+  return Buffer.concat([header, data]);
+}
+
+describe('disambiguateSongId', () => {
+  test('keeps the ID while it is free', () => {
+    expect(disambiguateSongId('0123456789abcdef', '/m/a.mp3', new Set())).toBe('0123456789abcdef');
+  });
+
+  test('adds a suffix derived from the path', () => {
+    const usedIds = new Set(['0123456789abcdef']);
+    const id = disambiguateSongId('0123456789abcdef', '/m/copy/a.mp3', usedIds);
+
+    expect(id).toMatch(/^0123456789abcdef-[0-9a-f]{6}$/);
+    expect(disambiguateSongId('0123456789abcdef', '/m/copy/a.mp3', usedIds)).toBe(id);
+    expect(disambiguateSongId('0123456789abcdef', '/m/other/a.mp3', usedIds)).not.toBe(id);
+  });
+});
+
+describe('MusicScanner.scanDirectory', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'player0-identity-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('gives the bare ID of duplicate audio to the first path', async () => {
+    const music = path.join(dir, 'music');
+    // Created last, so it isn't first in directory order by accident.
+    for (const folder of ['b', 'a b', 'a']) {
+      await fs.mkdir(path.join(music, folder), { recursive: true });
+      await fs.writeFile(path.join(music, folder, 'song.wav'), wavFile());
+    }
+
+    const scanner = new MusicScanner({ storage: { dataDir: path.join(dir, 'data') } });
+    const { songs } = await scanner.scanDirectory(music, new Map());
+    const idOf = (folder) => songs.find((song) => song.filePath === path.join(music, folder, 'song.wav')).id;
+
+    expect(songs.map((song) => path.relative(music, song.filePath))).toEqual([
+      path.join('a b', 'song.wav'),
+      path.join('a', 'song.wav'),
+      path.join('b', 'song.wav')
+    ]);
+    expect(idOf('a b')).toMatch(/^[0-9a-f]{16}$/);
+    expect(idOf('a')).toStartWith(`${idOf('a b')}-`);
+    expect(idOf('b')).toStartWith(`${idOf('a b')}-`);
+  });
+});
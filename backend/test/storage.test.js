@@ -0,0 +1,95 @@
+import { describe, test, expect, beforeAll, afterAll } from 'bun:test';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import Storage from '../storage.js';
+import SqliteStorage from '../sqliteStorage.js';
+
+const songs = [
+  { id: 's1', title: 'Hyperballad', artist: 'Björk', album: 'Post', genre: 'Electronic', year: 1995, discNumber: 1, trackNumber: 2 },
+  { id: 's2', title: 'Army of Me', artist: 'Björk', album: 'Post', genre: 'Electronic', year: 1995, discNumber: 1, trackNumber: 1 },
+  { id: 's3', title: '100% Pure', artist: 'Various', albumArtist: 'Various Artists', album: 'post', year: 2001 },
+  { id: 's4', title: 'Untitled', artist: '', album: '', genre: 'Ambient' },
+  { id: 's5', title: 'Joga', artist: 'Björk', album: 'Homogenic', genre: 'electronic', year: 1997 },
+  { id: 's6', title: 'Bonus', artist: 'Björk', album: 'Post', year: 1995, discNumber: 2, trackNumber: 1 }
+];
+
+const ids = (list) => list.map((song) => song.id);
+
+describe.each([
+  ['Storage', Storage],
+  ['SqliteStorage', SqliteStorage]
+])('%s library queries', (_name, Backend) => {
+  let dir;
+  let storage;
+
+  beforeAll(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'player0-storage-'));
+    storage = new Backend(dir);
+    await storage.init();
+    await storage.saveSongs(songs);
+  });
+
+  afterAll(async () => {
+    storage.db?.close();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('searches title, artist and album case-insensitively', async () => {
+    expect(ids(await storage.searchSongs({ q: 'post' }))).toEqual(['s1', 's2', 's3', 's6']);
+    expect(ids(await storage.searchSongs({ q: 'ARMY' }))).toEqual(['s2']);
+    expect(ids(await storage.searchSongs({ q: 'BJÖRK', album: 'homo' }))).toEqual(['s5']);
+  });
+
+  test('treats LIKE wildcards as text', async () => {
+    expect(ids(await storage.searchSongs({ q: '100%' }))).toEqual(['s3']);
+    expect(ids(await storage.searchSongs({ q: 'p_st' }))).toEqual([]);
+  });
+
+  test('filters by genre and exact year', async () => {
+    expect(ids(await storage.searchSongs({ genre: 'electronic' }))).toEqual(['s1', 's2', 's5']);
+    expect(ids(await storage.searchSongs({ artist: 'björk', year: 1995 }))).toEqual(['s1', 's2', 's6']);
+    expect(await storage.searchSongs({ year: 1990 })).toEqual([]);
+  });
+
+  test('returns an album by exact name and album artist, in disc and track order', async () => {
+    expect(ids(await storage.getAlbumSongs('Björk', 'Post'))).toEqual(['s2', 's1', 's6']);
+    expect(ids(await storage.getAlbumSongs('Various Artists', 'post'))).toEqual(['s3']);
+    expect(await storage.getAlbumSongs('Various', 'post')).toEqual([]);
+  });
+
+  test('counts songs and albums per artist', async () => {
+    expect(await storage.getArtists()).toEqual([
+      { name: 'Björk', songCount: 4, albumCount: 2 },
+      { name: 'Various', songCount: 1, albumCount: 1 },
+      { name: 'Unknown Artist', songCount: 1, albumCount: 0 }
+    ]);
+  });
+});
+
+describe('SqliteStorage indexes', () => {
+  let dir;
+  let storage;
+
+  beforeAll(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'player0-storage-'));
+    storage = new SqliteStorage(dir);
+    await storage.init();
+  });
+
+  afterAll(async () => {
+    storage.db.close();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  const plan = (sql) => storage.db.query(`EXPLAIN QUERY PLAN ${sql}`).all().map((row) => row.detail).join('\n');
+
+  test('album, year and artist lookups use an index', () => {
+    expect(plan("SELECT data FROM songs WHERE album = 'x' COLLATE NOCASE ORDER BY seq")).toContain('idx_songs_album');
+    expect(plan('SELECT data FROM songs WHERE year = 1995 ORDER BY seq')).toContain('idx_songs_year');
+    expect(plan(
+      "SELECT COALESCE(artist, 'Unknown Artist') AS name, COUNT(*), COUNT(DISTINCT album) FROM songs " +
+      'GROUP BY name ORDER BY MIN(seq)'
+    )).toContain('COVERING INDEX idx_songs_artist_album');
+  });
+});
@@ -0,0 +1,24 @@
+import { describe, test, expect } from 'bun:test';
+import { parseRange } from '../routes/streamRoutes.js';
+
+describe('parseRange', () => {
+  test('reads closed, open-ended and suffix ranges', () => {
+    expect(parseRange('bytes=0-99', 1000)).toEqual({ start: 0, end: 99 });
+    expect(parseRange('bytes=500-', 1000)).toEqual({ start: 500, end: 999 });
+    expect(parseRange('bytes=-200', 1000)).toEqual({ start: 800, end: 999 });
+  });
+
+  test('clamps ranges that run past the end of the file', () => {
+    expect(parseRange('bytes=900-5000', 1000)).toEqual({ start: 900, end: 999 });
+    expect(parseRange('bytes=-5000', 1000)).toEqual({ start: 0, end: 999 });
+  });
+
+  test('rejects unsatisfiable and malformed ranges', () => {
+    expect(parseRange('bytes=1000-', 1000)).toBeNull();
+    expect(parseRange('bytes=50-10', 1000)).toBeNull();
+    expect(parseRange('bytes=-', 1000)).toBeNull();
+    expect(parseRange('bytes=0-10,20-30', 1000)).toBeNull();
+    expect(parseRange('items=0-10', 1000)).toBeNull();
+    expect(parseRange('', 1000)).toBeNull();
+  });
+});
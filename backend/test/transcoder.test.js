@@ -0,0 +1,282 @@
+import { describe, test, expect, beforeEach, afterEach, setSystemTime } from 'bun:test';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { Transcoder, mimeTypeForSong, parseTranscodeRequest, parseStreamRequest } from '../streaming/transcoder.js';
+
+describe('mimeTypeForSong', () => {
+  test('uses the container name', () => {
+    expect(mimeTypeForSong({ format: 'FLAC', filePath: '/m/a.flac' })).toBe('audio/flac');
+    expect(mimeTypeForSong({ format: 'MPEG-4/isom', filePath: '/m/a.m4a' })).toBe('audio/mp4');
+    expect(mimeTypeForSong({ format: 'ASF/audio', filePath: '/m/a.wma' })).toBe('audio/x-ms-wma');
+  });
+
+  test('falls back to the extension, then to audio/mpeg', () => {
+    expect(mimeTypeForSong({ filePath: '/m/a.wav' })).toBe('audio/wav');
+    expect(mimeTypeForSong({ format: 'something', filePath: '/m/a.ogg' })).toBe('audio/ogg');
+    expect(mimeTypeForSong({ filePath: '/m/a.xyz' })).toBe('audio/mpeg');
+    expect(mimeTypeForSong(null)).toBe('audio/mpeg');
+  });
+
+  test('tells opus from vorbis by the extension', () => {
+    expect(mimeTypeForSong({ format: 'Ogg', filePath: '/m/a.opus' })).toBe('audio/ogg; codecs=opus');
+    expect(mimeTypeForSong({ format: 'Ogg', filePath: '/m/a.ogg' })).toBe('audio/ogg');
+  });
+});
+
+describe('parseTranscodeRequest', () => {
+  test('uses the target default bitrate', () => {
+    expect(parseTranscodeRequest({ format: 'opus' })).toMatchObject({ ok: true, format: 'opus', bitrate: 160 });
+    expect(parseTranscodeRequest({ format: ' MP3 ' })).toMatchObject({ ok: true, format: 'mp3', bitrate: 256 });
+  });
+
+  test('accepts and rounds an explicit bitrate', () => {
+    expect(parseTranscodeRequest({ format: 'aac', bitrate: '127.6' })).toMatchObject({ ok: true, bitrate: 128 });
+  });
+
+  test('rejects unknown formats and out-of-range bitrates', () => {
+    expect(parseTranscodeRequest({ format: 'wav' }).ok).toBe(false);
+    expect(parseTranscodeRequest({}).ok).toBe(false);
+    expect(parseTranscodeRequest({ format: 'mp3', bitrate: 16 }).error).toMatch(/Invalid bitrate/);
+    expect(parseTranscodeRequest({ format: 'mp3', bitrate: 'fast' }).error).toMatch(/Invalid bitrate/);
+  });
+});
+
+describe('parseStreamRequest', () => {
+  test('serves the original without a profile or format, and for the original profile', () => {
+    expect(parseStreamRequest({})).toEqual({ ok: true, original: true, profile: null });
+    expect(parseStreamRequest({ profile: 'Original' })).toEqual({ ok: true, original: true, profile: 'original' });
+  });
+
+  test('maps profiles to an mp3 bitrate', () => {
+    expect(parseStreamRequest({ profile: 'high' })).toMatchObject({ ok: true, format: 'mp3', bitrate: 256, profile: 'high' });
+    expect(parseStreamRequest({ profile: 'normal' })).toMatchObject({ format: 'mp3', bitrate: 128 });
+    expect(parseStreamRequest({ profile: 'low' })).toMatchObject({ format: 'mp3', bitrate: 64 });
+  });
+
+  test('lets an explicit format and bitrate win over the profile', () => {
+    expect(parseStreamRequest({ profile: 'low', format: 'opus' })).toMatchObject({ format: 'opus', bitrate: 64, profile: 'low' });
+    expect(parseStreamRequest({ profile: 'low', bitrate: '96' })).toMatchObject({ format: 'mp3', bitrate: 96 });
+    expect(parseStreamRequest({ format: 'aac' })).toMatchObject({ format: 'aac', bitrate: 256, profile: null });
+  });
+
+  test('rejects unknown profiles and invalid transcode options', () => {
+    expect(parseStreamRequest({ profile: 'ultra' }).error).toMatch(/Invalid profile/);
+    expect(parseStreamRequest({ profile: 'low', bitrate: 999 }).error).toMatch(/Invalid bitrate/);
+  });
+});
+
+describe('Transcoder', () => {
+  let dir;
+  let ffmpegPath;
+  let runsFile;
+
+  // Stand-in ffmpeg: counts its runs and writes a few bytes to the output (the last
+  // argument: a path, or "pipe:1" for stdout), optionally in parts with a pause between.
+  async function fakeFfmpeg({ fail = false, parts = ['transcoded'], pauseSeconds = 0, failAfterOutput = false } = {}) {
+    const write = (text) => `if [ "$out" = pipe:1 ]; then printf ${text}; else printf ${text} >> "$out"; fi`;
+    const script = [
+      '#!/bin/sh',
+      `echo run >> "${runsFile}"`,
+      fail ? 'echo "Invalid data found when processing input" >&2; exit 1' : '',
+      'for arg; do out="$arg"; done',
+      parts.map(write).join(`\nsleep ${pauseSeconds}\n`),
+      failAfterOutput ? 'echo "Error while decoding stream" >&2; exit 1' : ''
+    ].join('\n');
+    await fs.writeFile(ffmpegPath, script, { mode: 0o755 });
+  }
+
+  async function readAll(stream) {
+    let text = '';
+    for await (const chunk of stream) text += chunk;
+    return text;
+  }
+
+  const runs = async () => (await fs.readFile(runsFile, 'utf8').catch(() => '')).split('\n').filter(Boolean).length;
+  const song = { id: 'song-1', filePath: '/music/a.flac', fileSize: 1000, lastModified: '2024-01-01T00:00:00.000Z' };
+  const request = parseTranscodeRequest({ format: 'mp3', bitrate: 128 });
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'player0-transcode-'));
+    ffmpegPath = path.join(dir, 'ffmpeg');
+    runsFile = path.join(dir, 'runs');
+  });
+
+  afterEach(async () => {
+    setSystemTime();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('transcodes once and serves the cached rendition afterwards', async () => {
+    await fakeFfmpeg();
+    const transcoder = new Transcoder({ cacheDir: path.join(dir, 'cache'), ffmpegPath });
+
+    const first = await transcoder.getRendition(song, request);
+    const second = await transcoder.getRendition(song, request);
+
+    expect(second).toBe(first);
+    expect(path.extname(first)).toBe('.mp3');
+    expect(await fs.readFile(first, 'utf8')).toBe('transcoded');
+    expect(await runs()).toBe(1);
+  });
+
+  test('concurrent requests share one ffmpeg run', async () => {
+    await fakeFfmpeg();
+    const transcoder = new Transcoder({ cacheDir: path.join(dir, 'cache'), ffmpegPath });
+
+    const paths = await Promise.all([1, 2, 3].map(() => transcoder.getRendition(song, request)));
+
+    expect(new Set(paths).size).toBe(1);
+    expect(await runs()).toBe(1);
+  });
+
+  test('a changed file or another bitrate is a new rendition', async () => {
+    await fakeFfmpeg();
+    const transcoder = new Transcoder({ cacheDir: path.join(dir, 'cache'), ffmpegPath });
+
+    const original = await transcoder.getRendition(song, request);
+    const changed = await transcoder.getRendition({ ...song, fileSize: 2000 }, request);
+    const lower = await transcoder.getRendition(song, parseTranscodeRequest({ format: 'mp3', bitrate: 64 }));
+
+    expect(new Set([original, changed, lower]).size).toBe(3);
+    expect(await runs()).toBe(3);
+  });
+
+  test('a failed transcode leaves nothing in the cache', async () => {
+    await fakeFfmpeg({ fail: true });
+    const transcoder = new Transcoder({ cacheDir: path.join(dir, 'cache'), ffmpegPath, logger: null });
+
+    await expect(transcoder.getRendition(song, request)).rejects.toThrow('Transcoding failed');
+    expect(await fs.readdir(path.join(dir, 'cache'))).toEqual([]);
+  });
+
+  test('remembers a failed transcode for failureTtlMs', async () => {
+    await fakeFfmpeg({ fail: true });
+    const transcoder = new Transcoder({ cacheDir: path.join(dir, 'cache'), ffmpegPath, failureTtlMs: 60_000, logger: null });
+    const start = Date.now();
+
+    await expect(transcoder.getRendition(song, request)).rejects.toThrow('Transcoding failed');
+    await expect(transcoder.getRendition(song, request)).rejects.toThrow('Transcoding failed');
+    expect(await runs()).toBe(1);
+
+    // Other renditions of the song are still tried.
+    await expect(transcoder.getRendition(song, parseTranscodeRequest({ format: 'opus' }))).rejects.toThrow();
+    expect(await runs()).toBe(2);
+
+    setSystemTime(new Date(start + 61_000));
+    await fakeFfmpeg();
+    expect(await fs.readFile(await transcoder.getRendition(song, request), 'utf8')).toBe('transcoded');
+    expect(await runs()).toBe(3);
+  });
+
+  describe('openRendition', () => {
+    test('streams the output while ffmpeg is still writing it to the cache', async () => {
+      await fakeFfmpeg({ parts: ['first-', 'second'], pauseSeconds: 0.5 });
+      const transcoder = new Transcoder({ cacheDir: path.join(dir, 'cache'), ffmpegPath });
+
+      const { stream, path: cachedPath } = await transcoder.openRendition(song, request);
+
+      expect(cachedPath).toBeUndefined();
+      // Only the temp file exists so far.
+      expect((await fs.readdir(transcoder.cacheDir)).every((name) => name.includes('.tmp-'))).toBe(true);
+      expect(await readAll(stream)).toBe('first-second');
+
+      const cached = await transcoder.getRendition(song, request);
+      expect(await fs.readFile(cached, 'utf8')).toBe('first-second');
+      expect(await transcoder.openRendition(song, request)).toEqual({ path: cached });
+      expect(await runs()).toBe(1);
+    });
+
+    test('a request joining a running transcode gets the output from the start', async () => {
+      await fakeFfmpeg({ parts: ['first-', 'second'], pauseSeconds: 0.5 });
+      const transcoder = new Transcoder({ cacheDir: path.join(dir, 'cache'), ffmpegPath });
+
+      const first = await transcoder.openRendition(song, request);
+      const second = await transcoder.openRendition(song, request);
+
+      expect(await Promise.all([readAll(first.stream), readAll(second.stream)])).toEqual(['first-second', 'first-second']);
+      expect(await runs()).toBe(1);
+    });
+
+    test('rejects when the transcode fails before any output', async () => {
+      await fakeFfmpeg({ fail: true });
+      const transcoder = new Transcoder({ cacheDir: path.join(dir, 'cache'), ffmpegPath, logger: null });
+
+      await expect(transcoder.openRendition(song, request)).rejects.toThrow('Transcoding failed');
+    });
+
+    test('ends the stream with an error when the transcode fails midway', async () => {
+      await fakeFfmpeg({ parts: ['first-'], failAfterOutput: true });
+      const transcoder = new Transcoder({ cacheDir: path.join(dir, 'cache'), ffmpegPath, logger: null });
+
+      const { stream } = await transcoder.openRendition(song, request);
+
+      await expect(readAll(stream)).rejects.toThrow('Transcoding failed');
+      expect(await fs.readdir(transcoder.cacheDir)).toEqual([]);
+    });
+
+    test('waits for the whole file when the format needs a seekable output', async () => {
+      await fakeFfmpeg();
+      const transcoder = new Transcoder({ cacheDir: path.join(dir, 'cache'), ffmpegPath });
+
+      const { path: cached } = await transcoder.openRendition(song, parseTranscodeRequest({ format: 'aac' }));
+
+      expect(path.extname(cached)).toBe('.m4a');
+      expect(await fs.readFile(cached, 'utf8')).toBe('transcoded');
+    });
+  });
+
+  describe('cache limits', () => {
+    const at = (ms) => new Date(Date.now() - ms);
+
+    async function cacheFiles(transcoder) {
+      return (await fs.readdir(transcoder.cacheDir)).sort();
+    }
+
+    test('removes the least recently used renditions once the cache is too big', async () => {
+      await fakeFfmpeg();
+      // Each rendition is 10 bytes: room for two.
+      const transcoder = new Transcoder({ cacheDir: path.join(dir, 'cache'), ffmpegPath, maxCacheBytes: 25 });
+      const a = await transcoder.getRendition({ ...song, id: 'a' }, request);
+      const b = await transcoder.getRendition({ ...song, id: 'b' }, request);
+      await transcoder.cleanup();
+      await fs.utimes(a, at(3000), at(3000));
+      await fs.utimes(b, at(2000), at(2000));
+
+      // Playing `a` again makes `b` the least recently used one.
+      await transcoder.getRendition({ ...song, id: 'a' }, request);
+      const c = await transcoder.getRendition({ ...song, id: 'c' }, request);
+
+      expect(await transcoder.cleanup()).toMatchObject({ bytes: 20 });
+      expect(await cacheFiles(transcoder)).toEqual([a, c].map((p) => path.basename(p)).sort());
+    });
+
+    test('keeps the newest rendition even when it alone is over the limit', async () => {
+      await fakeFfmpeg();
+      const transcoder = new Transcoder({ cacheDir: path.join(dir, 'cache'), ffmpegPath, maxCacheBytes: 5 });
+
+      const a = await transcoder.getRendition(song, request);
+
+      expect(await transcoder.cleanup()).toEqual({ removed: 0, bytes: 10 });
+      expect(await cacheFiles(transcoder)).toEqual([path.basename(a)]);
+    });
+
+    test('removes renditions unused for maxCacheAgeMs and stale temp files', async () => {
+      await fakeFfmpeg();
+      const transcoder = new Transcoder({ cacheDir: path.join(dir, 'cache'), ffmpegPath, maxCacheAgeMs: 60_000 });
+      const old = await transcoder.getRendition({ ...song, id: 'old' }, request);
+      const fresh = await transcoder.getRendition({ ...song, id: 'fresh' }, request);
+      await transcoder.cleanup();
+      await fs.utimes(old, at(120_000), at(120_000));
+
+      const staleTemp = path.join(transcoder.cacheDir, 'x.mp3.tmp-1-abc');
+      const runningTemp = path.join(transcoder.cacheDir, 'y.mp3.tmp-2-def');
+      await fs.writeFile(staleTemp, 'partial');
+      await fs.writeFile(runningTemp, 'partial');
+      await fs.utimes(staleTemp, at(2 * 60 * 60 * 1000), at(2 * 60 * 60 * 1000));
+
+      expect(await transcoder.cleanup()).toEqual({ removed: 2, bytes: 10 });
+      expect(await cacheFiles(transcoder)).toEqual([path.basename(fresh), path.basename(runningTemp)].sort());
+    });
+  });
+});
@@ -0,0 +1,54 @@
+import { describe, test, expect } from 'bun:test';
+import { bucketPeaks, detectSilence } from '../analyzer/waveformAnalyzer.js';
+
+// Peak levels per 20ms window.
+const WINDOWS_PER_SECOND = 50;
+const silence = (seconds) => new Array(Math.round(seconds * WINDOWS_PER_SECOND)).fill(0);
+const audio = (seconds) => new Array(Math.round(seconds * WINDOWS_PER_SECOND)).fill(0.5);
+
+describe('bucketPeaks', () => {
+  test('keeps the loudest window of each bucket, scaled to 0-255', () => {
+    expect(bucketPeaks([0.1, 0.5, 0, 1, 0.2, 0.25], 3)).toEqual([128, 255, 64]);
+  });
+
+  test('stretches fewer windows than buckets', () => {
+    expect(bucketPeaks([0.2, 1], 4)).toEqual([51, 51, 255, 255]);
+  });
+
+  test('is all zeros without audio', () => {
+    expect(bucketPeaks([], 3)).toEqual([0, 0, 0]);
+  });
+
+  test('clamps peaks above full scale', () => {
+    expect(bucketPeaks([1.5], 1)).toEqual([255]);
+  });
+});
+
+describe('detectSilence', () => {
+  test('finds leading and trailing silence, keeping a little padding', () => {
+    const result = detectSilence([...silence(3), ...audio(10), ...silence(4)]);
+
+    expect(result).toEqual({ startOffset: 2.9, endOffset: 13.1 });
+  });
+
+  test('ignores gaps shorter than a second', () => {
+    expect(detectSilence([...silence(0.5), ...audio(10), ...silence(0.8)])).toEqual({ startOffset: 0, endOffset: null });
+  });
+
+  test('leaves silence in the middle alone', () => {
+    const result = detectSilence([...audio(5), ...silence(20), ...audio(5)]);
+
+    expect(result).toEqual({ startOffset: 0, endOffset: null });
+  });
+
+  test('trims nothing from an all-silent or empty file', () => {
+    expect(detectSilence(silence(10))).toEqual({ startOffset: 0, endOffset: null });
+    expect(detectSilence([])).toEqual({ startOffset: 0, endOffset: null });
+  });
+
+  test('counts very quiet peaks (below -50 dBFS) as silence', () => {
+    const hiss = new Array(2 * WINDOWS_PER_SECOND).fill(0.001);
+
+    expect(detectSilence([...hiss, ...audio(10)]).startOffset).toBe(1.9);
+  });
+});
@@ -180,6 +180,28 @@ async function advancedSearch({ title, artist, album, genre, year, minDuration,
     return data;
 }
 
+/**
+ * Find songs by their lyrics
+ * @param {string} query - Words or a phrase from the lyrics (min 2 chars)
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Max songs (default: 50)
+ * @returns {Promise<Object>} { results: [{ song, source, synced, time, snippet, highlights, matchCount }], indexing, pending }
+ */
+async function searchLyrics(query, { limit = 50 } = {}) {
+    if (!query || query.trim().length < 2) {
+        return { results: [], indexing: false, pending: 0 };
+    }
+
+    const response = await fetch(`${API_URL}/search/lyrics?q=${encodeURIComponent(query)}&limit=${limit}`, { cache: 'no-store' });
+    const data = await response.json();
+
+    if (!response.ok) {
+        throw new Error(data.error || data.message || 'Error searching lyrics');
+    }
+
+    return data;
+}
+
 // ============================================
 // Songs APIs
 // ============================================
@@ -188,12 +210,18 @@ async function fetchAllSongs() {
     return await fetchWithCache(`${API_URL}/songs`);
 }
 
-function songCoverUrl(songId) {
-    return `${API_URL}/cover/${songId}`;
+// Cover variants the server renders: 64 (rows, mini player), 256 (grids), 600 (now playing).
+function songCoverUrl(songId, size) {
+    return `${API_URL}/cover/${songId}${size ? `?size=${size}` : ''}`;
 }
 
-function songStreamUrl(songId) {
-    return `${API_URL}/stream/${songId}`;
+function songStreamUrl(songId, { profile, format, bitrate } = {}) {
+    const params = new URLSearchParams();
+    if (profile) params.set('profile', profile);
+    if (format) params.set('format', format);
+    if (bitrate) params.set('bitrate', String(bitrate));
+    const query = params.toString();
+    return `${API_URL}/stream/${songId}${query ? `?${query}` : ''}`;
 }
 
 async function recordPlay(songId) {
@@ -223,8 +251,8 @@ async function getAlbumDetail(artist, album) {
     return await fetchWithCache(`${API_URL}/albums/${encodeURIComponent(artist)}/${encodeURIComponent(album)}`);
 }
 
-function albumCoverUrl(songId) {
-    return `${API_URL}/cover/${songId}`;
+function albumCoverUrl(songId, size) {
+    return songCoverUrl(songId, size);
 }
 
 // ============================================
@@ -314,6 +342,18 @@ async function addSongToPlaylist(playlistId, songId) {
     return await updatePlaylist(playlistId, { songIds: [...songIds, songId] });
 }
 
+async function addSongsToPlaylist(playlistId, songIds) {
+    const playlist = await getPlaylist(playlistId);
+    const existing = playlist.songIds || [];
+    const toAdd = [...new Set(songIds)].filter(id => !existing.includes(id));
+
+    if (toAdd.length === 0) {
+        return playlist; // All already in playlist
+    }
+
+    return await updatePlaylist(playlistId, { songIds: [...existing, ...toAdd] });
+}
+
 async function removeSongFromPlaylist(playlistId, songId) {
     const playlist = await getPlaylist(playlistId);
     const songIds = (playlist.songIds || []).filter(id => id !== songId);
@@ -340,6 +380,11 @@ async function getStats() {
 // Library Management APIs
 // ============================================
 
+/**
+ * Start a background library scan
+ * Returns the job snapshot ({ jobId, status, progress, ... }); follow it with scanEventsUrl().
+ * If a scan is already running, its job is returned.
+ */
 async function scanLibrary() {
     const response = await fetch(`${API_URL}/scan`, { method: 'POST' });
     const data = await response.json();
@@ -348,8 +393,21 @@ async function scanLibrary() {
         throw new Error(data.error || data.message || 'Error scanning library');
     }
 
-    // Scanning changes library data: clear cache.
-    clearCache();
+    return data;
+}
+
+function scanEventsUrl(jobId) {
+    return `${API_URL}/scan/${encodeURIComponent(jobId)}/events`;
+}
+
+async function cancelScan(jobId) {
+    const response = await fetch(`${API_URL}/scan/${encodeURIComponent(jobId)}/cancel`, { method: 'POST' });
+    const data = await response.json();
+
+    if (!response.ok) {
+        throw new Error(data.error || data.message || 'Error cancelling scan');
+    }
+
     return data;
 }
 
@@ -357,11 +415,20 @@ async function scanLibrary() {
 // Lyrics API
 // ============================================
 
-async function getLyrics(songId, { force = false } = {}) {
+/**
+ * Get a song's lyrics, or one of its parallel tracks (translation, romanization)
+ * @param {string} songId
+ * @param {Object} [options]
+ * @param {boolean} [options.force] - Look up online again instead of using the cached result
+ * @param {string} [options.track] - Parallel track name (`Song.<track>.lrc`), e.g. 'en'
+ * @returns {Promise<Object>} { songId, source, synced, lrcPath, lrc, tracks } ({ ..., track } for a track)
+ */
+async function getLyrics(songId, { force = false, track = null } = {}) {
     if (!songId) throw new Error('songId is required');
 
     const url = new URL(`${API_URL}/lyrics/${encodeURIComponent(songId)}`);
     if (force) url.searchParams.set('force', '1');
+    if (track) url.searchParams.set('track', track);
 
     const response = await fetch(url.toString(), { cache: 'no-store' });
     const data = await response.json();
@@ -373,6 +440,29 @@ async function getLyrics(songId, { force = false } = {}) {
     return data;
 }
 
+/**
+ * Save lyrics as the song's .lrc file next to the audio file
+ * @param {string} songId
+ * @param {string} lrc - LRC or plain text
+ * @returns {Promise<Object>} { songId, source, synced, lrcPath, lrc }
+ */
+async function saveLyrics(songId, lrc) {
+    if (!songId) throw new Error('songId is required');
+
+    const response = await fetch(`${API_URL}/lyrics/${encodeURIComponent(songId)}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ lrc })
+    });
+    const data = await response.json();
+
+    if (!response.ok) {
+        throw new Error(data.error || data.message || 'Error saving lyrics');
+    }
+
+    return data;
+}
+
 // ============================================
 // Song Metadata (Tagging) APIs
 // ============================================
@@ -397,6 +487,103 @@ async function updateSong(id, updates) {
     return data;
 }
 
+/**
+ * Apply the same edits to many songs in one request
+ * @param {Array<string>} songIds
+ * @param {Object} edits - { updates, replace: { field, find, replaceWith, matchCase }, writeTags }
+ * @returns {Promise<Object>} { updated, songs, skipped, tagWrites? }
+ */
+async function updateSongs(songIds, edits) {
+    const response = await fetch(`${API_URL}/songs`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...(edits || {}), songIds })
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+        throw new Error(data.error || data.message || 'Failed to update songs');
+    }
+
+    cache.delete(getCacheKey(`${API_URL}/songs`));
+    for (const id of songIds) {
+        cache.delete(getCacheKey(`${API_URL}/songs/${id}`));
+    }
+
+    return data;
+}
+
+// ============================================
+// Waveform API
+// ============================================
+
+/**
+ * Seek-bar waveform peaks of a song
+ * @returns {Object|null} { songId, peaks } when ready, { pending: true } while the
+ *   server computes them, null when the song has no waveform (no ffmpeg, undecodable file)
+ */
+async function getWaveform(songId) {
+    if (!songId) throw new Error('songId is required');
+
+    const response = await fetch(`${API_URL}/waveform/${encodeURIComponent(songId)}`);
+    if (response.status === 202) return { pending: true };
+    if (response.status === 404 || response.status === 503) return null;
+
+    const data = await response.json();
+
+    if (!response.ok) {
+        throw new Error(data.error || data.message || 'Error getting waveform');
+    }
+
+    return data;
+}
+
+// ============================================
+// Bookmarks APIs
+// ============================================
+
+async function bookmarkRequest(songId, { bookmarkId = null, method = 'GET', body } = {}) {
+    if (!songId) throw new Error('songId is required');
+
+    const base = `${API_URL}/songs/${encodeURIComponent(songId)}/bookmarks`;
+    const response = await fetch(bookmarkId ? `${base}/${encodeURIComponent(bookmarkId)}` : base, {
+        method,
+        headers: body ? { 'Content-Type': 'application/json' } : undefined,
+        body: body ? JSON.stringify(body) : undefined,
+        cache: 'no-store'
+    });
+    const data = await response.json();
+
+    if (!response.ok) {
+        throw new Error(data.error || data.message || 'Bookmark request failed');
+    }
+
+    // The song list carries bookmarks too.
+    if (method !== 'GET') {
+        cache.delete(getCacheKey(`${API_URL}/songs`));
+        cache.delete(getCacheKey(`${API_URL}/songs/${songId}`));
+    }
+
+    return data;
+}
+
+async function getBookmarks(songId) {
+    return await bookmarkRequest(songId);
+}
+
+async function addBookmark(songId, { time, name = '' }) {
+    return await bookmarkRequest(songId, { method: 'POST', body: { time, name } });
+}
+
+async function updateBookmark(songId, bookmarkId, updates) {
+    return await bookmarkRequest(songId, { bookmarkId, method: 'PATCH', body: updates || {} });
+}
+
+async function deleteBookmark(songId, bookmarkId) {
+    return await bookmarkRequest(songId, { bookmarkId, method: 'DELETE' });
+}
+
 // ============================================
 // Stats Import
 // ============================================
@@ -452,6 +639,38 @@ async function updateServerConfig(configUpdate) {
     return data;
 }
 
+// ============================================
+// Library Health APIs
+// ============================================
+
+async function getLibraryHealth() {
+    const response = await fetch(`${API_URL}/library/health`, { cache: 'no-store' });
+    const data = await response.json();
+
+    if (!response.ok) {
+        throw new Error(data.error || data.message || 'Failed to check library health');
+    }
+
+    return data;
+}
+
+async function pruneLibraryReferences({ includeTombstoned = false } = {}) {
+    const response = await fetch(`${API_URL}/library/health/prune`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ includeTombstoned })
+    });
+    const data = await response.json();
+
+    if (!response.ok) {
+        throw new Error(data.error || data.message || 'Failed to prune library references');
+    }
+
+    // Playlists changed: clear cache.
+    clearCache();
+    return data;
+}
+
 // ============================================
 // Exports
 // ============================================
@@ -460,11 +679,17 @@ export {
     getSearchSuggestions,
     simpleSearch, 
     advancedSearch, 
+    searchLyrics,
     fetchAllSongs, 
     songCoverUrl,
     songStreamUrl,
     recordPlay,
     updateSong,
+    updateSongs,
+    getBookmarks,
+    addBookmark,
+    updateBookmark,
+    deleteBookmark,
     importStatsCsv,
     getServerConfig,
     updateServerConfig,
@@ -478,9 +703,16 @@ export {
     updatePlaylist,
     deletePlaylist,
     addSongToPlaylist,
+    addSongsToPlaylist,
     removeSongFromPlaylist,
     getStats,
     scanLibrary,
+    scanEventsUrl,
+    cancelScan,
+    getLibraryHealth,
+    pruneLibraryReferences,
     getLyrics,
+    saveLyrics,
+    getWaveform,
     clearCache
 };
\ No newline at end of file
@@ -0,0 +1,166 @@
+import { allSongs } from '../state.js';
+import { escapeHtml } from '../utils.js';
+import {
+  EQ_BANDS,
+  MAX_BAND_GAIN_DB,
+  getEqualizerPreference,
+  setEqualizerPreference,
+  listPresets,
+  saveUserPreset,
+  deleteUserPreset,
+  setGenrePreset
+} from '../equalizer.js';
+import { showToast } from './uiFeatures.js';
+
+function formatFrequency(hz) {
+  return hz >= 1000 ? `${hz / 1000}k` : String(hz);
+}
+
+function formatGain(db) {
+  return `${db > 0 ? '+' : ''}${db}`;
+}
+
+function presetOptionsHtml(presets, selectedId, { includeCustom = false } = {}) {
+  const options = presets.map((preset) => (
+    `<option value="${escapeHtml(preset.id)}"${preset.id === selectedId ? ' selected' : ''}>${escapeHtml(preset.name)}</option>`
+  ));
+  if (includeCustom) {
+    options.push(`<option value="custom"${selectedId === 'custom' ? ' selected' : ''}>Custom</option>`);
+  }
+  return options.join('');
+}
+
+function libraryGenres() {
+  const genres = new Map();
+  allSongs.forEach((song) => {
+    const genre = String(song?.genre || '').trim();
+    if (genre && !genres.has(genre.toLowerCase())) genres.set(genre.toLowerCase(), genre);
+  });
+  return [...genres.values()].sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * Wire the equalizer section of the settings view.
+ */
+export function setupEqualizerPanel() {
+  const enabledToggle = document.getElementById('settingsEqEnabled');
+  const presetSelect = document.getElementById('settingsEqPreset');
+  const bandsEl = document.getElementById('settingsEqBands');
+  const presetName = document.getElementById('settingsEqPresetName');
+  const savePreset = document.getElementById('settingsEqSavePreset');
+  const deletePreset = document.getElementById('settingsEqDeletePreset');
+  const byGenreToggle = document.getElementById('settingsEqByGenre');
+  const genreInput = document.getElementById('settingsEqGenre');
+  const genreList = document.getElementById('settingsEqGenreList');
+  const genrePreset = document.getElementById('settingsEqGenrePreset');
+  const assignGenre = document.getElementById('settingsEqAssignGenre');
+  const assignments = document.getElementById('settingsEqGenreAssignments');
+  if (!enabledToggle || !presetSelect || !bandsEl) return;
+
+  bandsEl.innerHTML = EQ_BANDS.map((hz, i) => `
+    <label class="eq-band">
+      <output class="eq-band-value" data-band-value="${i}">0</output>
+      <input class="eq-band-slider" type="range" min="${-MAX_BAND_GAIN_DB}" max="${MAX_BAND_GAIN_DB}" step="0.5" value="0"
+        data-band="${i}" aria-label="${formatFrequency(hz)}Hz" />
+      <span class="eq-band-label">${formatFrequency(hz)}</span>
+    </label>
+  `).join('');
+  const sliders = [...bandsEl.querySelectorAll('[data-band]')];
+  const values = [...bandsEl.querySelectorAll('[data-band-value]')];
+
+  const render = () => {
+    const preference = getEqualizerPreference();
+    const presets = listPresets(preference);
+
+    enabledToggle.checked = preference.enabled;
+    presetSelect.innerHTML = presetOptionsHtml(presets, preference.presetId, {
+      includeCustom: !presets.some((preset) => preset.id === preference.presetId)
+    });
+    sliders.forEach((slider, i) => {
+      slider.value = String(preference.gains[i]);
+      values[i].textContent = formatGain(preference.gains[i]);
+    });
+    bandsEl.classList.toggle('is-disabled', !preference.enabled);
+
+    const selected = presets.find((preset) => preset.id === preference.presetId);
+    if (deletePreset) deletePreset.disabled = !selected || selected.builtIn;
+
+    if (byGenreToggle) byGenreToggle.checked = preference.byGenre;
+    if (genrePreset) genrePreset.innerHTML = presetOptionsHtml(presets, genrePreset.value || 'flat');
+    if (genreList) {
+      genreList.innerHTML = libraryGenres().map((genre) => `<option value="${escapeHtml(genre)}"></option>`).join('');
+    }
+    if (assignments) {
+      const entries = Object.entries(preference.genrePresets).sort(([a], [b]) => a.localeCompare(b));
+      assignments.innerHTML = entries.map(([genre, presetId]) => `
+        <li class="eq-genre-item">
+          <span class="eq-genre-name">${escapeHtml(genre)}</span>
+          <span class="eq-genre-preset">${escapeHtml(presets.find((preset) => preset.id === presetId)?.name || presetId)}</span>
+          <button class="btn-secondary" type="button" data-remove-genre="${escapeHtml(genre)}">Remove</button>
+        </li>
+      `).join('');
+    }
+  };
+  render();
+
+  enabledToggle.addEventListener('change', () => {
+    setEqualizerPreference({ enabled: enabledToggle.checked });
+    render();
+  });
+
+  presetSelect.addEventListener('change', () => {
+    setEqualizerPreference({ presetId: String(presetSelect.value) });
+    render();
+  });
+
+  sliders.forEach((slider, i) => {
+    slider.addEventListener('input', () => {
+      setEqualizerPreference({ gains: sliders.map((s) => Number(s.value)) });
+      values[i].textContent = formatGain(Number(slider.value));
+    });
+    // Re-render once the drag ends so the preset list shows "Custom".
+    slider.addEventListener('change', render);
+  });
+
+  savePreset?.addEventListener('click', () => {
+    const preset = saveUserPreset(presetName?.value);
+    if (!preset) {
+      showToast('Enter a name for the preset', 'error');
+      presetName?.focus();
+      return;
+    }
+    if (presetName) presetName.value = '';
+    showToast(`Saved preset "${preset.name}"`, 'success');
+    render();
+  });
+
+  deletePreset?.addEventListener('click', () => {
+    const preset = listPresets().find((p) => p.id === presetSelect.value);
+    if (!preset || preset.builtIn) return;
+    if (!confirm(`Delete preset "${preset.name}"?`)) return;
+    deleteUserPreset(preset.id);
+    render();
+  });
+
+  byGenreToggle?.addEventListener('change', () => {
+    setEqualizerPreference({ byGenre: byGenreToggle.checked });
+  });
+
+  assignGenre?.addEventListener('click', () => {
+    const genre = String(genreInput?.value || '').trim();
+    if (!genre) {
+      genreInput?.focus();
+      return;
+    }
+    setGenrePreset(genre, String(genrePreset?.value || ''));
+    if (genreInput) genreInput.value = '';
+    render();
+  });
+
+  assignments?.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-remove-genre]');
+    if (!button) return;
+    setGenrePreset(button.getAttribute('data-remove-genre'), null);
+    render();
+  });
+}
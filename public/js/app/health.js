@@ -0,0 +1,117 @@
+import { getLibraryHealth, pruneLibraryReferences } from '../api.js';
+import { escapeHtml } from '../utils.js';
+import { showToast } from './uiFeatures.js';
+
+function songLabel(song) {
+  if (song.title) {
+    return `${escapeHtml(song.title)}${song.artist ? ` <span class="health-muted">— ${escapeHtml(song.artist)}</span>` : ''}`;
+  }
+  return `<span class="health-muted">Unknown song</span> <code class="settings-mono">${escapeHtml(song.id)}</code>`;
+}
+
+function formatDate(value) {
+  if (!value) return '';
+  const d = new Date(value);
+  return Number.isNaN(d.getTime()) ? '' : d.toLocaleString();
+}
+
+function renderEmpty(el, text) {
+  el.innerHTML = `<div class="health-empty">${escapeHtml(text)}</div>`;
+}
+
+function renderReport(report) {
+  const summary = document.getElementById('healthSummary');
+  const playlistsEl = document.getElementById('healthPlaylists');
+  const historyEl = document.getElementById('healthHistory');
+  const tombstonesEl = document.getElementById('healthTombstones');
+  const pruneBtn = document.getElementById('healthPrune');
+  if (!summary || !playlistsEl || !historyEl || !tombstonesEl) return;
+
+  const danglingCount = report.danglingSongIds.length;
+  const playlistEntries = report.playlists.reduce((n, p) => n + p.missing.length, 0);
+  const historyPlays = report.history.reduce((n, h) => n + h.plays, 0);
+
+  summary.textContent = danglingCount === 0
+    ? `All references resolve. ${report.totalSongs} songs in the library.`
+    : `${danglingCount} missing song${danglingCount === 1 ? '' : 's'} referenced by ` +
+      `${playlistEntries} playlist entr${playlistEntries === 1 ? 'y' : 'ies'} and ${historyPlays} play${historyPlays === 1 ? '' : 's'} in history.`;
+  if (pruneBtn) pruneBtn.disabled = danglingCount === 0 && report.tombstones.length === 0;
+
+  if (report.playlists.length === 0) {
+    renderEmpty(playlistsEl, 'No playlist points at a missing song.');
+  } else {
+    playlistsEl.innerHTML = report.playlists.map(playlist => `
+      <div class="health-item">
+        <div class="health-item-header">
+          <a href="#/playlist/${encodeURIComponent(playlist.id)}" class="health-item-title">${escapeHtml(playlist.name || 'Untitled')}</a>
+          <span class="health-muted">${playlist.missing.length} of ${playlist.songCount} missing</span>
+        </div>
+        <ul class="health-sublist">
+          ${playlist.missing.map(song => `<li>${songLabel(song)}${song.tombstoned ? ' <span class="health-badge">kept</span>' : ''}</li>`).join('')}
+        </ul>
+      </div>
+    `).join('');
+  }
+
+  if (report.history.length === 0) {
+    renderEmpty(historyEl, 'No history entry points at a missing song.');
+  } else {
+    historyEl.innerHTML = report.history.map(song => `
+      <div class="health-item health-item--row">
+        <div>${songLabel(song)}${song.tombstoned ? ' <span class="health-badge">kept</span>' : ''}</div>
+        <span class="health-muted">${song.plays} play${song.plays === 1 ? '' : 's'} · last ${escapeHtml(formatDate(song.lastPlayedAt))}</span>
+      </div>
+    `).join('');
+  }
+
+  if (report.tombstones.length === 0) {
+    renderEmpty(tombstonesEl, 'No removed songs are being kept.');
+  } else {
+    tombstonesEl.innerHTML = report.tombstones.map(song => `
+      <div class="health-item">
+        <div class="health-item-header">
+          <div>${songLabel(song)}</div>
+          <span class="health-muted">${song.playCount} play${song.playCount === 1 ? '' : 's'} · removed ${escapeHtml(formatDate(song.removedAt))}</span>
+        </div>
+        ${song.filePath ? `<div class="health-muted health-path">${escapeHtml(song.filePath)}</div>` : ''}
+      </div>
+    `).join('');
+  }
+}
+
+async function refreshHealth() {
+  const summary = document.getElementById('healthSummary');
+  if (summary) summary.textContent = 'Checking…';
+  try {
+    renderReport(await getLibraryHealth());
+  } catch (error) {
+    console.error('Library health error:', error);
+    if (summary) summary.textContent = `Could not check library health: ${error.message}`;
+  }
+}
+
+export async function loadLibraryHealth() {
+  document.getElementById('healthRefresh')?.addEventListener('click', () => void refreshHealth());
+
+  document.getElementById('healthPrune')?.addEventListener('click', async () => {
+    const includeTombstoned = Boolean(document.getElementById('healthIncludeTombstoned')?.checked);
+    const question = includeTombstoned
+      ? 'Remove all dangling playlist entries and history, and forget removed songs kept for restore?'
+      : 'Remove dangling playlist entries and history? Removed songs kept for restore are left alone.';
+    if (!confirm(question)) return;
+
+    try {
+      const result = await pruneLibraryReferences({ includeTombstoned });
+      showToast(
+        `Removed ${result.prunedSongIds.length} missing songs from ${result.playlists} playlists and ${result.history} history entries`,
+        'success'
+      );
+    } catch (error) {
+      console.error('Prune error:', error);
+      showToast('Could not remove dangling entries', 'error');
+    }
+    await refreshHealth();
+  });
+
+  await refreshHealth();
+}
@@ -0,0 +1,176 @@
+import { getAudioPlayer } from '../player.js';
+import { getCurrentSong } from '../state.js';
+import { findActiveIndex, getLoadedLyrics, lyricLineHtml, paintLyricWords } from './lyrics.js';
+
+// Fullscreen karaoke: the line being sung in large type between the previous
+// and the next lines. Lines with word timings (enhanced LRC) fill word by word,
+// other lines light up as a whole.
+const UPCOMING_LINES = 2;
+
+let frame = 0;
+let shownIndex = null;
+
+function $(id) {
+  return document.getElementById(id);
+}
+
+function isOpen() {
+  const view = $('karaokeView');
+  return Boolean(view && !view.hidden);
+}
+
+function renderSong(song) {
+  const title = $('karaokeTitle');
+  const artist = $('karaokeArtist');
+  if (title) title.textContent = song?.title || 'Nothing playing';
+  if (artist) artist.textContent = song?.artist || '';
+}
+
+function renderMessage(message) {
+  const container = $('karaokeLines');
+  if (container) container.innerHTML = `<div class="karaoke-message">${message}</div>`;
+}
+
+function lineHtml(line, state) {
+  const text = line.text ? lyricLineHtml(line) : '♪';
+  return `<div class="karaoke-line is-${state}${line.words ? ' has-words' : ''}">${text}</div>`;
+}
+
+function renderLines(lines, idx) {
+  const container = $('karaokeLines');
+  if (!container) return;
+
+  const parts = [];
+  if (idx > 0) parts.push(lineHtml(lines[idx - 1], 'past'));
+  if (idx >= 0) parts.push(lineHtml(lines[idx], 'current'));
+  for (let i = idx + 1; i <= idx + UPCOMING_LINES && i < lines.length; i++) {
+    parts.push(lineHtml(lines[i], 'next'));
+  }
+  container.innerHTML = parts.join('') || '<div class="karaoke-message">♪</div>';
+}
+
+function update() {
+  const lyrics = getLoadedLyrics();
+  if (!getCurrentSong()?.id) {
+    if (shownIndex !== 'none') renderMessage('Nothing playing');
+    shownIndex = 'none';
+    return;
+  }
+  if (!lyrics) {
+    if (shownIndex !== 'missing') renderMessage('No lyrics for this song');
+    shownIndex = 'missing';
+    return;
+  }
+  if (!lyrics.synced || !lyrics.lines.length) {
+    if (shownIndex !== 'unsynced') {
+      renderMessage('These lyrics aren\'t synced. Use "Sync lyrics" in the lyrics panel to time them.');
+    }
+    shownIndex = 'unsynced';
+    return;
+  }
+
+  const seconds = Number(getAudioPlayer()?.currentTime) || 0;
+  const idx = findActiveIndex(lyrics.lines, seconds);
+  if (idx !== shownIndex) {
+    renderLines(lyrics.lines, idx);
+    shownIndex = idx;
+  }
+
+  const line = lyrics.lines[idx];
+  if (line?.words) {
+    const el = $('karaokeLines')?.querySelector('.karaoke-line.is-current');
+    paintLyricWords(el, line, seconds, lyrics.lines[idx + 1]?.time);
+  }
+}
+
+function tick() {
+  update();
+  frame = requestAnimationFrame(tick);
+}
+
+function updateFullscreenButton() {
+  const button = $('karaokeFullscreen');
+  if (!button) return;
+  const fullscreen = document.fullscreenElement === $('karaokeView');
+  button.title = fullscreen ? 'Exit full screen' : 'Full screen';
+  button.setAttribute('aria-label', button.title);
+  const icon = button.querySelector('.material-symbols-rounded');
+  if (icon) icon.textContent = fullscreen ? 'fullscreen_exit' : 'fullscreen';
+}
+
+function toggleBrowserFullscreen() {
+  const view = $('karaokeView');
+  if (document.fullscreenElement) {
+    void document.exitFullscreen?.().catch(() => {});
+  } else if (view?.requestFullscreen) {
+    void view.requestFullscreen().catch(() => {});
+  }
+}
+
+/**
+ * Open fullscreen karaoke for the playing song.
+ */
+export function openKaraoke() {
+  const view = $('karaokeView');
+  if (!view || isOpen()) return;
+
+  view.hidden = false;
+  document.body.classList.add('karaoke-open');
+  renderSong(getCurrentSong());
+  shownIndex = null;
+  tick();
+
+  if (view.requestFullscreen && !document.fullscreenElement) {
+    void view.requestFullscreen().catch(() => {});
+  }
+  $('karaokeClose')?.focus();
+}
+
+/**
+ * Close karaoke and stop following playback.
+ */
+export function closeKaraoke() {
+  const view = $('karaokeView');
+  if (!view) return;
+
+  cancelAnimationFrame(frame);
+  frame = 0;
+  if (document.fullscreenElement === view) {
+    void document.exitFullscreen?.().catch(() => {});
+  }
+  view.hidden = true;
+  document.body.classList.remove('karaoke-open');
+}
+
+/**
+ * Open or close karaoke.
+ */
+export function toggleKaraoke() {
+  if (isOpen()) closeKaraoke();
+  else openKaraoke();
+}
+
+export function setupKaraoke() {
+  const view = $('karaokeView');
+  if (!view) return;
+
+  $('lyricsKaraokeBtn')?.addEventListener('click', openKaraoke);
+  $('karaokeClose')?.addEventListener('click', closeKaraoke);
+  $('karaokeFullscreen')?.addEventListener('click', toggleBrowserFullscreen);
+  $('karaokeLines')?.addEventListener('dblclick', toggleBrowserFullscreen);
+
+  document.addEventListener('fullscreenchange', updateFullscreenButton);
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && isOpen() && !document.fullscreenElement) closeKaraoke();
+  });
+
+  document.addEventListener('songChanged', (e) => {
+    if (isOpen()) renderSong(e.detail);
+  });
+  // New lyrics (song change, reload, edit): start over.
+  document.addEventListener('player0:lyricsLoaded', () => {
+    shownIndex = null;
+  });
+
+  updateFullscreenButton();
+}
@@ -0,0 +1,53 @@
+import { API_URL, clearCache, fetchAllSongs } from '../api.js';
+import { setAllSongs } from '../state.js';
+import { performSearch } from './search.js';
+
+// Live library updates: the server pushes a "library" event whenever the
+// folder watcher (or a manual scan) changes the song list.
+
+const REFRESH_DELAY_MS = 400;
+
+let source = null;
+let refreshTimer = null;
+let pendingChanges = [];
+
+async function refreshLibrary() {
+  const changes = pendingChanges;
+  pendingChanges = [];
+
+  try {
+    clearCache();
+    const songs = await fetchAllSongs();
+    setAllSongs(songs);
+
+    // Re-render the library table in place (keeps the current query + sort).
+    if (document.getElementById('songTableBody')) {
+      await performSearch();
+    }
+
+    // Queue hydration and other views listen for these.
+    document.dispatchEvent(new CustomEvent('player0:songsLoaded', { detail: songs }));
+    document.dispatchEvent(new CustomEvent('player0:libraryChanged', { detail: changes }));
+  } catch (error) {
+    console.error('Library refresh failed:', error);
+  }
+}
+
+export function setupLibrarySync() {
+  if (source || typeof EventSource === 'undefined') return;
+
+  source = new EventSource(`${API_URL}/library/events`);
+  source.addEventListener('library', (e) => {
+    let change = null;
+    try {
+      change = JSON.parse(e.data);
+    } catch {
+      return;
+    }
+    pendingChanges.push(change);
+
+    clearTimeout(refreshTimer);
+    refreshTimer = setTimeout(() => void refreshLibrary(), REFRESH_DELAY_MS);
+  });
+  // EventSource reconnects on its own after network errors / server restarts.
+}
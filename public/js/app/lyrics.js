@@ -1,11 +1,31 @@
 import { getLyrics } from '../api.js';
+import { getAudioPlayer, seekToSeconds } from '../player.js';
+import { getBookmarkState, renameBookmark, removeBookmark } from '../bookmarks.js';
+import { formatDuration } from '../utils.js';
+import { showToast } from './uiFeatures.js';
+import { openLyricsEditor } from './lyricsEditor.js';
 
 let currentSongId = null;
-let lyricLines = null; // { synced:boolean, lines:[{time:number,text:string}] } or {synced:false,text:string}
+let currentSong = null;
+let currentLrc = ''; // raw lyrics as loaded, for the editor
+// { synced:boolean, lines:[{time:number,text:string,words?:[{time:number,text:string}],secondary?:string}] } or {synced:false,text:string}
+let lyricLines = null;
+let lyricsSourceLabel = '';
+// Parallel tracks of the current song ('en', 'romaji', ...; from Song.<track>.lrc)
+let lyricsTracks = [];
 let lastActiveIndex = -1;
+let hasWordTimings = false;
+let wordTicker = 0;
+let lastWordTime = -1;
 let lastUpdateAt = 0;
 
 const LYRICS_COLLAPSED_KEY = 'player0.lyricsCollapsed.v1';
+// The parallel track shown under each line (kept across songs that have it).
+const LYRICS_SECOND_LINE_KEY = 'player0.lyricsSecondLine.v1';
+// A second-line entry belongs to the line it starts with, give or take this much.
+const SECOND_LINE_TOLERANCE_SECONDS = 0.3;
+// How long the last word of a line fills when the line doesn't say when it ends.
+const LAST_WORD_SECONDS = 1.5;
 
 function $(id) {
   return document.getElementById(id);
@@ -31,8 +51,44 @@ function setLyricsSourceText(text) {
   setTextIfPresent('npfsLyricsSource', text);
 }
 
+const LINE_TAG = /\[(\d{1,2}):(\d{2})(?:[.:](\d{1,3}))?\]/g;
+// Enhanced LRC / A2 word timings: [00:12.00]<00:12.00>Some <00:12.40>words
+const WORD_TAG = /<(\d{1,2}):(\d{2})(?:[.:](\d{1,3}))?>/g;
+
 function hasTimestamps(text) {
-  return /\[\d{1,2}:\d{2}(?:[.:]\d{1,2})?\]/.test(String(text || ''));
+  return /\[\d{1,2}:\d{2}(?:[.:]\d{1,3})?\]|<\d{1,2}:\d{2}(?:[.:]\d{1,3})?>/.test(String(text || ''));
+}
+
+function tagSeconds(match) {
+  const mm = Number(match[1]);
+  const ss = Number(match[2]);
+  const frac = match[3] ? Number(match[3]) : 0;
+  if (!Number.isFinite(mm) || !Number.isFinite(ss) || !Number.isFinite(frac)) return null;
+  const ms = match[3] ? frac * Math.pow(10, 3 - match[3].length) : 0;
+  return mm * 60 + ss + ms / 1000;
+}
+
+// Split a line's text at its word tags. Text before the first tag starts with
+// the line, and a tag at the very end marks when the last word ends.
+// Returns null when the line has no word timings.
+function parseWords(text, lineTime) {
+  const words = [];
+  let time = lineTime;
+  let last = 0;
+  let match;
+  WORD_TAG.lastIndex = 0;
+  while ((match = WORD_TAG.exec(text))) {
+    const seconds = tagSeconds(match);
+    if (match.index > last) words.push({ time, text: text.slice(last, match.index) });
+    if (seconds !== null) time = seconds;
+    last = WORD_TAG.lastIndex;
+  }
+  if (last === 0) return null;
+  if (last < text.length) words.push({ time, text: text.slice(last) });
+  return {
+    words: words.filter((w) => w.text !== '' && w.time !== null),
+    end: last === text.length ? time : null
+  };
 }
 
 function parseOffsetMs(raw) {
@@ -67,24 +123,30 @@ function parseLrc(lrcText) {
     if (/^\[offset:/i.test(line)) continue;
 
     const times = [];
-    const re = /\[(\d{1,2}):(\d{2})(?:[.:](\d{1,2}))?\]/g;
     let match;
-    while ((match = re.exec(line))) {
-      const mm = Number(match[1]);
-      const ss = Number(match[2]);
-      const frac = match[3] ? Number(match[3]) : 0;
-      if (!Number.isFinite(mm) || !Number.isFinite(ss) || !Number.isFinite(frac)) continue;
-      const ms = match[3]
-        ? (match[3].length === 1 ? frac * 100 : frac * 10)
-        : 0;
-      const seconds = mm * 60 + ss + ms / 1000;
-      times.push(seconds);
+    LINE_TAG.lastIndex = 0;
+    while ((match = LINE_TAG.exec(line))) {
+      const seconds = tagSeconds(match);
+      if (seconds !== null) times.push(seconds);
     }
 
-    const textOnly = line.replace(re, '').trim();
+    const body = line.replace(LINE_TAG, '').trim();
+    const timed = parseWords(body, times.length ? times[0] : null);
+    const words = timed?.words.length ? timed.words : null;
+    // A2 lines may carry word tags only; the first word starts the line.
+    if (!times.length && words) times.push(words[0].time);
+    const textOnly = timed ? timed.words.map((w) => w.text).join('').trim() : body;
+
     for (const t of times) {
       const shifted = Math.max(0, t + offsetMs / 1000);
-      lines.push({ time: shifted, text: textOnly });
+      const entry = { time: shifted, text: textOnly };
+      // A line sung more than once ([00:10.00][01:20.00]...) repeats its word timing.
+      if (words) {
+        const shift = (time) => Math.max(0, time - times[0] + shifted);
+        entry.words = words.map((w) => ({ time: shift(w.time), text: w.text }));
+        if (timed.end !== null) entry.end = shift(timed.end);
+      }
+      lines.push(entry);
     }
   }
 
@@ -93,23 +155,151 @@ function parseLrc(lrcText) {
   return { synced: true, lines };
 }
 
-function renderEmpty(message) {
+function renderEmpty(message, action = '') {
   const containers = getLyricsContainers();
   containers.forEach((container) => {
-    container.innerHTML = `<div class="lyrics-empty">${message}</div>`;
+    container.innerHTML = `<div class="lyrics-empty">${message}</div>${action}`;
   });
 }
 
+function editButtonHtml(label, mode) {
+  return `<button type="button" class="lyrics-sync-btn" data-lyrics-edit="${mode}"><span class="material-symbols-rounded" aria-hidden="true">${mode === 'sync' ? 'timer' : 'edit_note'}</span>${label}</button>`;
+}
+
+function openEditor(mode) {
+  if (!currentSong?.id) return;
+  openLyricsEditor(currentSong, currentLrc, { mode });
+}
+
+// Bookmarks that fall on each line (from its timestamp up to the next line's).
+function bookmarksByLine(lines) {
+  const byLine = new Map();
+  getBookmarkState().bookmarks.forEach((bookmark) => {
+    const idx = findActiveIndex(lines, bookmark.time);
+    if (idx < 0) return;
+    if (!byLine.has(idx)) byLine.set(idx, []);
+    byLine.get(idx).push(bookmark);
+  });
+  return byLine;
+}
+
+function bookmarkMarkerHtml(bookmark) {
+  const label = `${bookmark.name || 'Bookmark'} (${formatDuration(bookmark.time)})`;
+  return `<span class="lyric-bookmark material-symbols-rounded" data-bookmark-time="${bookmark.time}" title="${escapeHtml(label)}" aria-label="${escapeHtml(label)}">bookmark</span>`;
+}
+
+/**
+ * Markup for a lyric line's text: one span per timed word (see paintLyricWords()),
+ * or the plain text for lines with line timing only, then the second line if any.
+ * @param {Object} line - { text, words?, secondary? }
+ * @returns {string}
+ */
+export function lyricLineHtml(line) {
+  const secondary = line?.secondary ? `<span class="lyric-secondary">${escapeHtml(line.secondary)}</span>` : '';
+  if (!line?.words) return escapeHtml(line?.text || '') + secondary;
+  return line.words.map((word) => `<span class="lyric-word">${escapeHtml(word.text)}</span>`).join('') + secondary;
+}
+
+/**
+ * Karaoke fill for a line rendered by lyricLineHtml(): sung words get
+ * `.is-sung`, the word being sung fills up via `--word-progress`.
+ * @param {Element} el - Element holding the line's word spans
+ * @param {Object} line - { time, words?, end? }
+ * @param {number} seconds - Playback position
+ * @param {number} [nextLineTime] - When the next line starts
+ */
+export function paintLyricWords(el, line, seconds, nextLineTime) {
+  const spans = el?.querySelectorAll?.('.lyric-word');
+  if (!line?.words || !spans?.length) return;
+
+  line.words.forEach((word, i) => {
+    const span = spans[i];
+    if (!span) return;
+    const lastEnd = line.end ?? Math.min(nextLineTime ?? Infinity, word.time + LAST_WORD_SECONDS);
+    const end = line.words[i + 1]?.time ?? lastEnd;
+    const progress = end > word.time
+      ? Math.min(1, Math.max(0, (seconds - word.time) / (end - word.time)))
+      : (seconds >= word.time ? 1 : 0);
+    span.classList.toggle('is-sung', progress >= 1);
+    span.style.setProperty('--word-progress', `${Math.round(progress * 1000) / 10}%`);
+  });
+}
+
+/**
+ * The current song's parsed lyrics.
+ * @returns {Object|null} { synced: true, lines } or { synced: false, text }; null while loading or when there are none
+ */
+export function getLoadedLyrics() {
+  return lyricLines;
+}
+
 function renderSynced(lines) {
+  const byLine = bookmarksByLine(lines);
   const html = lines.length
     ? lines.map((l, idx) => `
-      <div class="lyric-line" role="button" tabindex="0" data-lyric-index="${idx}" data-lyric-time="${l.time}">${escapeHtml(l.text || '')}</div>
+      <div class="lyric-line${l.words ? ' has-words' : ''}" role="button" tabindex="0" data-lyric-index="${idx}" data-lyric-time="${l.time}">${lyricLineHtml(l)}${(byLine.get(idx) || []).map(bookmarkMarkerHtml).join('')}</div>
     `).join('')
     : `<div class="lyrics-empty">No synced lyrics</div>`;
 
   getLyricsContainers().forEach((container) => {
     container.innerHTML = html;
   });
+  lastActiveIndex = -1;
+}
+
+function renderBookmarks() {
+  const strip = $('lyricsBookmarks');
+  if (!strip) return;
+
+  const { bookmarks } = getBookmarkState();
+  strip.hidden = bookmarks.length === 0;
+  strip.innerHTML = bookmarks.map((bookmark) => `
+    <span class="lyrics-bookmark">
+      <button type="button" data-bookmark-time="${bookmark.time}" title="Jump to ${formatDuration(bookmark.time)}">
+        <span class="material-symbols-rounded" aria-hidden="true">bookmark</span>
+        ${escapeHtml(bookmark.name || 'Bookmark')}
+        <span class="lyrics-bookmark-time">${formatDuration(bookmark.time)}</span>
+      </button>
+      <button type="button" data-bookmark-rename="${escapeHtml(bookmark.id)}" title="Rename" aria-label="Rename bookmark">
+        <span class="material-symbols-rounded" aria-hidden="true">edit</span>
+      </button>
+      <button type="button" data-bookmark-remove="${escapeHtml(bookmark.id)}" title="Delete" aria-label="Delete bookmark">
+        <span class="material-symbols-rounded" aria-hidden="true">close</span>
+      </button>
+    </span>
+  `).join('');
+}
+
+function jumpTo(seconds) {
+  seekToSeconds(seconds);
+  lastUpdateAt = 0;
+  updateHighlight(seconds);
+}
+
+async function handleBookmarkAction(target) {
+  const jump = target?.closest?.('[data-bookmark-time]');
+  if (jump) {
+    jumpTo(Number(jump.dataset.bookmarkTime));
+    return true;
+  }
+
+  const renameButton = target?.closest?.('[data-bookmark-rename]');
+  const removeButton = target?.closest?.('[data-bookmark-remove]');
+  const id = renameButton?.dataset.bookmarkRename || removeButton?.dataset.bookmarkRemove;
+  const bookmark = id ? getBookmarkState().bookmarks.find((b) => b.id === id) : null;
+  if (!bookmark) return false;
+
+  try {
+    if (renameButton) {
+      const name = prompt('Bookmark name', bookmark.name || '');
+      if (name !== null) await renameBookmark(bookmark.id, name);
+    } else if (confirm(`Delete bookmark "${bookmark.name || formatDuration(bookmark.time)}"?`)) {
+      await removeBookmark(bookmark.id);
+    }
+  } catch (err) {
+    showToast(`Could not update bookmark: ${err?.message || err}`, 'error');
+  }
+  return true;
 }
 
 function seekToLyricLine(target) {
@@ -122,7 +312,7 @@ function seekToLyricLine(target) {
   const seconds = Number(raw);
   if (!Number.isFinite(seconds) || seconds < 0) return;
 
-  const audio = document.getElementById('audioPlayer');
+  const audio = getAudioPlayer();
   if (!audio) return;
 
   try {
@@ -142,6 +332,16 @@ function wireLyricSeekHandlers() {
     container.dataset.lyricSeekWired = '1';
 
     container.addEventListener('click', (e) => {
+      const edit = e.target?.closest?.('[data-lyrics-edit]');
+      if (edit) {
+        openEditor(edit.dataset.lyricsEdit);
+        return;
+      }
+      // A bookmark marker inside a line jumps to the bookmark, not the line.
+      if (e.target?.closest?.('[data-bookmark-time]')) {
+        void handleBookmarkAction(e.target);
+        return;
+      }
       seekToLyricLine(e.target);
     });
 
@@ -156,8 +356,9 @@ function wireLyricSeekHandlers() {
 }
 
 function renderUnsynced(text) {
+  // Plain lyrics can be turned into synced ones with the editor's tap mode.
   const html = text
-    ? `<div class="lyrics-plain">${escapeHtml(text)}</div>`
+    ? `${text === 'Instrumental' ? '' : editButtonHtml('Sync lyrics', 'sync')}<div class="lyrics-plain">${escapeHtml(text)}</div>`
     : `<div class="lyrics-empty">No lyrics</div>`;
 
   getLyricsContainers().forEach((container) => {
@@ -165,6 +366,113 @@ function renderUnsynced(text) {
   });
 }
 
+function getSecondLinePreference() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(LYRICS_SECOND_LINE_KEY) || 'null');
+    return typeof parsed?.track === 'string' ? parsed.track : '';
+  } catch {
+    return '';
+  }
+}
+
+function setSecondLinePreference(track) {
+  try {
+    localStorage.setItem(LYRICS_SECOND_LINE_KEY, JSON.stringify({ track: String(track || '') }));
+  } catch {
+    // ignore
+  }
+}
+
+const TRACK_NAMES = { romaji: 'Romaji', romaja: 'Romaja', pinyin: 'Pinyin', roman: 'Romanized', romanized: 'Romanized', translation: 'Translation' };
+
+// 'en' -> 'English', 'romaji' -> 'Romaji'
+function trackLabel(track) {
+  const known = TRACK_NAMES[track.toLowerCase()];
+  if (known) return known;
+  if (/^[a-z]{2,3}(?:[-_][a-z0-9]{2,8})*$/i.test(track)) {
+    try {
+      const name = new Intl.DisplayNames([navigator.language || 'en'], { type: 'language' }).of(track.replace(/_/g, '-'));
+      if (name && name.toLowerCase() !== track.toLowerCase()) return name;
+    } catch {
+      // not a language code
+    }
+  }
+  return track.charAt(0).toUpperCase() + track.slice(1);
+}
+
+function renderTrackPicker() {
+  const select = $('lyricsTrackSelect');
+  if (!select) return;
+
+  // The second line goes under synced lines only.
+  select.hidden = lyricsTracks.length === 0 || !lyricLines?.synced;
+  select.innerHTML = ['<option value="">No second line</option>']
+    .concat(lyricsTracks.map((track) => `<option value="${escapeHtml(track)}">${escapeHtml(trackLabel(track))}</option>`))
+    .join('');
+  const chosen = getSecondLinePreference();
+  select.value = lyricsTracks.includes(chosen) ? chosen : '';
+}
+
+function renderSourceText() {
+  const track = getSecondLinePreference();
+  const shown = lyricLines?.synced && lyricLines.lines.some((line) => line.secondary);
+  setLyricsSourceText(shown ? `${lyricsSourceLabel} • + ${trackLabel(track)}` : lyricsSourceLabel);
+}
+
+// The chosen parallel track of a song, parsed like its lyrics; null when off or missing.
+async function loadSecondLine(song) {
+  const track = getSecondLinePreference();
+  if (!track || !lyricsTracks.includes(track)) return null;
+  try {
+    const data = await getLyrics(song.id, { track });
+    return data?.synced ? parseLrc(data.lrc) : { synced: false, text: String(data?.lrc || '').trim() };
+  } catch {
+    return null;
+  }
+}
+
+// Put the parallel track under the synced lines: synced entries go with the
+// line they start with; plain text goes line by line when the counts match.
+function withSecondLines(lines, second) {
+  const out = lines.map(({ secondary, ...line }) => line);
+  if (!second) return out;
+
+  if (second.synced) {
+    let j = 0;
+    out.forEach((line, i) => {
+      const until = (out[i + 1]?.time ?? Infinity) - SECOND_LINE_TOLERANCE_SECONDS;
+      const texts = [];
+      while (j < second.lines.length && second.lines[j].time < until) {
+        const entry = second.lines[j++];
+        if (entry.time >= line.time - SECOND_LINE_TOLERANCE_SECONDS && entry.text) texts.push(entry.text);
+      }
+      if (texts.length) line.secondary = texts.join(' ');
+    });
+    return out;
+  }
+
+  const texts = String(second.text || '').split(/\r?\n/).map((t) => t.trim()).filter(Boolean);
+  const sung = out.filter((line) => line.text);
+  if (texts.length === sung.length) sung.forEach((line, i) => { line.secondary = texts[i]; });
+  return out;
+}
+
+async function switchSecondLine(track) {
+  setSecondLinePreference(track);
+  const song = currentSong;
+  if (!song?.id || !lyricLines?.synced) return;
+
+  const second = await loadSecondLine(song);
+  if (song !== currentSong || !lyricLines?.synced) return;
+
+  lyricLines = { ...lyricLines, lines: withSecondLines(lyricLines.lines, second) };
+  renderSynced(lyricLines.lines);
+  renderSourceText();
+  lastUpdateAt = 0;
+  updateHighlight(getAudioPlayer()?.currentTime);
+  document.dispatchEvent(new CustomEvent('player0:lyricsLoaded', { detail: { songId: song.id } }));
+}
+
 function escapeHtml(value) {
   return String(value || '')
     .replace(/&/g, '&amp;')
@@ -175,36 +483,66 @@ function escapeHtml(value) {
 }
 
 async function loadLyricsForSong(song, { force = false } = {}) {
+  currentSong = song;
+  currentLrc = '';
+  lyricLines = null;
+  lyricsSourceLabel = '';
+  lyricsTracks = [];
+  setWordTimings(false);
   setLyricsTitle(song);
   setLyricsSourceText('');
+  renderTrackPicker();
 
   renderEmpty('Loading lyrics…');
   lastActiveIndex = -1;
 
   try {
     const data = await getLyrics(song.id, { force });
+    lyricsTracks = Array.isArray(data?.tracks) ? data.tracks : [];
+    const second = data?.synced ? await loadSecondLine(song) : null;
+    // Another song started while this one's second line loaded.
+    if (song !== currentSong) return;
+
+    currentLrc = String(data?.lrc || '');
     // Trust backend synced flag so we don't mis-sync for "unsynced" lyrics
     // that happen to include timestamps (e.g. all [00:00.00]).
     lyricLines = data?.synced
       ? parseLrc(data.lrc)
       : { synced: false, text: String(data?.lrc || '').trim() };
+    if (lyricLines.synced) lyricLines.lines = withSecondLines(lyricLines.lines, second);
 
     const syncedLabel = data.synced ? 'synced' : 'unsynced';
-    setLyricsSourceText(data.source ? `${data.source} • ${syncedLabel}` : syncedLabel);
+    lyricsSourceLabel = data.source ? `${data.source} • ${syncedLabel}` : syncedLabel;
+    renderSourceText();
+    renderTrackPicker();
 
     if (lyricLines.synced) {
       renderSynced(lyricLines.lines);
+      setWordTimings(lyricLines.lines.some((line) => line.words));
     } else {
       renderUnsynced(lyricLines.text);
     }
   } catch (err) {
+    // A failed request for a song that's no longer playing must not clear the current one's lyrics.
+    if (song !== currentSong) return;
     lyricLines = null;
-    renderEmpty('No local/embedded lyrics. Add a .lrc (synced), .txt (unsynced), or embed USLT/SYLT.');
+    renderEmpty(
+      'No lyrics found. Add a .lrc (synced), .txt (unsynced), embed USLT/SYLT, or set up online lyrics in Settings.',
+      editButtonHtml('Add lyrics', 'edit')
+    );
     setLyricsSourceText(String(err?.message || ''));
   }
+
+  document.dispatchEvent(new CustomEvent('player0:lyricsLoaded', { detail: { songId: song.id } }));
 }
 
-function findActiveIndex(lines, timeSeconds) {
+/**
+ * Index of the line being sung at a position.
+ * @param {Array<{time:number}>} lines - Sorted by time
+ * @param {number} timeSeconds
+ * @returns {number} -1 before the first line
+ */
+export function findActiveIndex(lines, timeSeconds) {
   let lo = 0;
   let hi = lines.length - 1;
   let best = -1;
@@ -232,8 +570,12 @@ function updateHighlight(currentTimeSeconds) {
   const lines = lyricLines.lines;
   if (!lines?.length) return;
 
-  const idx = findActiveIndex(lines, Number(currentTimeSeconds) || 0);
-  if (idx === lastActiveIndex) return;
+  const seconds = Number(currentTimeSeconds) || 0;
+  const idx = findActiveIndex(lines, seconds);
+  if (idx === lastActiveIndex) {
+    paintActiveWords(seconds);
+    return;
+  }
 
   const containers = getLyricsContainers();
   if (!containers.length) return;
@@ -256,6 +598,42 @@ function updateHighlight(currentTimeSeconds) {
   });
 
   lastActiveIndex = idx;
+  paintActiveWords(seconds);
+}
+
+function paintActiveWords(seconds) {
+  const line = lastActiveIndex >= 0 ? lyricLines?.lines?.[lastActiveIndex] : null;
+  if (!line?.words) return;
+  const nextLineTime = lyricLines.lines[lastActiveIndex + 1]?.time;
+  getLyricsContainers().forEach((container) => {
+    const el = container.querySelector(`.lyric-line[data-lyric-index="${lastActiveIndex}"]`);
+    paintLyricWords(el, line, seconds, nextLineTime);
+  });
+}
+
+// Word timings need smoother updates than timeupdate gives (about 4 a second),
+// so follow playback every frame while the lyrics have them.
+function setWordTimings(enabled) {
+  hasWordTimings = Boolean(enabled);
+  if (!hasWordTimings) {
+    cancelAnimationFrame(wordTicker);
+    wordTicker = 0;
+    lastWordTime = -1;
+    return;
+  }
+  if (wordTicker) return;
+
+  const tick = () => {
+    if (!hasWordTimings) return;
+    const seconds = Number(getAudioPlayer()?.currentTime) || 0;
+    if (seconds !== lastWordTime) {
+      lastWordTime = seconds;
+      lastUpdateAt = 0;
+      updateHighlight(seconds);
+    }
+    wordTicker = requestAnimationFrame(tick);
+  };
+  wordTicker = requestAnimationFrame(tick);
 }
 
 function setLyricsCollapsed(collapsed) {
@@ -313,16 +691,41 @@ export function setupLyrics() {
     void loadLyricsForSong(song);
   });
 
+  // Bookmarks strip + markers on synced lines
+  $('lyricsBookmarks')?.addEventListener('click', (e) => {
+    void handleBookmarkAction(e.target);
+  });
+  document.addEventListener('player0:bookmarksChanged', () => {
+    renderBookmarks();
+    if (lyricLines?.synced) {
+      renderSynced(lyricLines.lines);
+      lastUpdateAt = 0;
+      updateHighlight(getAudioPlayer()?.currentTime);
+    }
+  });
+
   // Player time update -> highlight
   document.addEventListener('player0:timeupdate', (e) => {
     updateHighlight(e.detail?.seconds);
   });
 
-  // Force refresh button
+  // Second line (translation / romanization track)
+  $('lyricsTrackSelect')?.addEventListener('change', (e) => {
+    void switchSecondLine(e.target.value);
+  });
+
+  // Lyrics editor (edit, tap-to-sync, offset) -> reload once saved
+  $('lyricsEditBtn')?.addEventListener('click', () => openEditor('edit'));
+  document.addEventListener('player0:lyricsChanged', (e) => {
+    if (!currentSong?.id || e.detail?.songId !== currentSong.id) return;
+    void loadLyricsForSong(currentSong);
+  });
+
+  // Force refresh button (also looks up online again instead of using the cached result)
   document.getElementById('lyricsRefreshBtn')?.addEventListener('click', async () => {
     if (!currentSongId) return;
     const song = { id: currentSongId, title: document.getElementById('npTitle')?.textContent || '' };
     // We only need the id; backend uses storage to resolve metadata.
-    await loadLyricsForSong(song, { force: false });
+    await loadLyricsForSong(song, { force: true });
   });
 }
@@ -0,0 +1,338 @@
+import { saveLyrics } from '../api.js';
+import { getAudioPlayer, seekToSeconds } from '../player.js';
+import { getCurrentSong } from '../state.js';
+import { showToast } from './uiFeatures.js';
+
+// Lyrics editor with tap-to-sync. The textarea holds the LRC text; Sync mode
+// walks its lyric lines and stamps each one with the playback position when
+// you tap. The [offset:] tag is edited separately and written back on save.
+const SEEK_STEP_SECONDS = 2;
+const OFFSET_STEP_MS = 50;
+
+const OFFSET_LINE = /^\s*\[offset:\s*([+-]?\d+)\s*\]\s*$/gim;
+const META_LINE = /^\[[a-z]+\s*:.*\]$/i;
+const LEADING_TIMES = /^\s*(?:\[\d{1,2}:\d{2}(?:[.:]\d{1,3})?\]\s*)+/;
+const WORD_TIMES = /<\d{1,2}:\d{2}(?:[.:]\d{1,3})?>/g;
+
+let songId = null;
+let lines = [];
+let cursor = -1;
+
+function $(id) {
+  return document.getElementById(id);
+}
+
+function escapeHtml(value) {
+  return String(value || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#039;');
+}
+
+function isOpen() {
+  const modal = $('lyricsEditorModal');
+  return Boolean(modal && modal.style.display !== 'none');
+}
+
+function isSyncMode() {
+  return $('lyricsEditorModal')?.dataset.mode === 'sync';
+}
+
+function formatLrcTime(seconds) {
+  const centis = Math.max(0, Math.round(seconds * 100));
+  const mm = Math.floor(centis / 6000);
+  const ss = Math.floor((centis % 6000) / 100);
+  const cc = centis % 100;
+  return `${String(mm).padStart(2, '0')}:${String(ss).padStart(2, '0')}.${String(cc).padStart(2, '0')}`;
+}
+
+// Seconds of a line's first timestamp, or null when it has none.
+function lineTime(line) {
+  const m = String(line).match(/^\s*\[(\d{1,2}):(\d{2})(?:[.:](\d{1,3}))?\]/);
+  if (!m) return null;
+  const frac = m[3] ? Number(m[3]) / Math.pow(10, m[3].length) : 0;
+  return Number(m[1]) * 60 + Number(m[2]) + frac;
+}
+
+function lineText(line) {
+  return String(line).replace(LEADING_TIMES, '').trim();
+}
+
+// Text as sung, without enhanced LRC word timings (which are kept in the file).
+function displayText(line) {
+  return lineText(line).replace(WORD_TIMES, '').trim();
+}
+
+// Lines that get a timestamp: everything but blanks and [ar:]-style tags.
+function isLyricLine(line) {
+  const trimmed = String(line || '').trim();
+  return Boolean(trimmed) && !META_LINE.test(trimmed);
+}
+
+function nextLyricLine(from) {
+  for (let i = Math.max(0, from); i < lines.length; i++) {
+    if (isLyricLine(lines[i])) return i;
+  }
+  return -1;
+}
+
+function previousLyricLine(before) {
+  for (let i = Math.min(before, lines.length) - 1; i >= 0; i--) {
+    if (isLyricLine(lines[i])) return i;
+  }
+  return -1;
+}
+
+function getOffsetMs() {
+  const n = Math.trunc(Number($('lyricsEditorOffset')?.value));
+  return Number.isFinite(n) ? n : 0;
+}
+
+function setOffsetMs(ms) {
+  const input = $('lyricsEditorOffset');
+  if (input) input.value = String(Math.trunc(Number(ms) || 0));
+}
+
+function readLines() {
+  lines = String($('lyricsEditorText')?.value || '').replace(/\r\n?/g, '\n').split('\n');
+}
+
+function writeLines() {
+  const text = $('lyricsEditorText');
+  if (text) text.value = lines.join('\n');
+}
+
+function renderSyncLines() {
+  const list = $('lyricsEditorLines');
+  if (!list) return;
+
+  const items = [];
+  lines.forEach((line, idx) => {
+    if (!isLyricLine(line)) return;
+    const time = lineTime(line);
+    const classes = ['lyrics-editor-line'];
+    if (idx === cursor) classes.push('is-current');
+    if (time !== null) classes.push('is-stamped');
+    items.push(`
+      <li class="${classes.join(' ')}" data-line="${idx}">
+        <span class="lyrics-editor-time">${time === null ? '--:--.--' : formatLrcTime(time)}</span>
+        <span class="lyrics-editor-text">${escapeHtml(displayText(line)) || '&nbsp;'}</span>
+      </li>
+    `);
+  });
+
+  list.innerHTML = items.length
+    ? items.join('')
+    : '<li class="lyrics-editor-empty">Type or paste the lyrics first, one line per line.</li>';
+
+  const status = $('lyricsEditorStatus');
+  if (status) {
+    if (cursor >= 0) status.textContent = `Next: ${displayText(lines[cursor]) || '(instrumental break)'}`;
+    else status.textContent = items.length ? 'All lines are stamped. Save, or click a line to redo from there.' : '';
+  }
+
+  list.querySelector('.is-current')?.scrollIntoView?.({ block: 'center' });
+}
+
+function setMode(mode) {
+  const modal = $('lyricsEditorModal');
+  if (!modal) return;
+
+  if (mode === 'sync') {
+    readLines();
+    // Pick up where the stamps stop.
+    const firstUnstamped = lines.findIndex((line) => isLyricLine(line) && lineTime(line) === null);
+    cursor = firstUnstamped >= 0 ? firstUnstamped : nextLyricLine(0);
+    renderSyncLines();
+  }
+
+  modal.dataset.mode = mode;
+  $('lyricsEditorEditPane').hidden = mode === 'sync';
+  $('lyricsEditorSyncPane').hidden = mode !== 'sync';
+  document.querySelectorAll('#lyricsEditorModes [data-lyrics-editor-mode]').forEach((button) => {
+    const active = button.dataset.lyricsEditorMode === mode;
+    button.classList.toggle('is-active', active);
+    button.setAttribute('aria-pressed', active ? 'true' : 'false');
+  });
+
+  if (mode === 'sync') $('lyricsEditorTap')?.focus();
+  else $('lyricsEditorText')?.focus();
+}
+
+function playbackTime() {
+  if (getCurrentSong()?.id !== songId) {
+    showToast('Play this song to sync its lyrics', 'error');
+    return null;
+  }
+  const seconds = Number(getAudioPlayer()?.currentTime);
+  return Number.isFinite(seconds) ? seconds : null;
+}
+
+// Stamp the current line with the playback position and move to the next.
+function tap() {
+  if (cursor < 0) return;
+  const seconds = playbackTime();
+  if (seconds === null) return;
+
+  // Stamps are stored without the offset, which is applied on playback.
+  lines[cursor] = `[${formatLrcTime(seconds - getOffsetMs() / 1000)}]${lineText(lines[cursor])}`;
+  cursor = nextLyricLine(cursor + 1);
+  writeLines();
+  renderSyncLines();
+}
+
+// Clear the last stamp and rewind a little so the line can be tapped again.
+function undo() {
+  const previous = previousLyricLine(cursor < 0 ? lines.length : cursor);
+  if (previous < 0) return;
+
+  const time = lineTime(lines[previous]);
+  lines[previous] = lineText(lines[previous]);
+  cursor = previous;
+  writeLines();
+  renderSyncLines();
+
+  if (time !== null && getCurrentSong()?.id === songId) {
+    seekToSeconds(Math.max(0, time + getOffsetMs() / 1000 - SEEK_STEP_SECONDS));
+  }
+}
+
+function seekBy(deltaSeconds) {
+  const seconds = playbackTime();
+  if (seconds === null) return;
+  seekToSeconds(Math.max(0, seconds + deltaSeconds));
+}
+
+function selectLine(idx) {
+  if (!Number.isInteger(idx) || !isLyricLine(lines[idx])) return;
+  cursor = idx;
+  renderSyncLines();
+
+  // Replay a stamped line from just before it, to check or redo it.
+  const time = lineTime(lines[idx]);
+  if (time !== null && getCurrentSong()?.id === songId) {
+    seekToSeconds(Math.max(0, time + getOffsetMs() / 1000 - SEEK_STEP_SECONDS));
+  }
+}
+
+function lyricsForSave() {
+  const body = String($('lyricsEditorText')?.value || '').replace(OFFSET_LINE, '').replace(/^\n+/, '');
+  const offset = getOffsetMs();
+  return offset ? `[offset:${offset}]\n${body}` : body;
+}
+
+async function save() {
+  const button = $('saveLyricsEditor');
+  if (!songId || button?.disabled) return;
+
+  const lrc = lyricsForSave();
+  if (!lrc.trim()) {
+    showToast('Lyrics are empty', 'error');
+    return;
+  }
+
+  if (button) button.disabled = true;
+  try {
+    const saved = await saveLyrics(songId, lrc);
+    showToast(saved.synced ? 'Synced lyrics saved' : 'Lyrics saved', 'success');
+    document.dispatchEvent(new CustomEvent('player0:lyricsChanged', { detail: { songId } }));
+    closeLyricsEditor();
+  } catch (err) {
+    showToast(`Could not save lyrics: ${err?.message || err}`, 'error');
+  } finally {
+    if (button) button.disabled = false;
+  }
+}
+
+/**
+ * Open the lyrics editor for a song.
+ * @param {Object} song - { id, title }
+ * @param {string} lrc - Current lyrics ('' for none)
+ * @param {Object} [options]
+ * @param {'edit'|'sync'} [options.mode] - Start in tap-to-sync mode
+ */
+export function openLyricsEditor(song, lrc, { mode = 'edit' } = {}) {
+  const modal = $('lyricsEditorModal');
+  if (!modal || !song?.id) return;
+
+  songId = song.id;
+  const text = String(lrc || '').replace(/\r\n?/g, '\n');
+  const offset = [...text.matchAll(OFFSET_LINE)].pop();
+  setOffsetMs(offset ? Number(offset[1]) : 0);
+  $('lyricsEditorText').value = text.replace(OFFSET_LINE, '').replace(/^\n+/, '').trimEnd();
+
+  const title = $('lyricsEditorTitle');
+  if (title) title.textContent = song.title ? `Lyrics • ${song.title}` : 'Edit Lyrics';
+
+  modal.style.display = 'flex';
+  setMode(mode);
+}
+
+export function closeLyricsEditor() {
+  const modal = $('lyricsEditorModal');
+  if (modal) modal.style.display = 'none';
+  songId = null;
+  lines = [];
+  cursor = -1;
+}
+
+export function setupLyricsEditor() {
+  const modal = $('lyricsEditorModal');
+  if (!modal) return;
+
+  $('closeLyricsEditorModal')?.addEventListener('click', closeLyricsEditor);
+  $('cancelLyricsEditor')?.addEventListener('click', closeLyricsEditor);
+  $('saveLyricsEditor')?.addEventListener('click', () => { void save(); });
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) closeLyricsEditor();
+  });
+
+  $('lyricsEditorModes')?.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-lyrics-editor-mode]');
+    if (button) setMode(button.dataset.lyricsEditorMode);
+  });
+
+  $('lyricsEditorTap')?.addEventListener('click', tap);
+  $('lyricsEditorUndo')?.addEventListener('click', undo);
+  $('lyricsEditorRewind')?.addEventListener('click', () => seekBy(-SEEK_STEP_SECONDS));
+  $('lyricsEditorLines')?.addEventListener('click', (e) => {
+    const item = e.target.closest('[data-line]');
+    if (item) selectLine(Number(item.dataset.line));
+  });
+
+  $('lyricsEditorOffsetDown')?.addEventListener('click', () => setOffsetMs(getOffsetMs() - OFFSET_STEP_MS));
+  $('lyricsEditorOffsetUp')?.addEventListener('click', () => setOffsetMs(getOffsetMs() + OFFSET_STEP_MS));
+
+  // Sync keys; handled here so the player's own shortcuts (← → skip tracks) don't fire.
+  modal.addEventListener('keydown', (e) => {
+    if (!isOpen() || !isSyncMode() || e.ctrlKey || e.metaKey || e.altKey) return;
+    const tag = e.target?.tagName;
+    if (tag === 'INPUT' || tag === 'TEXTAREA') return;
+
+    let handled = true;
+    switch (e.key) {
+      case 'Enter':
+      case 't':
+      case 'T':
+        tap();
+        break;
+      case 'Backspace':
+        undo();
+        break;
+      case 'ArrowLeft':
+        seekBy(-SEEK_STEP_SECONDS);
+        break;
+      case 'ArrowRight':
+        seekBy(SEEK_STEP_SECONDS);
+        break;
+      default:
+        handled = false;
+    }
+    if (handled) {
+      e.preventDefault();
+      e.stopPropagation();
+    }
+  });
+}
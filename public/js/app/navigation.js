@@ -5,6 +5,8 @@ import { updateSong } from '../api.js';
 import { allSongs, currentSongs, enqueueSongs, playNextSongs, setAllSongs, setCurrentSongs } from '../state.js';
 import { updateQueue } from '../player.js';
 import { renderSongs } from '../ui.js';
+import { showToast } from './uiFeatures.js';
+import { formatDuration } from '../utils.js';
 
 async function copyToClipboard(text) {
   const value = String(text || '').trim();
@@ -148,64 +150,202 @@ export function setupNavigation() {
       updateQueue();
     }
 
-    if (e.target.closest('.song-edit-bpm-btn')) {
-      const btn = e.target.closest('.song-edit-bpm-btn');
+    if (e.target.closest('.song-edit-info-btn')) {
+      const btn = e.target.closest('.song-edit-info-btn');
       const song = resolveSongFromActionButton(btn);
       if (!song) return;
-      openBpmTagModal(song);
+      openSongInfoModal(song);
     }
   });
 
-  wireBpmTagModalSave();
+  wireSongInfoModalSave();
 }
 
-function openBpmTagModal(song) {
-  const modal = document.getElementById('bpmTagModal');
-  const label = document.getElementById('bpmTagSongLabel');
-  const input = document.getElementById('bpmTagValue');
-  if (!modal || !input) return;
+// Form input id -> song field. Number fields are sent as numbers, the rest as text.
+const SONG_INFO_FIELDS = {
+  songInfoTitle: 'title',
+  songInfoArtist: 'artist',
+  songInfoAlbumArtist: 'albumArtist',
+  songInfoAlbum: 'album',
+  songInfoGenre: 'genre',
+  songInfoYear: 'year',
+  songInfoTrack: 'trackNumber',
+  songInfoDisc: 'discNumber',
+  songInfoBpm: 'bpm',
+  songInfoKey: 'key',
+  songInfoComment: 'comment'
+};
+
+const NUMERIC_SONG_INFO_FIELDS = new Set(['year', 'trackNumber', 'discNumber', 'bpm']);
+
+// Skip-silence select value -> song.trimSilence (null follows the player setting).
+const TRIM_SILENCE_VALUES = { '': null, on: true, off: false };
+
+// Formats the server can write tags into (see backend/library/tagWriter.js).
+const TAG_WRITABLE_EXTENSIONS = new Set(['mp3', 'flac', 'ogg', 'oga', 'opus', 'm4a', 'mp4']);
+
+// The scanner fills these in for untagged files; show them as empty fields.
+const PLACEHOLDER_VALUES = { artist: 'Unknown Artist', album: 'Unknown Album' };
+
+let songInfoOriginal = null;
+
+function songInfoInputValue(song, field) {
+  const value = song?.[field];
+  if (value == null || value === PLACEHOLDER_VALUES[field]) return '';
+  if (field === 'bpm') return Number.isFinite(Number(value)) ? String(Math.round(Number(value))) : '';
+  return String(value);
+}
+
+function trimSilenceInputValue(song) {
+  if (song?.trimSilence === true) return 'on';
+  if (song?.trimSilence === false) return 'off';
+  return '';
+}
+
+// What the analysis found, so the override isn't picked blind.
+function silenceSummary(song) {
+  if (song?.startOffset === undefined) return 'Not analyzed yet.';
+  if (song.startOffset === null) return 'Could not be analyzed.';
+  const parts = [];
+  if (song.startOffset > 0) parts.push(`Silent intro: ${formatDuration(song.startOffset)}`);
+  if (song.endOffset != null) parts.push(`silent from ${formatDuration(song.endOffset)}`);
+  return parts.length > 0 ? `${parts.join(', ')}.` : 'No silent intro or outro.';
+}
+
+function fileExtension(filePath) {
+  const match = /\.([^./\\]+)$/.exec(String(filePath || ''));
+  return match ? match[1].toLowerCase() : '';
+}
+
+function openSongInfoModal(song) {
+  const modal = document.getElementById('songInfoModal');
+  const fileLabel = document.getElementById('songInfoFile');
+  const writeTags = document.getElementById('songInfoWriteTags');
+  const hint = document.getElementById('songInfoWriteHint');
+  if (!modal) return;
 
   modal.dataset.songId = String(song.id || '');
-  modal.dataset.songTitle = String(song.title || '');
+  songInfoOriginal = {};
+
+  for (const [inputId, field] of Object.entries(SONG_INFO_FIELDS)) {
+    const input = document.getElementById(inputId);
+    if (!input) continue;
+    input.value = songInfoInputValue(song, field);
+    songInfoOriginal[field] = input.value;
+  }
+
+  const trimSilence = document.getElementById('songInfoTrimSilence');
+  if (trimSilence) {
+    trimSilence.value = trimSilenceInputValue(song);
+    songInfoOriginal.trimSilence = trimSilence.value;
+  }
+  const silence = document.getElementById('songInfoSilence');
+  if (silence) silence.textContent = silenceSummary(song);
 
-  const artist = String(song.artist || '').trim();
-  const title = String(song.title || 'Unknown').trim();
-  if (label) {
-    label.textContent = artist ? `${title} — ${artist}` : title;
+  const ext = fileExtension(song.filePath);
+  if (fileLabel) {
+    fileLabel.textContent = song.filePath || '';
+  }
+
+  const writable = TAG_WRITABLE_EXTENSIONS.has(ext);
+  if (writeTags) {
+    writeTags.checked = false;
+    writeTags.disabled = !writable;
+  }
+  if (hint) {
+    hint.textContent = writable
+      ? 'Tip: leave a field blank to clear it. Without writing tags, edits are kept in the library only.'
+      : `Tags can't be written to ${ext ? `.${ext}` : 'this type of'} files; edits are kept in the library only.`;
   }
 
-  input.value = Number.isFinite(Number(song.bpm)) ? String(Math.round(Number(song.bpm))) : '';
   modal.style.display = 'flex';
-  input.focus();
-  input.select?.();
+  const first = document.getElementById('songInfoTitle');
+  first?.focus();
+  first?.select?.();
+}
+
+function collectSongInfoChanges() {
+  const changes = {};
+  for (const [inputId, field] of Object.entries(SONG_INFO_FIELDS)) {
+    const input = document.getElementById(inputId);
+    if (!input) continue;
+    const raw = field === 'comment' ? String(input.value || '').trim() : String(input.value || '').replace(/\s+/g, ' ').trim();
+    if (raw === String(songInfoOriginal?.[field] ?? '').trim()) continue;
+
+    if (!raw) {
+      changes[field] = null;
+    } else if (NUMERIC_SONG_INFO_FIELDS.has(field)) {
+      changes[field] = Number(raw);
+    } else {
+      changes[field] = raw;
+    }
+  }
+
+  const trimSilence = document.getElementById('songInfoTrimSilence');
+  if (trimSilence && trimSilence.value !== songInfoOriginal?.trimSilence) {
+    changes.trimSilence = TRIM_SILENCE_VALUES[trimSilence.value] ?? null;
+  }
+  return changes;
+}
+
+function validateSongInfoChanges(changes) {
+  if ('title' in changes && !changes.title) return 'Title cannot be empty';
+  if (changes.year != null && (!Number.isInteger(changes.year) || changes.year < 0 || changes.year > 9999)) {
+    return 'Year must be between 0 and 9999';
+  }
+  for (const field of ['trackNumber', 'discNumber']) {
+    const n = changes[field];
+    if (n != null && (!Number.isInteger(n) || n < 1 || n > 999)) {
+      return `${field === 'trackNumber' ? 'Track' : 'Disc'} number must be between 1 and 999`;
+    }
+  }
+  if (changes.bpm != null && (!Number.isFinite(changes.bpm) || changes.bpm < 30 || changes.bpm > 300)) {
+    return 'BPM must be between 30 and 300';
+  }
+  return null;
 }
 
-function wireBpmTagModalSave() {
-  const modal = document.getElementById('bpmTagModal');
-  const saveBtn = document.getElementById('saveBpmTag');
-  const input = document.getElementById('bpmTagValue');
-  if (!modal || !saveBtn || !input) return;
-  if (saveBtn.dataset.wired) return;
-  saveBtn.dataset.wired = '1';
+function wireSongInfoModalSave() {
+  const modal = document.getElementById('songInfoModal');
+  const form = document.getElementById('songInfoForm');
+  const saveBtn = document.getElementById('saveSongInfo');
+  const writeTags = document.getElementById('songInfoWriteTags');
+  if (!modal || !form || !saveBtn) return;
+  if (form.dataset.wired) return;
+  form.dataset.wired = '1';
 
   const save = async () => {
     const songId = String(modal.dataset.songId || '').trim();
     if (!songId) return;
 
-    const raw = String(input.value || '').trim();
-    const bpm = raw ? Number(raw) : null;
-    if (raw && (!Number.isFinite(bpm) || bpm < 30 || bpm > 300)) {
-      alert('BPM must be between 30 and 300');
+    const changes = collectSongInfoChanges();
+    if (Object.keys(changes).length === 0) {
+      modal.style.display = 'none';
+      return;
+    }
+
+    const invalid = validateSongInfoChanges(changes);
+    if (invalid) {
+      alert(invalid);
       return;
     }
 
     saveBtn.disabled = true;
 
     try {
-      const updated = await updateSong(songId, { bpm: raw ? Math.round(bpm) : null });
+      const { tagWrite, ...updated } = await updateSong(songId, {
+        ...changes,
+        ...(writeTags?.checked && !writeTags.disabled ? { writeTags: true } : {})
+      });
       applySongPatchToClientState(updated);
       modal.style.display = 'none';
 
+      if (tagWrite && !tagWrite.written) {
+        showToast(`Saved to the library, but tags were not written: ${tagWrite.error || 'unknown error'}`, 'error', 6000);
+      } else {
+        showToast(tagWrite?.written ? 'Song info saved and written to file' : 'Song info saved', 'success');
+      }
+
       // Refresh current view if needed.
       if (window.currentPlaylistId && window.location.hash.startsWith('#/playlist/')) {
         void window.loadPlaylistDetail?.(window.currentPlaylistId);
@@ -214,28 +354,31 @@ function wireBpmTagModalSave() {
         renderSongs(currentSongs, window.playSongFromList || (() => {}));
       }
     } catch (err) {
-      console.error('BPM update failed:', err);
-      alert('Failed to update BPM: ' + (err?.message || err));
+      console.error('Song info update failed:', err);
+      alert('Failed to update song info: ' + (err?.message || err));
     } finally {
       saveBtn.disabled = false;
     }
   };
 
-  saveBtn.addEventListener('click', () => { void save(); });
-  input.addEventListener('keydown', (e) => {
-    if (e.key === 'Enter') {
-      e.preventDefault();
-      void save();
-    }
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    void save();
   });
 }
 
-function applySongPatchToClientState(updatedSong) {
-  if (!updatedSong?.id) return;
-  const id = updatedSong.id;
+/**
+ * Merge server-updated songs into the in-memory song lists
+ * @param {Object|Array<Object>} updatedSongs - One song or several
+ */
+export function applySongPatchToClientState(updatedSongs) {
+  const byId = new Map((Array.isArray(updatedSongs) ? updatedSongs : [updatedSongs])
+    .filter((song) => song?.id)
+    .map((song) => [song.id, song]));
+  if (byId.size === 0) return;
 
   const patchList = (list) => (Array.isArray(list)
-    ? list.map((s) => (s?.id === id ? { ...s, ...updatedSong } : s))
+    ? list.map((s) => (byId.has(s?.id) ? { ...s, ...byId.get(s.id) } : s))
     : list);
 
   setAllSongs(patchList(allSongs));
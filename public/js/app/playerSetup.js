@@ -1,5 +1,34 @@
-import { initPlayer, playNext, playPrevious, seek, setVolume, togglePlayPause } from '../player.js';
+import {
+  getAudioPlayer,
+  getVolume,
+  initPlayer,
+  playNext,
+  playPrevious,
+  seek,
+  setVolume,
+  togglePlayPause
+} from '../player.js';
+import { getCurrentSong } from '../state.js';
+import { addBookmark, clearLoop, jumpToBookmark, markLoopPoint } from '../bookmarks.js';
+import { formatDuration } from '../utils.js';
 import { closeAllModals } from './uiModals.js';
+import { showToast } from './uiFeatures.js';
+import { toggleVisualizer } from './visualizerView.js';
+import { toggleKaraoke } from './karaokeView.js';
+
+async function bookmarkCurrentPosition() {
+  const audio = getAudioPlayer();
+  if (!audio || !getCurrentSong()) return;
+  const time = Number(audio.currentTime) || 0;
+  const name = prompt('Bookmark name', `Bookmark at ${formatDuration(time)}`);
+  if (name === null) return;
+  try {
+    await addBookmark(time, name);
+    showToast(`Bookmarked ${formatDuration(time)}`, 'success');
+  } catch (err) {
+    showToast(`Could not save bookmark: ${err?.message || err}`, 'error');
+  }
+}
 
 export function setupPlayerControls() {
   const audioPlayer = document.getElementById('audioPlayer');
@@ -11,7 +40,8 @@ export function setupPlayerControls() {
   const progressBar = document.getElementById('progressBar');
   const volumeSlider = document.getElementById('volumeSlider');
 
-  initPlayer(audioPlayer);
+  // Two elements: the second preloads the next track for gapless playback.
+  initPlayer(audioPlayer, document.getElementById('audioPlayerAlt'));
 
   playPauseButton?.addEventListener('click', togglePlayPause);
   prevButton?.addEventListener('click', playPrevious);
@@ -26,6 +56,12 @@ export function setupPlayerControls() {
     setVolume(Number(e.target.value) || 0);
   });
 
+  // A-B loop + bookmarks
+  document.getElementById('loopAButton')?.addEventListener('click', () => markLoopPoint('a'));
+  document.getElementById('loopBButton')?.addEventListener('click', () => markLoopPoint('b'));
+  document.getElementById('loopClearButton')?.addEventListener('click', clearLoop);
+  document.getElementById('addBookmarkButton')?.addEventListener('click', () => void bookmarkCurrentPosition());
+
   // Keyboard shortcuts
   document.addEventListener('keydown', (e) => {
     const tag = e.target?.tagName;
@@ -62,7 +98,7 @@ export function setupPlayerControls() {
         break;
       case 'ArrowUp': {
         e.preventDefault();
-        const current = volumeSlider ? Number(volumeSlider.value || 0) : (audioPlayer.volume * 100);
+        const current = volumeSlider ? Number(volumeSlider.value || 0) : getVolume();
         const next = Math.min(100, current + 10);
         setVolume(next);
         if (volumeSlider) volumeSlider.value = String(next);
@@ -70,16 +106,20 @@ export function setupPlayerControls() {
       }
       case 'ArrowDown': {
         e.preventDefault();
-        const current = volumeSlider ? Number(volumeSlider.value || 0) : (audioPlayer.volume * 100);
+        const current = volumeSlider ? Number(volumeSlider.value || 0) : getVolume();
         const next = Math.max(0, current - 10);
         setVolume(next);
         if (volumeSlider) volumeSlider.value = String(next);
         break;
       }
       case 'k':
+      case 'K':
         if (e.ctrlKey || e.metaKey) {
           e.preventDefault();
           document.getElementById('searchInput')?.focus();
+        } else if (!e.altKey) {
+          e.preventDefault();
+          toggleKaraoke();
         }
         break;
       case 'p':
@@ -89,6 +129,38 @@ export function setupPlayerControls() {
           if (m) m.style.display = 'flex';
         }
         break;
+      case '[':
+        e.preventDefault();
+        markLoopPoint('a');
+        break;
+      case ']':
+        e.preventDefault();
+        markLoopPoint('b');
+        break;
+      case '\\':
+        e.preventDefault();
+        clearLoop();
+        break;
+      case 'b':
+      case 'B':
+        if (e.ctrlKey || e.metaKey || e.altKey) break;
+        e.preventDefault();
+        void bookmarkCurrentPosition();
+        break;
+      case 'v':
+      case 'V':
+        if (e.ctrlKey || e.metaKey || e.altKey) break;
+        e.preventDefault();
+        toggleVisualizer();
+        break;
+      case ',':
+        e.preventDefault();
+        jumpToBookmark(-1);
+        break;
+      case '.':
+        e.preventDefault();
+        jumpToBookmark(1);
+        break;
       case 'Escape':
         closeAllModals();
         break;
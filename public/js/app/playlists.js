@@ -1,5 +1,6 @@
 import {
   addSongToPlaylist,
+  addSongsToPlaylist,
   clearCache,
   createPlaylist,
   deletePlaylist,
@@ -528,8 +529,13 @@ export async function loadPlaylistDetail(playlistId) {
   }
 }
 
-export async function openAddToPlaylistModal(songId) {
-  currentSongForPlaylist = songId;
+/**
+ * Open the "Add to playlist" picker
+ * @param {string|Array<string>} songIdOrIds - One song, or a selection of songs
+ */
+export async function openAddToPlaylistModal(songIdOrIds) {
+  currentSongForPlaylist = songIdOrIds;
+  const songIds = Array.isArray(songIdOrIds) ? songIdOrIds : [songIdOrIds];
   const modal = document.getElementById('addToPlaylistModal');
   const listContainer = document.getElementById('playlistSelectionList');
 
@@ -551,7 +557,11 @@ export async function openAddToPlaylistModal(songId) {
         `;
         item.onclick = async () => {
           try {
-            await addSongToPlaylist(playlist.id, songId);
+            if (songIds.length === 1) {
+              await addSongToPlaylist(playlist.id, songIds[0]);
+            } else {
+              await addSongsToPlaylist(playlist.id, songIds);
+            }
             modal.style.display = 'none';
 
             clearCache();
@@ -560,7 +570,7 @@ export async function openAddToPlaylistModal(songId) {
               await loadPlaylistDetail(playlist.id);
             }
 
-            alert(`Added to ${playlist.name}`);
+            alert(songIds.length === 1 ? `Added to ${playlist.name}` : `Added ${songIds.length} songs to ${playlist.name}`);
           } catch (error) {
             console.error('Error adding to playlist:', error);
             alert('Error: ' + error.message);
@@ -1,21 +1,134 @@
-import { scanLibrary as scanLibraryAPI, clearCache } from '../api.js';
+import { scanLibrary as scanLibraryAPI, scanEventsUrl, cancelScan } from '../api.js';
+import { showToast } from './uiFeatures.js';
+
+// Scans run as background jobs on the server; the button follows the job's
+// SSE progress stream and becomes a cancel button while a scan is running.
+// The song list itself is refreshed by librarySync.js when the scan lands.
+
+const IDLE_HTML = '<span class="material-symbols-rounded icon" aria-hidden="true">sync</span><span>Scan Library</span>';
+
+let activeJobId = null;
+let events = null;
+
+function renderProgress(button, { label, fraction = null, title = '' }) {
+  button.classList.add('scanning');
+  button.title = title;
+
+  let labelEl = button.querySelector('.scan-progress-label');
+  if (!labelEl) {
+    button.innerHTML = `
+      <span class="material-symbols-rounded icon" aria-hidden="true">sync</span>
+      <span class="scan-progress-label"></span>
+      <span class="scan-progress" aria-hidden="true"><span class="scan-progress-bar"></span></span>
+    `;
+    labelEl = button.querySelector('.scan-progress-label');
+  }
+  labelEl.textContent = label;
+
+  const track = button.querySelector('.scan-progress');
+  const bar = button.querySelector('.scan-progress-bar');
+  track.classList.toggle('indeterminate', fraction == null);
+  bar.style.width = fraction == null ? '' : `${Math.round(Math.min(1, fraction) * 100)}%`;
+
+  button.setAttribute('role', 'progressbar');
+  if (fraction == null) {
+    button.removeAttribute('aria-valuenow');
+  } else {
+    button.setAttribute('aria-valuenow', String(Math.round(Math.min(1, fraction) * 100)));
+  }
+}
+
+function resetButton(button) {
+  button.classList.remove('scanning');
+  button.removeAttribute('role');
+  button.removeAttribute('aria-valuenow');
+  button.title = '';
+  button.disabled = false;
+  button.innerHTML = IDLE_HTML;
+}
+
+function showScanProgress(button, snapshot) {
+  const progress = snapshot.progress;
+  if (snapshot.status === 'queued' || !progress) {
+    renderProgress(button, { label: 'Waiting…' });
+    return;
+  }
+
+  const { filesSeen, expectedFiles, added, updated, errors, currentPath } = progress;
+  // The walk's total isn't known up front; the previous library size is the estimate.
+  const total = Math.max(expectedFiles || 0, filesSeen);
+  const counts = [`+${added}`, `~${updated}`];
+  if (errors) counts.push(`${errors} failed`);
+
+  renderProgress(button, {
+    label: total > 0 ? `Scanning ${filesSeen}/${total}` : `Scanning ${filesSeen}…`,
+    fraction: expectedFiles > 0 ? filesSeen / total : null,
+    title: `${counts.join(' ')}${currentPath ? `\n${currentPath}` : ''}\nClick to cancel`
+  });
+}
+
+function finishScan(button, snapshot) {
+  activeJobId = null;
+  events?.close();
+  events = null;
+  resetButton(button);
+
+  if (snapshot.status === 'completed') {
+    const { added, updated, moved, removed, total } = snapshot.result || {};
+    const removedCount = Array.isArray(removed) ? removed.length : 0;
+    const queued = snapshot.analysisQueue ? `, ${snapshot.analysisQueue} queued for analysis` : '';
+    showToast(
+      `Scan complete: ${added} added, ${updated} updated, ${moved || 0} moved, ${removedCount} removed (${total} songs)${queued}`,
+      'success',
+      5000
+    );
+  } else if (snapshot.status === 'cancelled') {
+    showToast('Scan cancelled', 'info');
+  } else {
+    console.error('Scan error:', snapshot.error);
+    showToast(`Scan failed${snapshot.error ? `: ${snapshot.error}` : ''}`, 'error', 5000);
+  }
+}
+
+function followScan(button, job) {
+  activeJobId = job.jobId;
+  showScanProgress(button, job);
+
+  events = new EventSource(scanEventsUrl(job.jobId));
+  events.addEventListener('progress', (e) => showScanProgress(button, JSON.parse(e.data)));
+  events.addEventListener('done', (e) => finishScan(button, JSON.parse(e.data)));
+  events.onerror = () => {
+    // The server closes the stream after "done"; anything else is a lost connection.
+    if (events?.readyState === EventSource.CLOSED && activeJobId) {
+      finishScan(button, { status: 'failed', error: 'Lost connection to the server' });
+    }
+  };
+}
 
 export async function scanLibrary() {
   const button = document.getElementById('scanButton');
   if (!button) return;
 
+  if (activeJobId) {
+    if (!confirm('Cancel the running library scan?')) return;
+    try {
+      await cancelScan(activeJobId);
+    } catch (error) {
+      console.error('Cancel scan error:', error);
+    }
+    return;
+  }
+
   button.disabled = true;
-  button.innerHTML = '<svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M21.5 2v6h-6M2.5 22v-6h6M2 11.5a10 10 0 0 1 18.8-4.3M22 12.5a10 10 0 0 1-18.8 4.2"/></svg><span>Scanning...</span>';
+  renderProgress(button, { label: 'Starting…' });
 
   try {
-    const result = await scanLibraryAPI();
-    clearCache();
-    alert(`Scan complete!\nAdded: ${result.added}\nUpdated: ${result.updated}\nTotal: ${result.total}`);
-    window.location.reload();
+    const job = await scanLibraryAPI();
+    button.disabled = false;
+    followScan(button, job);
   } catch (error) {
     console.error('Scan error:', error);
-    alert('Error scanning library');
-    button.disabled = false;
-    button.innerHTML = '<svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"/><circle cx="12" cy="12" r="3"/><path d="M12 2v4M12 18v4M2 12h4M18 12h4"/></svg><span>Scan Library</span>';
+    showToast('Error scanning library', 'error');
+    resetButton(button);
   }
 }
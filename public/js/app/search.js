@@ -1,6 +1,7 @@
-import { debounce } from '../utils.js';
-import { advancedSearch as AdvancedSearchAPI, fetchAllSongs, simpleSearch, getSearchSuggestions } from '../api.js';
-import { setCurrentSongs } from '../state.js';
+import { debounce, formatDuration } from '../utils.js';
+import { advancedSearch as AdvancedSearchAPI, fetchAllSongs, simpleSearch, getSearchSuggestions, searchLyrics } from '../api.js';
+import { setCurrentSongs, setPlaybackList } from '../state.js';
+import { playSong } from '../player.js';
 import { renderSongs } from '../ui.js';
 import { switchView } from './views.js';
 import { playSongFromList } from './library.js';
@@ -10,12 +11,24 @@ import { getSongSortState, sortSongs, setLibraryResultsCount, updateLibrarySortU
 const searchInput = document.getElementById('searchInput');
 const advancedSearchEl = document.getElementById('advancedSearch');
 const advancedSearchToggle = document.getElementById('advancedSearchToggle');
+const lyricsSearchToggle = document.getElementById('searchLyricsToggle');
 
 // Autocomplete elements
 let suggestionsDropdown = null;
 let selectedSuggestionIndex = -1;
 let currentSuggestions = [];
 
+// Lyrics mode: the search box looks through song lyrics instead of titles,
+// artists and albums, and results play from the matching line.
+const LYRICS_PLACEHOLDER = 'Search lyrics…';
+// Ask again while the server is still indexing lyrics.
+const LYRICS_INDEXING_RETRY_MS = 3000;
+let lyricsMode = false;
+let lyricsResults = [];
+let lyricsRequest = 0;
+let lyricsRetryTimer = null;
+let defaultPlaceholder = '';
+
 function setAdvancedSearchVisible(visible) {
   if (!advancedSearchEl || !advancedSearchToggle) return;
   advancedSearchEl.style.display = visible ? 'block' : 'none';
@@ -37,6 +50,10 @@ export function setupSearch() {
   searchInput.addEventListener('keydown', handleSearchKeydown);
   searchInput.addEventListener('keypress', (e) => {
     if (e.key === 'Enter') {
+      if (lyricsMode) {
+        void runLyricsSearch();
+        return;
+      }
       hideSuggestions();
       void performSearch();
     }
@@ -49,10 +66,20 @@ export function setupSearch() {
   });
 
   searchButton.addEventListener('click', () => {
+    if (lyricsMode) {
+      void runLyricsSearch();
+      return;
+    }
     hideSuggestions();
     void performSearch();
   });
 
+  defaultPlaceholder = searchInput.placeholder;
+  lyricsSearchToggle?.addEventListener('click', () => {
+    setLyricsMode(!lyricsMode);
+    searchInput.focus();
+  });
+
   advancedSearchToggle.addEventListener('click', () => {
     setAdvancedSearchVisible(!isAdvancedSearchVisible());
   });
@@ -296,6 +323,11 @@ function createSuggestionsDropdown() {
 
 async function handleSearchInput(e) {
   const query = searchInput.value.trim();
+
+  if (lyricsMode) {
+    await runLyricsSearch();
+    return;
+  }
   
   if (query.length < 2) {
     hideSuggestions();
@@ -405,6 +437,11 @@ function hideSuggestions() {
     suggestionsDropdown.style.display = 'none';
   }
   selectedSuggestionIndex = -1;
+
+  // Closed on purpose: a pending lyrics retry or response must not reopen it.
+  clearTimeout(lyricsRetryTimer);
+  lyricsRetryTimer = null;
+  lyricsRequest++;
 }
 
 function handleSearchKeydown(e) {
@@ -459,6 +496,9 @@ async function handleSuggestionClick(item) {
   hideSuggestions();
   
   switch (type) {
+    case 'lyrics':
+      playLyricsResult(parseInt(item.dataset.index, 10));
+      break;
     case 'artist':
       searchInput.value = '';
       document.getElementById('filterArtist')?.setAttribute('value', value);
@@ -526,3 +566,114 @@ async function searchByGenre(genre) {
 async function advancedSearch(filters) {
   return await AdvancedSearchAPI(filters);
 }
+
+// ============================================
+// Lyrics Search
+// ============================================
+
+function setLyricsMode(enabled) {
+  lyricsMode = Boolean(enabled);
+  lyricsSearchToggle?.classList.toggle('active', lyricsMode);
+  lyricsSearchToggle?.setAttribute('aria-pressed', lyricsMode ? 'true' : 'false');
+  searchInput.placeholder = lyricsMode ? LYRICS_PLACEHOLDER : defaultPlaceholder;
+
+  clearTimeout(lyricsRetryTimer);
+  lyricsRequest++;
+  lyricsResults = [];
+  currentSuggestions = [];
+  hideSuggestions();
+
+  if (searchInput.value.trim().length >= 2) void handleSearchInput();
+}
+
+async function runLyricsSearch() {
+  clearTimeout(lyricsRetryTimer);
+  const query = searchInput.value.trim();
+  const request = ++lyricsRequest;
+
+  if (query.length < 2) {
+    lyricsResults = [];
+    currentSuggestions = [];
+    hideSuggestions();
+    return;
+  }
+
+  try {
+    const data = await searchLyrics(query, { limit: 50 });
+    // A newer search (or leaving lyrics mode) wins.
+    if (request !== lyricsRequest) return;
+
+    lyricsResults = Array.isArray(data.results) ? data.results : [];
+    currentSuggestions = lyricsResults;
+    renderLyricsResults(lyricsResults, { indexing: data.indexing, pending: data.pending });
+    showSuggestions();
+
+    if (data.indexing) {
+      lyricsRetryTimer = setTimeout(() => {
+        if (lyricsMode && searchInput.value.trim() === query) void runLyricsSearch();
+      }, LYRICS_INDEXING_RETRY_MS);
+    }
+  } catch (error) {
+    console.error('Error searching lyrics:', error);
+    hideSuggestions();
+  }
+}
+
+// The snippet with its matched ranges in <mark>.
+function highlightSnippet(snippet, highlights) {
+  const text = String(snippet || '');
+  let html = '';
+  let pos = 0;
+  for (const [start, end] of Array.isArray(highlights) ? highlights : []) {
+    if (start < pos || end <= start) continue;
+    html += `${escapeHtml(text.slice(pos, start))}<mark>${escapeHtml(text.slice(start, end))}</mark>`;
+    pos = end;
+  }
+  return html + escapeHtml(text.slice(pos));
+}
+
+function renderLyricsResults(results, { indexing = false, pending = 0 } = {}) {
+  if (!suggestionsDropdown) return;
+  selectedSuggestionIndex = -1;
+
+  const icon = `<span class="material-symbols-rounded suggestion-icon" aria-hidden="true">lyrics</span>`;
+  let html = `<div class="suggestion-category">
+    <div class="suggestion-category-header">${icon} Lyrics</div>`;
+
+  results.forEach((result, index) => {
+    const song = result.song || {};
+    const time = Number.isFinite(result.time) ? `<span class="suggestion-time">${formatDuration(result.time)}</span>` : '';
+    const artist = song.artist ? ` — ${escapeHtml(song.artist)}` : '';
+    html += `<div class="suggestion-item suggestion-item--lyrics" data-index="${index}" data-type="lyrics">
+      <span class="suggestion-text">${escapeHtml(song.title || 'Unknown')}${artist}</span>
+      <span class="suggestion-lyrics">${time}<span class="suggestion-snippet">${highlightSnippet(result.snippet, result.highlights)}</span></span>
+    </div>`;
+  });
+
+  if (indexing) {
+    const left = pending > 0 ? ` (${pending} songs left)` : '';
+    html += `<div class="suggestion-status">Indexing lyrics…${left}</div>`;
+  } else if (!results.length) {
+    html += '<div class="suggestion-status">No lyrics match</div>';
+  }
+  html += '</div>';
+
+  suggestionsDropdown.innerHTML = html;
+
+  suggestionsDropdown.querySelectorAll('.suggestion-item').forEach(item => {
+    item.addEventListener('click', () => handleSuggestionClick(item));
+    item.addEventListener('mouseenter', () => {
+      selectedSuggestionIndex = parseInt(item.dataset.index, 10);
+      updateSelectedSuggestion();
+    });
+  });
+}
+
+// Play a lyrics result from its matching line; the other results queue up after it.
+function playLyricsResult(index) {
+  const result = lyricsResults[index];
+  if (!result?.song) return;
+
+  setPlaybackList(lyricsResults.map(r => r.song), index);
+  playSong(result.song, { startAt: Number.isFinite(result.time) ? result.time : 0 });
+}
@@ -7,6 +7,11 @@ import {
   importPlaylistsFromJsonFile,
   importPlaylistFromM3uOrPlsFile
 } from './playlistImportExport.js';
+import { getStreamQualityPreference, setStreamQualityPreference } from '../streaming.js';
+import { getCrossfadePreference, setCrossfadePreference } from '../gapless.js';
+import { getTrimSilencePreference, setTrimSilencePreference } from '../silenceTrim.js';
+import { getReplayGainPreference, setReplayGainPreference } from '../replayGain.js';
+import { setupEqualizerPanel } from './equalizerPanel.js';
 
 const PREF_DYNAMIC_COLORS_KEY = 'player0.dynamicColorsEnabled.v1';
 const PREF_NO_ANIMATIONS_KEY = 'player0.noAnimations.v1';
@@ -321,6 +326,66 @@ export function setupSettingsView() {
     applyAppearancePreferences();
   });
 
+  // Playback: streaming quality profile.
+  const streamQuality = document.getElementById('settingsStreamQuality');
+  if (streamQuality) {
+    streamQuality.value = getStreamQualityPreference();
+    streamQuality.addEventListener('change', () => {
+      setStreamQualityPreference(String(streamQuality.value));
+    });
+  }
+
+  // Playback: crossfade length (0 = gapless).
+  const crossfade = document.getElementById('settingsCrossfade');
+  const crossfadeValue = document.getElementById('settingsCrossfadeValue');
+  if (crossfade) {
+    const showCrossfade = () => {
+      const seconds = Number(crossfade.value) || 0;
+      if (crossfadeValue) crossfadeValue.textContent = seconds > 0 ? `${seconds}s` : 'Off';
+    };
+    crossfade.value = String(getCrossfadePreference());
+    showCrossfade();
+    crossfade.addEventListener('input', () => {
+      setCrossfadePreference(Number(crossfade.value));
+      showCrossfade();
+    });
+  }
+
+  // Playback: skip silent intros/outros.
+  const trimSilence = document.getElementById('settingsTrimSilence');
+  if (trimSilence) {
+    trimSilence.checked = getTrimSilencePreference();
+    trimSilence.addEventListener('change', () => {
+      setTrimSilencePreference(Boolean(trimSilence.checked));
+    });
+  }
+
+  // Playback: ReplayGain mode and pre-amp.
+  const replayGainMode = document.getElementById('settingsReplayGainMode');
+  const replayGainPreamp = document.getElementById('settingsReplayGainPreamp');
+  const replayGainPreampValue = document.getElementById('settingsReplayGainPreampValue');
+  if (replayGainMode && replayGainPreamp) {
+    const showReplayGain = () => {
+      const db = Number(replayGainPreamp.value) || 0;
+      if (replayGainPreampValue) replayGainPreampValue.textContent = `${db > 0 ? '+' : ''}${db} dB`;
+      replayGainPreamp.disabled = replayGainMode.value === 'off';
+    };
+    const preference = getReplayGainPreference();
+    replayGainMode.value = preference.mode;
+    replayGainPreamp.value = String(preference.preampDb);
+    showReplayGain();
+    replayGainMode.addEventListener('change', () => {
+      setReplayGainPreference({ mode: String(replayGainMode.value) });
+      showReplayGain();
+    });
+    replayGainPreamp.addEventListener('input', () => {
+      setReplayGainPreference({ preampDb: Number(replayGainPreamp.value) });
+      showReplayGain();
+    });
+  }
+
+  setupEqualizerPanel();
+
   const exportButton = document.getElementById('exportStatsCsvButton');
   if (exportButton) {
     exportButton.onclick = () => {
@@ -484,12 +549,17 @@ export function setupSettingsView() {
     }
   }
 
+  document.getElementById('settingsOpenHealth')?.addEventListener('click', () => {
+    window.location.hash = '#/health';
+  });
+
   // Server config controls
   const loadConfigBtn = document.getElementById('settingsServerConfigLoad');
   const saveConfigBtn = document.getElementById('settingsServerConfigSave');
   const statusEl = document.getElementById('settingsServerConfigStatus');
   const musicDirectories = document.getElementById('settingsMusicDirectories');
   const dataDirectory = document.getElementById('settingsDataDirectory');
+  const lyricsProviderUrl = document.getElementById('settingsLyricsProviderUrl');
 
   const setStatus = (msg) => {
     if (statusEl) statusEl.textContent = String(msg || '');
@@ -508,6 +578,7 @@ export function setupSettingsView() {
         const cfg = await getServerConfig();
         if (musicDirectories) musicDirectories.value = (cfg?.musicDirectories || []).join('\n');
         if (dataDirectory) dataDirectory.value = String(cfg?.dataDirectory || './data');
+        if (lyricsProviderUrl) lyricsProviderUrl.value = String(cfg?.lyricsProviderUrl || '');
         setStatus('Loaded.');
       } catch (err) {
         console.error('Load server config failed:', err);
@@ -523,7 +594,8 @@ export function setupSettingsView() {
 
       const payload = {
         musicDirectories: musicDirs,
-        dataDirectory: dataDir || undefined
+        dataDirectory: dataDir || undefined,
+        lyricsProviderUrl: lyricsProviderUrl ? String(lyricsProviderUrl.value || '').trim() : undefined
       };
 
       setStatus('Saving…');
@@ -532,6 +604,7 @@ export function setupSettingsView() {
         const cfg = result?.config || result;
         if (musicDirectories) musicDirectories.value = (cfg?.musicDirectories || []).join('\n');
         if (dataDirectory) dataDirectory.value = String(cfg?.dataDirectory || './data');
+        if (lyricsProviderUrl) lyricsProviderUrl.value = String(cfg?.lyricsProviderUrl || '');
         setStatus('Saved.');
       } catch (err) {
         console.error('Save server config failed:', err);
@@ -548,6 +621,7 @@ export function setupSettingsView() {
         const cfg = await getServerConfig();
         if (musicDirectories) musicDirectories.value = (cfg?.musicDirectories || []).join('\n');
         if (dataDirectory) dataDirectory.value = String(cfg?.dataDirectory || './data');
+        if (lyricsProviderUrl) lyricsProviderUrl.value = String(cfg?.lyricsProviderUrl || '');
         setStatus('Loaded.');
       } catch (err) {
         console.warn('Auto-load server config failed:', err);
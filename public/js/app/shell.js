@@ -8,7 +8,13 @@ import { setupDropdowns } from './dropdowns.js';
 import { initLazyLoading } from '../utils.js';
 import { initUIFeatures } from './uiFeatures.js';
 import { setupLyrics } from './lyrics.js';
+import { setupLyricsEditor } from './lyricsEditor.js';
+import { setupVisualizer } from './visualizerView.js';
+import { setupKaraoke } from './karaokeView.js';
+import { setupWaveformSeekbar } from './waveformSeekbar.js';
 import { applyAppearancePreferences } from './settings.js';
+import { setupLibrarySync } from './librarySync.js';
+import { setupSongSelection } from './songSelection.js';
 
 export function bootstrapApp() {
   document.addEventListener('DOMContentLoaded', async () => {
@@ -28,6 +34,12 @@ export function bootstrapApp() {
     setupModal();
     setupDropdowns();
     setupLyrics();
+    setupLyricsEditor();
+    setupVisualizer();
+    setupKaraoke();
+    setupWaveformSeekbar();
+    setupLibrarySync();
+    setupSongSelection();
 
     // IMPORTANT: initRouter() triggers the initial view load.
     await initRouter();
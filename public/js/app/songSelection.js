@@ -0,0 +1,300 @@
+import { updateSongs } from '../api.js';
+import { currentSongs, enqueueSongs } from '../state.js';
+import { updateQueue } from '../player.js';
+import { renderSongs } from '../ui.js';
+import { applySongPatchToClientState } from './navigation.js';
+import { showToast } from './uiFeatures.js';
+
+// Multi-select for the library song table (rendered by renderSongs()).
+// Checkbox or Ctrl/⌘-click toggles a song, Shift-click selects a range,
+// Ctrl/⌘ A selects everything listed. The selection is kept by song ID across
+// re-renders (sorting, live library updates) and narrowed to the songs still
+// listed, so a bulk edit never touches songs the user can't see.
+
+const SET_FIELDS = [
+  ['artist', 'Artist'],
+  ['albumArtist', 'Album artist'],
+  ['album', 'Album'],
+  ['genre', 'Genre'],
+  ['year', 'Year'],
+  ['discNumber', 'Disc'],
+  ['bpm', 'BPM'],
+  ['key', 'Key'],
+  ['comment', 'Comment']
+];
+
+const REPLACE_FIELDS = [
+  ['title', 'Title'],
+  ['artist', 'Artist'],
+  ['albumArtist', 'Album artist'],
+  ['album', 'Album'],
+  ['genre', 'Genre'],
+  ['comment', 'Comment']
+];
+
+const NUMERIC_FIELDS = new Set(['year', 'discNumber', 'bpm']);
+
+const selectedIds = new Set();
+let renderedSongs = [];
+let anchorIndex = -1;
+
+function getSongTableBody() {
+  return document.getElementById('songTableBody');
+}
+
+function selectedSongs() {
+  return renderedSongs.filter((song) => selectedIds.has(song.id));
+}
+
+function syncSelectionUi() {
+  const tbody = getSongTableBody();
+  if (tbody) {
+    tbody.querySelectorAll('tr[data-song-id]').forEach((tr) => {
+      const isSelected = selectedIds.has(tr.dataset.songId);
+      tr.classList.toggle('is-selected', isSelected);
+      const checkbox = tr.querySelector('.song-select-checkbox');
+      if (checkbox) checkbox.checked = isSelected;
+    });
+  }
+
+  const count = selectedIds.size;
+  const selectAll = document.getElementById('songSelectAll');
+  if (selectAll) {
+    selectAll.checked = count > 0 && count === renderedSongs.length;
+    selectAll.indeterminate = count > 0 && count < renderedSongs.length;
+  }
+
+  const bar = document.getElementById('bulkActionBar');
+  const label = document.getElementById('bulkActionCount');
+  if (bar) bar.hidden = count === 0;
+  if (label) label.textContent = `${count} song${count === 1 ? '' : 's'} selected`;
+}
+
+export function clearSongSelection() {
+  selectedIds.clear();
+  anchorIndex = -1;
+  syncSelectionUi();
+}
+
+function selectAllSongs() {
+  renderedSongs.forEach((song) => selectedIds.add(song.id));
+  syncSelectionUi();
+}
+
+function toggleSong(index) {
+  const song = renderedSongs[index];
+  if (!song) return;
+  if (selectedIds.has(song.id)) {
+    selectedIds.delete(song.id);
+  } else {
+    selectedIds.add(song.id);
+  }
+  anchorIndex = index;
+  syncSelectionUi();
+}
+
+function selectRange(index, additive) {
+  const from = anchorIndex >= 0 ? anchorIndex : index;
+  const [start, end] = from <= index ? [from, index] : [index, from];
+  if (!additive) selectedIds.clear();
+  renderedSongs.slice(start, end + 1).forEach((song) => selectedIds.add(song.id));
+  syncSelectionUi();
+}
+
+function onTableClick(e) {
+  const tr = e.target.closest('#songTableBody tr[data-song-id]');
+  if (!tr) return;
+  const index = Number(tr.dataset.songIndex);
+  if (!Number.isInteger(index)) return;
+
+  const checkbox = e.target.closest('.song-select-checkbox');
+  if (checkbox) {
+    if (e.shiftKey) {
+      selectRange(index, true);
+    } else {
+      toggleSong(index);
+    }
+    return;
+  }
+
+  // Row clicks only select with a modifier; buttons/menus keep their own behavior.
+  if (e.target.closest('button, a, input, .dropdown')) return;
+  if (e.shiftKey) {
+    window.getSelection?.()?.removeAllRanges();
+    selectRange(index, e.ctrlKey || e.metaKey);
+  } else if (e.ctrlKey || e.metaKey) {
+    toggleSong(index);
+  }
+}
+
+function onKeydown(e) {
+  const tag = e.target?.tagName;
+  if (tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT' || e.target?.isContentEditable) return;
+  if (!getSongTableBody()) return;
+
+  if ((e.ctrlKey || e.metaKey) && (e.key === 'a' || e.key === 'A')) {
+    e.preventDefault();
+    selectAllSongs();
+  } else if (e.key === 'Escape' && selectedIds.size > 0 && !document.querySelector('.modal[style*="flex"]')) {
+    clearSongSelection();
+  }
+}
+
+function onSongsRendered(e) {
+  renderedSongs = Array.isArray(e.detail?.songs) ? e.detail.songs : [];
+  const listed = new Set(renderedSongs.map((song) => song.id));
+  for (const id of [...selectedIds]) {
+    if (!listed.has(id)) selectedIds.delete(id);
+  }
+  if (anchorIndex >= renderedSongs.length) anchorIndex = -1;
+  syncSelectionUi();
+}
+
+function openBulkEditModal(mode) {
+  const modal = document.getElementById('bulkEditModal');
+  const fieldSelect = document.getElementById('bulkEditField');
+  if (!modal || !fieldSelect || selectedIds.size === 0) return;
+
+  const count = selectedIds.size;
+  modal.dataset.mode = mode;
+  document.getElementById('bulkEditTitle').textContent = mode === 'replace' ? 'Find & Replace' : 'Set Field';
+  document.getElementById('bulkEditSummary').textContent = `Applies to ${count} selected song${count === 1 ? '' : 's'}.`;
+  document.getElementById('bulkEditSetGroup').hidden = mode === 'replace';
+  document.getElementById('bulkEditReplaceGroup').hidden = mode !== 'replace';
+
+  const fields = mode === 'replace' ? REPLACE_FIELDS : SET_FIELDS;
+  const previous = fieldSelect.value;
+  fieldSelect.innerHTML = fields.map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+  if (fields.some(([value]) => value === previous)) fieldSelect.value = previous;
+
+  ['bulkEditValue', 'bulkEditFind', 'bulkEditReplace'].forEach((id) => {
+    const input = document.getElementById(id);
+    if (input) input.value = '';
+  });
+
+  modal.style.display = 'flex';
+  document.getElementById(mode === 'replace' ? 'bulkEditFind' : 'bulkEditValue')?.focus();
+}
+
+function collectBulkEdit(mode) {
+  const field = document.getElementById('bulkEditField')?.value;
+  const writeTags = Boolean(document.getElementById('bulkEditWriteTags')?.checked);
+
+  if (mode === 'replace') {
+    const find = String(document.getElementById('bulkEditFind')?.value || '');
+    if (!find) return { error: 'Enter the text to find' };
+    return {
+      edits: {
+        replace: {
+          field,
+          find,
+          replaceWith: String(document.getElementById('bulkEditReplace')?.value || ''),
+          matchCase: Boolean(document.getElementById('bulkEditMatchCase')?.checked)
+        },
+        writeTags
+      }
+    };
+  }
+
+  const raw = String(document.getElementById('bulkEditValue')?.value || '').trim();
+  let value = raw || null;
+  if (raw && NUMERIC_FIELDS.has(field)) {
+    value = Number(raw);
+    if (!Number.isFinite(value)) return { error: 'Enter a number' };
+  }
+  return { edits: { updates: { [field]: value }, writeTags } };
+}
+
+function rerenderAfterEdit() {
+  if (getSongTableBody()) {
+    renderSongs(currentSongs, window.playSongFromList || (() => {}));
+  }
+}
+
+function wireBulkEditModal() {
+  const modal = document.getElementById('bulkEditModal');
+  const form = document.getElementById('bulkEditForm');
+  const saveBtn = document.getElementById('saveBulkEdit');
+  if (!modal || !form || !saveBtn || form.dataset.wired) return;
+  form.dataset.wired = '1';
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const ids = selectedSongs().map((song) => song.id);
+    if (ids.length === 0) return;
+
+    const { edits, error } = collectBulkEdit(modal.dataset.mode);
+    if (error) {
+      alert(error);
+      return;
+    }
+
+    saveBtn.disabled = true;
+    try {
+      const result = await updateSongs(ids, edits);
+      applySongPatchToClientState(result.songs);
+      modal.style.display = 'none';
+      rerenderAfterEdit();
+
+      const failedWrites = Object.values(result.tagWrites || {}).filter((w) => !w.written).length;
+      const parts = [`Updated ${result.updated} song${result.updated === 1 ? '' : 's'}`];
+      if (result.skipped?.length) parts.push(`${result.skipped.length} skipped`);
+      if (failedWrites) parts.push(`tags not written for ${failedWrites}`);
+      showToast(parts.join(', '), failedWrites || result.skipped?.length ? 'error' : 'success', 5000);
+      if (result.skipped?.length) console.warn('Bulk edit skipped songs:', result.skipped);
+    } catch (err) {
+      console.error('Bulk edit failed:', err);
+      alert('Failed to update songs: ' + (err?.message || err));
+    } finally {
+      saveBtn.disabled = false;
+    }
+  });
+}
+
+function onBulkActionClick(e) {
+  const button = e.target.closest('#bulkActionBar button');
+  if (!button) return;
+
+  switch (button.id) {
+    case 'bulkSetField':
+      openBulkEditModal('set');
+      break;
+    case 'bulkFindReplace':
+      openBulkEditModal('replace');
+      break;
+    case 'bulkAddToPlaylist': {
+      const ids = selectedSongs().map((song) => song.id);
+      if (ids.length) window.openAddToPlaylistModal?.(ids);
+      break;
+    }
+    case 'bulkEnqueue': {
+      const songs = selectedSongs();
+      if (songs.length === 0) break;
+      enqueueSongs(songs);
+      updateQueue();
+      showToast(`Added ${songs.length} song${songs.length === 1 ? '' : 's'} to the queue`, 'success');
+      break;
+    }
+    case 'bulkClearSelection':
+      clearSongSelection();
+      break;
+  }
+}
+
+export function setupSongSelection() {
+  document.addEventListener('player0:songsRendered', onSongsRendered);
+  document.addEventListener('click', onTableClick);
+  document.addEventListener('click', onBulkActionClick);
+  // Capture phase: runs before the global Escape handler closes any open modal.
+  document.addEventListener('keydown', onKeydown, true);
+  document.addEventListener('change', (e) => {
+    if (e.target?.id !== 'songSelectAll') return;
+    if (e.target.checked) {
+      selectAllSongs();
+    } else {
+      clearSongSelection();
+    }
+  });
+
+  wireBulkEditModal();
+}
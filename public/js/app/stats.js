@@ -201,7 +201,7 @@ export async function openStatsSongListModal(title, songItems) {
     row.style.cursor = 'pointer';
     row.dataset.songId = item.songId;
     row.innerHTML = `
-      <img src="${songCoverUrl(item.songId)}" alt="Cover" class="song-list-cover" onerror="this.style.display='none'">
+      <img src="${songCoverUrl(item.songId, 64)}" alt="Cover" class="song-list-cover" onerror="this.style.display='none'">
       <div style="flex: 1; min-width: 0;">
         <div>${escapeHtml(item.title || 'Unknown')}</div>
         <div style="font-size: 12px; color: var(--text-secondary);">${escapeHtml(item.subtitle || '')}</div>
@@ -10,8 +10,6 @@
  * - Context menus
  * - Search filter pills
  * - Similar songs suggestions
- * - Activity heatmap
- * - Top cards
  * - Mini player
  * - Swipe gestures
  * - Toast notifications
@@ -22,7 +20,7 @@ import { songCoverUrl } from '../api.js';
 
 // Helper to get cover URL
 const API = {
-  getCoverUrl: (songId) => songCoverUrl(songId)
+  getCoverUrl: (songId, size = 64) => songCoverUrl(songId, size)
 };
 
 // ============================================
@@ -196,6 +194,9 @@ export function applyDynamicColors(colors) {
   // Don't override global --primary to avoid contrast issues
   // Instead use dedicated dynamic vars that are applied thoughtfully
   document.body.classList.add('dynamic-themed');
+
+  // Canvas-drawn UI (the visualizer) can't follow CSS variables by itself.
+  document.dispatchEvent(new CustomEvent('player0:paletteChanged', { detail: colors }));
 }
 
 // ============================================
@@ -532,165 +533,6 @@ export function renderSimilarSongs(song, container) {
   });
 }
 
-// ============================================
-// Activity Heatmap
-// ============================================
-export function renderActivityHeatmap(container, playHistory = []) {
-  const today = new Date();
-  const startDate = new Date(today);
-  startDate.setDate(startDate.getDate() - 364); // Go back ~1 year
-  
-  // Aggregate plays by date
-  const playsByDate = {};
-  playHistory.forEach(play => {
-    const date = new Date(play.timestamp).toISOString().split('T')[0];
-    playsByDate[date] = (playsByDate[date] || 0) + 1;
-  });
-  
-  // Find max plays for scaling
-  const maxPlays = Math.max(1, ...Object.values(playsByDate));
-  
-  // Generate weeks
-  const weeks = [];
-  let currentDate = new Date(startDate);
-  
-  // Align to Sunday
-  currentDate.setDate(currentDate.getDate() - currentDate.getDay());
-  
-  while (currentDate <= today) {
-    const week = [];
-    for (let d = 0; d < 7; d++) {
-      const dateStr = currentDate.toISOString().split('T')[0];
-      const plays = playsByDate[dateStr] || 0;
-      const level = plays === 0 ? 0 : Math.min(4, Math.ceil((plays / maxPlays) * 4));
-      
-      week.push({
-        date: dateStr,
-        plays,
-        level,
-        isFuture: currentDate > today
-      });
-      
-      currentDate.setDate(currentDate.getDate() + 1);
-    }
-    weeks.push(week);
-  }
-  
-  // Generate month labels
-  const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-  
-  container.innerHTML = `
-    <div class="activity-heatmap">
-      <div class="activity-heatmap-header">
-        <h4>Listening Activity</h4>
-        <div class="activity-heatmap-legend">
-          <span>Less</span>
-          <div class="heatmap-legend-cell" data-level="0"></div>
-          <div class="heatmap-legend-cell" data-level="1"></div>
-          <div class="heatmap-legend-cell" data-level="2"></div>
-          <div class="heatmap-legend-cell" data-level="3"></div>
-          <div class="heatmap-legend-cell" data-level="4"></div>
-          <span>More</span>
-        </div>
-      </div>
-      <div class="heatmap-container">
-        <div class="heatmap-day-labels">
-          <span>&nbsp;</span>
-          <span>Mon</span>
-          <span>&nbsp;</span>
-          <span>Wed</span>
-          <span>&nbsp;</span>
-          <span>Fri</span>
-          <span>&nbsp;</span>
-        </div>
-        <div class="heatmap-grid">
-          ${weeks.map(week => `
-            <div class="heatmap-week">
-              ${week.map(day => `
-                <div class="heatmap-cell ${day.isFuture ? 'future' : ''}" 
-                     data-level="${day.level}" 
-                     data-date="${day.date}"
-                     title="${day.date}: ${day.plays} plays">
-                </div>
-              `).join('')}
-            </div>
-          `).join('')}
-        </div>
-      </div>
-    </div>
-  `;
-}
-
-// ============================================
-// Top Artists/Albums Cards
-// ============================================
-export function renderTopCards(container, { topArtists = [], topAlbums = [] }) {
-  const getRankClass = (i) => {
-    if (i === 0) return 'gold';
-    if (i === 1) return 'silver';
-    if (i === 2) return 'bronze';
-    return '';
-  };
-  
-  // Only render sections that have data
-  const artistsSection = topArtists.length > 0 ? `
-    <h4 style="margin-bottom: 16px; font-size: 18px;">Top Artists</h4>
-    <div class="top-cards-grid">
-      ${topArtists.slice(0, 5).map((artist, i) => `
-        <div class="top-card" data-type="artist" data-name="${escapeHtml(artist.name)}">
-          <span class="top-card-rank ${getRankClass(i)}">${i + 1}</span>
-          <div class="top-card-info">
-            <div class="top-card-title">${escapeHtml(artist.name)}</div>
-            <div class="top-card-subtitle">${artist.playCount || 0} plays</div>
-          </div>
-        </div>
-      `).join('')}
-    </div>
-  ` : '';
-  
-  const albumsSection = topAlbums.length > 0 ? `
-    <h4 style="margin: ${topArtists.length > 0 ? '24px' : '0'} 0 16px; font-size: 18px;">Top Albums</h4>
-    <div class="top-cards-grid">
-      ${topAlbums.slice(0, 5).map((album, i) => `
-        <div class="top-card" data-type="album" data-artist="${escapeHtml(album.artist || '')}" data-album="${escapeHtml(album.name || '')}">
-          <span class="top-card-rank ${getRankClass(i)}">${i + 1}</span>
-          <div class="top-card-info">
-            <div class="top-card-title">${escapeHtml(album.name)}</div>
-            <div class="top-card-subtitle">${escapeHtml(album.artist)} • ${album.playCount || 0} plays</div>
-          </div>
-        </div>
-      `).join('')}
-    </div>
-  ` : '';
-  
-  if (!artistsSection && !albumsSection) {
-    container.innerHTML = '';
-    return;
-  }
-  
-  container.innerHTML = `
-    <div class="top-cards-section">
-      ${artistsSection}
-      ${albumsSection}
-    </div>
-  `;
-  
-  // Add click handlers
-  container.querySelectorAll('.top-card').forEach(card => {
-    card.onclick = () => {
-      if (card.dataset.type === 'artist') {
-        window.location.hash = `#/artist/${encodeURIComponent(card.dataset.name)}`;
-      } else if (card.dataset.type === 'album') {
-        const artist = card.dataset.artist;
-        const album = card.dataset.album;
-        if (artist && album) {
-          window.location.hash = `#/album/${encodeURIComponent(artist)}/${encodeURIComponent(album)}`;
-        }
-      }
-    };
-  });
-}
-
 // ============================================
 // Mini Player
 // ============================================
@@ -1082,8 +924,6 @@ export default {
   clearSearchFilters,
   getSimilarSongs,
   renderSimilarSongs,
-  renderActivityHeatmap,
-  renderTopCards,
   initMiniPlayer,
   updateMiniPlayer,
   updateMiniPlayerState,
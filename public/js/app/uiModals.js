@@ -26,15 +26,27 @@ export function setupModal() {
     };
   }
 
-  // BPM tag modal (open is handled by navigation.js; we wire close UX here)
-  const bpmModal = document.getElementById('bpmTagModal');
-  const closeBpm = document.getElementById('closeBpmTagModal');
-  const cancelBpm = document.getElementById('cancelBpmTag');
-  if (closeBpm && bpmModal) closeBpm.onclick = () => { bpmModal.style.display = 'none'; };
-  if (cancelBpm && bpmModal) cancelBpm.onclick = () => { bpmModal.style.display = 'none'; };
-  if (bpmModal) {
-    bpmModal.onclick = (e) => {
-      if (e.target?.id === 'bpmTagModal') bpmModal.style.display = 'none';
+  // Song info modal (open is handled by navigation.js; we wire close UX here)
+  const songInfoModal = document.getElementById('songInfoModal');
+  const closeSongInfo = document.getElementById('closeSongInfoModal');
+  const cancelSongInfo = document.getElementById('cancelSongInfo');
+  if (closeSongInfo && songInfoModal) closeSongInfo.onclick = () => { songInfoModal.style.display = 'none'; };
+  if (cancelSongInfo && songInfoModal) cancelSongInfo.onclick = () => { songInfoModal.style.display = 'none'; };
+  if (songInfoModal) {
+    songInfoModal.onclick = (e) => {
+      if (e.target?.id === 'songInfoModal') songInfoModal.style.display = 'none';
+    };
+  }
+
+  // Bulk edit modal (opened from the selection bar in songSelection.js)
+  const bulkEditModal = document.getElementById('bulkEditModal');
+  const closeBulkEdit = document.getElementById('closeBulkEditModal');
+  const cancelBulkEdit = document.getElementById('cancelBulkEdit');
+  if (closeBulkEdit && bulkEditModal) closeBulkEdit.onclick = () => { bulkEditModal.style.display = 'none'; };
+  if (cancelBulkEdit && bulkEditModal) cancelBulkEdit.onclick = () => { bulkEditModal.style.display = 'none'; };
+  if (bulkEditModal) {
+    bulkEditModal.onclick = (e) => {
+      if (e.target?.id === 'bulkEditModal') bulkEditModal.style.display = 'none';
     };
   }
 
@@ -96,7 +108,7 @@ export function setupModal() {
 }
 
 export function closeAllModals() {
-  const ids = ['playlistModal', 'addToPlaylistModal', 'bpmTagModal', 'keyboardShortcutsModal', 'statsListModal', 'sleepTimerModal'];
+  const ids = ['playlistModal', 'addToPlaylistModal', 'songInfoModal', 'bulkEditModal', 'keyboardShortcutsModal', 'statsListModal', 'sleepTimerModal', 'lyricsEditorModal'];
   ids.forEach((id) => {
     const el = document.getElementById(id);
     if (!el) return;
@@ -4,6 +4,7 @@ import { loadArtists } from './artists.js';
 import { loadPlaylists } from './playlists.js';
 import { loadStats } from './stats.js';
 import { setupSettingsView } from './settings.js';
+import { loadLibraryHealth } from './health.js';
 
 export async function switchView(viewName, updateUrl = true) {
   const container = document.getElementById('viewContainer');
@@ -30,7 +31,8 @@ export async function switchView(viewName, updateUrl = true) {
     playlistDetailView: 'playlist-detail.html',
     albumDetailView: 'album-detail.html',
     stats: 'stats.html',
-    settings: 'settings.html'
+    settings: 'settings.html',
+    health: 'health.html'
   };
 
   const htmlFile = viewMap[viewName] || viewMap[viewName.replace('View', '')];
@@ -77,6 +79,9 @@ export async function switchView(viewName, updateUrl = true) {
       case 'settings':
         setupSettingsView();
         break;
+      case 'health':
+        void loadLibraryHealth();
+        break;
     }
   } catch (error) {
     console.error('Error loading view:', error);
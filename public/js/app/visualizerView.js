@@ -0,0 +1,195 @@
+import { albumCoverUrl } from '../api.js';
+import { getCurrentSong } from '../state.js';
+import { VISUALIZER_MODES, getVisualizerMode, setVisualizerMode, startVisualizer } from '../visualizer.js';
+import { showToast } from './uiFeatures.js';
+
+let visualizer = null;
+let motionObserver = null;
+
+function $(id) {
+  return document.getElementById(id);
+}
+
+// Canvas colors must be plain colors; theme variables can hold color-mix()
+// and the like, so let the browser compute them first.
+function resolveColor(value, fallback) {
+  const probe = document.createElement('span');
+  probe.style.display = 'none';
+  probe.style.color = value;
+  if (!probe.style.color) return fallback;
+  document.body.appendChild(probe);
+  const resolved = getComputedStyle(probe).color;
+  probe.remove();
+  return resolved || fallback;
+}
+
+// The album palette when dynamic colors are on, else the theme's own colors.
+function currentPalette() {
+  const styles = getComputedStyle(document.documentElement);
+  const read = (name, fallback) => resolveColor(styles.getPropertyValue(name).trim(), fallback);
+  const primary = read('--primary', 'rgb(248, 250, 252)');
+  const secondary = read('--text-secondary', 'rgb(161, 161, 170)');
+  if (!document.body.classList.contains('dynamic-themed')) {
+    return { primary, secondary: primary, tertiary: secondary };
+  }
+  return {
+    primary: read('--dynamic-primary', primary),
+    secondary: read('--dynamic-secondary', secondary),
+    tertiary: read('--dynamic-tertiary', secondary)
+  };
+}
+
+function prefersReducedMotion() {
+  const reduceMotion = window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+  return Boolean(reduceMotion || document.body?.classList?.contains('no-animations'));
+}
+
+function isOpen() {
+  const view = $('visualizerView');
+  return Boolean(view && !view.hidden);
+}
+
+function renderSong(song) {
+  const title = $('visualizerTitle');
+  const artist = $('visualizerArtist');
+  const artwork = $('visualizerArtwork');
+  if (title) title.textContent = song?.title || 'Nothing playing';
+  if (artist) artist.textContent = song?.artist || '';
+  if (artwork) {
+    artwork.hidden = !song?.id;
+    if (song?.id) artwork.src = albumCoverUrl(song.id, 600);
+  }
+}
+
+function renderModes(mode) {
+  const view = $('visualizerView');
+  if (view) view.dataset.mode = mode;
+  document.querySelectorAll('#visualizerModes [data-visualizer-mode]').forEach((button) => {
+    const active = button.dataset.visualizerMode === mode;
+    button.classList.toggle('is-active', active);
+    button.setAttribute('aria-pressed', active ? 'true' : 'false');
+  });
+}
+
+function updateFullscreenButton() {
+  const button = $('visualizerFullscreen');
+  if (!button) return;
+  const fullscreen = Boolean(document.fullscreenElement);
+  button.title = fullscreen ? 'Exit full screen' : 'Full screen';
+  button.setAttribute('aria-label', button.title);
+  const icon = button.querySelector('.material-symbols-rounded');
+  if (icon) icon.textContent = fullscreen ? 'fullscreen_exit' : 'fullscreen';
+}
+
+function toggleBrowserFullscreen() {
+  const view = $('visualizerView');
+  if (document.fullscreenElement) {
+    void document.exitFullscreen?.().catch(() => {});
+  } else if (view?.requestFullscreen) {
+    void view.requestFullscreen().catch(() => {});
+  }
+}
+
+/**
+ * Open the fullscreen visualizer (from a user gesture, so audio and full
+ * screen are allowed to start).
+ */
+export function openVisualizer() {
+  const view = $('visualizerView');
+  const canvas = $('visualizerCanvas');
+  if (!view || !canvas || isOpen()) return;
+
+  view.hidden = false;
+  document.body.classList.add('visualizer-open');
+  renderSong(getCurrentSong());
+  renderModes(getVisualizerMode());
+
+  visualizer = startVisualizer(canvas, {
+    mode: getVisualizerMode(),
+    palette: currentPalette(),
+    reducedMotion: prefersReducedMotion()
+  });
+  if (!visualizer) {
+    closeVisualizer();
+    showToast('The visualizer needs Web Audio, which this browser does not support', 'error');
+    return;
+  }
+
+  // The "disable animations" setting toggles a class on <body>.
+  motionObserver = new MutationObserver(() => visualizer?.setReducedMotion(prefersReducedMotion()));
+  motionObserver.observe(document.body, { attributes: true, attributeFilter: ['class'] });
+
+  if (view.requestFullscreen && !document.fullscreenElement) {
+    void view.requestFullscreen().catch(() => {});
+  }
+  $('visualizerClose')?.focus();
+}
+
+/**
+ * Close the visualizer and stop drawing.
+ */
+export function closeVisualizer() {
+  const view = $('visualizerView');
+  if (!view) return;
+
+  visualizer?.stop();
+  visualizer = null;
+  motionObserver?.disconnect();
+  motionObserver = null;
+
+  if (document.fullscreenElement === view) {
+    void document.exitFullscreen?.().catch(() => {});
+  }
+  view.hidden = true;
+  document.body.classList.remove('visualizer-open');
+}
+
+/**
+ * Open or close the visualizer.
+ */
+export function toggleVisualizer() {
+  if (isOpen()) closeVisualizer();
+  else openVisualizer();
+}
+
+export function setupVisualizer() {
+  const view = $('visualizerView');
+  if (!view) return;
+
+  const modes = $('visualizerModes');
+  if (modes) {
+    modes.innerHTML = VISUALIZER_MODES.map((mode) => `
+      <button class="visualizer-mode" type="button" data-visualizer-mode="${mode.id}" aria-pressed="false">${mode.name}</button>
+    `).join('');
+    modes.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-visualizer-mode]');
+      if (!button) return;
+      const mode = button.dataset.visualizerMode;
+      setVisualizerMode(mode);
+      visualizer?.setMode(mode);
+      renderModes(mode);
+    });
+  }
+
+  $('visualizerButton')?.addEventListener('click', openVisualizer);
+  $('visualizerClose')?.addEventListener('click', closeVisualizer);
+  $('visualizerFullscreen')?.addEventListener('click', toggleBrowserFullscreen);
+  $('visualizerCanvas')?.addEventListener('dblclick', toggleBrowserFullscreen);
+
+  document.addEventListener('fullscreenchange', updateFullscreenButton);
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && isOpen() && !document.fullscreenElement) closeVisualizer();
+  });
+
+  document.addEventListener('songChanged', (e) => {
+    if (isOpen()) renderSong(e.detail);
+  });
+  document.addEventListener('player0:paletteChanged', () => {
+    visualizer?.setPalette(currentPalette());
+  });
+  window.matchMedia?.('(prefers-reduced-motion: reduce)').addEventListener?.('change', () => {
+    visualizer?.setReducedMotion(prefersReducedMotion());
+  });
+
+  updateFullscreenButton();
+}
@@ -0,0 +1,124 @@
+import { getWaveform } from '../api.js';
+import { getCurrentSong } from '../state.js';
+
+// Waveform behind the seek bar. Peaks are computed on the server after a
+// scan; a song that isn't analyzed yet keeps the plain bar and is asked for
+// again a few times while it plays.
+const RETRY_DELAYS_MS = [4000, 8000, 15000, 30000];
+const BAR_WIDTH = 2;
+const BAR_GAP = 1;
+
+let songId = null;
+let peaks = null;
+let progress = 0;
+let retryTimer = null;
+
+function $(id) {
+  return document.getElementById(id);
+}
+
+// The canvas' own `color` follows --primary (the album color when dynamic
+// colors are on), already computed to a plain color canvas accepts.
+function colors(canvas) {
+  const played = getComputedStyle(canvas).color || 'rgb(248, 250, 252)';
+  const rest = getComputedStyle(document.body).getPropertyValue('--text-secondary').trim() || 'rgb(161, 161, 170)';
+  return { played, rest };
+}
+
+function draw() {
+  const canvas = $('progressWaveform');
+  const ctx = canvas?.getContext('2d');
+  if (!ctx) return;
+
+  const ratio = window.devicePixelRatio || 1;
+  const width = Math.round(canvas.clientWidth * ratio);
+  const height = Math.round(canvas.clientHeight * ratio);
+  if (canvas.width !== width || canvas.height !== height) {
+    canvas.width = width;
+    canvas.height = height;
+  }
+  ctx.clearRect(0, 0, width, height);
+  if (!peaks || !width || !height) return;
+
+  const step = (BAR_WIDTH + BAR_GAP) * ratio;
+  const count = Math.max(1, Math.floor(width / step));
+  // Scale to the loudest peak so quiet recordings still fill the bar.
+  const loudest = Math.max(1, ...peaks);
+  const playedX = progress * width;
+  const { played, rest } = colors(canvas);
+
+  for (let i = 0; i < count; i++) {
+    const start = Math.floor((i * peaks.length) / count);
+    const end = Math.max(start + 1, Math.floor(((i + 1) * peaks.length) / count));
+    let peak = 0;
+    for (let p = start; p < end && p < peaks.length; p++) peak = Math.max(peak, peaks[p]);
+
+    const x = i * step;
+    const barHeight = Math.max(ratio, (peak / loudest) * height);
+    const isPlayed = x + (BAR_WIDTH * ratio) / 2 <= playedX;
+    ctx.fillStyle = isPlayed ? played : rest;
+    ctx.globalAlpha = isPlayed ? 1 : 0.45;
+    ctx.fillRect(x, (height - barHeight) / 2, BAR_WIDTH * ratio, barHeight);
+  }
+  ctx.globalAlpha = 1;
+}
+
+function showWaveform(nextPeaks) {
+  peaks = Array.isArray(nextPeaks) && nextPeaks.length > 0 ? nextPeaks : null;
+  const canvas = $('progressWaveform');
+  canvas?.closest('.progress-bar')?.classList.toggle('has-waveform', Boolean(peaks));
+  draw();
+}
+
+async function loadWaveform(id, attempt = 0) {
+  clearTimeout(retryTimer);
+  retryTimer = null;
+
+  let data = null;
+  try {
+    data = await getWaveform(id);
+  } catch {
+    // Offline or server error: keep the plain bar.
+  }
+  if (id !== songId) return;
+
+  if (data?.peaks) {
+    showWaveform(data.peaks);
+  } else if (data?.pending && attempt < RETRY_DELAYS_MS.length) {
+    retryTimer = setTimeout(() => loadWaveform(id, attempt + 1), RETRY_DELAYS_MS[attempt]);
+  }
+}
+
+function setSong(song) {
+  if (song?.id === songId) return;
+  songId = song?.id || null;
+  progress = 0;
+  showWaveform(null);
+  if (songId) void loadWaveform(songId);
+}
+
+export function setupWaveformSeekbar() {
+  const canvas = $('progressWaveform');
+  if (!canvas) return;
+
+  document.addEventListener('songChanged', (e) => setSong(e.detail));
+  document.addEventListener('progressUpdated', (e) => {
+    progress = Math.min(1, Math.max(0, Number(e.detail) || 0));
+    if (peaks) draw();
+  });
+  document.addEventListener('player0:paletteChanged', () => {
+    if (peaks) draw();
+  });
+
+  if (typeof ResizeObserver === 'function') {
+    new ResizeObserver(() => {
+      if (peaks) draw();
+    }).observe(canvas);
+  } else {
+    window.addEventListener('resize', () => {
+      if (peaks) draw();
+    });
+  }
+
+  setSong(getCurrentSong());
+}
@@ -0,0 +1,156 @@
+// Web Audio processing graph
+// Routes the <audio> elements through an AudioContext so their signal can be
+// processed before it reaches the speakers:
+//
+//   element -> source -> gain (per element) -> output bus -> destination
+//
+// Each element gets its own gain node so two songs can play at different
+// levels during a crossfade. Effects that apply to everything (the
+// equalizer, ...) are chained between the output bus and the destination;
+// the visualizer's analyser listens in parallel at the end of that chain.
+//
+// An element can't leave the graph once routed into it, and a suspended
+// context plays silence, so the graph is only built when a feature needs it
+// and the context is resumed on every `play`.
+
+let context = null;
+let outputBus = null;
+let analyser = null;
+const outputEffects = new Map(); // name -> { input, output }, in signal order
+const chains = new Map(); // element -> { source, gain }
+let elements = [];
+
+function AudioContextClass() {
+  return window.AudioContext || window.webkitAudioContext || null;
+}
+
+function resume() {
+  if (context && context.state !== 'running') {
+    void context.resume().catch(() => {});
+  }
+}
+
+/**
+ * Register the audio elements. Doesn't touch Web Audio yet.
+ * @param {HTMLAudioElement[]} audioElements
+ */
+export function initAudioGraph(audioElements) {
+  elements = (audioElements || []).filter(Boolean);
+  elements.forEach((el) => {
+    el.addEventListener('play', resume);
+  });
+  // Some browsers only let a context start during a user gesture.
+  ['pointerdown', 'keydown'].forEach((type) => {
+    document.addEventListener(type, resume, { capture: true });
+  });
+}
+
+/**
+ * Whether the browser supports Web Audio.
+ * @returns {boolean}
+ */
+export function isAudioGraphSupported() {
+  return Boolean(AudioContextClass());
+}
+
+/**
+ * Build the graph (once). Call from a user gesture when possible, so the
+ * context is allowed to start.
+ * @returns {boolean} false without Web Audio support
+ */
+export function ensureAudioGraph() {
+  if (context) {
+    resume();
+    return true;
+  }
+
+  const Ctx = AudioContextClass();
+  if (!Ctx || elements.length === 0) return false;
+
+  try {
+    context = new Ctx();
+    outputBus = context.createGain();
+    elements.forEach((el) => {
+      const source = context.createMediaElementSource(el);
+      const gain = context.createGain();
+      source.connect(gain);
+      gain.connect(outputBus);
+      chains.set(el, { source, gain });
+    });
+  } catch (err) {
+    console.warn('Could not set up Web Audio:', err);
+    context = null;
+    outputBus = null;
+    chains.clear();
+    return false;
+  }
+
+  connectOutput();
+  resume();
+  return true;
+}
+
+function connectOutput() {
+  if (!outputBus) return;
+  outputBus.disconnect();
+  let tail = outputBus;
+  outputEffects.forEach((effect) => {
+    effect.output.disconnect();
+    tail.connect(effect.input);
+    tail = effect.output;
+  });
+  tail.connect(context.destination);
+  if (analyser) tail.connect(analyser);
+}
+
+/**
+ * The graph's AudioContext, once built.
+ * @returns {AudioContext|null}
+ */
+export function getAudioContext() {
+  return context;
+}
+
+/**
+ * Insert (or remove) a named effect between the output bus and the destination.
+ * Effects run in the order they were first added.
+ * @param {string} name
+ * @param {{ input: AudioNode, output: AudioNode }|null} effect - null removes it
+ */
+export function setOutputEffect(name, effect) {
+  const current = outputEffects.get(name) || null;
+  if (current === effect) return;
+  if (current) current.output.disconnect();
+  if (effect?.input && effect?.output) {
+    outputEffects.set(name, effect);
+  } else {
+    outputEffects.delete(name);
+  }
+  connectOutput();
+}
+
+/**
+ * An AnalyserNode fed with what reaches the speakers (after all effects).
+ * Builds the graph if needed.
+ * @returns {AnalyserNode|null} null without Web Audio support
+ */
+export function getOutputAnalyser() {
+  if (!ensureAudioGraph()) return null;
+  if (!analyser) {
+    analyser = context.createAnalyser();
+    connectOutput();
+  }
+  return analyser;
+}
+
+/**
+ * Set an element's own gain (linear, 1 = unchanged). No-op until the graph is built.
+ * @param {HTMLAudioElement} el
+ * @param {number} value
+ */
+export function setElementGain(el, value) {
+  const chain = chains.get(el);
+  if (!chain) return;
+  const n = Number(value);
+  chain.gain.gain.value = Number.isFinite(n) && n >= 0 ? n : 1;
+}
@@ -0,0 +1,305 @@
+// Bookmarks and A-B loop for the current song
+// Bookmarks are named positions saved on the server (song.bookmarks); the
+// A-B loop is a practice aid that only lives until the song changes.
+// Listeners of `player0:bookmarksChanged` (seek bar, lyrics panel) get
+// { songId, bookmarks, loop } whenever either changes. initBookmarkControls()
+// draws both over the seek bar and keeps the loop going during playback.
+import {
+  getBookmarks as fetchBookmarks,
+  addBookmark as addBookmarkAPI,
+  updateBookmark as updateBookmarkAPI,
+  deleteBookmark as deleteBookmarkAPI
+} from './api.js';
+import { formatDuration } from './utils.js';
+import { getActiveAudio, getAudioElements } from './gapless.js';
+
+// Shortest loop worth playing; also keeps B away from the end of the track
+// so the loop jumps back before the next song starts.
+export const MIN_LOOP_SECONDS = 0.5;
+
+// A-B loop checks between timeupdate events.
+const LOOP_CHECK_INTERVAL_MS = 50;
+
+let song = null;
+let bookmarks = [];
+let loop = { a: null, b: null };
+let loopIntervalId = null;
+let loopLastPosition = null;
+
+function sortByTime(list) {
+  return [...list].sort((x, y) => x.time - y.time);
+}
+
+function notify() {
+  document.dispatchEvent(new CustomEvent('player0:bookmarksChanged', { detail: getBookmarkState() }));
+}
+
+// Keep the in-memory library copy in step, so the song shows the same
+// bookmarks next time it plays without refetching the library.
+function setBookmarks(list) {
+  bookmarks = sortByTime(list || []);
+  if (song) song.bookmarks = bookmarks;
+  notify();
+}
+
+/**
+ * Bookmarks and loop points of the current song.
+ * @returns {{ songId: string|null, bookmarks: Array<{ id: string, time: number, name: string }>, loop: { a: number|null, b: number|null } }}
+ */
+export function getBookmarkState() {
+  return { songId: song?.id || null, bookmarks, loop: { ...loop } };
+}
+
+/**
+ * Switch to a song: show its saved bookmarks and drop the loop.
+ * @param {Object} nextSong
+ */
+export function setBookmarksSong(nextSong) {
+  if (nextSong?.id && nextSong.id === song?.id) return;
+  song = nextSong || null;
+  bookmarks = sortByTime(Array.isArray(song?.bookmarks) ? song.bookmarks : []);
+  loop = { a: null, b: null };
+  notify();
+
+  // The library list may be older than the last edit (other device, cache).
+  const songId = song?.id;
+  if (!songId) return;
+  fetchBookmarks(songId)
+    .then((data) => {
+      if (song?.id === songId) setBookmarks(data.bookmarks);
+    })
+    .catch(() => {
+      // Offline: keep what the library had.
+    });
+}
+
+/**
+ * Save a bookmark in the current song.
+ * @param {number} time - Seconds
+ * @param {string} [name]
+ * @returns {Promise<Object>} The new bookmark
+ */
+export async function addBookmark(time, name = '') {
+  const songId = song?.id;
+  if (!songId) throw new Error('Nothing is playing');
+  const data = await addBookmarkAPI(songId, { time: Math.max(0, Number(time) || 0), name });
+  if (song?.id === songId) setBookmarks(data.bookmarks);
+  return data.bookmark;
+}
+
+/**
+ * Rename a bookmark of the current song.
+ * @param {string} bookmarkId
+ * @param {string} name
+ */
+export async function renameBookmark(bookmarkId, name) {
+  const songId = song?.id;
+  if (!songId) return;
+  const data = await updateBookmarkAPI(songId, bookmarkId, { name });
+  if (song?.id === songId) setBookmarks(data.bookmarks);
+}
+
+/**
+ * Delete a bookmark of the current song.
+ * @param {string} bookmarkId
+ */
+export async function removeBookmark(bookmarkId) {
+  const songId = song?.id;
+  if (!songId) return;
+  const data = await deleteBookmarkAPI(songId, bookmarkId);
+  if (song?.id === songId) setBookmarks(data.bookmarks);
+}
+
+/**
+ * The nearest bookmark after (or before) a position.
+ * Going back skips a bookmark just passed, like "previous track" does.
+ * @param {number} time - Seconds
+ * @param {1|-1} direction
+ * @returns {Object|null}
+ */
+export function adjacentBookmark(time, direction) {
+  const t = Number(time) || 0;
+  if (direction > 0) return bookmarks.find((b) => b.time > t + 0.25) || null;
+  return [...bookmarks].reverse().find((b) => b.time < t - 1.5) || null;
+}
+
+/**
+ * Set loop point A or B. Setting one past the other swaps them; one set
+ * within MIN_LOOP_SECONDS of the other clears the other (starting over).
+ * @param {'a'|'b'} point
+ * @param {number} time - Seconds
+ * @param {number} [duration] - Track length, to keep B clear of the end
+ */
+export function setLoopPoint(point, time, duration) {
+  let t = Math.max(0, Number(time) || 0);
+  const length = Number(duration);
+  if (Number.isFinite(length) && length > 0) t = Math.min(t, Math.max(0, length - MIN_LOOP_SECONDS));
+
+  const next = { ...loop, [point]: t };
+  if (next.a != null && next.b != null) {
+    if (Math.abs(next.b - next.a) < MIN_LOOP_SECONDS) {
+      next[point === 'a' ? 'b' : 'a'] = null;
+    } else if (next.b < next.a) {
+      [next.a, next.b] = [next.b, next.a];
+    }
+  }
+  loop = next;
+  notify();
+}
+
+/**
+ * Stop looping and forget both points.
+ */
+export function clearLoop() {
+  if (loop.a == null && loop.b == null) return;
+  loop = { a: null, b: null };
+  notify();
+}
+
+/**
+ * Whether both loop points are set.
+ * @returns {boolean}
+ */
+export function isLooping() {
+  return loop.a != null && loop.b != null;
+}
+
+/**
+ * Where playback should jump to keep looping, if anywhere. Only crossing B
+ * while playing loops back, so a seek past B (e.g. to a bookmark) still works.
+ * @param {number} previous - Position at the last check, in seconds
+ * @param {number} current - Position now, in seconds
+ * @returns {number|null} Loop start when playback just reached B, else null
+ */
+export function loopJumpTarget(previous, current) {
+  if (!isLooping()) return null;
+  return Number(previous) < loop.b && Number(current) >= loop.b ? loop.a : null;
+}
+
+function trackDuration() {
+  const duration = Number(getActiveAudio()?.duration);
+  return Number.isFinite(duration) && duration > 0 ? duration : Number(song?.duration) || 0;
+}
+
+function seekTo(seconds) {
+  const audio = getActiveAudio();
+  if (!audio) return;
+  const duration = trackDuration();
+  try {
+    audio.currentTime = duration ? Math.min(seconds, duration) : seconds;
+  } catch {
+    // Not seekable yet.
+  }
+}
+
+// Jump back to A when playback crosses B. `timeupdate` only fires every
+// ~250ms, so a short interval runs alongside while a loop is set.
+function enforceLoop() {
+  const audio = getActiveAudio();
+  if (!audio) return;
+  const position = Number(audio.currentTime) || 0;
+  const target = loopLastPosition == null ? null : loopJumpTarget(loopLastPosition, position);
+  if (target != null) {
+    audio.currentTime = target;
+    loopLastPosition = null;
+    return;
+  }
+  loopLastPosition = position;
+}
+
+function syncLoopInterval() {
+  if (isLooping() && !loopIntervalId) {
+    loopLastPosition = null;
+    loopIntervalId = setInterval(() => {
+      if (!getActiveAudio()?.paused) enforceLoop();
+    }, LOOP_CHECK_INTERVAL_MS);
+  } else if (!isLooping() && loopIntervalId) {
+    clearInterval(loopIntervalId);
+    loopIntervalId = null;
+  }
+}
+
+// Bookmark ticks and the A-B range over the seek bar.
+function renderProgressMarks() {
+  const marks = document.getElementById('progressMarks');
+  if (!marks) return;
+
+  const duration = trackDuration();
+  if (!duration) {
+    marks.innerHTML = '';
+    return;
+  }
+
+  const percent = (time) => `${Math.max(0, Math.min(100, (time / duration) * 100))}%`;
+  const parts = bookmarks.map((b) => `<span class="progress-mark" style="left: ${percent(b.time)}"></span>`);
+  if (loop.a != null && loop.b != null) {
+    parts.unshift(`<span class="progress-loop-range" style="left: ${percent(loop.a)}; width: calc(${percent(loop.b)} - ${percent(loop.a)})"></span>`);
+  }
+  [loop.a, loop.b].forEach((time) => {
+    if (time != null) parts.push(`<span class="progress-mark progress-mark--loop" style="left: ${percent(time)}"></span>`);
+  });
+  marks.innerHTML = parts.join('');
+}
+
+function updateLoopControls() {
+  document.getElementById('loopAButton')?.classList.toggle('is-active', loop.a != null);
+  document.getElementById('loopBButton')?.classList.toggle('is-active', loop.b != null);
+
+  const clearButton = document.getElementById('loopClearButton');
+  if (clearButton) {
+    clearButton.disabled = loop.a == null && loop.b == null;
+    clearButton.classList.toggle('is-active', isLooping());
+  }
+
+  const range = document.getElementById('loopRange');
+  if (range) {
+    const format = (time) => (time == null ? '…' : formatDuration(time));
+    range.textContent = loop.a == null && loop.b == null ? '' : `${format(loop.a)} – ${format(loop.b)}`;
+  }
+}
+
+/**
+ * Draw bookmarks and the loop over the seek bar and loop between A and B.
+ * Call after initGapless(), before the player's own timeupdate listeners.
+ */
+export function initBookmarkControls() {
+  getAudioElements().forEach((el) => {
+    el.addEventListener('timeupdate', () => {
+      if (el === getActiveAudio()) enforceLoop();
+    });
+    el.addEventListener('seeking', () => {
+      if (el === getActiveAudio()) loopLastPosition = null;
+    });
+    el.addEventListener('durationchange', () => {
+      if (el === getActiveAudio()) renderProgressMarks();
+    });
+  });
+
+  document.addEventListener('player0:bookmarksChanged', () => {
+    syncLoopInterval();
+    renderProgressMarks();
+    updateLoopControls();
+  });
+  updateLoopControls();
+}
+
+/**
+ * Set A-B loop point A or B at the current position.
+ * @param {'a'|'b'} point
+ */
+export function markLoopPoint(point) {
+  const audio = getActiveAudio();
+  if (!audio || !song) return;
+  setLoopPoint(point, audio.currentTime, trackDuration());
+}
+
+/**
+ * Jump to the next or previous bookmark of the current song.
+ * @param {1|-1} direction
+ */
+export function jumpToBookmark(direction) {
+  const audio = getActiveAudio();
+  if (!audio) return;
+  const bookmark = adjacentBookmark(audio.currentTime, direction);
+  if (bookmark) seekTo(Math.max(0, bookmark.time));
+}
@@ -17,8 +17,9 @@ export function buildSongRowHtml(song, index, options) {
   const showDrag = Boolean(opts.showDrag);
   const showPlays = Boolean(opts.showPlays);
   const includeRemoveFromPlaylist = Boolean(opts.includeRemoveFromPlaylist);
+  const showSelect = Boolean(opts.showSelect);
 
-  const coverHtml = lazyImageHtml(songCoverUrl(song.id), title, 'song-cover');
+  const coverHtml = lazyImageHtml(songCoverUrl(song.id, 64), title, 'song-cover');
   const trackHtml = showTrack ? `<td class="col-track">${escapeHtml(song.trackNumber || '-')}</td>` : '';
   const dragHtml = showDrag
     ? `
@@ -27,6 +28,13 @@ export function buildSongRowHtml(song, index, options) {
     </td>`
     : '';
 
+  const selectHtml = showSelect
+    ? `
+    <td class="col-select">
+      <input type="checkbox" class="song-select-checkbox" data-song-id="${song.id}" data-song-index="${index}" aria-label="Select ${escapeHtml(title)}"${opts.selected ? ' checked' : ''} />
+    </td>`
+    : '';
+
   const playsTdHtml = showPlays ? `<td class="col-plays">${playCount}</td>` : '';
   const removeHtml = includeRemoveFromPlaylist
     ? `
@@ -35,6 +43,7 @@ export function buildSongRowHtml(song, index, options) {
     : '';
 
   return `
+    ${selectHtml}
     ${dragHtml}
     ${trackHtml}
     <td class="col-play">
@@ -78,7 +87,7 @@ export function buildSongRowHtml(song, index, options) {
           <button class="dropdown-item song-row-queue-btn" type="button" data-song-id="${song.id}" data-song-index="${index}" data-song-context="${context}">Add to queue</button>
           <div class="dropdown-sep" role="separator"></div>
           <button class="dropdown-item add-to-playlist-btn" type="button" data-song-id="${song.id}">Add to playlist</button>
-          <button class="dropdown-item song-edit-bpm-btn" type="button" data-song-id="${song.id}" data-song-index="${index}" data-song-context="${context}">Edit BPM</button>
+          <button class="dropdown-item song-edit-info-btn" type="button" data-song-id="${song.id}" data-song-index="${index}" data-song-context="${context}">Edit info</button>
           <button class="dropdown-item song-copy-btn" type="button" data-copy-text="${escapeHtml(copyText)}">Copy title + artist</button>
           ${removeHtml}
         </div>
@@ -0,0 +1,273 @@
+// 10-band equalizer
+// A chain of BiquadFilterNodes on the audio graph's output bus (see
+// audioGraph.js): a low shelf, eight peaking bands and a high shelf at the
+// usual ISO octave frequencies. A pre-gain in front lowers the level by the
+// largest boost, so boosted presets don't clip.
+//
+// Settings live in localStorage, so every device (phone, desktop, ...) keeps
+// its own EQ profile. Besides the built-in presets, users can save their own,
+// and optionally let the genre of the playing song pick a preset.
+import { ensureAudioGraph, getAudioContext, setOutputEffect } from './audioGraph.js';
+
+const PREF_EQUALIZER_KEY = 'player0.equalizer.v1';
+
+export const EQ_BANDS = [31, 62, 125, 250, 500, 1000, 2000, 4000, 8000, 16000];
+export const MAX_BAND_GAIN_DB = 12;
+
+// One octave per band.
+const BAND_Q = 1.41;
+
+const FLAT = EQ_BANDS.map(() => 0);
+
+export const BUILT_IN_PRESETS = [
+  { id: 'flat', name: 'Flat', gains: FLAT },
+  { id: 'bass', name: 'Bass boost', gains: [6, 5, 4, 2, 0, 0, 0, 0, 0, 0] },
+  { id: 'vocal', name: 'Vocal', gains: [-2, -2, -1, 1, 3, 4, 3, 1, 0, -1] },
+  { id: 'loudness', name: 'Loudness', gains: [5, 4, 2, 0, -1, -1, 0, 2, 4, 5] }
+];
+
+// Used when "preset by genre" is on and the user hasn't assigned the genre.
+// Matched as substrings of the lowercased genre, first match wins.
+const DEFAULT_GENRE_PRESETS = [
+  ['hip hop', 'bass'],
+  ['hip-hop', 'bass'],
+  ['rap', 'bass'],
+  ['electronic', 'bass'],
+  ['dance', 'bass'],
+  ['edm', 'bass'],
+  ['podcast', 'vocal'],
+  ['spoken', 'vocal'],
+  ['audiobook', 'vocal'],
+  ['speech', 'vocal']
+];
+
+function defaultPreference() {
+  return { enabled: false, presetId: 'flat', gains: [...FLAT], userPresets: [], byGenre: false, genrePresets: {} };
+}
+
+let filters = null; // { preGain, bands: BiquadFilterNode[], effect }
+let currentGenre = null;
+
+function clampGain(value) {
+  const n = Number(value);
+  return Number.isFinite(n) ? Math.max(-MAX_BAND_GAIN_DB, Math.min(MAX_BAND_GAIN_DB, Math.round(n * 2) / 2)) : 0;
+}
+
+function normalizeGains(gains) {
+  return EQ_BANDS.map((_, i) => clampGain(Array.isArray(gains) ? gains[i] : 0));
+}
+
+function normalizeGenre(genre) {
+  return String(genre || '').trim().toLowerCase();
+}
+
+/**
+ * Read the stored equalizer settings.
+ * @returns {{ enabled: boolean, presetId: string, gains: number[], userPresets: Array<{ id: string, name: string, gains: number[] }>, byGenre: boolean, genrePresets: Object<string, string> }}
+ */
+export function getEqualizerPreference() {
+  try {
+    const raw = localStorage.getItem(PREF_EQUALIZER_KEY);
+    const parsed = raw ? JSON.parse(raw) : null;
+    if (!parsed || typeof parsed !== 'object') return defaultPreference();
+
+    const userPresets = (Array.isArray(parsed.userPresets) ? parsed.userPresets : [])
+      .filter((preset) => preset && typeof preset.id === 'string' && typeof preset.name === 'string')
+      .map((preset) => ({ id: preset.id, name: preset.name, gains: normalizeGains(preset.gains) }));
+    const genrePresets = {};
+    Object.entries(parsed.genrePresets && typeof parsed.genrePresets === 'object' ? parsed.genrePresets : {})
+      .forEach(([genre, presetId]) => {
+        if (normalizeGenre(genre) && typeof presetId === 'string') genrePresets[normalizeGenre(genre)] = presetId;
+      });
+
+    return {
+      enabled: parsed.enabled === true,
+      presetId: typeof parsed.presetId === 'string' ? parsed.presetId : 'custom',
+      gains: normalizeGains(parsed.gains),
+      userPresets,
+      byGenre: parsed.byGenre === true,
+      genrePresets
+    };
+  } catch {
+    return defaultPreference();
+  }
+}
+
+function writePreference(preference) {
+  try {
+    localStorage.setItem(PREF_EQUALIZER_KEY, JSON.stringify(preference));
+  } catch {
+    // ignore
+  }
+}
+
+/**
+ * Persist equalizer settings and apply them.
+ * Changing `gains` without a `presetId` marks the curve as custom.
+ * @param {Object} updates - Any fields of getEqualizerPreference()
+ */
+export function setEqualizerPreference(updates = {}) {
+  const current = getEqualizerPreference();
+  const next = { ...current };
+  if (typeof updates.enabled === 'boolean') next.enabled = updates.enabled;
+  if (typeof updates.byGenre === 'boolean') next.byGenre = updates.byGenre;
+  if (updates.gains) {
+    next.gains = normalizeGains(updates.gains);
+    next.presetId = 'custom';
+  }
+  if (typeof updates.presetId === 'string') {
+    const preset = findPreset(updates.presetId, next);
+    if (preset) {
+      next.presetId = preset.id;
+      next.gains = [...preset.gains];
+    }
+  }
+  writePreference(next);
+  applyEqualizer();
+}
+
+/**
+ * All presets: built-in first, then the user's.
+ * @param {Object} [preference]
+ * @returns {Array<{ id: string, name: string, gains: number[], builtIn?: boolean }>}
+ */
+export function listPresets(preference = getEqualizerPreference()) {
+  return [
+    ...BUILT_IN_PRESETS.map((preset) => ({ ...preset, builtIn: true })),
+    ...preference.userPresets
+  ];
+}
+
+function findPreset(id, preference = getEqualizerPreference()) {
+  return listPresets(preference).find((preset) => preset.id === id) || null;
+}
+
+/**
+ * Save the current curve as a user preset (replacing one with the same name).
+ * @param {string} name
+ * @returns {Object|null} The saved preset, or null for an empty name
+ */
+export function saveUserPreset(name) {
+  const label = String(name || '').trim().slice(0, 40);
+  if (!label) return null;
+
+  const preference = getEqualizerPreference();
+  const existing = preference.userPresets.find((preset) => preset.name.toLowerCase() === label.toLowerCase());
+  const preset = { id: existing?.id || `user-${Date.now().toString(36)}`, name: label, gains: [...preference.gains] };
+  preference.userPresets = existing
+    ? preference.userPresets.map((p) => (p.id === existing.id ? preset : p))
+    : [...preference.userPresets, preset];
+  preference.presetId = preset.id;
+  writePreference(preference);
+  return preset;
+}
+
+/**
+ * Delete a user preset. Genres assigned to it go back to the defaults.
+ * @param {string} id
+ */
+export function deleteUserPreset(id) {
+  const preference = getEqualizerPreference();
+  preference.userPresets = preference.userPresets.filter((preset) => preset.id !== id);
+  if (preference.presetId === id) preference.presetId = 'custom';
+  Object.keys(preference.genrePresets).forEach((genre) => {
+    if (preference.genrePresets[genre] === id) delete preference.genrePresets[genre];
+  });
+  writePreference(preference);
+  applyEqualizer();
+}
+
+/**
+ * Assign a preset to a genre for "preset by genre" (null removes the assignment).
+ * @param {string} genre
+ * @param {string|null} presetId
+ */
+export function setGenrePreset(genre, presetId) {
+  const key = normalizeGenre(genre);
+  if (!key) return;
+  const preference = getEqualizerPreference();
+  if (presetId && findPreset(presetId, preference)) {
+    preference.genrePresets[key] = presetId;
+  } else {
+    delete preference.genrePresets[key];
+  }
+  writePreference(preference);
+  applyEqualizer();
+}
+
+/**
+ * The preset "preset by genre" picks for a genre, if any.
+ * @param {string} genre
+ * @param {Object} [preference]
+ * @returns {Object|null}
+ */
+export function presetForGenre(genre, preference = getEqualizerPreference()) {
+  const key = normalizeGenre(genre);
+  if (!key) return null;
+  const assigned = preference.genrePresets[key];
+  if (assigned) return findPreset(assigned, preference);
+  const match = DEFAULT_GENRE_PRESETS.find(([pattern]) => key.includes(pattern));
+  return match ? findPreset(match[1], preference) : null;
+}
+
+/**
+ * The curve that's playing: the genre's preset when that's on and applies,
+ * else the selected one.
+ * @param {Object} [preference]
+ * @returns {{ gains: number[], preset: Object|null, fromGenre: boolean }}
+ */
+export function activeEqualizerCurve(preference = getEqualizerPreference()) {
+  const genrePreset = preference.byGenre ? presetForGenre(currentGenre, preference) : null;
+  if (genrePreset) return { gains: genrePreset.gains, preset: genrePreset, fromGenre: true };
+  return { gains: preference.gains, preset: findPreset(preference.presetId, preference), fromGenre: false };
+}
+
+function buildFilters() {
+  const context = getAudioContext();
+  const preGain = context.createGain();
+  const bands = EQ_BANDS.map((frequency, i) => {
+    const filter = context.createBiquadFilter();
+    filter.type = i === 0 ? 'lowshelf' : i === EQ_BANDS.length - 1 ? 'highshelf' : 'peaking';
+    filter.frequency.value = frequency;
+    filter.Q.value = BAND_Q;
+    return filter;
+  });
+  bands.reduce((prev, filter) => {
+    prev.connect(filter);
+    return filter;
+  }, preGain);
+  return { preGain, bands, effect: { input: preGain, output: bands[bands.length - 1] } };
+}
+
+/**
+ * Apply the stored settings to the audio graph. Builds the graph the first
+ * time the equalizer is on; when it's off, the filters are bypassed.
+ */
+export function applyEqualizer() {
+  const preference = getEqualizerPreference();
+  if (!preference.enabled) {
+    setOutputEffect('equalizer', null);
+    return;
+  }
+  if (!ensureAudioGraph()) return;
+
+  if (!filters) filters = buildFilters();
+  const { gains } = activeEqualizerCurve(preference);
+  const now = getAudioContext().currentTime;
+  filters.bands.forEach((filter, i) => {
+    // A short ramp avoids zipper noise while dragging a slider.
+    filter.gain.setTargetAtTime(gains[i], now, 0.02);
+  });
+  const maxBoost = Math.max(0, ...gains);
+  filters.preGain.gain.setTargetAtTime(Math.pow(10, -maxBoost / 20), now, 0.02);
+  setOutputEffect('equalizer', filters.effect);
+}
+
+/**
+ * Tell the equalizer which song is playing (for "preset by genre").
+ * @param {Object} song
+ */
+export function setEqualizerSong(song) {
+  currentGenre = song?.genre || null;
+  applyEqualizer();
+}
@@ -0,0 +1,501 @@
+// Gapless playback and crossfade
+// Two <audio> elements take turns: while one plays, the other preloads the
+// next track and is started just as the current one runs out. Swapping the
+// `src` of a single element restarts the decoder and buffering between tracks,
+// which leaves an audible gap in live albums and DJ mixes.
+//
+// With crossfade on, the next element starts early instead and the two
+// overlap while their volumes ramp in opposite directions. Every element's
+// volume comes from one mixer: the user's volume x the output fade (sleep
+// timer) x the element's crossfade gain, so the features never overwrite
+// each other's volume changes.
+//
+// What comes next is a plan (`{ key, song, ... }`, see planNext()) worked out
+// from the queue in state.js. The player calls syncPreload() whenever the
+// queue, shuffle or repeat mode changes, so a stale preload is replaced.
+import { streamUrlForSong } from './streaming.js';
+import {
+  playbackList,
+  playbackIndex,
+  setPlaybackList,
+  setPlaybackIndex,
+  isShuffleEnabled,
+  repeatMode,
+  getCurrentSong,
+  getNext,
+  peekNext
+} from './state.js';
+
+const PREF_CROSSFADE_KEY = 'player0.crossfade.v1';
+export const MAX_CROSSFADE_SECONDS = 12;
+
+// Start the next element this long before the current one ends, covering
+// timer jitter and the element's own startup latency.
+const HANDOFF_LEAD_SECONDS = 0.03;
+
+// Arm the handoff timer once the current track is this close to its end
+// (`timeupdate` only fires every ~250ms, too coarse to switch on directly).
+const HANDOFF_WINDOW_SECONDS = 1;
+
+// HTMLMediaElement.HAVE_FUTURE_DATA: enough is buffered to start without stalling.
+const READY_TO_START = 3;
+
+const CROSSFADE_STEP_MS = 50;
+
+// Start preloading the next track this long before the current one ends.
+const PRELOAD_AHEAD_SECONDS = 30;
+
+let elements = [];
+let active = null;
+let preload = null; // { plan, element, loaded }
+let handoffTimer = null;
+let onTrackEnding = null;
+let onLoad = null;
+let trackEnd = null;
+let holdPreload = null;
+
+// Mixer state
+let masterVolume = 1;
+let outputFade = 1;
+const crossfadeGains = new Map(); // element -> 0..1 (absent = 1)
+let crossfade = null; // { from, to, startedAt, durationMs, timer }
+
+/**
+ * Read the stored crossfade length.
+ * @returns {number} Seconds, 0 (off) to MAX_CROSSFADE_SECONDS
+ */
+export function getCrossfadePreference() {
+  try {
+    const raw = localStorage.getItem(PREF_CROSSFADE_KEY);
+    const parsed = raw ? JSON.parse(raw) : null;
+    const seconds = Number(parsed?.seconds);
+    if (Number.isFinite(seconds)) return Math.max(0, Math.min(MAX_CROSSFADE_SECONDS, seconds));
+  } catch {
+    // ignore
+  }
+  return 0;
+}
+
+/**
+ * Persist the crossfade length (0 turns it off). Applies from the next transition.
+ * @param {number} seconds
+ */
+export function setCrossfadePreference(seconds) {
+  const n = Number(seconds);
+  const value = Number.isFinite(n) ? Math.max(0, Math.min(MAX_CROSSFADE_SECONDS, Math.round(n))) : 0;
+  try {
+    localStorage.setItem(PREF_CROSSFADE_KEY, JSON.stringify({ seconds: value }));
+  } catch {
+    // ignore
+  }
+}
+
+function idleElement() {
+  return elements.find((el) => el !== active) || null;
+}
+
+// Still playing the tail of the previous track after a handoff.
+function isFinishing(el) {
+  return Boolean(el?.getAttribute('src')) && !el.paused && !el.ended;
+}
+
+function resetElement(el) {
+  try {
+    el.pause();
+    el.removeAttribute('src');
+    el.load();
+  } catch {
+    // ignore
+  }
+}
+
+function applyVolumes() {
+  elements.forEach((el) => {
+    const gain = crossfadeGains.has(el) ? crossfadeGains.get(el) : 1;
+    el.volume = Math.max(0, Math.min(1, masterVolume * outputFade * gain));
+  });
+}
+
+function clearHandoffTimer() {
+  if (handoffTimer) {
+    clearTimeout(handoffTimer);
+    handoffTimer = null;
+  }
+}
+
+function loadPreload() {
+  if (!preload || preload.loaded) return;
+  const el = preload.element;
+  el.preload = 'auto';
+  el.src = streamUrlForSong(preload.plan.song, el);
+  el.load();
+  preload.loaded = true;
+  if (typeof onLoad === 'function') onLoad(el, preload.plan.song);
+}
+
+// The previous track is done with its element: hand it to a waiting preload.
+function releaseElement(el) {
+  if (preload?.element === el && !preload.loaded) {
+    el.pause();
+    loadPreload();
+  } else {
+    resetElement(el);
+  }
+}
+
+function albumIdentity(song) {
+  const album = String(song?.album || '').trim().toLowerCase();
+  if (!album || album === 'unknown album') return null;
+  return {
+    album,
+    artist: String(song.albumArtist || song.artist || '').trim().toLowerCase(),
+    folder: String(song.filePath || '').replace(/[\\/][^\\/]*$/, '')
+  };
+}
+
+// Same album title, and the same album artist or the same folder
+// (compilations without an album artist tag).
+function isSameAlbum(a, b) {
+  const x = albumIdentity(a);
+  const y = albumIdentity(b);
+  if (!x || !y || x.album !== y.album) return false;
+  return x.artist === y.artist || Boolean(x.folder && x.folder === y.folder);
+}
+
+// Consecutive tracks of one album are often meant to flow into each other,
+// so they (and repeat-one) never crossfade.
+function crossfadeSecondsFor(plan) {
+  const preference = getCrossfadePreference();
+  if (!preference || !plan || plan.repeat) return 0;
+  const seconds = isSameAlbum(getCurrentSong(), plan.song) ? 0 : preference;
+  if (seconds <= 0) return 0;
+  // Never fade over more than half of the current track.
+  const duration = Number(active?.duration);
+  return Number.isFinite(duration) && duration > 0 ? Math.min(seconds, duration / 2) : seconds;
+}
+
+// Where the active track ends: its duration, or earlier when the player
+// skips a silent outro.
+function activeTrackEnd() {
+  const duration = Number(active?.duration);
+  const end = typeof trackEnd === 'function' ? Number(trackEnd()) : NaN;
+  return Number.isFinite(end) && end > 0 && !(end >= duration) ? end : duration;
+}
+
+/**
+ * Work out what playNext() would play, without moving the playback index.
+ * The key identifies the choice, so a preload can be checked against queue,
+ * shuffle and repeat changes made since it started loading.
+ * @returns {{ key: string, song: any, repeat?: boolean, commit: Function } | null}
+ */
+export function planNext() {
+  const current = getCurrentSong();
+  if (!current) return null;
+
+  if (repeatMode === 'one') {
+    return { key: `one:${playbackIndex}:${current.id}`, song: current, repeat: true, commit: () => {} };
+  }
+
+  const next = peekNext();
+  if (next) {
+    return { key: `next:${playbackIndex + 1}:${next.id}`, song: next, commit: () => getNext() };
+  }
+
+  if (repeatMode !== 'all') return null;
+
+  if (isShuffleEnabled && playbackList.length > 1) {
+    const key = `shuffle:${playbackList.map((s) => s?.id).join(',')}`;
+    // Keep the order drawn for the preload; a fresh draw would never match it.
+    if (preload?.plan.key === key) return preload.plan;
+
+    const shuffled = [...playbackList].sort(() => Math.random() - 0.5);
+    return { key, song: shuffled[0], commit: () => setPlaybackList(shuffled, 0) };
+  }
+
+  return { key: `wrap:${playbackList[0]?.id}`, song: playbackList[0], commit: () => setPlaybackIndex(0) };
+}
+
+function maybeScheduleHandoff() {
+  if (handoffTimer || !preload?.loaded || !active || active.paused) return;
+
+  const remaining = activeTrackEnd() - Number(active.currentTime);
+  const lead = Math.max(HANDOFF_LEAD_SECONDS, crossfadeSecondsFor(preload.plan));
+  if (!Number.isFinite(remaining) || remaining > lead + HANDOFF_WINDOW_SECONDS) return;
+
+  const rate = Number(active.playbackRate) || 1;
+  const delayMs = Math.max(0, ((remaining - lead) / rate) * 1000);
+  handoffTimer = setTimeout(() => {
+    handoffTimer = null;
+    if (active && !active.paused && typeof onTrackEnding === 'function') onTrackEnding();
+  }, delayMs);
+}
+
+function stepCrossfade() {
+  if (!crossfade) return;
+  const t = Math.min(1, (Date.now() - crossfade.startedAt) / crossfade.durationMs);
+  // Equal-power curves keep the perceived loudness steady through the overlap.
+  crossfadeGains.set(crossfade.to, Math.sin((t * Math.PI) / 2));
+  crossfadeGains.set(crossfade.from, Math.cos((t * Math.PI) / 2));
+  applyVolumes();
+  if (t >= 1) cancelCrossfade();
+}
+
+/**
+ * End a running crossfade now: the incoming track goes to full volume and
+ * the outgoing one stops.
+ */
+export function cancelCrossfade() {
+  if (!crossfade) return;
+  const { from, to, timer } = crossfade;
+  crossfade = null;
+  clearInterval(timer);
+  crossfadeGains.delete(to);
+  crossfadeGains.delete(from);
+  applyVolumes();
+  if (from !== active) releaseElement(from);
+}
+
+/**
+ * Whether two tracks are overlapping right now.
+ * @returns {boolean}
+ */
+export function isCrossfading() {
+  return Boolean(crossfade);
+}
+
+/**
+ * Set up the element pair. `primary` starts out as the active element.
+ * @param {HTMLAudioElement} primary
+ * @param {HTMLAudioElement|null} secondary - Without it, playback is never gapless
+ * @param {Object} [options]
+ * @param {Function} [options.onTrackEnding] - Called just before the active track ends
+ *   (or its crossfade is due) while a preload is loaded; the player calls startPlan() if it still wants it
+ * @param {Function} [options.onLoad] - (element, song) when a preload starts loading into an element
+ * @param {Function} [options.trackEnd] - () -> seconds where the active track should end, if before its duration
+ * @param {Function} [options.holdPreload] - () -> true while nothing should follow the current track
+ */
+export function initGapless(primary, secondary, options = {}) {
+  elements = [primary, secondary].filter(Boolean);
+  active = primary;
+  onTrackEnding = options.onTrackEnding || null;
+  onLoad = options.onLoad || null;
+  trackEnd = options.trackEnd || null;
+  holdPreload = options.holdPreload || null;
+
+  const volume = Number(primary?.volume);
+  masterVolume = Number.isFinite(volume) ? volume : 1;
+  applyVolumes();
+
+  elements.forEach((el) => {
+    el.addEventListener('timeupdate', () => {
+      if (el === active) maybeScheduleHandoff();
+    });
+
+    // Seeking, pausing or changing speed moves the end; the next timeupdate re-arms.
+    ['pause', 'seeking', 'ratechange', 'emptied'].forEach((type) => {
+      el.addEventListener(type, () => {
+        if (el === active) clearHandoffTimer();
+      });
+    });
+
+    // Pausing mid-crossfade shouldn't leave the outgoing track playing on its own.
+    el.addEventListener('pause', () => {
+      if (el === active) cancelCrossfade();
+    });
+
+    el.addEventListener('ended', () => {
+      if (el === active) return;
+      // The previous track played out its tail after the handoff.
+      if (crossfade?.from === el) {
+        cancelCrossfade();
+      } else {
+        releaseElement(el);
+      }
+    });
+  });
+}
+
+/**
+ * The element currently playing (or paused on) the current track.
+ * @returns {HTMLAudioElement|null}
+ */
+export function getActiveAudio() {
+  return active;
+}
+
+/**
+ * Both elements, active first.
+ * @returns {HTMLAudioElement[]}
+ */
+export function getAudioElements() {
+  return [active, idleElement()].filter(Boolean);
+}
+
+/**
+ * Set the user's volume for both elements.
+ * @param {number} volume - 0..1
+ */
+export function setMasterVolume(volume) {
+  const n = Number(volume);
+  masterVolume = Number.isFinite(n) ? Math.max(0, Math.min(1, n)) : 1;
+  applyVolumes();
+}
+
+/**
+ * The user's volume, without fades applied.
+ * @returns {number} 0..1
+ */
+export function getMasterVolume() {
+  return masterVolume;
+}
+
+/**
+ * Scale the output of both elements (the sleep timer's fade-out).
+ * @param {number} level - 0..1, 1 = no fade
+ */
+export function setOutputFade(level) {
+  const n = Number(level);
+  outputFade = Number.isFinite(n) ? Math.max(0, Math.min(1, n)) : 1;
+  applyVolumes();
+}
+
+/**
+ * Preload a track into the idle element. A plan with the same key as the
+ * current preload is kept as is; anything else replaces it.
+ * @param {{ key: string, song: Object }} plan
+ */
+export function preloadPlan(plan) {
+  if (!plan?.song) return;
+  if (preload?.plan.key === plan.key) return;
+
+  cancelPreload();
+  const el = idleElement();
+  if (!el) return;
+
+  preload = { plan, element: el, loaded: false };
+  // Loading now would cut off the previous track's tail; wait for its `ended`.
+  if (!isFinishing(el)) loadPreload();
+}
+
+/**
+ * The plan currently preloaded (or waiting to load), if any.
+ * @returns {Object|null}
+ */
+export function preloadedPlan() {
+  return preload?.plan || null;
+}
+
+/**
+ * Whether the preloaded track can start without stalling.
+ * @returns {boolean}
+ */
+export function isPreloadReady() {
+  return Boolean(preload?.loaded && preload.element.readyState >= READY_TO_START);
+}
+
+/**
+ * Keep the idle element loaded with whatever playNext() would pick.
+ * Runs on every timeupdate and after queue, shuffle and repeat changes, so an
+ * edit made while a track is preloading replaces the stale preload.
+ */
+export function syncPreload() {
+  if (!active) return;
+
+  const plan = typeof holdPreload === 'function' && holdPreload() ? null : planNext();
+  if (!plan) {
+    cancelPreload();
+    return;
+  }
+  if (preload?.plan.key === plan.key) return;
+
+  const duration = Number(active.duration) || Number(getCurrentSong()?.duration);
+  const end = (typeof trackEnd === 'function' ? trackEnd() : null) ?? duration;
+  const remaining = end - (Number(active.currentTime) || 0);
+  if (!(remaining <= PRELOAD_AHEAD_SECONDS)) {
+    cancelPreload();
+    return;
+  }
+
+  preloadPlan(plan);
+}
+
+/**
+ * Drop the preload (queue edited, a different song was picked, ...).
+ */
+export function cancelPreload() {
+  clearHandoffTimer();
+  if (!preload) return;
+  const { element, loaded } = preload;
+  preload = null;
+  if (loaded) resetElement(element);
+}
+
+/**
+ * Start the preloaded track and make its element the active one.
+ * Mute and speed carry over from the previous element.
+ * @param {Object} [options]
+ * @param {boolean} [options.stopCurrent] - Stop the current track right away
+ *   (a skip) instead of letting it play out its tail
+ * @param {boolean} [options.crossfade] - Fade over the plan's crossfade length
+ *   instead of letting the current track play out its last few milliseconds
+ * @returns {HTMLAudioElement|null} The new active element, or null when nothing is ready
+ */
+export function startPreloaded(options = {}) {
+  if (!isPreloadReady()) return null;
+
+  const previous = active;
+  const next = preload.element;
+  const seconds = options.stopCurrent || !options.crossfade ? 0 : crossfadeSecondsFor(preload.plan);
+  const previousEnd = activeTrackEnd();
+  preload = null;
+  clearHandoffTimer();
+  cancelCrossfade();
+
+  next.muted = previous.muted;
+  next.playbackRate = previous.playbackRate;
+  active = next;
+
+  if (seconds > 0) {
+    const rate = Number(previous.playbackRate) || 1;
+    crossfade = {
+      from: previous,
+      to: next,
+      startedAt: Date.now(),
+      durationMs: (seconds / rate) * 1000,
+      timer: setInterval(stepCrossfade, CROSSFADE_STEP_MS)
+    };
+    crossfadeGains.set(next, 0);
+  }
+  applyVolumes();
+  void next.play();
+
+  if (options.stopCurrent) {
+    resetElement(previous);
+  } else if (seconds === 0 && previousEnd < Number(previous.duration)) {
+    // A trimmed outro is only silence: stop there instead of playing it out,
+    // which would also hold up the next preload (see preloadPlan()).
+    const rate = Number(previous.playbackRate) || 1;
+    const delayMs = Math.max(0, ((previousEnd - Number(previous.currentTime)) / rate) * 1000);
+    setTimeout(() => {
+      if (previous !== active) releaseElement(previous);
+    }, delayMs);
+  }
+  return next;
+}
+
+/**
+ * Start the preloaded element if it holds this plan and can start now, and
+ * make the plan's song the current one in the queue.
+ * @param {Object} plan - From planNext()
+ * @param {{ stopCurrent?: boolean, crossfade?: boolean }} [options] - See startPreloaded()
+ * @returns {{ element: HTMLAudioElement, plan: Object }|null} null when the caller has to load the song itself
+ */
+export function startPlan(plan, options = {}) {
+  const pending = preload?.plan;
+  if (!pending || pending.key !== plan?.key || !isPreloadReady()) return null;
+
+  const element = startPreloaded(options);
+  if (!element) return null;
+  pending.commit();
+  return { element, plan: pending };
+}
@@ -21,8 +21,12 @@ function safeSetActionHandler(action, handler) {
 function asArtworkArray(artworkUrl) {
   if (!artworkUrl) return [];
 
-  // We only have one URL (cover endpoint), but Media Session allows a list.
-  // Supplying a few common size hints helps some UIs choose well.
+  // A function maps a size to a resized cover variant, so each UI can pick real pixels.
+  if (typeof artworkUrl === 'function') {
+    return [256, 600].map((size) => ({ src: artworkUrl(size), sizes: `${size}x${size}` }));
+  }
+
+  // A single URL: supplying a few common size hints helps some UIs choose well.
   return [
     { src: artworkUrl, sizes: '96x96', type: 'image/jpeg' },
     { src: artworkUrl, sizes: '128x128', type: 'image/jpeg' },
@@ -31,9 +35,12 @@ function asArtworkArray(artworkUrl) {
   ];
 }
 
+// audioEl: one element, or the elements gapless playback alternates between.
 export function initMediaSession(audioEl, handlers = {}) {
   if (!hasMediaSession()) return;
-  if (!audioEl) return;
+  const audioEls = (Array.isArray(audioEl) ? audioEl : [audioEl]).filter(Boolean);
+  if (audioEls.length === 0) return;
+  const current = () => audioEls.find((el) => !el.paused) || audioEls[0];
 
   const {
     onPlay,
@@ -46,12 +53,12 @@ export function initMediaSession(audioEl, handlers = {}) {
 
   safeSetActionHandler('play', () => {
     if (typeof onPlay === 'function') return void onPlay();
-    void audioEl.play();
+    void current().play();
   });
 
   safeSetActionHandler('pause', () => {
     if (typeof onPause === 'function') return void onPause();
-    audioEl.pause();
+    current().pause();
   });
 
   safeSetActionHandler('previoustrack', () => {
@@ -71,12 +78,13 @@ export function initMediaSession(audioEl, handlers = {}) {
       return;
     }
 
-    if (details?.fastSeek && typeof audioEl.fastSeek === 'function') {
-      audioEl.fastSeek(seekTime);
+    const el = current();
+    if (details?.fastSeek && typeof el.fastSeek === 'function') {
+      el.fastSeek(seekTime);
       return;
     }
 
-    audioEl.currentTime = seekTime;
+    el.currentTime = seekTime;
   });
 
   // Common 10s skip behavior.
@@ -86,7 +94,8 @@ export function initMediaSession(audioEl, handlers = {}) {
       onSeekBy(-offset);
       return;
     }
-    audioEl.currentTime = Math.max(0, audioEl.currentTime - offset);
+    const el = current();
+    el.currentTime = Math.max(0, el.currentTime - offset);
   });
 
   safeSetActionHandler('seekforward', (details) => {
@@ -95,25 +104,30 @@ export function initMediaSession(audioEl, handlers = {}) {
       onSeekBy(offset);
       return;
     }
-    audioEl.currentTime = Math.min(audioEl.duration || Infinity, audioEl.currentTime + offset);
+    const el = current();
+    el.currentTime = Math.min(el.duration || Infinity, el.currentTime + offset);
   });
 
-  // Keep media session playback state in sync.
+  // Keep media session playback state in sync. During a gapless handoff the
+  // previous element ends while the next one already plays.
   const syncPlaybackState = () => {
     try {
-      navigator.mediaSession.playbackState = audioEl.paused ? 'paused' : 'playing';
+      navigator.mediaSession.playbackState = audioEls.some((el) => !el.paused) ? 'playing' : 'paused';
     } catch {
       // ignore
     }
   };
 
-  audioEl.addEventListener('play', syncPlaybackState);
-  audioEl.addEventListener('pause', syncPlaybackState);
-  audioEl.addEventListener('ended', syncPlaybackState);
+  audioEls.forEach((el) => {
+    el.addEventListener('play', syncPlaybackState);
+    el.addEventListener('pause', syncPlaybackState);
+    el.addEventListener('ended', syncPlaybackState);
+  });
 
   syncPlaybackState();
 }
 
+// artworkUrl: a URL, or a function from size (px) to URL.
 export function setMediaSessionMetadata({ title, artist, album, artworkUrl } = {}) {
   if (!hasMediaSession()) return;
 
@@ -0,0 +1,80 @@
+// Pitch shifter (AudioWorklet)
+// Shifts pitch without changing speed, for transposing (see playbackRate.js).
+// Classic delay-line shifter: two read taps sweep through a short delay
+// buffer at `pitchRatio` times the write speed, half a window apart, and are
+// crossfaded with sine windows so each tap is silent when it jumps back.
+// Good enough for practicing along; not meant for mastering-grade quality.
+
+const WINDOW_SECONDS = 0.06;
+
+class PitchShifterProcessor extends AudioWorkletProcessor {
+  static get parameterDescriptors() {
+    return [{ name: 'pitchRatio', defaultValue: 1, minValue: 0.25, maxValue: 4, automationRate: 'k-rate' }];
+  }
+
+  constructor() {
+    super();
+    this.windowSize = Math.round(sampleRate * WINDOW_SECONDS);
+    // Power of two, comfortably larger than the window.
+    let size = 1;
+    while (size < this.windowSize * 2 + 4) size <<= 1;
+    this.bufferSize = size;
+    this.mask = size - 1;
+    this.buffers = [];
+    this.writeIndex = 0;
+    this.phase = 0;
+  }
+
+  read(buffer, delay) {
+    const pos = this.writeIndex - delay - 1;
+    const i = Math.floor(pos);
+    const frac = pos - i;
+    const a = buffer[i & this.mask];
+    const b = buffer[(i + 1) & this.mask];
+    return a + (b - a) * frac;
+  }
+
+  process(inputs, outputs, parameters) {
+    const input = inputs[0];
+    const output = outputs[0];
+    if (!input || input.length === 0) return true;
+
+    while (this.buffers.length < input.length) {
+      this.buffers.push(new Float32Array(this.bufferSize));
+    }
+
+    const ratio = parameters.pitchRatio[0];
+    const step = (1 - ratio) / this.windowSize;
+    const frames = input[0].length;
+    let writeIndex = this.writeIndex;
+    let phase = this.phase;
+
+    for (let i = 0; i < frames; i++) {
+      const phase2 = (phase + 0.5) % 1;
+      const delay1 = phase * this.windowSize;
+      const delay2 = phase2 * this.windowSize;
+      // sin² + cos² = 1: constant power across the two taps.
+      const gain1 = Math.sin(Math.PI * phase);
+      const gain2 = Math.sin(Math.PI * phase2);
+
+      this.writeIndex = writeIndex;
+      for (let ch = 0; ch < input.length; ch++) {
+        const buffer = this.buffers[ch];
+        buffer[writeIndex] = input[ch][i];
+        if (output[ch]) {
+          output[ch][i] = this.read(buffer, delay1) * gain1 + this.read(buffer, delay2) * gain2;
+        }
+      }
+
+      writeIndex = (writeIndex + 1) & this.mask;
+      phase += step;
+      phase -= Math.floor(phase);
+    }
+
+    this.writeIndex = writeIndex;
+    this.phase = phase;
+    return true;
+  }
+}
+
+registerProcessor('pitch-shifter', PitchShifterProcessor);
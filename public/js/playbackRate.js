@@ -0,0 +1,283 @@
+// Playback speed and transposition
+// Speed (0.5x-2x) uses the elements' own playbackRate; with "keep pitch" on,
+// the browser time-stretches (preservesPitch) instead of speeding up the
+// pitch like a record. Transposition is a separate pitch shift in semitones,
+// done by an AudioWorklet on the audio graph's output (see pitchWorklet.js),
+// and only routed in while a song is transposed.
+//
+// Speed and transposition are remembered per song (practicing a solo at
+// 0.75x shouldn't slow down the next song); "keep pitch" is one global switch.
+import { ensureAudioGraph, getAudioContext, setOutputEffect } from './audioGraph.js';
+
+const PREF_PLAYBACK_RATE_KEY = 'player0.playbackRate.v1';
+
+export const MIN_RATE = 0.5;
+export const MAX_RATE = 2;
+export const RATE_PRESETS = [0.5, 0.75, 1, 1.25, 1.5, 2];
+export const MAX_SEMITONES = 12;
+
+// Oldest per-song settings are dropped beyond this.
+const MAX_REMEMBERED_SONGS = 500;
+
+const WORKLET_URL = '/js/pitchWorklet.js';
+
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+const FLAT_NAMES = { Db: 'C#', Eb: 'D#', Gb: 'F#', Ab: 'G#', Bb: 'A#', Cb: 'B', Fb: 'E' };
+
+let elements = [];
+let current = { songId: null, rate: 1, semitones: 0 };
+let songKey = null; // Shown transposed next to the controls
+let shifter = null; // AudioWorkletNode
+let workletLoading = null;
+
+function clampRate(value) {
+  const n = Number(value);
+  return Number.isFinite(n) ? Math.max(MIN_RATE, Math.min(MAX_RATE, Math.round(n * 100) / 100)) : 1;
+}
+
+function clampSemitones(value) {
+  const n = Number(value);
+  return Number.isFinite(n) ? Math.max(-MAX_SEMITONES, Math.min(MAX_SEMITONES, Math.round(n))) : 0;
+}
+
+function readPreference() {
+  try {
+    const raw = localStorage.getItem(PREF_PLAYBACK_RATE_KEY);
+    const parsed = raw ? JSON.parse(raw) : null;
+    return {
+      keepPitch: parsed?.keepPitch !== false,
+      songs: parsed?.songs && typeof parsed.songs === 'object' ? parsed.songs : {}
+    };
+  } catch {
+    return { keepPitch: true, songs: {} };
+  }
+}
+
+function writePreference(preference) {
+  try {
+    localStorage.setItem(PREF_PLAYBACK_RATE_KEY, JSON.stringify(preference));
+  } catch {
+    // ignore
+  }
+}
+
+function rememberCurrent() {
+  if (!current.songId) return;
+  const preference = readPreference();
+  if (current.rate === 1 && current.semitones === 0) {
+    delete preference.songs[current.songId];
+  } else {
+    preference.songs[current.songId] = { rate: current.rate, semitones: current.semitones, at: Date.now() };
+    const ids = Object.keys(preference.songs);
+    if (ids.length > MAX_REMEMBERED_SONGS) {
+      ids.sort((a, b) => (preference.songs[a].at || 0) - (preference.songs[b].at || 0))
+        .slice(0, ids.length - MAX_REMEMBERED_SONGS)
+        .forEach((id) => delete preference.songs[id]);
+    }
+  }
+  writePreference(preference);
+}
+
+function notify() {
+  document.dispatchEvent(new CustomEvent('player0:playbackRateChanged', { detail: getPlaybackSettings() }));
+}
+
+function applyRate() {
+  const { keepPitch } = readPreference();
+  elements.forEach((el) => {
+    // load() resets playbackRate to defaultPlaybackRate, so set both.
+    el.defaultPlaybackRate = current.rate;
+    el.playbackRate = current.rate;
+    el.preservesPitch = keepPitch;
+    el.mozPreservesPitch = keepPitch;
+    el.webkitPreservesPitch = keepPitch;
+  });
+}
+
+async function loadShifter() {
+  const context = getAudioContext();
+  if (!context?.audioWorklet) return null;
+  if (!workletLoading) {
+    workletLoading = context.audioWorklet.addModule(WORKLET_URL)
+      .then(() => new AudioWorkletNode(context, 'pitch-shifter', { outputChannelCount: [2] }))
+      .catch((err) => {
+        console.warn('Could not load the pitch shifter:', err);
+        return null;
+      });
+  }
+  return await workletLoading;
+}
+
+async function applyTranspose() {
+  if (current.semitones === 0) {
+    setOutputEffect('pitch', null);
+    return;
+  }
+  if (!ensureAudioGraph()) return;
+
+  shifter = shifter || await loadShifter();
+  // The song may have changed while the worklet loaded.
+  if (!shifter || current.semitones === 0) return;
+  shifter.parameters.get('pitchRatio').value = Math.pow(2, current.semitones / 12);
+  setOutputEffect('pitch', { input: shifter, output: shifter });
+}
+
+/**
+ * Register the audio elements speed applies to.
+ * @param {HTMLAudioElement[]} audioElements
+ */
+export function initPlaybackRate(audioElements) {
+  elements = (audioElements || []).filter(Boolean);
+  applyRate();
+}
+
+/**
+ * Current speed, transposition and "keep pitch".
+ * @returns {{ rate: number, semitones: number, keepPitch: boolean }}
+ */
+export function getPlaybackSettings() {
+  return { rate: current.rate, semitones: current.semitones, keepPitch: readPreference().keepPitch };
+}
+
+/**
+ * Switch to a song's remembered speed and transposition (1x / 0 by default).
+ * @param {Object} song
+ */
+export function applySongPlaybackSettings(song) {
+  const saved = song?.id ? readPreference().songs[song.id] : null;
+  current = {
+    songId: song?.id || null,
+    rate: clampRate(saved?.rate ?? 1),
+    semitones: clampSemitones(saved?.semitones ?? 0)
+  };
+  songKey = song?.key || null;
+  applyRate();
+  void applyTranspose();
+  notify();
+}
+
+/**
+ * Change the speed of the current song (and remember it for that song).
+ * @param {number} rate - MIN_RATE..MAX_RATE
+ */
+export function setPlaybackRate(rate) {
+  current.rate = clampRate(rate);
+  applyRate();
+  rememberCurrent();
+  notify();
+}
+
+/**
+ * Transpose the current song (and remember it for that song).
+ * @param {number} semitones - -MAX_SEMITONES..MAX_SEMITONES
+ */
+export function setTranspose(semitones) {
+  current.semitones = clampSemitones(semitones);
+  void applyTranspose();
+  rememberCurrent();
+  notify();
+}
+
+/**
+ * Keep the pitch when changing speed (time-stretch) or let it follow the speed.
+ * @param {boolean} enabled
+ */
+export function setKeepPitch(enabled) {
+  writePreference({ ...readPreference(), keepPitch: Boolean(enabled) });
+  applyRate();
+  notify();
+}
+
+/**
+ * Transpose a musical key like "Am", "C# major" or "Eb minor".
+ * @param {string} key - As stored by the scanner/analyzer
+ * @param {number} semitones
+ * @returns {string|null} The transposed key, or null when it can't be parsed
+ */
+export function transposeKey(key, semitones) {
+  const m = String(key || '').trim().match(/^([A-Ga-g])([#b♯♭]?)\s*(.*)$/);
+  if (!m) return null;
+
+  const accidental = m[2] === '♯' ? '#' : m[2] === '♭' ? 'b' : m[2];
+  const name = `${m[1].toUpperCase()}${accidental}`;
+  const index = NOTE_NAMES.indexOf(FLAT_NAMES[name] || name);
+  if (index === -1) return null;
+
+  const rest = m[3].trim();
+  if (rest && !/^(m|min|minor|maj|major)$/i.test(rest)) return null;
+
+  const shifted = NOTE_NAMES[(((index + clampSemitones(semitones)) % 12) + 12) % 12];
+  // "Am" / "Amin" stay short, "A minor" keeps its space.
+  return `${shifted}${rest.length > 3 ? ' ' : ''}${rest}`;
+}
+
+function formatRate(rate) {
+  return `${Number(rate.toFixed(2))}x`;
+}
+
+function updateSpeedControls() {
+  const { rate, semitones, keepPitch } = getPlaybackSettings();
+  const speedButton = document.getElementById('speedButton');
+  if (speedButton) {
+    speedButton.textContent = formatRate(rate);
+    speedButton.classList.toggle('is-active', rate !== 1 || semitones !== 0);
+  }
+
+  const rateInput = document.getElementById('speedRate');
+  if (rateInput) rateInput.value = String(rate);
+  const rateValue = document.getElementById('speedRateValue');
+  if (rateValue) rateValue.textContent = formatRate(rate);
+  document.querySelectorAll('#speedPresets [data-rate]').forEach((button) => {
+    button.classList.toggle('is-active', Number(button.dataset.rate) === rate);
+  });
+
+  const keepPitchInput = document.getElementById('speedKeepPitch');
+  if (keepPitchInput) keepPitchInput.checked = keepPitch;
+
+  const transposeValue = document.getElementById('transposeValue');
+  if (transposeValue) transposeValue.textContent = semitones > 0 ? `+${semitones}` : String(semitones);
+
+  // Show the key the song is heard in after transposing.
+  const keyEl = document.getElementById('transposeKey');
+  if (keyEl) {
+    const shifted = songKey && semitones !== 0 ? transposeKey(songKey, semitones) : null;
+    keyEl.hidden = !shifted;
+    keyEl.textContent = shifted ? `Key: ${songKey} → ${shifted}` : '';
+  }
+}
+
+/**
+ * Wire up the speed / transpose panel of the now playing view.
+ */
+export function initSpeedControls() {
+  const presets = document.getElementById('speedPresets');
+  if (presets) {
+    presets.innerHTML = RATE_PRESETS
+      .map((rate) => `<button class="np-speed-preset" type="button" data-rate="${rate}">${formatRate(rate)}</button>`)
+      .join('');
+    presets.addEventListener('click', (event) => {
+      const button = event.target.closest('[data-rate]');
+      if (button) setPlaybackRate(Number(button.dataset.rate));
+    });
+  }
+
+  document.getElementById('speedRate')?.addEventListener('input', (event) => {
+    setPlaybackRate(Number(event.target.value));
+  });
+  document.getElementById('speedKeepPitch')?.addEventListener('change', (event) => {
+    setKeepPitch(event.target.checked);
+  });
+  document.getElementById('transposeDown')?.addEventListener('click', () => {
+    setTranspose(getPlaybackSettings().semitones - 1);
+  });
+  document.getElementById('transposeUp')?.addEventListener('click', () => {
+    setTranspose(getPlaybackSettings().semitones + 1);
+  });
+  document.getElementById('speedReset')?.addEventListener('click', () => {
+    setPlaybackRate(1);
+    setTranspose(0);
+  });
+
+  document.addEventListener('player0:playbackRateChanged', updateSpeedControls);
+  updateSpeedControls();
+}
@@ -0,0 +1,179 @@
+// Playback session
+// Remembers the queue and the position in the current song in localStorage,
+// so reopening the app picks up where playback stopped. Saves are throttled;
+// callers pass { force: true } on pause, song changes and page unload.
+import {
+  playbackList,
+  playbackIndex,
+  isShuffleEnabled,
+  repeatMode,
+  getCurrentSong
+} from './state.js';
+
+const RESUME_STORAGE_KEY = 'player0.resume.v1';
+const RESUME_SAVE_INTERVAL_MS = 5000;
+let lastResumeSaveAt = 0;
+let lastResumeSavedPositionSeconds = null;
+
+const QUEUE_STORAGE_KEY = 'player0.queue.v1';
+const QUEUE_SAVE_INTERVAL_MS = 750;
+let lastQueueSaveAt = 0;
+
+function safeJsonParse(raw) {
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Saved song and position, if any
+ * @returns {{ songId: string, title: string, artist: string, album: string, positionSeconds: number, updatedAt: number }|null}
+ */
+export function readResumeState() {
+  try {
+    const raw = localStorage.getItem(RESUME_STORAGE_KEY);
+    if (!raw) return null;
+    const parsed = safeJsonParse(raw);
+    if (!parsed || typeof parsed !== 'object') return null;
+    if (!parsed.songId) return null;
+    return parsed;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Overwrite the saved song and position
+ * @param {Object} state - See readResumeState()
+ */
+export function writeResumeState(state) {
+  try {
+    localStorage.setItem(RESUME_STORAGE_KEY, JSON.stringify(state));
+  } catch {
+    // ignore (private mode / quota)
+  }
+}
+
+/**
+ * Forget the saved song and position
+ */
+export function clearResumeState() {
+  try {
+    localStorage.removeItem(RESUME_STORAGE_KEY);
+  } catch {
+    // ignore
+  }
+}
+
+/**
+ * Save the current song and position (throttled unless forced)
+ * @param {HTMLAudioElement} audio - Element playing the current song
+ * @param {{ force?: boolean }} [options]
+ */
+export function persistResumeState(audio, { force = false } = {}) {
+  if (!audio) return;
+
+  const song = getCurrentSong();
+  if (!song?.id) return;
+
+  const now = Date.now();
+  const currentTime = Number(audio.currentTime) || 0;
+  const duration = Number(audio.duration) || 0;
+  if (!Number.isFinite(currentTime) || currentTime < 0) return;
+
+  const progressedEnough =
+    lastResumeSavedPositionSeconds == null ||
+    Math.abs(currentTime - lastResumeSavedPositionSeconds) >= 1.25;
+
+  const timeElapsedEnough = now - lastResumeSaveAt >= RESUME_SAVE_INTERVAL_MS;
+
+  if (!force && !timeElapsedEnough && !progressedEnough) return;
+
+  // Avoid resuming *exactly* at the end of a track.
+  const safeTime = (Number.isFinite(duration) && duration > 0)
+    ? Math.min(currentTime, Math.max(0, duration - 1))
+    : currentTime;
+
+  lastResumeSaveAt = now;
+  lastResumeSavedPositionSeconds = safeTime;
+  writeResumeState({
+    songId: song.id,
+    title: song.title || '',
+    artist: song.artist || '',
+    album: song.album || '',
+    positionSeconds: safeTime,
+    updatedAt: now
+  });
+}
+
+/**
+ * Saved queue, if any
+ * @returns {{ items: Array<Object>, index: number, shuffleEnabled: boolean, repeatMode: string, savedAt: number }|null}
+ */
+export function readQueueState() {
+  try {
+    const raw = localStorage.getItem(QUEUE_STORAGE_KEY);
+    if (!raw) return null;
+    const parsed = safeJsonParse(raw);
+    if (!parsed || typeof parsed !== 'object') return null;
+    if (!Array.isArray(parsed.items)) return null;
+    return parsed;
+  } catch {
+    return null;
+  }
+}
+
+function writeQueueState(state) {
+  try {
+    localStorage.setItem(QUEUE_STORAGE_KEY, JSON.stringify(state));
+  } catch {
+    // ignore
+  }
+}
+
+/**
+ * Forget the saved queue
+ */
+export function clearQueueState() {
+  try {
+    localStorage.removeItem(QUEUE_STORAGE_KEY);
+  } catch {
+    // ignore
+  }
+}
+
+/**
+ * Save the playback list, index, shuffle and repeat mode (throttled unless forced)
+ * @param {{ force?: boolean }} [options]
+ */
+export function persistQueueState({ force = false } = {}) {
+  const now = Date.now();
+  if (!force && now - lastQueueSaveAt < QUEUE_SAVE_INTERVAL_MS) return;
+
+  if (!Array.isArray(playbackList) || playbackList.length === 0 || playbackIndex < 0) {
+    lastQueueSaveAt = now;
+    clearQueueState();
+    return;
+  }
+
+  const items = playbackList
+    .filter(Boolean)
+    .map((s) => ({
+      id: s.id,
+      title: s.title || '',
+      artist: s.artist || '',
+      album: s.album || ''
+    }))
+    .filter((s) => Boolean(s.id));
+
+  lastQueueSaveAt = now;
+  writeQueueState({
+    items,
+    index: playbackIndex,
+    shuffleEnabled: Boolean(isShuffleEnabled),
+    repeatMode: repeatMode,
+    savedAt: now
+  });
+}
@@ -1,7 +1,36 @@
 // Player Module - Audio playback functionality
 import { formatDuration } from './utils.js';
-import { API_URL, songStreamUrl, albumCoverUrl, recordPlay as recordPlayAPI } from './api.js';
+import { API_URL, albumCoverUrl, recordPlay as recordPlayAPI } from './api.js';
+import { streamUrlForSong } from './streaming.js';
 import { initMediaSession, setMediaSessionMetadata, setMediaSessionPosition } from './mediaSession.js';
+import {
+  initGapless,
+  getAudioElements,
+  planNext,
+  syncPreload,
+  startPlan,
+  cancelPreload,
+  cancelCrossfade,
+  setMasterVolume,
+  getMasterVolume
+} from './gapless.js';
+import { initAudioGraph } from './audioGraph.js';
+import { applyReplayGain } from './replayGain.js';
+import { setEqualizerSong } from './equalizer.js';
+import { silenceTrim, skipIntroWhenLoaded, reachedTrimEnd, resetTrimEnd } from './silenceTrim.js';
+import { initPlaybackRate, initSpeedControls, applySongPlaybackSettings } from './playbackRate.js';
+import { initBookmarkControls, getBookmarkState, setBookmarksSong, isLooping } from './bookmarks.js';
+import { initSleepTimer, isStoppingAfterTrack, cancelSleepTimer } from './sleepTimer.js';
+import { initQueuePanel, renderQueue } from './queuePanel.js';
+import {
+  readResumeState,
+  writeResumeState,
+  clearResumeState,
+  persistResumeState,
+  readQueueState,
+  clearQueueState,
+  persistQueueState
+} from './playbackSession.js';
 import { 
   playbackList,
   playbackIndex,
@@ -9,7 +38,6 @@ import {
   setPlaybackIndex,
   clearPlaybackList,
   movePlaybackItem,
-  removePlaybackItem,
   setIsPlaying,
   setShuffleEnabled,
   setRepeatMode,
@@ -19,130 +47,18 @@ import {
   cycleRepeatMode,
   shuffleUpcoming,
   getCurrentSong,
-  getNext,
   getPrevious,
   hasNext,
   hasPrevious
 } from './state.js';
 
+// The active element; gapless.js alternates it with a second one between tracks.
 let audioPlayer = null;
 
 let lastMediaSessionPositionUpdate = 0;
 
-const RESUME_STORAGE_KEY = 'player0.resume.v1';
-const RESUME_SAVE_INTERVAL_MS = 5000;
-let lastResumeSaveAt = 0;
-let lastResumeSavedPositionSeconds = null;
 let didAttemptResumeRestore = false;
 
-const QUEUE_STORAGE_KEY = 'player0.queue.v1';
-const QUEUE_SAVE_INTERVAL_MS = 750;
-let lastQueueSaveAt = 0;
-
-const SLEEP_TIMER_KEY = 'player0.sleepTimer.v1';
-let sleepTimerTargetAt = null;
-let sleepTimerIntervalId = null;
-let sleepTimerMode = 'pause';
-let sleepTimerFadeSeconds = 0;
-let sleepTimerPendingStopAfterTrack = false;
-let sleepTimerOriginalVolume = null;
-
-let draggingPlaybackIndex = null;
-let isQueueExpanded = false;
-const QUEUE_COLLAPSED_COUNT = 8;
-
-let touchQueueDrag = null;
-let touchQueueDragListenersAttached = false;
-
-function isCoarsePointer() {
-  try {
-    return Boolean(window.matchMedia && window.matchMedia('(pointer: coarse)').matches);
-  } catch {
-    return false;
-  }
-}
-
-function clearQueueDragOverStates(queueList) {
-  queueList.querySelectorAll('.queue-item.is-drag-over, .queue-item.is-touch-dragging').forEach((el) => {
-    el.classList.remove('is-drag-over', 'is-touch-dragging');
-  });
-}
-
-function startTouchQueueDrag(event, fromIndex, fromItem, queueList) {
-  if (!event || event.button === 2) return;
-
-  touchQueueDrag = {
-    pointerId: event.pointerId,
-    fromIndex,
-    toIndex: null,
-    queueList
-  };
-
-  clearQueueDragOverStates(queueList);
-  fromItem.classList.add('is-touch-dragging');
-  queueList.classList.add('is-touch-dragging');
-
-  // Attach listeners to document so moves are captured even if the pointer is
-  // captured by the handle (common on mobile browsers).
-  if (!touchQueueDragListenersAttached) {
-    document.addEventListener('pointermove', handleTouchQueueDragMove, { passive: false });
-    document.addEventListener('pointerup', finishTouchQueueDrag);
-    document.addEventListener('pointercancel', finishTouchQueueDrag);
-    touchQueueDragListenersAttached = true;
-  }
-}
-
-function handleTouchQueueDragMove(event) {
-  if (!touchQueueDrag) return;
-  if (event.pointerId !== touchQueueDrag.pointerId) return;
-  event.preventDefault();
-
-  const queueList = touchQueueDrag.queueList;
-  const el = document.elementFromPoint(event.clientX, event.clientY);
-  const overItem = el?.closest?.('.queue-item');
-  if (!overItem || !queueList.contains(overItem)) return;
-
-  const toTarget = Number(overItem.dataset.playbackIndex);
-  if (!Number.isFinite(toTarget)) return;
-
-  const rect = overItem.getBoundingClientRect();
-  const placeAfter = (event.clientY - rect.top) > rect.height / 2;
-  const to = computeDropToIndex(touchQueueDrag.fromIndex, toTarget, placeAfter);
-
-  clearQueueDragOverStates(queueList);
-  overItem.classList.add('is-drag-over');
-  touchQueueDrag.toIndex = to;
-}
-
-function finishTouchQueueDrag(event) {
-  if (!touchQueueDrag) return;
-  if (event.pointerId !== touchQueueDrag.pointerId) return;
-
-  const { queueList, fromIndex, toIndex } = touchQueueDrag;
-  touchQueueDrag = null;
-
-  if (touchQueueDragListenersAttached) {
-    document.removeEventListener('pointermove', handleTouchQueueDragMove);
-    document.removeEventListener('pointerup', finishTouchQueueDrag);
-    document.removeEventListener('pointercancel', finishTouchQueueDrag);
-    touchQueueDragListenersAttached = false;
-  }
-
-  queueList.classList.remove('is-touch-dragging');
-  clearQueueDragOverStates(queueList);
-
-  if (toIndex == null || fromIndex === toIndex) return;
-
-  let to = toIndex;
-  // Keep the current track pinned at the top of the queue.
-  if (playbackIndex >= 0 && to <= playbackIndex) {
-    to = playbackIndex + 1;
-  }
-
-  movePlaybackItem(fromIndex, to);
-  updateQueue();
-}
-
 function setMiniPlayerPresence(hasSong) {
   document.body.classList.toggle('has-mini-player', Boolean(hasSong));
 
@@ -177,143 +93,17 @@ function setPendingHideSidebarTimeout(id) {
   window.__player0PendingHideSidebarTimeout = id;
 }
 
-function safeJsonParse(raw) {
-  try {
-    return JSON.parse(raw);
-  } catch {
-    return null;
-  }
-}
-
-function readResumeState() {
-  try {
-    const raw = localStorage.getItem(RESUME_STORAGE_KEY);
-    if (!raw) return null;
-    const parsed = safeJsonParse(raw);
-    if (!parsed || typeof parsed !== 'object') return null;
-    if (!parsed.songId) return null;
-    return parsed;
-  } catch {
-    return null;
-  }
-}
-
-function writeResumeState(state) {
-  try {
-    localStorage.setItem(RESUME_STORAGE_KEY, JSON.stringify(state));
-  } catch {
-    // ignore (private mode / quota)
-  }
-}
-
-function clearResumeState() {
-  try {
-    localStorage.removeItem(RESUME_STORAGE_KEY);
-  } catch {
-    // ignore
-  }
-}
-
-function persistResumeState({ force = false } = {}) {
-  if (!audioPlayer) return;
-
-  const song = getCurrentSong();
-  if (!song?.id) return;
-
-  const now = Date.now();
-  const currentTime = Number(audioPlayer.currentTime) || 0;
-  const duration = Number(audioPlayer.duration) || 0;
-  if (!Number.isFinite(currentTime) || currentTime < 0) return;
-
-  const progressedEnough =
-    lastResumeSavedPositionSeconds == null ||
-    Math.abs(currentTime - lastResumeSavedPositionSeconds) >= 1.25;
-
-  const timeElapsedEnough = now - lastResumeSaveAt >= RESUME_SAVE_INTERVAL_MS;
-
-  if (!force && !timeElapsedEnough && !progressedEnough) return;
-
-  // Avoid resuming *exactly* at the end of a track.
-  const safeTime = (Number.isFinite(duration) && duration > 0)
-    ? Math.min(currentTime, Math.max(0, duration - 1))
-    : currentTime;
-
-  lastResumeSaveAt = now;
-  lastResumeSavedPositionSeconds = safeTime;
-  writeResumeState({
-    songId: song.id,
-    title: song.title || '',
-    artist: song.artist || '',
-    album: song.album || '',
-    positionSeconds: safeTime,
-    updatedAt: now
-  });
-}
-
-function readQueueState() {
-  try {
-    const raw = localStorage.getItem(QUEUE_STORAGE_KEY);
-    if (!raw) return null;
-    const parsed = safeJsonParse(raw);
-    if (!parsed || typeof parsed !== 'object') return null;
-    if (!Array.isArray(parsed.items)) return null;
-    return parsed;
-  } catch {
-    return null;
-  }
-}
-
-function writeQueueState(state) {
-  try {
-    localStorage.setItem(QUEUE_STORAGE_KEY, JSON.stringify(state));
-  } catch {
-    // ignore
-  }
-}
-
-function clearQueueState() {
-  try {
-    localStorage.removeItem(QUEUE_STORAGE_KEY);
-  } catch {
-    // ignore
-  }
-}
-
-function persistQueueState({ force = false } = {}) {
-  const now = Date.now();
-  if (!force && now - lastQueueSaveAt < QUEUE_SAVE_INTERVAL_MS) return;
-
-  if (!Array.isArray(playbackList) || playbackList.length === 0 || playbackIndex < 0) {
-    lastQueueSaveAt = now;
-    clearQueueState();
-    return;
-  }
-
-  const items = playbackList
-    .filter(Boolean)
-    .map((s) => ({
-      id: s.id,
-      title: s.title || '',
-      artist: s.artist || '',
-      album: s.album || ''
-    }))
-    .filter((s) => Boolean(s.id));
-
-  lastQueueSaveAt = now;
-  writeQueueState({
-    items,
-    index: playbackIndex,
-    shuffleEnabled: Boolean(isShuffleEnabled),
-    repeatMode: repeatMode,
-    savedAt: now
-  });
-}
-
 function hydrateQueueWithSongs(songs) {
   if (!Array.isArray(songs) || songs.length === 0) return;
   if (!Array.isArray(playbackList) || playbackList.length === 0 || playbackIndex < 0) return;
 
   const byId = new Map(songs.map((s) => [s.id, s]));
+  // Queues saved before a song ID migration still reference the old IDs.
+  songs.forEach((s) => {
+    (s.previousIds || []).forEach((oldId) => {
+      if (!byId.has(oldId)) byId.set(oldId, s);
+    });
+  });
   const hydrated = playbackList.map((s) => byId.get(s?.id) || s).filter(Boolean);
   setPlaybackList(hydrated, playbackIndex);
 
@@ -330,7 +120,7 @@ function hydrateQueueWithSongs(songs) {
 
     const miniArtwork = document.getElementById('miniArtwork');
     if (miniArtwork) {
-      miniArtwork.src = albumCoverUrl(current.id);
+      miniArtwork.src = albumCoverUrl(current.id, 64);
       miniArtwork.style.opacity = '1';
     }
 
@@ -338,7 +128,7 @@ function hydrateQueueWithSongs(songs) {
       title: current.title || 'Unknown',
       artist: current.artist || 'Unknown Artist',
       album: current.album || 'Unknown Album',
-      artworkUrl: albumCoverUrl(current.id)
+      artworkUrl: (size) => albumCoverUrl(current.id, size)
     });
   }
 
@@ -385,237 +175,29 @@ function tryRestoreQueueState() {
   return true;
 }
 
-function formatRemaining(seconds) {
-  const s = Math.max(0, Math.trunc(Number(seconds) || 0));
-  const h = Math.floor(s / 3600);
-  const m = Math.floor((s % 3600) / 60);
-  const sec = s % 60;
-  if (h > 0) return `${h}:${String(m).padStart(2, '0')}:${String(sec).padStart(2, '0')}`;
-  return `${m}:${String(sec).padStart(2, '0')}`;
-}
-
-function getSleepTimerRemainingSeconds() {
-  if (!sleepTimerTargetAt) return null;
-  const diffMs = sleepTimerTargetAt - Date.now();
-  if (diffMs <= 0) return 0;
-  return Math.ceil(diffMs / 1000);
-}
-
-function restoreSleepTimerVolume() {
-  if (!audioPlayer) {
-    sleepTimerOriginalVolume = null;
-    return;
-  }
-  if (sleepTimerOriginalVolume == null) return;
-  try {
-    audioPlayer.volume = Math.max(0, Math.min(1, Number(sleepTimerOriginalVolume)));
-  } catch {
-    // ignore
-  }
-  sleepTimerOriginalVolume = null;
-}
-
-function applySleepTimerFade(ratio) {
-  if (!audioPlayer) return;
-  const r = Math.max(0, Math.min(1, Number(ratio)));
-  if (sleepTimerOriginalVolume == null) {
-    sleepTimerOriginalVolume = Number(audioPlayer.volume);
-    if (!Number.isFinite(sleepTimerOriginalVolume)) sleepTimerOriginalVolume = 1;
-  }
-  const next = Math.max(0, Math.min(1, sleepTimerOriginalVolume * r));
-  audioPlayer.volume = next;
-}
-
-function updateSleepTimerUI() {
-  const badge = document.getElementById('miniSleepTimer');
-  const status = document.getElementById('sleepTimerStatus');
-  const btn = document.getElementById('sleepTimerButton');
-
-  const remaining = getSleepTimerRemainingSeconds();
-  if (remaining == null) {
-    if (badge) {
-      badge.textContent = '';
-      badge.classList.remove('is-active');
-    }
-    if (status) status.textContent = '';
-    if (btn) {
-      btn.classList.remove('is-active');
-      btn.title = 'Sleep timer';
-    }
-    return;
-  }
-
-  const text = sleepTimerPendingStopAfterTrack
-    ? 'Stopping after this track'
-    : `Sleep in ${formatRemaining(remaining)}`;
-  if (badge) {
-    badge.textContent = text;
-    badge.classList.add('is-active');
-  }
-  if (status) status.textContent = text;
-  if (btn) {
-    btn.classList.add('is-active');
-    btn.title = text;
-  }
-}
-
-function stopSleepTimerInterval() {
-  if (sleepTimerIntervalId) {
-    clearInterval(sleepTimerIntervalId);
-    sleepTimerIntervalId = null;
-  }
-}
-
-function persistSleepTimer() {
-  try {
-    if (!sleepTimerTargetAt) {
-      localStorage.removeItem(SLEEP_TIMER_KEY);
-      return;
-    }
-    localStorage.setItem(SLEEP_TIMER_KEY, JSON.stringify({
-      targetAt: sleepTimerTargetAt,
-      mode: sleepTimerMode,
-      fadeSeconds: sleepTimerFadeSeconds
-    }));
-  } catch {
-    // ignore
-  }
-}
-
-function restoreSleepTimer() {
-  try {
-    const raw = localStorage.getItem(SLEEP_TIMER_KEY);
-    if (!raw) return;
-    const parsed = safeJsonParse(raw);
-    const targetAt = Number(parsed?.targetAt);
-    if (!Number.isFinite(targetAt) || targetAt <= Date.now()) {
-      localStorage.removeItem(SLEEP_TIMER_KEY);
-      return;
-    }
-    sleepTimerTargetAt = targetAt;
-    sleepTimerMode = (parsed?.mode === 'endOfTrack') ? 'endOfTrack' : 'pause';
-    sleepTimerFadeSeconds = Number.isFinite(Number(parsed?.fadeSeconds)) ? Math.max(0, Math.trunc(Number(parsed.fadeSeconds))) : 0;
-    sleepTimerPendingStopAfterTrack = false;
-    restoreSleepTimerVolume();
-    startSleepTimerInterval();
-    updateSleepTimerUI();
-  } catch {
-    // ignore
-  }
-}
-
-function cancelSleepTimer() {
-  sleepTimerTargetAt = null;
-  sleepTimerMode = 'pause';
-  sleepTimerFadeSeconds = 0;
-  sleepTimerPendingStopAfterTrack = false;
-  restoreSleepTimerVolume();
-  stopSleepTimerInterval();
-  persistSleepTimer();
-  updateSleepTimerUI();
-}
-
-function startSleepTimerAt(targetAt, options = {}) {
-  const t = Number(targetAt);
-  if (!Number.isFinite(t) || t <= Date.now()) return;
-
-  sleepTimerTargetAt = t;
-  sleepTimerMode = options?.mode === 'endOfTrack' ? 'endOfTrack' : 'pause';
-  sleepTimerFadeSeconds = Number.isFinite(Number(options?.fadeSeconds)) ? Math.max(0, Math.trunc(Number(options.fadeSeconds))) : 0;
-  sleepTimerPendingStopAfterTrack = false;
-  restoreSleepTimerVolume();
-
-  persistSleepTimer();
-  startSleepTimerInterval();
-  updateSleepTimerUI();
-}
-
-function startSleepTimer(minutes, options = {}) {
-  const m = Number(minutes);
-  if (!Number.isFinite(m) || m <= 0) return;
-  startSleepTimerAt(Date.now() + Math.trunc(m * 60 * 1000), options);
-}
-
-function computeNextTimeTargetAt(hhmm) {
-  const raw = String(hhmm || '').trim();
-  const m = raw.match(/^(\d{1,2}):(\d{2})$/);
-  if (!m) return null;
-  const h = Number(m[1]);
-  const min = Number(m[2]);
-  if (!Number.isFinite(h) || !Number.isFinite(min)) return null;
-  if (h < 0 || h > 23 || min < 0 || min > 59) return null;
-
-  const now = new Date();
-  const target = new Date(now);
-  target.setHours(h, min, 0, 0);
-  if (target.getTime() <= now.getTime()) {
-    target.setDate(target.getDate() + 1);
-  }
-  return target.getTime();
-}
-
-function startSleepTimerInterval() {
-  stopSleepTimerInterval();
-  sleepTimerIntervalId = setInterval(() => {
-    const remaining = getSleepTimerRemainingSeconds();
-    if (remaining == null) return;
-
-    updateSleepTimerUI();
-
-    // Fade behavior
-    if (!sleepTimerPendingStopAfterTrack && sleepTimerMode === 'pause' && sleepTimerFadeSeconds > 0 && remaining > 0 && remaining <= sleepTimerFadeSeconds) {
-      applySleepTimerFade(remaining / sleepTimerFadeSeconds);
-    }
-
-    if (sleepTimerPendingStopAfterTrack && sleepTimerFadeSeconds > 0 && audioPlayer) {
-      const dur = Number(audioPlayer.duration);
-      const ct = Number(audioPlayer.currentTime);
-      if (Number.isFinite(dur) && dur > 0 && Number.isFinite(ct) && ct >= 0) {
-        const trackRemaining = Math.max(0, dur - ct);
-        if (trackRemaining <= sleepTimerFadeSeconds) {
-          applySleepTimerFade(trackRemaining / sleepTimerFadeSeconds);
-        }
-      }
-    }
-
-    if (remaining <= 0) {
-      if (sleepTimerMode === 'endOfTrack') {
-        sleepTimerPendingStopAfterTrack = true;
-        // Keep interval running to update UI + allow end-of-track fade.
-        updateSleepTimerUI();
-        return;
-      }
-
-      if (audioPlayer) {
-        audioPlayer.pause();
-      }
-      cancelSleepTimer();
-    }
-  }, 1000);
-}
-
 function seekWhenReady(seconds) {
   if (!audioPlayer) return;
   const target = Number(seconds);
   if (!Number.isFinite(target) || target <= 0) return;
 
+  const el = audioPlayer;
   const applySeek = () => {
-    if (!audioPlayer) return;
-    const duration = Number(audioPlayer.duration);
+    if (el !== audioPlayer) return;
+    const duration = Number(el.duration);
     const clamped = Number.isFinite(duration) && duration > 0
       ? Math.max(0, Math.min(target, Math.max(0, duration - 0.25)))
       : Math.max(0, target);
-    audioPlayer.currentTime = clamped;
+    el.currentTime = clamped;
     updateProgress();
-    setMediaSessionPosition(audioPlayer);
+    setMediaSessionPosition(el);
   };
 
-  if (audioPlayer.readyState >= 1) {
+  if (el.readyState >= 1) {
     applySeek();
     return;
   }
 
-  audioPlayer.addEventListener('loadedmetadata', applySeek, { once: true });
+  el.addEventListener('loadedmetadata', applySeek, { once: true });
 }
 
 function loadSong(song, options = {}) {
@@ -625,7 +207,12 @@ function loadSong(song, options = {}) {
   const record = options.recordPlay !== false;
   const seekSeconds = options.seekSeconds;
 
-  audioPlayer.src = songStreamUrl(song.id);
+  // Whatever was preloaded was meant to follow the previous track.
+  cancelPreload();
+  cancelCrossfade();
+
+  audioPlayer.src = streamUrlForSong(song, audioPlayer);
+  applyReplayGain(audioPlayer, song);
   if (autoplay) {
     void audioPlayer.play();
   } else {
@@ -633,6 +220,73 @@ function loadSong(song, options = {}) {
     audioPlayer.load();
   }
 
+  if (Number.isFinite(Number(seekSeconds)) && Number(seekSeconds) > 0) {
+    seekWhenReady(seekSeconds);
+  } else {
+    seekWhenReady(silenceTrim(song).start);
+  }
+
+  renderNowPlaying(song, { recordPlay: record });
+}
+
+// Called by gapless.js when a preload starts loading into the idle element.
+function prepareElement(el, song) {
+  applyReplayGain(el, song);
+  skipIntroWhenLoaded(el, song);
+}
+
+// Past the silent intro when trimming, else the very start.
+function trackStart() {
+  return silenceTrim(getCurrentSong()).start;
+}
+
+// The current track played to its end (or its trimmed outro): move on.
+function finishTrack() {
+  if (isStoppingAfterTrack()) {
+    // Timer expired and user requested "stop after track".
+    // Don't advance to the next track; just stop playback.
+    cancelSleepTimer();
+    setIsPlaying(false);
+    updatePlayButton();
+    return;
+  }
+
+  const atEndOfQueue = repeatMode === 'off' && !hasNext();
+  playNext();
+
+  if (atEndOfQueue) {
+    // If playback naturally finished, reopen should start from the beginning.
+    const resume = readResumeState();
+    if (resume?.songId) {
+      writeResumeState({
+        ...resume,
+        positionSeconds: 0,
+        updatedAt: Date.now()
+      });
+    }
+  }
+}
+
+// A trimmed outro ends the track when playback reaches it, like `ended`
+// would. Gapless handoffs happen before this (see trackEnd in initPlayer());
+// this covers the rest: nothing preloaded, end of the queue, sleep timer.
+// Only crossing the end counts, so seeking into the outro still plays it.
+function enforceTrimEnd() {
+  if (!audioPlayer || !reachedTrimEnd(getCurrentSong(), audioPlayer.currentTime)) return;
+  if (audioPlayer.paused || isLooping()) return;
+  audioPlayer.pause();
+  finishTrack();
+}
+
+/**
+ * Show a song that just started (or was restored) in the player UI,
+ * Media Session and listeners of `songChanged`.
+ * @param {any} song
+ * @param {{ recordPlay?: boolean }} [options]
+ */
+function renderNowPlaying(song, options = {}) {
+  const record = options.recordPlay !== false;
+
   // Update UI
   document.getElementById('npTitle').textContent = song.title || 'Unknown';
   document.getElementById('npArtist').textContent = song.artist || 'Unknown Artist';
@@ -648,7 +302,7 @@ function loadSong(song, options = {}) {
     miniArtwork.onload = () => {
       miniArtwork.style.opacity = '1';
     };
-    miniArtwork.src = albumCoverUrl(song.id);
+    miniArtwork.src = albumCoverUrl(song.id, 64);
     miniArtwork.style.opacity = '1';
   }
 
@@ -657,7 +311,7 @@ function loadSong(song, options = {}) {
   npArtwork.onerror = () => {
     npArtwork.style.display = 'none';
   };
-  npArtwork.src = albumCoverUrl(song.id);
+  npArtwork.src = albumCoverUrl(song.id, 600);
   npArtwork.style.display = 'block';
 
   setMiniPlayerPresence(true);
@@ -665,10 +319,6 @@ function loadSong(song, options = {}) {
   updateShuffleRepeatButtons();
   updateQueue();
 
-  if (Number.isFinite(Number(seekSeconds)) && Number(seekSeconds) > 0) {
-    seekWhenReady(seekSeconds);
-  }
-
   if (record) {
     recordPlay(song.id);
   }
@@ -678,14 +328,56 @@ function loadSong(song, options = {}) {
     title: song.title || 'Unknown',
     artist: song.artist || 'Unknown Artist',
     album: song.album || 'Unknown Album',
-    artworkUrl: albumCoverUrl(song.id)
+    artworkUrl: (size) => albumCoverUrl(song.id, size)
   });
   setMediaSessionPosition(audioPlayer);
 
+  // Speed/transposition and "preset by genre" follow the song.
+  applySongPlaybackSettings(song);
+  setEqualizerSong(song);
+  setBookmarksSong(song);
+
   // Dispatch song changed event for UI features
   document.dispatchEvent(new CustomEvent('songChanged', { detail: song }));
 }
 
+/**
+ * Switch to the preloaded element if it holds this plan and can start now.
+ * The incoming song becomes current right away: during a crossfade the
+ * progress bar, Media Session position and recorded play all belong to it,
+ * and the outgoing element's events are ignored (see onActiveAudio()).
+ * @param {Object} plan - From planNext()
+ * @param {{ stopCurrent?: boolean, crossfade?: boolean }} [options] - See startPreloaded()
+ * @returns {boolean} false when the caller has to load the song itself
+ */
+function startPreloadedPlan(plan, options = {}) {
+  const started = startPlan(plan, options);
+  if (!started) return false;
+  audioPlayer = started.element;
+
+  if (started.plan.repeat) {
+    // Same song again: like the repeat-one restart, not a new play.
+    updateProgress();
+    setMediaSessionPosition(audioPlayer);
+    return true;
+  }
+
+  renderNowPlaying(started.plan.song, { recordPlay: true });
+  persistResumeState(audioPlayer, { force: true });
+  persistQueueState({ force: true });
+  return true;
+}
+
+// Called by gapless.js just before the active track ends (or its crossfade is due).
+function handleTrackEnding() {
+  if (isStoppingAfterTrack()) return;
+  // An A-B loop jumps back before the end; B may sit inside the crossfade window.
+  if (isLooping()) return;
+  const plan = planNext();
+  if (plan) startPreloadedPlan(plan, { crossfade: true });
+  // Otherwise `ended` fires and playNext() loads the next song the usual way.
+}
+
 function tryRestoreResumeState() {
   if (didAttemptResumeRestore) return;
   didAttemptResumeRestore = true;
@@ -712,11 +404,34 @@ function tryRestoreResumeState() {
 }
 
 /**
- * Initialize the player with audio element reference
+ * Run a listener for events of whichever element is active.
+ * @param {string} type
+ * @param {Function} handler
+ */
+function onActiveAudio(type, handler) {
+  getAudioElements().forEach((el) => {
+    el.addEventListener(type, (event) => {
+      if (el === audioPlayer) handler(event);
+    });
+  });
+}
+
+/**
+ * Initialize the player with audio element references
  * @param {HTMLAudioElement} audioElement
+ * @param {HTMLAudioElement} [alternateElement] - Second element for gapless playback
  */
-export function initPlayer(audioElement) {
+export function initPlayer(audioElement, alternateElement = null) {
   audioPlayer = audioElement;
+  initGapless(audioElement, alternateElement, {
+    onTrackEnding: handleTrackEnding,
+    onLoad: prepareElement,
+    trackEnd: () => silenceTrim(getCurrentSong()).end,
+    holdPreload: isStoppingAfterTrack
+  });
+  initAudioGraph(getAudioElements());
+  initPlaybackRate(getAudioElements());
+  initBookmarkControls();
 
   // Helps resume/seek work without autoplay.
   try {
@@ -726,7 +441,7 @@ export function initPlayer(audioElement) {
   }
 
   // Lockscreen/hardware media controls (supported browsers only).
-  initMediaSession(audioPlayer, {
+  initMediaSession(getAudioElements(), {
     onPlay: () => void audioPlayer.play(),
     onPause: () => audioPlayer.pause(),
     onNext: () => playNext(),
@@ -743,60 +458,56 @@ export function initPlayer(audioElement) {
   });
   
   // Setup event listeners
-  audioPlayer.addEventListener('timeupdate', updateProgress);
-  audioPlayer.addEventListener('ended', () => {
-    if (sleepTimerPendingStopAfterTrack) {
-      // Timer expired and user requested "stop after track".
-      // Don't advance to the next track; just stop playback.
-      restoreSleepTimerVolume();
-      cancelSleepTimer();
-      setIsPlaying(false);
-      updatePlayButton();
+  onActiveAudio('timeupdate', () => {
+    enforceTrimEnd();
+    updateProgress();
+    syncPreload();
+  });
+  onActiveAudio('seeking', resetTrimEnd);
+  onActiveAudio('ended', () => {
+    if (isLooping()) {
+      seekToSeconds(getBookmarkState().loop.a);
+      void audioPlayer.play();
       return;
     }
-
-    const atEndOfQueue = repeatMode === 'off' && !hasNext();
-    playNext();
-
-    if (atEndOfQueue) {
-      // If playback naturally finished, reopen should start from the beginning.
-      const resume = readResumeState();
-      if (resume?.songId) {
-        writeResumeState({
-          ...resume,
-          positionSeconds: 0,
-          updatedAt: Date.now()
-        });
-      }
-    }
+    finishTrack();
+  });
+  onActiveAudio('ratechange', () => {
+    updateProgress();
+    setMediaSessionPosition(audioPlayer);
   });
-  audioPlayer.addEventListener('play', () => {
+  onActiveAudio('play', () => {
     setIsPlaying(true);
     updatePlayButton();
   });
-  audioPlayer.addEventListener('pause', () => {
+  onActiveAudio('pause', () => {
     setIsPlaying(false);
     updatePlayButton();
     // Best-effort save when pausing.
-    persistResumeState({ force: true });
+    persistResumeState(audioPlayer, { force: true });
   });
   window.addEventListener('beforeunload', () => {
-    persistResumeState({ force: true });
+    persistResumeState(audioPlayer, { force: true });
     persistQueueState({ force: true });
   });
   document.addEventListener('visibilitychange', () => {
     if (document.visibilityState === 'hidden') {
-      persistResumeState({ force: true });
+      persistResumeState(audioPlayer, { force: true });
       persistQueueState({ force: true });
     }
   });
   initShuffleRepeatControls();
   updateShuffleRepeatButtons();
-
-  const toggleQueueExpanded = document.getElementById('toggleQueueExpanded');
-  toggleQueueExpanded?.addEventListener('click', () => {
-    isQueueExpanded = !isQueueExpanded;
-    updateQueue();
+  initSpeedControls();
+
+  initQueuePanel({
+    onPlay: playSong,
+    onQueueEmptied: stopPlayback,
+    onRender: ({ empty }) => {
+      // The track after the current one may have changed.
+      syncPreload();
+      persistQueueState({ force: empty });
+    }
   });
 
   // Initial render (empty until something starts playing).
@@ -816,93 +527,14 @@ export function initPlayer(audioElement) {
     tryRestoreResumeState();
   }
 
-  // Restore a running sleep timer (if any).
-  restoreSleepTimer();
+  // Restore a running sleep timer (if any) and wire up its dialog.
+  initSleepTimer(() => audioPlayer);
 
   // Hydrate queue entries from real library when it loads.
   document.addEventListener('player0:songsLoaded', (e) => {
     hydrateQueueWithSongs(e.detail);
   });
 
-  // Sleep timer UI wiring
-  const sleepTimerButton = document.getElementById('sleepTimerButton');
-  const sleepTimerModal = document.getElementById('sleepTimerModal');
-  const sleepTimerMinutes = document.getElementById('sleepTimerMinutes');
-  const startSleepTimerBtn = document.getElementById('startSleepTimer');
-  const cancelSleepTimerBtn = document.getElementById('cancelSleepTimer');
-
-  const stopAfterTrackEl = document.getElementById('sleepStopAfterTrack');
-  const fadeEnabledEl = document.getElementById('sleepFadeEnabled');
-  const fadeSecondsEl = document.getElementById('sleepFadeSeconds');
-  const endAtTimeEl = document.getElementById('sleepEndAtTime');
-  const setEndAtBtn = document.getElementById('sleepSetEndAt');
-
-  const openSleepModal = () => {
-    if (!sleepTimerModal) return;
-    sleepTimerModal.style.display = 'flex';
-    updateSleepTimerUI();
-
-     if (stopAfterTrackEl) stopAfterTrackEl.checked = sleepTimerMode === 'endOfTrack';
-     if (fadeEnabledEl) fadeEnabledEl.checked = sleepTimerFadeSeconds > 0;
-     if (fadeSecondsEl) fadeSecondsEl.value = sleepTimerFadeSeconds > 0 ? String(sleepTimerFadeSeconds) : '';
-
-    if (sleepTimerMinutes) {
-      sleepTimerMinutes.focus();
-    }
-  };
-
-  sleepTimerButton?.addEventListener('click', (event) => {
-    event.preventDefault();
-    openSleepModal();
-  });
-
-  document.getElementById('sleepPreset15')?.addEventListener('click', () => {
-    if (sleepTimerMinutes) sleepTimerMinutes.value = '15';
-  });
-  document.getElementById('sleepPreset30')?.addEventListener('click', () => {
-    if (sleepTimerMinutes) sleepTimerMinutes.value = '30';
-  });
-  document.getElementById('sleepPreset60')?.addEventListener('click', () => {
-    if (sleepTimerMinutes) sleepTimerMinutes.value = '60';
-  });
-
-  startSleepTimerBtn?.addEventListener('click', () => {
-    const minutes = Number(sleepTimerMinutes?.value);
-    if (!Number.isFinite(minutes) || minutes <= 0) {
-      alert('Enter a valid number of minutes');
-      return;
-    }
-
-    const mode = stopAfterTrackEl?.checked ? 'endOfTrack' : 'pause';
-    const fadeSeconds = (fadeEnabledEl?.checked)
-      ? Math.max(1, Math.min(60, Math.trunc(Number(fadeSecondsEl?.value || 10))))
-      : 0;
-
-    startSleepTimer(minutes, { mode, fadeSeconds });
-    if (sleepTimerModal) sleepTimerModal.style.display = 'none';
-  });
-
-  setEndAtBtn?.addEventListener('click', () => {
-    const targetAt = computeNextTimeTargetAt(endAtTimeEl?.value);
-    if (!targetAt) {
-      alert('Enter a valid time');
-      return;
-    }
-
-    const mode = stopAfterTrackEl?.checked ? 'endOfTrack' : 'pause';
-    const fadeSeconds = (fadeEnabledEl?.checked)
-      ? Math.max(1, Math.min(60, Math.trunc(Number(fadeSecondsEl?.value || 10))))
-      : 0;
-
-    startSleepTimerAt(targetAt, { mode, fadeSeconds });
-    if (sleepTimerModal) sleepTimerModal.style.display = 'none';
-  });
-
-  cancelSleepTimerBtn?.addEventListener('click', () => {
-    cancelSleepTimer();
-    if (sleepTimerModal) sleepTimerModal.style.display = 'none';
-  });
-
   // Clear upcoming UX
   document.getElementById('clearQueueButton')?.addEventListener('click', () => {
     if (!playbackList.length || playbackIndex < 0) return;
@@ -964,17 +596,11 @@ function initShuffleRepeatControls() {
       event.preventDefault();
       cycleRepeatMode();
       updateShuffleRepeatButtons();
+      syncPreload();
     });
   }
 }
 
-function computeDropToIndex(fromIndex, targetIndex, placeAfter) {
-  let to = targetIndex + (placeAfter ? 1 : 0);
-  // Convert from "original" index space to post-removal index space.
-  if (fromIndex < to) to -= 1;
-  return to;
-}
-
 function updateShuffleRepeatButtons() {
   const shuffleButton = document.getElementById('shuffleButton');
   const repeatButton = document.getElementById('repeatButton');
@@ -998,14 +624,31 @@ function updateShuffleRepeatButtons() {
   }
 }
 
+/**
+ * Seek the current song to a position in seconds.
+ * @param {number} seconds
+ */
+export function seekToSeconds(seconds) {
+  if (!audioPlayer) return;
+  const duration = Number(audioPlayer.duration);
+  const target = Math.max(0, Number(seconds) || 0);
+  try {
+    audioPlayer.currentTime = duration > 0 ? Math.min(target, duration) : target;
+  } catch {
+    // Not seekable yet.
+  }
+}
+
 /**
  * Play a specific song
  * @param {any} song - The song to play
+ * @param {Object} [options]
+ * @param {number} [options.startAt] - Start this many seconds in (e.g. at a lyrics line)
  */
-export function playSong(song) {
+export function playSong(song, { startAt } = {}) {
   if (!song || !audioPlayer) return;
-  loadSong(song, { autoplay: true, recordPlay: true });
-  persistResumeState({ force: true });
+  loadSong(song, { autoplay: true, recordPlay: true, seekSeconds: startAt });
+  persistResumeState(audioPlayer, { force: true });
   persistQueueState({ force: true });
 }
 
@@ -1028,32 +671,23 @@ export function togglePlayPause() {
 export function playNext() {
   if (!playbackList.length) return;
 
-  if (repeatMode === 'one') {
+  const plan = planNext();
+  if (!plan) return;
+
+  // Already buffered in the idle element: switch without reloading.
+  if (startPreloadedPlan(plan, { stopCurrent: true })) return;
+
+  if (plan.repeat) {
     // Restart current track without re-recording play.
     if (audioPlayer) {
-      audioPlayer.currentTime = 0;
+      audioPlayer.currentTime = trackStart();
       void audioPlayer.play();
     }
     return;
   }
 
-  const nextSong = getNext();
-  if (nextSong) {
-    playSong(nextSong);
-    return;
-  }
-
-  if (repeatMode === 'all') {
-    if (isShuffleEnabled && playbackList.length > 1) {
-      const shuffled = [...playbackList].sort(() => Math.random() - 0.5);
-      setPlaybackList(shuffled, 0);
-      playSong(shuffled[0]);
-      return;
-    }
-
-    setPlaybackIndex(0);
-    playSong(playbackList[0]);
-  }
+  plan.commit();
+  playSong(plan.song);
 }
 
 /**
@@ -1063,8 +697,8 @@ export function playPrevious() {
   if (!playbackList.length) return;
 
   // If we're not near the start, behave like typical players.
-  if (audioPlayer && audioPlayer.currentTime > 3) {
-    audioPlayer.currentTime = 0;
+  if (audioPlayer && audioPlayer.currentTime > trackStart() + 3) {
+    audioPlayer.currentTime = trackStart();
     return;
   }
 
@@ -1089,8 +723,14 @@ function updateProgress() {
   
   const progress = (audioPlayer.currentTime / audioPlayer.duration) * 100;
   document.getElementById('progressBar').value = progress || 0;
-  document.getElementById('currentTime').textContent = formatDuration(audioPlayer.currentTime);
-  document.getElementById('totalTime').textContent = formatDuration(audioPlayer.duration);
+
+  // At other speeds the times show how long listening takes, not the track's own timeline.
+  const rate = Number(audioPlayer.playbackRate) || 1;
+  const currentTime = document.getElementById('currentTime');
+  const totalTime = document.getElementById('totalTime');
+  currentTime.textContent = formatDuration(audioPlayer.currentTime / rate);
+  totalTime.textContent = formatDuration(audioPlayer.duration / rate);
+  totalTime.title = rate !== 1 ? `${formatDuration(audioPlayer.duration)} at 1x` : '';
   
   // Update mini player progress bar
   const miniProgressFill = document.getElementById('miniProgressFill');
@@ -1116,7 +756,7 @@ function updateProgress() {
   }
 
   // Persist resume position (throttled).
-  persistResumeState();
+  persistResumeState(audioPlayer);
 }
 
 /**
@@ -1146,200 +786,36 @@ function updatePlayButton() {
  * Update queue display (draggable reorder)
  */
 export function updateQueue() {
-  const queueList = document.getElementById('queueList');
-  if (!queueList) return;
-
-  const toggleQueueExpanded = document.getElementById('toggleQueueExpanded');
-  const currentIndex = Math.max(0, playbackIndex);
-  const upcomingCount = Math.max(0, playbackList.length - currentIndex);
-
-  if (toggleQueueExpanded) {
-    const needsToggle = upcomingCount > QUEUE_COLLAPSED_COUNT;
-    toggleQueueExpanded.style.display = needsToggle ? 'inline-flex' : 'none';
-    toggleQueueExpanded.textContent = isQueueExpanded ? 'Less' : 'More';
-    toggleQueueExpanded.setAttribute('aria-expanded', isQueueExpanded ? 'true' : 'false');
-  }
-
-  queueList.innerHTML = '';
-
-  if (!playbackList.length || playbackIndex < 0) {
-    queueList.innerHTML = '<p class="empty-queue">Queue is empty</p>';
-    persistQueueState({ force: true });
-    return;
-  }
+  renderQueue();
+}
 
-  // Always keep the currently playing song at the top of the queue UI.
-  let startIndex = currentIndex;
-  let endIndex = playbackList.length;
-  if (!isQueueExpanded) {
-    endIndex = Math.min(playbackList.length, startIndex + QUEUE_COLLAPSED_COUNT);
+// The last song left the queue: stop and clear the now playing UI.
+function stopPlayback() {
+  if (audioPlayer) {
+    audioPlayer.pause();
+    audioPlayer.removeAttribute('src');
+    audioPlayer.load();
   }
-
-  for (let index = startIndex; index < endIndex; index++) {
-    const song = playbackList[index];
-    const item = document.createElement('div');
-    item.className = 'queue-item' + (index === playbackIndex ? ' active' : '');
-    item.dataset.playbackIndex = String(index);
-
-    const handle = document.createElement('div');
-    handle.className = 'queue-handle';
-    handle.textContent = '⋮⋮';
-    // Don't allow reordering the currently playing track.
-    handle.draggable = index !== playbackIndex && !isCoarsePointer();
-    handle.setAttribute('aria-label', 'Drag to reorder');
-
-    if (isCoarsePointer() && index !== playbackIndex) {
-      handle.addEventListener('pointerdown', (event) => {
-        // Only handle touch/pen here; mouse uses HTML5 drag.
-        if (event.pointerType === 'mouse') return;
-        event.preventDefault();
-        startTouchQueueDrag(event, index, item, queueList);
-      }, { passive: false });
-    }
-
-    const meta = document.createElement('div');
-    meta.className = 'queue-meta';
-
-    const title = document.createElement('div');
-    title.className = 'queue-title';
-    title.textContent = song?.title || 'Unknown';
-
-    const artist = document.createElement('div');
-    artist.className = 'queue-artist';
-    artist.textContent = song?.artist || 'Unknown Artist';
-
-    meta.appendChild(title);
-    meta.appendChild(artist);
-
-    const removeBtn = document.createElement('button');
-    removeBtn.type = 'button';
-    removeBtn.className = 'queue-remove';
-    removeBtn.setAttribute('aria-label', 'Remove from queue');
-    removeBtn.textContent = '✕';
-
-    item.appendChild(handle);
-    item.appendChild(meta);
-    item.appendChild(removeBtn);
-
-    item.addEventListener('dblclick', () => {
-      if (!playbackList[index]) return;
-      setPlaybackIndex(index);
-      playSong(playbackList[index]);
-    });
-
-    handle.addEventListener('dragstart', (event) => {
-      if (index === playbackIndex) {
-        event.preventDefault();
-        return;
-      }
-      draggingPlaybackIndex = index;
-      item.classList.add('is-dragging');
-      if (event.dataTransfer) {
-        event.dataTransfer.effectAllowed = 'move';
-        event.dataTransfer.setData('text/plain', String(index));
-      }
-    });
-
-    handle.addEventListener('dragend', () => {
-      draggingPlaybackIndex = null;
-      item.classList.remove('is-dragging');
-      queueList.querySelectorAll('.queue-item.is-drag-over').forEach((el) => {
-        el.classList.remove('is-drag-over');
-      });
-    });
-
-    removeBtn.addEventListener('click', (event) => {
-      event.preventDefault();
-      event.stopPropagation();
-
-      const result = removePlaybackItem(index);
-      if (!result) return;
-
-      if (result.removedWasCurrent) {
-        if (result.newIndex >= 0) {
-          playSong(playbackList[result.newIndex]);
-        } else {
-          // Queue is empty: stop playback.
-          if (audioPlayer) {
-            audioPlayer.pause();
-            audioPlayer.removeAttribute('src');
-            audioPlayer.load();
-          }
-          setIsPlaying(false);
-          updatePlayButton();
-          const npTitle = document.getElementById('npTitle');
-          const npArtist = document.getElementById('npArtist');
-          const miniTitle = document.getElementById('miniTitle');
-          const miniArtist = document.getElementById('miniArtist');
-          const miniArtwork = document.getElementById('miniArtwork');
-          if (npTitle) npTitle.textContent = 'No song playing';
-          if (npArtist) npArtist.textContent = '';
-          if (miniTitle) miniTitle.textContent = 'No song playing';
-          if (miniArtist) miniArtist.textContent = '';
-          if (miniArtwork) {
-            miniArtwork.removeAttribute('src');
-            miniArtwork.style.opacity = '0';
-          }
-
-          setMiniPlayerPresence(false);
-
-          clearResumeState();
-          clearQueueState();
-        }
-      }
-
-      updateQueue();
-    });
-
-    item.addEventListener('dragover', (event) => {
-      if (draggingPlaybackIndex == null) return;
-      event.preventDefault();
-      queueList.querySelectorAll('.queue-item.is-drag-over').forEach((el) => {
-        if (el !== item) el.classList.remove('is-drag-over');
-      });
-      item.classList.add('is-drag-over');
-    });
-
-    item.addEventListener('dragleave', () => {
-      item.classList.remove('is-drag-over');
-    });
-
-    item.addEventListener('drop', (event) => {
-      event.preventDefault();
-
-      let from = draggingPlaybackIndex;
-      if (from == null) {
-        const raw = event.dataTransfer?.getData('text/plain');
-        const num = Number(raw);
-        from = Number.isFinite(num) ? Math.trunc(num) : null;
-      }
-
-      const toTarget = Number(item.dataset.playbackIndex);
-      if (from == null || !Number.isFinite(toTarget)) return;
-
-      const rect = item.getBoundingClientRect();
-      const placeAfter = (event.clientY - rect.top) > rect.height / 2;
-      let to = computeDropToIndex(from, toTarget, placeAfter);
-      // Keep the current track pinned at the top of the queue.
-      if (playbackIndex >= 0 && to <= playbackIndex) {
-        to = playbackIndex + 1;
-      }
-
-      item.classList.remove('is-drag-over');
-      if (from === to) return;
-
-      movePlaybackItem(from, to);
-      updateQueue();
-    });
-
-    queueList.appendChild(item);
+  setIsPlaying(false);
+  updatePlayButton();
+  const npTitle = document.getElementById('npTitle');
+  const npArtist = document.getElementById('npArtist');
+  const miniTitle = document.getElementById('miniTitle');
+  const miniArtist = document.getElementById('miniArtist');
+  const miniArtwork = document.getElementById('miniArtwork');
+  if (npTitle) npTitle.textContent = 'No song playing';
+  if (npArtist) npArtist.textContent = '';
+  if (miniTitle) miniTitle.textContent = 'No song playing';
+  if (miniArtist) miniArtist.textContent = '';
+  if (miniArtwork) {
+    miniArtwork.removeAttribute('src');
+    miniArtwork.style.opacity = '0';
   }
 
-  // Let other UI surfaces (fullscreen now playing, etc.) stay in sync.
-  document.dispatchEvent(new CustomEvent('queueUpdated'));
+  setMiniPlayerPresence(false);
 
-  // Persist queue (throttled).
-  persistQueueState();
+  clearResumeState();
+  clearQueueState();
 }
 
 
@@ -1371,11 +847,19 @@ export function seek(percentage) {
  */
 export function setVolume(volume) {
   if (!audioPlayer) return;
-  audioPlayer.volume = volume / 100;
+  setMasterVolume(volume / 100);
+}
+
+/**
+ * Get volume (without sleep timer or crossfade fades)
+ * @returns {number} 0-100
+ */
+export function getVolume() {
+  return getMasterVolume() * 100;
 }
 
 /**
- * Get audio player reference
+ * Get the active audio element (it changes between tracks during gapless playback)
  * @returns {HTMLAudioElement}
  */
 export function getAudioPlayer() {
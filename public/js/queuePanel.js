@@ -0,0 +1,310 @@
+// Queue panel
+// Lists the current song and what comes after it. Upcoming songs can be
+// reordered (HTML5 drag and drop with a mouse, pointer events on touch
+// screens) or removed; the current song stays pinned at the top. Playing a
+// row or removing the current song goes through the handlers the player
+// passes to initQueuePanel().
+import {
+  playbackList,
+  playbackIndex,
+  setPlaybackIndex,
+  movePlaybackItem,
+  removePlaybackItem
+} from './state.js';
+
+const QUEUE_COLLAPSED_COUNT = 8;
+
+let draggingPlaybackIndex = null;
+let isQueueExpanded = false;
+let handlers = {};
+
+let touchQueueDrag = null;
+let touchQueueDragListenersAttached = false;
+
+function isCoarsePointer() {
+  try {
+    return Boolean(window.matchMedia && window.matchMedia('(pointer: coarse)').matches);
+  } catch {
+    return false;
+  }
+}
+
+function clearQueueDragOverStates(queueList) {
+  queueList.querySelectorAll('.queue-item.is-drag-over, .queue-item.is-touch-dragging').forEach((el) => {
+    el.classList.remove('is-drag-over', 'is-touch-dragging');
+  });
+}
+
+function startTouchQueueDrag(event, fromIndex, fromItem, queueList) {
+  if (!event || event.button === 2) return;
+
+  touchQueueDrag = {
+    pointerId: event.pointerId,
+    fromIndex,
+    toIndex: null,
+    queueList
+  };
+
+  clearQueueDragOverStates(queueList);
+  fromItem.classList.add('is-touch-dragging');
+  queueList.classList.add('is-touch-dragging');
+
+  // Attach listeners to document so moves are captured even if the pointer is
+  // captured by the handle (common on mobile browsers).
+  if (!touchQueueDragListenersAttached) {
+    document.addEventListener('pointermove', handleTouchQueueDragMove, { passive: false });
+    document.addEventListener('pointerup', finishTouchQueueDrag);
+    document.addEventListener('pointercancel', finishTouchQueueDrag);
+    touchQueueDragListenersAttached = true;
+  }
+}
+
+function handleTouchQueueDragMove(event) {
+  if (!touchQueueDrag) return;
+  if (event.pointerId !== touchQueueDrag.pointerId) return;
+  event.preventDefault();
+
+  const queueList = touchQueueDrag.queueList;
+  const el = document.elementFromPoint(event.clientX, event.clientY);
+  const overItem = el?.closest?.('.queue-item');
+  if (!overItem || !queueList.contains(overItem)) return;
+
+  const toTarget = Number(overItem.dataset.playbackIndex);
+  if (!Number.isFinite(toTarget)) return;
+
+  const rect = overItem.getBoundingClientRect();
+  const placeAfter = (event.clientY - rect.top) > rect.height / 2;
+  const to = computeDropToIndex(touchQueueDrag.fromIndex, toTarget, placeAfter);
+
+  clearQueueDragOverStates(queueList);
+  overItem.classList.add('is-drag-over');
+  touchQueueDrag.toIndex = to;
+}
+
+function finishTouchQueueDrag(event) {
+  if (!touchQueueDrag) return;
+  if (event.pointerId !== touchQueueDrag.pointerId) return;
+
+  const { queueList, fromIndex, toIndex } = touchQueueDrag;
+  touchQueueDrag = null;
+
+  if (touchQueueDragListenersAttached) {
+    document.removeEventListener('pointermove', handleTouchQueueDragMove);
+    document.removeEventListener('pointerup', finishTouchQueueDrag);
+    document.removeEventListener('pointercancel', finishTouchQueueDrag);
+    touchQueueDragListenersAttached = false;
+  }
+
+  queueList.classList.remove('is-touch-dragging');
+  clearQueueDragOverStates(queueList);
+
+  if (toIndex == null || fromIndex === toIndex) return;
+
+  let to = toIndex;
+  // Keep the current track pinned at the top of the queue.
+  if (playbackIndex >= 0 && to <= playbackIndex) {
+    to = playbackIndex + 1;
+  }
+
+  movePlaybackItem(fromIndex, to);
+  renderQueue();
+}
+
+function computeDropToIndex(fromIndex, targetIndex, placeAfter) {
+  let to = targetIndex + (placeAfter ? 1 : 0);
+  // Convert from "original" index space to post-removal index space.
+  if (fromIndex < to) to -= 1;
+  return to;
+}
+
+/**
+ * Render the queue (draggable reorder)
+ */
+export function renderQueue() {
+  const queueList = document.getElementById('queueList');
+  if (!queueList) return;
+
+  const toggleQueueExpanded = document.getElementById('toggleQueueExpanded');
+  const currentIndex = Math.max(0, playbackIndex);
+  const upcomingCount = Math.max(0, playbackList.length - currentIndex);
+
+  if (toggleQueueExpanded) {
+    const needsToggle = upcomingCount > QUEUE_COLLAPSED_COUNT;
+    toggleQueueExpanded.style.display = needsToggle ? 'inline-flex' : 'none';
+    toggleQueueExpanded.textContent = isQueueExpanded ? 'Less' : 'More';
+    toggleQueueExpanded.setAttribute('aria-expanded', isQueueExpanded ? 'true' : 'false');
+  }
+
+  queueList.innerHTML = '';
+
+  if (!playbackList.length || playbackIndex < 0) {
+    queueList.innerHTML = '<p class="empty-queue">Queue is empty</p>';
+    handlers.onRender?.({ empty: true });
+    return;
+  }
+
+  // Always keep the currently playing song at the top of the queue UI.
+  let startIndex = currentIndex;
+  let endIndex = playbackList.length;
+  if (!isQueueExpanded) {
+    endIndex = Math.min(playbackList.length, startIndex + QUEUE_COLLAPSED_COUNT);
+  }
+
+  for (let index = startIndex; index < endIndex; index++) {
+    const song = playbackList[index];
+    const item = document.createElement('div');
+    item.className = 'queue-item' + (index === playbackIndex ? ' active' : '');
+    item.dataset.playbackIndex = String(index);
+
+    const handle = document.createElement('div');
+    handle.className = 'queue-handle';
+    handle.textContent = '⋮⋮';
+    // Don't allow reordering the currently playing track.
+    handle.draggable = index !== playbackIndex && !isCoarsePointer();
+    handle.setAttribute('aria-label', 'Drag to reorder');
+
+    if (isCoarsePointer() && index !== playbackIndex) {
+      handle.addEventListener('pointerdown', (event) => {
+        // Only handle touch/pen here; mouse uses HTML5 drag.
+        if (event.pointerType === 'mouse') return;
+        event.preventDefault();
+        startTouchQueueDrag(event, index, item, queueList);
+      }, { passive: false });
+    }
+
+    const meta = document.createElement('div');
+    meta.className = 'queue-meta';
+
+    const title = document.createElement('div');
+    title.className = 'queue-title';
+    title.textContent = song?.title || 'Unknown';
+
+    const artist = document.createElement('div');
+    artist.className = 'queue-artist';
+    artist.textContent = song?.artist || 'Unknown Artist';
+
+    meta.appendChild(title);
+    meta.appendChild(artist);
+
+    const removeBtn = document.createElement('button');
+    removeBtn.type = 'button';
+    removeBtn.className = 'queue-remove';
+    removeBtn.setAttribute('aria-label', 'Remove from queue');
+    removeBtn.textContent = '✕';
+
+    item.appendChild(handle);
+    item.appendChild(meta);
+    item.appendChild(removeBtn);
+
+    item.addEventListener('dblclick', () => {
+      if (!playbackList[index]) return;
+      setPlaybackIndex(index);
+      handlers.onPlay?.(playbackList[index]);
+    });
+
+    handle.addEventListener('dragstart', (event) => {
+      if (index === playbackIndex) {
+        event.preventDefault();
+        return;
+      }
+      draggingPlaybackIndex = index;
+      item.classList.add('is-dragging');
+      if (event.dataTransfer) {
+        event.dataTransfer.effectAllowed = 'move';
+        event.dataTransfer.setData('text/plain', String(index));
+      }
+    });
+
+    handle.addEventListener('dragend', () => {
+      draggingPlaybackIndex = null;
+      item.classList.remove('is-dragging');
+      queueList.querySelectorAll('.queue-item.is-drag-over').forEach((el) => {
+        el.classList.remove('is-drag-over');
+      });
+    });
+
+    removeBtn.addEventListener('click', (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+
+      const result = removePlaybackItem(index);
+      if (!result) return;
+
+      if (result.removedWasCurrent) {
+        if (result.newIndex >= 0) {
+          handlers.onPlay?.(playbackList[result.newIndex]);
+        } else {
+          // Queue is empty: stop playback.
+          handlers.onQueueEmptied?.();
+        }
+      }
+
+      renderQueue();
+    });
+
+    item.addEventListener('dragover', (event) => {
+      if (draggingPlaybackIndex == null) return;
+      event.preventDefault();
+      queueList.querySelectorAll('.queue-item.is-drag-over').forEach((el) => {
+        if (el !== item) el.classList.remove('is-drag-over');
+      });
+      item.classList.add('is-drag-over');
+    });
+
+    item.addEventListener('dragleave', () => {
+      item.classList.remove('is-drag-over');
+    });
+
+    item.addEventListener('drop', (event) => {
+      event.preventDefault();
+
+      let from = draggingPlaybackIndex;
+      if (from == null) {
+        const raw = event.dataTransfer?.getData('text/plain');
+        const num = Number(raw);
+        from = Number.isFinite(num) ? Math.trunc(num) : null;
+      }
+
+      const toTarget = Number(item.dataset.playbackIndex);
+      if (from == null || !Number.isFinite(toTarget)) return;
+
+      const rect = item.getBoundingClientRect();
+      const placeAfter = (event.clientY - rect.top) > rect.height / 2;
+      let to = computeDropToIndex(from, toTarget, placeAfter);
+      // Keep the current track pinned at the top of the queue.
+      if (playbackIndex >= 0 && to <= playbackIndex) {
+        to = playbackIndex + 1;
+      }
+
+      item.classList.remove('is-drag-over');
+      if (from === to) return;
+
+      movePlaybackItem(from, to);
+      renderQueue();
+    });
+
+    queueList.appendChild(item);
+  }
+
+  // Let other UI surfaces (fullscreen now playing, etc.) stay in sync.
+  document.dispatchEvent(new CustomEvent('queueUpdated'));
+
+  handlers.onRender?.({ empty: false });
+}
+
+/**
+ * Wire up the queue panel's expand toggle and remember the player's handlers.
+ * @param {Object} options
+ * @param {Function} options.onPlay - (song) Play a queue entry; the playback index already points at it
+ * @param {Function} options.onQueueEmptied - The current song was removed and nothing is left
+ * @param {Function} options.onRender - ({ empty }) After every render
+ */
+export function initQueuePanel(options = {}) {
+  handlers = options;
+
+  const toggleQueueExpanded = document.getElementById('toggleQueueExpanded');
+  toggleQueueExpanded?.addEventListener('click', () => {
+    isQueueExpanded = !isQueueExpanded;
+    renderQueue();
+  });
+}
@@ -0,0 +1,91 @@
+// ReplayGain / loudness normalization
+// Songs carry `replayGain` from the scanner: gains read from ReplayGain/R128
+// tags, or measured by the server's loudness analysis (see
+// backend/analyzer/loudnessAnalyzer.js). The gain is applied through each
+// element's Web Audio gain node, since element.volume can't go above 1.
+//
+// Track mode levels every song to the same loudness; album mode keeps the
+// loudness differences within an album and falls back to track gain for songs
+// without an album gain. Songs without loudness data play unchanged.
+import { ensureAudioGraph, setElementGain } from './audioGraph.js';
+
+const PREF_REPLAY_GAIN_KEY = 'player0.replayGain.v1';
+
+export const REPLAY_GAIN_MODES = ['off', 'track', 'album'];
+export const MAX_PREAMP_DB = 12;
+
+const DEFAULT_PREFERENCE = { mode: 'off', preampDb: 0 };
+
+const elementSongs = new Map(); // element -> song it's loaded with
+
+/**
+ * Read the stored ReplayGain settings.
+ * @returns {{ mode: 'off'|'track'|'album', preampDb: number }}
+ */
+export function getReplayGainPreference() {
+  try {
+    const raw = localStorage.getItem(PREF_REPLAY_GAIN_KEY);
+    const parsed = raw ? JSON.parse(raw) : null;
+    const mode = REPLAY_GAIN_MODES.includes(parsed?.mode) ? parsed.mode : DEFAULT_PREFERENCE.mode;
+    const preampDb = Number(parsed?.preampDb);
+    return {
+      mode,
+      preampDb: Number.isFinite(preampDb) ? Math.max(-MAX_PREAMP_DB, Math.min(MAX_PREAMP_DB, preampDb)) : 0
+    };
+  } catch {
+    return { ...DEFAULT_PREFERENCE };
+  }
+}
+
+/**
+ * Persist ReplayGain settings and apply them to what's playing.
+ * @param {{ mode?: string, preampDb?: number }} updates
+ */
+export function setReplayGainPreference(updates = {}) {
+  const current = getReplayGainPreference();
+  const mode = REPLAY_GAIN_MODES.includes(updates.mode) ? updates.mode : current.mode;
+  const preampDb = updates.preampDb !== undefined && Number.isFinite(Number(updates.preampDb))
+    ? Math.max(-MAX_PREAMP_DB, Math.min(MAX_PREAMP_DB, Math.round(Number(updates.preampDb))))
+    : current.preampDb;
+  try {
+    localStorage.setItem(PREF_REPLAY_GAIN_KEY, JSON.stringify({ mode, preampDb }));
+  } catch {
+    // ignore
+  }
+  elementSongs.forEach((song, el) => applyReplayGain(el, song));
+}
+
+/**
+ * Linear gain for a song under the given settings.
+ * Peaks limit the gain so loud tracks aren't pushed into clipping.
+ * @param {Object} song
+ * @param {{ mode: string, preampDb: number }} [preference]
+ * @returns {number} 1 = unchanged
+ */
+export function replayGainFor(song, preference = getReplayGainPreference()) {
+  const rg = song?.replayGain;
+  if (!rg || preference.mode === 'off') return 1;
+
+  const useAlbum = preference.mode === 'album' && Number.isFinite(rg.albumGain);
+  const gainDb = useAlbum ? rg.albumGain : rg.trackGain;
+  if (!Number.isFinite(gainDb)) return 1;
+
+  const peak = useAlbum ? (rg.albumPeak ?? rg.trackPeak) : rg.trackPeak;
+  const gain = Math.pow(10, (gainDb + preference.preampDb) / 20);
+  return Number.isFinite(peak) && peak > 0 ? Math.min(gain, 1 / peak) : gain;
+}
+
+/**
+ * Set an element's gain for the song it's about to play.
+ * Builds the Web Audio graph the first time normalization is needed.
+ * @param {HTMLAudioElement} el
+ * @param {Object} song
+ */
+export function applyReplayGain(el, song) {
+  if (!el) return;
+  elementSongs.set(el, song);
+
+  const preference = getReplayGainPreference();
+  if (preference.mode !== 'off') ensureAudioGraph();
+  setElementGain(el, replayGainFor(song, preference));
+}
@@ -0,0 +1,96 @@
+// Silence trimming
+// The server finds each song's silent intro and outro while drawing its
+// waveform (see backend/analyzer/waveformAnalyzer.js) and stores where the
+// audio starts and ends as `startOffset` / `endOffset`. With trimming on,
+// playback starts at startOffset and moves on to the next song at endOffset.
+//
+// A song's own `trimSilence` (true / false, set in the song editor) wins over
+// the global switch, e.g. to keep a hidden track's lead-in or a live intro.
+
+const PREF_TRIM_SILENCE_KEY = 'player0.trimSilence.v1';
+
+// Position at the last check, to notice playback reaching a trimmed outro.
+let lastPosition = null;
+
+/**
+ * Whether silent intros and outros are skipped (for songs without their own setting).
+ * @returns {boolean}
+ */
+export function getTrimSilencePreference() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(PREF_TRIM_SILENCE_KEY) || 'null');
+    return parsed?.enabled === true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Turn skipping silent intros and outros on or off. Applies from the next song.
+ * @param {boolean} enabled
+ */
+export function setTrimSilencePreference(enabled) {
+  try {
+    localStorage.setItem(PREF_TRIM_SILENCE_KEY, JSON.stringify({ enabled: Boolean(enabled) }));
+  } catch {
+    // ignore
+  }
+}
+
+/**
+ * Where a song should start and stop playing.
+ * @param {Object} song
+ * @returns {{ start: number, end: number|null }} Seconds; start 0 and end null
+ *   play the whole file (trimming off, or no silence found)
+ */
+export function silenceTrim(song) {
+  const enabled = typeof song?.trimSilence === 'boolean' ? song.trimSilence : getTrimSilencePreference();
+  if (!enabled) return { start: 0, end: null };
+
+  const startOffset = Number(song.startOffset);
+  const endOffset = Number(song.endOffset);
+  const start = Number.isFinite(startOffset) && startOffset > 0 ? startOffset : 0;
+  return {
+    start,
+    end: song.endOffset != null && Number.isFinite(endOffset) && endOffset > start ? endOffset : null
+  };
+}
+
+/**
+ * Start a preloading element past its song's silent intro once it knows its length.
+ * @param {HTMLAudioElement} el
+ * @param {Object} song
+ */
+export function skipIntroWhenLoaded(el, song) {
+  const { start } = silenceTrim(song);
+  if (start <= 0) return;
+  const src = el.src;
+  el.addEventListener('loadedmetadata', () => {
+    // The preload may have been replaced before its metadata arrived.
+    if (el.src === src) el.currentTime = start;
+  }, { once: true });
+}
+
+/**
+ * Whether playback just crossed the song's trimmed outro. Call on every
+ * timeupdate; only crossing it counts, so seeking into the outro still plays it.
+ * @param {Object} song
+ * @param {number} position - Current position in seconds
+ * @returns {boolean}
+ */
+export function reachedTrimEnd(song, position) {
+  const previous = lastPosition;
+  lastPosition = Number(position) || 0;
+
+  const { end } = silenceTrim(song);
+  if (end == null || previous == null || !(previous < end && lastPosition >= end)) return false;
+  lastPosition = null;
+  return true;
+}
+
+/**
+ * Forget the last position (after a seek), so a jump past the outro doesn't end the track.
+ */
+export function resetTrimEnd() {
+  lastPosition = null;
+}
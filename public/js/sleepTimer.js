@@ -0,0 +1,314 @@
+// Sleep timer
+// Pauses playback at a set time (after some minutes, or at a time of day),
+// or lets the current track finish first ("stop after track"). An optional
+// fade lowers the mixer's output over the last seconds (see setOutputFade()
+// in gapless.js). A running timer survives reloads.
+import { setOutputFade } from './gapless.js';
+
+const SLEEP_TIMER_KEY = 'player0.sleepTimer.v1';
+let sleepTimerTargetAt = null;
+let sleepTimerIntervalId = null;
+let sleepTimerMode = 'pause';
+let sleepTimerFadeSeconds = 0;
+let sleepTimerPendingStopAfterTrack = false;
+let getAudio = () => null;
+
+function safeJsonParse(raw) {
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return null;
+  }
+}
+
+function formatRemaining(seconds) {
+  const s = Math.max(0, Math.trunc(Number(seconds) || 0));
+  const h = Math.floor(s / 3600);
+  const m = Math.floor((s % 3600) / 60);
+  const sec = s % 60;
+  if (h > 0) return `${h}:${String(m).padStart(2, '0')}:${String(sec).padStart(2, '0')}`;
+  return `${m}:${String(sec).padStart(2, '0')}`;
+}
+
+function getSleepTimerRemainingSeconds() {
+  if (!sleepTimerTargetAt) return null;
+  const diffMs = sleepTimerTargetAt - Date.now();
+  if (diffMs <= 0) return 0;
+  return Math.ceil(diffMs / 1000);
+}
+
+// The fade scales the mixer's output, so the user's volume and crossfades are untouched.
+function restoreSleepTimerVolume() {
+  setOutputFade(1);
+}
+
+function applySleepTimerFade(ratio) {
+  setOutputFade(Math.max(0, Math.min(1, Number(ratio))));
+}
+
+function updateSleepTimerUI() {
+  const badge = document.getElementById('miniSleepTimer');
+  const status = document.getElementById('sleepTimerStatus');
+  const btn = document.getElementById('sleepTimerButton');
+
+  const remaining = getSleepTimerRemainingSeconds();
+  if (remaining == null) {
+    if (badge) {
+      badge.textContent = '';
+      badge.classList.remove('is-active');
+    }
+    if (status) status.textContent = '';
+    if (btn) {
+      btn.classList.remove('is-active');
+      btn.title = 'Sleep timer';
+    }
+    return;
+  }
+
+  const text = sleepTimerPendingStopAfterTrack
+    ? 'Stopping after this track'
+    : `Sleep in ${formatRemaining(remaining)}`;
+  if (badge) {
+    badge.textContent = text;
+    badge.classList.add('is-active');
+  }
+  if (status) status.textContent = text;
+  if (btn) {
+    btn.classList.add('is-active');
+    btn.title = text;
+  }
+}
+
+function stopSleepTimerInterval() {
+  if (sleepTimerIntervalId) {
+    clearInterval(sleepTimerIntervalId);
+    sleepTimerIntervalId = null;
+  }
+}
+
+function persistSleepTimer() {
+  try {
+    if (!sleepTimerTargetAt) {
+      localStorage.removeItem(SLEEP_TIMER_KEY);
+      return;
+    }
+    localStorage.setItem(SLEEP_TIMER_KEY, JSON.stringify({
+      targetAt: sleepTimerTargetAt,
+      mode: sleepTimerMode,
+      fadeSeconds: sleepTimerFadeSeconds
+    }));
+  } catch {
+    // ignore
+  }
+}
+
+function restoreSleepTimer() {
+  try {
+    const raw = localStorage.getItem(SLEEP_TIMER_KEY);
+    if (!raw) return;
+    const parsed = safeJsonParse(raw);
+    const targetAt = Number(parsed?.targetAt);
+    if (!Number.isFinite(targetAt) || targetAt <= Date.now()) {
+      localStorage.removeItem(SLEEP_TIMER_KEY);
+      return;
+    }
+    sleepTimerTargetAt = targetAt;
+    sleepTimerMode = (parsed?.mode === 'endOfTrack') ? 'endOfTrack' : 'pause';
+    sleepTimerFadeSeconds = Number.isFinite(Number(parsed?.fadeSeconds)) ? Math.max(0, Math.trunc(Number(parsed.fadeSeconds))) : 0;
+    sleepTimerPendingStopAfterTrack = false;
+    restoreSleepTimerVolume();
+    startSleepTimerInterval();
+    updateSleepTimerUI();
+  } catch {
+    // ignore
+  }
+}
+
+/**
+ * Stop the timer and undo its fade.
+ */
+export function cancelSleepTimer() {
+  sleepTimerTargetAt = null;
+  sleepTimerMode = 'pause';
+  sleepTimerFadeSeconds = 0;
+  sleepTimerPendingStopAfterTrack = false;
+  restoreSleepTimerVolume();
+  stopSleepTimerInterval();
+  persistSleepTimer();
+  updateSleepTimerUI();
+}
+
+function startSleepTimerAt(targetAt, options = {}) {
+  const t = Number(targetAt);
+  if (!Number.isFinite(t) || t <= Date.now()) return;
+
+  sleepTimerTargetAt = t;
+  sleepTimerMode = options?.mode === 'endOfTrack' ? 'endOfTrack' : 'pause';
+  sleepTimerFadeSeconds = Number.isFinite(Number(options?.fadeSeconds)) ? Math.max(0, Math.trunc(Number(options.fadeSeconds))) : 0;
+  sleepTimerPendingStopAfterTrack = false;
+  restoreSleepTimerVolume();
+
+  persistSleepTimer();
+  startSleepTimerInterval();
+  updateSleepTimerUI();
+}
+
+function startSleepTimer(minutes, options = {}) {
+  const m = Number(minutes);
+  if (!Number.isFinite(m) || m <= 0) return;
+  startSleepTimerAt(Date.now() + Math.trunc(m * 60 * 1000), options);
+}
+
+function computeNextTimeTargetAt(hhmm) {
+  const raw = String(hhmm || '').trim();
+  const m = raw.match(/^(\d{1,2}):(\d{2})$/);
+  if (!m) return null;
+  const h = Number(m[1]);
+  const min = Number(m[2]);
+  if (!Number.isFinite(h) || !Number.isFinite(min)) return null;
+  if (h < 0 || h > 23 || min < 0 || min > 59) return null;
+
+  const now = new Date();
+  const target = new Date(now);
+  target.setHours(h, min, 0, 0);
+  if (target.getTime() <= now.getTime()) {
+    target.setDate(target.getDate() + 1);
+  }
+  return target.getTime();
+}
+
+function startSleepTimerInterval() {
+  stopSleepTimerInterval();
+  sleepTimerIntervalId = setInterval(() => {
+    const remaining = getSleepTimerRemainingSeconds();
+    if (remaining == null) return;
+
+    updateSleepTimerUI();
+
+    // Fade behavior
+    if (!sleepTimerPendingStopAfterTrack && sleepTimerMode === 'pause' && sleepTimerFadeSeconds > 0 && remaining > 0 && remaining <= sleepTimerFadeSeconds) {
+      applySleepTimerFade(remaining / sleepTimerFadeSeconds);
+    }
+
+    const audio = getAudio();
+    if (sleepTimerPendingStopAfterTrack && sleepTimerFadeSeconds > 0 && audio) {
+      const dur = Number(audio.duration);
+      const ct = Number(audio.currentTime);
+      if (Number.isFinite(dur) && dur > 0 && Number.isFinite(ct) && ct >= 0) {
+        const trackRemaining = Math.max(0, dur - ct);
+        if (trackRemaining <= sleepTimerFadeSeconds) {
+          applySleepTimerFade(trackRemaining / sleepTimerFadeSeconds);
+        }
+      }
+    }
+
+    if (remaining <= 0) {
+      if (sleepTimerMode === 'endOfTrack') {
+        sleepTimerPendingStopAfterTrack = true;
+        // Keep interval running to update UI + allow end-of-track fade.
+        updateSleepTimerUI();
+        return;
+      }
+
+      if (audio) {
+        audio.pause();
+      }
+      cancelSleepTimer();
+    }
+  }, 1000);
+}
+
+/**
+ * Whether the timer ran out and playback should stop once this track ends.
+ * @returns {boolean}
+ */
+export function isStoppingAfterTrack() {
+  return sleepTimerPendingStopAfterTrack;
+}
+
+/**
+ * Restore a running timer and wire up the sleep timer dialog.
+ * @param {Function} getAudioElement - () -> the element playing the current song
+ */
+export function initSleepTimer(getAudioElement) {
+  getAudio = getAudioElement;
+  restoreSleepTimer();
+
+  const sleepTimerButton = document.getElementById('sleepTimerButton');
+  const sleepTimerModal = document.getElementById('sleepTimerModal');
+  const sleepTimerMinutes = document.getElementById('sleepTimerMinutes');
+  const startSleepTimerBtn = document.getElementById('startSleepTimer');
+  const cancelSleepTimerBtn = document.getElementById('cancelSleepTimer');
+
+  const stopAfterTrackEl = document.getElementById('sleepStopAfterTrack');
+  const fadeEnabledEl = document.getElementById('sleepFadeEnabled');
+  const fadeSecondsEl = document.getElementById('sleepFadeSeconds');
+  const endAtTimeEl = document.getElementById('sleepEndAtTime');
+  const setEndAtBtn = document.getElementById('sleepSetEndAt');
+
+  const openSleepModal = () => {
+    if (!sleepTimerModal) return;
+    sleepTimerModal.style.display = 'flex';
+    updateSleepTimerUI();
+
+     if (stopAfterTrackEl) stopAfterTrackEl.checked = sleepTimerMode === 'endOfTrack';
+     if (fadeEnabledEl) fadeEnabledEl.checked = sleepTimerFadeSeconds > 0;
+     if (fadeSecondsEl) fadeSecondsEl.value = sleepTimerFadeSeconds > 0 ? String(sleepTimerFadeSeconds) : '';
+
+    if (sleepTimerMinutes) {
+      sleepTimerMinutes.focus();
+    }
+  };
+
+  sleepTimerButton?.addEventListener('click', (event) => {
+    event.preventDefault();
+    openSleepModal();
+  });
+
+  document.getElementById('sleepPreset15')?.addEventListener('click', () => {
+    if (sleepTimerMinutes) sleepTimerMinutes.value = '15';
+  });
+  document.getElementById('sleepPreset30')?.addEventListener('click', () => {
+    if (sleepTimerMinutes) sleepTimerMinutes.value = '30';
+  });
+  document.getElementById('sleepPreset60')?.addEventListener('click', () => {
+    if (sleepTimerMinutes) sleepTimerMinutes.value = '60';
+  });
+
+  startSleepTimerBtn?.addEventListener('click', () => {
+    const minutes = Number(sleepTimerMinutes?.value);
+    if (!Number.isFinite(minutes) || minutes <= 0) {
+      alert('Enter a valid number of minutes');
+      return;
+    }
+
+    const mode = stopAfterTrackEl?.checked ? 'endOfTrack' : 'pause';
+    const fadeSeconds = (fadeEnabledEl?.checked)
+      ? Math.max(1, Math.min(60, Math.trunc(Number(fadeSecondsEl?.value || 10))))
+      : 0;
+
+    startSleepTimer(minutes, { mode, fadeSeconds });
+    if (sleepTimerModal) sleepTimerModal.style.display = 'none';
+  });
+
+  setEndAtBtn?.addEventListener('click', () => {
+    const targetAt = computeNextTimeTargetAt(endAtTimeEl?.value);
+    if (!targetAt) {
+      alert('Enter a valid time');
+      return;
+    }
+
+    const mode = stopAfterTrackEl?.checked ? 'endOfTrack' : 'pause';
+    const fadeSeconds = (fadeEnabledEl?.checked)
+      ? Math.max(1, Math.min(60, Math.trunc(Number(fadeSecondsEl?.value || 10))))
+      : 0;
+
+    startSleepTimerAt(targetAt, { mode, fadeSeconds });
+    if (sleepTimerModal) sleepTimerModal.style.display = 'none';
+  });
+
+  cancelSleepTimerBtn?.addEventListener('click', () => {
+    cancelSleepTimer();
+    if (sleepTimerModal) sleepTimerModal.style.display = 'none';
+  });
+}
@@ -228,6 +228,14 @@ export function getNext() {
   return null;
 }
 
+/**
+ * Song getNext() would move to, without moving
+ * @returns {any} - The next song or null
+ */
+export function peekNext() {
+  return hasNext() ? playbackList[playbackIndex + 1] : null;
+}
+
 /**
  * Move to previous song
  * @returns {any} - The previous song or null
@@ -0,0 +1,175 @@
+// Stream URL selection
+// Picks the original file when the browser can decode it, otherwise asks the
+// backend to transcode (see GET /api/stream/:id?format=...). A quality profile
+// (from Settings or navigator.connection) can lower the bitrate for mobile data.
+import { songStreamUrl } from './api.js';
+
+const PREF_STREAM_QUALITY_KEY = 'player0.streamQuality.v1';
+
+// Must match STREAM_PROFILES in backend/streaming/transcoder.js (bitrate in kbps).
+export const STREAM_PROFILES = {
+  original: { label: 'Original', bitrate: null },
+  high: { label: 'High (256 kbps)', bitrate: 256 },
+  normal: { label: 'Normal (128 kbps)', bitrate: 128 },
+  low: { label: 'Low (64 kbps)', bitrate: 64 }
+};
+
+// MIME types by music-metadata container name (lowercased) or file extension.
+const SOURCE_MIME_TYPES = {
+  mpeg: 'audio/mpeg',
+  mp3: 'audio/mpeg',
+  flac: 'audio/flac',
+  ogg: 'audio/ogg',
+  oga: 'audio/ogg',
+  opus: 'audio/ogg; codecs=opus',
+  'mpeg-4': 'audio/mp4',
+  m4a: 'audio/mp4',
+  mp4: 'audio/mp4',
+  aac: 'audio/aac',
+  adts: 'audio/aac',
+  wave: 'audio/wav',
+  wav: 'audio/wav',
+  asf: 'audio/x-ms-wma',
+  wma: 'audio/x-ms-wma'
+};
+
+// Preferred transcode targets, best first.
+const TRANSCODE_CANDIDATES = [
+  { format: 'opus', mimeType: 'audio/ogg; codecs=opus' },
+  { format: 'aac', mimeType: 'audio/mp4' },
+  { format: 'mp3', mimeType: 'audio/mpeg' }
+];
+
+const canPlayCache = new Map();
+
+function canPlay(audioEl, mimeType) {
+  if (!audioEl || !mimeType) return false;
+  if (canPlayCache.has(mimeType)) return canPlayCache.get(mimeType);
+
+  let result = false;
+  try {
+    result = audioEl.canPlayType(mimeType) !== '';
+  } catch {
+    result = false;
+  }
+  canPlayCache.set(mimeType, result);
+  return result;
+}
+
+function fileExtension(filePath) {
+  const m = String(filePath || '').match(/\.([a-z0-9]+)$/i);
+  return m ? m[1].toLowerCase() : '';
+}
+
+/**
+ * Guess the source MIME type of a song from its format/extension.
+ * @param {Object} song
+ * @returns {string|null} MIME type or null when unknown
+ */
+export function sourceMimeType(song) {
+  const ext = fileExtension(song?.filePath);
+  if (ext === 'opus') return SOURCE_MIME_TYPES.opus;
+
+  const container = String(song?.format || '').toLowerCase().split('/')[0].trim();
+  return SOURCE_MIME_TYPES[container] || SOURCE_MIME_TYPES[ext] || null;
+}
+
+/**
+ * Pick the best transcode format this browser can decode.
+ * @param {HTMLAudioElement} audioEl
+ * @returns {string} Format name understood by the stream endpoint
+ */
+export function preferredTranscodeFormat(audioEl) {
+  const match = TRANSCODE_CANDIDATES.find((c) => canPlay(audioEl, c.mimeType));
+  return match ? match.format : 'mp3';
+}
+
+/**
+ * Read the stored stream quality preference.
+ * @returns {string} 'auto' or a STREAM_PROFILES key
+ */
+export function getStreamQualityPreference() {
+  try {
+    const raw = localStorage.getItem(PREF_STREAM_QUALITY_KEY);
+    const parsed = raw ? JSON.parse(raw) : null;
+    if (parsed?.profile && Object.prototype.hasOwnProperty.call(STREAM_PROFILES, parsed.profile)) {
+      return parsed.profile;
+    }
+  } catch {
+    // ignore
+  }
+  return 'auto';
+}
+
+/**
+ * Persist the stream quality preference ('auto' or a STREAM_PROFILES key).
+ * Applies from the next loaded song.
+ */
+export function setStreamQualityPreference(profile) {
+  const value = Object.prototype.hasOwnProperty.call(STREAM_PROFILES, profile) ? profile : 'auto';
+  try {
+    localStorage.setItem(PREF_STREAM_QUALITY_KEY, JSON.stringify({ profile: value }));
+  } catch {
+    // ignore
+  }
+}
+
+// Map the Network Information API (Chromium/Android only) to a profile.
+function profileFromConnection() {
+  const connection = navigator.connection;
+  if (!connection) return 'original';
+
+  if (connection.saveData) return 'low';
+
+  const effectiveType = String(connection.effectiveType || '');
+  if (effectiveType === 'slow-2g' || effectiveType === '2g') return 'low';
+  if (effectiveType === '3g') return 'normal';
+
+  // downlink is an estimate in Mbps; a lossless stream wants a few Mbps of headroom.
+  if (typeof connection.downlink === 'number' && connection.downlink > 0 && connection.downlink < 2) {
+    return 'normal';
+  }
+
+  if (connection.type === 'cellular') return 'high';
+  return 'original';
+}
+
+/**
+ * Resolve the profile to stream with right now.
+ * @returns {string} A STREAM_PROFILES key
+ */
+export function resolveStreamProfile() {
+  const preference = getStreamQualityPreference();
+  return preference === 'auto' ? profileFromConnection() : preference;
+}
+
+/**
+ * Build the stream URL for a song, requesting a transcode when the browser
+ * can't play the original container or the active profile asks for a lower bitrate.
+ * @param {Object} song
+ * @param {HTMLAudioElement} audioEl - Used for canPlayType() checks
+ * @returns {string}
+ */
+export function streamUrlForSong(song, audioEl) {
+  const mimeType = sourceMimeType(song);
+  const profile = resolveStreamProfile();
+  const profileBitrate = STREAM_PROFILES[profile]?.bitrate ?? null;
+
+  // Unknown format (e.g. a restored queue item without metadata): try the original.
+  const playable = !mimeType || canPlay(audioEl, mimeType);
+
+  // Don't "downgrade" a source that is already at or below the profile's bitrate.
+  const sourceKbps = Number(song?.bitrate) > 0 ? Number(song.bitrate) / 1000 : null;
+  const withinProfile = profileBitrate == null || (sourceKbps != null && sourceKbps <= profileBitrate);
+
+  if (playable && withinProfile) {
+    return songStreamUrl(song.id);
+  }
+
+  const format = preferredTranscodeFormat(audioEl);
+  if (withinProfile) {
+    return songStreamUrl(song.id, { format });
+  }
+
+  return songStreamUrl(song.id, { profile, format });
+}
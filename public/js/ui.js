@@ -18,7 +18,7 @@ export function renderSongs(songs, onPlaySong) {
   if (songs.length === 0) {
     tbody.innerHTML = `
     <tr>
-      <td colspan="8" class="empty-state">
+      <td colspan="9" class="empty-state">
         <div class="empty-state-content">
           <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="64" height="64">
             <path d="M9 18V5l12-2v13M9 18l-5 1V6l5-1M9 18l5-1m0-13V6"/>
@@ -29,6 +29,7 @@ export function renderSongs(songs, onPlaySong) {
       </td>
     </tr>`;
 
+    document.dispatchEvent(new CustomEvent('player0:songsRendered', { detail: { songs } }));
     return;
   }
   
@@ -37,8 +38,12 @@ export function renderSongs(songs, onPlaySong) {
     tr.classList.add('anim-stagger-item');
     tr.style.setProperty('--i', String(index));
 
+    tr.dataset.songId = String(song.id);
+    tr.dataset.songIndex = String(index);
+
     tr.innerHTML = buildSongRowHtml(song, index, {
       context: 'library',
+      showSelect: true,
       showTrack: false,
       showDrag: false,
       showPlays: true,
@@ -54,6 +59,9 @@ export function renderSongs(songs, onPlaySong) {
   
   // Setup lazy loading for newly added images
   setupLazyImages(tbody);
+
+  // Multi-select (songSelection.js) re-applies the selection to the new rows.
+  document.dispatchEvent(new CustomEvent('player0:songsRendered', { detail: { songs } }));
 }
 
 /**
@@ -84,7 +92,8 @@ export function renderAlbums(albums, onAlbumClick) {
     card.className = 'album-card';
     card.classList.add('anim-stagger-item');
     card.style.setProperty('--i', String(index));
-    const coverUrl = album.songs && album.songs[0] ? albumCoverUrl(album.songs[0].id) : '';
+    const coverSongId = album.coverSongId || album.songs?.[0]?.id;
+    const coverUrl = coverSongId ? albumCoverUrl(coverSongId, 256) : '';
     const albumTitle = album.album || 'Unknown Album';
     const truncatedTitle = albumTitle.length > 25 ? albumTitle.substring(0, 25) + '...' : albumTitle;
     card.innerHTML = `
@@ -122,11 +131,12 @@ export function renderAlbumDetail(album, onPlaySong) {
   // Set album artwork
   const albumArtwork = document.getElementById('albumArtwork');
   albumArtwork.style.display = 'block';
-  if (album.songs && album.songs[0]) {
+  const coverSongId = album.coverSongId || album.songs?.[0]?.id;
+  if (coverSongId) {
     albumArtwork.onerror = () => {
       albumArtwork.style.display = 'none';
     };
-    albumArtwork.src = albumCoverUrl(album.songs[0].id);
+    albumArtwork.src = albumCoverUrl(coverSongId, 600);
   } else {
     albumArtwork.style.display = 'none';
   }
@@ -289,7 +299,7 @@ export function renderStats(stats) {
       <div class="stat-preview">
         ${mostPlayedPreview.length ? mostPlayedPreview.map(song => `
           <div class="stat-preview-item">
-            ${lazyImageHtml(songCoverUrl(song.id), song.title, 'stat-preview-cover')}
+            ${lazyImageHtml(songCoverUrl(song.id, 64), song.title, 'stat-preview-cover')}
             <div style="min-width: 0;">
               <div class="stat-preview-primary">${escapeHtml(song.title || 'Unknown')}</div>
               <div class="stat-preview-secondary">${escapeHtml(song.artist || 'Unknown Artist')}</div>
@@ -365,7 +375,7 @@ export function renderStats(stats) {
           const timeAgo = play.playedAt ? getTimeAgo(new Date(play.playedAt)) : '';
           return `
             <div class="stat-preview-item">
-              ${lazyImageHtml(songCoverUrl(play.id), play.title, 'stat-preview-cover')}
+              ${lazyImageHtml(songCoverUrl(play.id, 64), play.title, 'stat-preview-cover')}
               <div style="min-width: 0;">
                 <div class="stat-preview-primary">${escapeHtml(play.title || 'Unknown')}</div>
                 <div class="stat-preview-secondary">${escapeHtml(play.artist || 'Unknown Artist')}</div>
@@ -387,7 +397,7 @@ export function renderStats(stats) {
   
   // Try to render activity heatmap (optional enhancement)
   try {
-      import('./app/uiFeatures.js').then(({ renderActivityHeatmap, renderTopCards }) => {
+      import('./app/statsWidgets.js').then(({ renderActivityHeatmap, renderTopCards }) => {
       // Remove existing containers first to avoid duplicates
       document.getElementById('statsHeatmap')?.remove();
       document.getElementById('statsTopCards')?.remove();
@@ -428,9 +438,9 @@ export function renderStats(stats) {
       if (topArtists.length > 0 || topAlbums.length > 0) {
         renderTopCards(topCardsContainer, { topArtists, topAlbums });
       }
-      }).catch(() => { /* optional UI features not available */ });
+      }).catch(() => { /* stats widgets not available */ });
   } catch (e) {
-      // Optional UI features module not available, that's okay
+      // Stats widgets module not available, that's okay
   }
 }
 
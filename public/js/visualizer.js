@@ -0,0 +1,218 @@
+// Audio visualizer
+// Draws the output of the audio graph (see audioGraph.js) on a canvas as a
+// spectrum, an oscilloscope-style waveform or bars around a circle, colored
+// with a three-color palette (the album art's, see applyDynamicColors()).
+//
+// With reduced motion the picture is redrawn a few times a second with heavy
+// smoothing instead of every frame, and the circle doesn't spin.
+import { getOutputAnalyser } from './audioGraph.js';
+
+const PREF_VISUALIZER_KEY = 'player0.visualizer.v1';
+
+export const VISUALIZER_MODES = [
+  { id: 'spectrum', name: 'Spectrum' },
+  { id: 'waveform', name: 'Waveform' },
+  { id: 'circular', name: 'Circular' }
+];
+
+const BAR_COUNT = 64;
+const CIRCLE_BAR_COUNT = 96;
+// Bars cover 30Hz-16kHz on a log scale, like the equalizer bands.
+const MIN_FREQUENCY = 30;
+const MAX_FREQUENCY = 16000;
+const REDUCED_MOTION_FRAME_MS = 250;
+
+/**
+ * Remembered visualizer mode.
+ * @returns {string} One of VISUALIZER_MODES' ids
+ */
+export function getVisualizerMode() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(PREF_VISUALIZER_KEY) || 'null');
+    if (VISUALIZER_MODES.some((mode) => mode.id === parsed?.mode)) return parsed.mode;
+  } catch {
+    // ignore
+  }
+  return VISUALIZER_MODES[0].id;
+}
+
+/**
+ * Remember the visualizer mode.
+ * @param {string} mode
+ */
+export function setVisualizerMode(mode) {
+  if (!VISUALIZER_MODES.some((m) => m.id === mode)) return;
+  try {
+    localStorage.setItem(PREF_VISUALIZER_KEY, JSON.stringify({ mode }));
+  } catch {
+    // ignore
+  }
+}
+
+// Group FFT bins into `count` bars spaced evenly on a log frequency scale.
+function logBands(data, sampleRate, count) {
+  const binHz = sampleRate / 2 / data.length;
+  const bands = new Float32Array(count);
+  const ratio = MAX_FREQUENCY / MIN_FREQUENCY;
+  for (let i = 0; i < count; i++) {
+    const lo = Math.floor((MIN_FREQUENCY * Math.pow(ratio, i / count)) / binHz);
+    const hi = Math.max(lo + 1, Math.floor((MIN_FREQUENCY * Math.pow(ratio, (i + 1) / count)) / binHz));
+    let peak = 0;
+    for (let bin = lo; bin < hi && bin < data.length; bin++) peak = Math.max(peak, data[bin]);
+    bands[i] = peak / 255;
+  }
+  return bands;
+}
+
+function drawSpectrum(ctx, width, height, bands, palette) {
+  const gap = Math.max(1, width / bands.length * 0.2);
+  const barWidth = width / bands.length - gap;
+  const gradient = ctx.createLinearGradient(0, height, 0, 0);
+  gradient.addColorStop(0, palette.tertiary);
+  gradient.addColorStop(0.5, palette.secondary);
+  gradient.addColorStop(1, palette.primary);
+  ctx.fillStyle = gradient;
+
+  bands.forEach((value, i) => {
+    const barHeight = Math.max(2, value * height * 0.9);
+    ctx.fillRect(i * (barWidth + gap) + gap / 2, height - barHeight, barWidth, barHeight);
+  });
+}
+
+function drawWaveform(ctx, width, height, samples, palette, lineWidth) {
+  ctx.lineWidth = lineWidth;
+  ctx.lineJoin = 'round';
+  ctx.strokeStyle = palette.primary;
+  ctx.shadowColor = palette.secondary;
+  ctx.shadowBlur = lineWidth * 4;
+
+  ctx.beginPath();
+  const step = width / (samples.length - 1);
+  for (let i = 0; i < samples.length; i++) {
+    const y = height / 2 + ((samples[i] - 128) / 128) * (height * 0.45);
+    if (i === 0) ctx.moveTo(0, y);
+    else ctx.lineTo(i * step, y);
+  }
+  ctx.stroke();
+  ctx.shadowBlur = 0;
+}
+
+function drawCircular(ctx, width, height, bands, palette, rotation, lineWidth) {
+  const cx = width / 2;
+  const cy = height / 2;
+  const radius = Math.min(width, height) * 0.24;
+  const maxLength = Math.min(width, height) * 0.22;
+
+  ctx.lineWidth = Math.max(lineWidth, (2 * Math.PI * radius) / bands.length * 0.55);
+  ctx.lineCap = 'round';
+  bands.forEach((value, i) => {
+    const angle = rotation + (i / bands.length) * Math.PI * 2;
+    const length = 2 + value * maxLength;
+    ctx.strokeStyle = i % 3 === 0 ? palette.primary : i % 3 === 1 ? palette.secondary : palette.tertiary;
+    ctx.beginPath();
+    ctx.moveTo(cx + Math.cos(angle) * radius, cy + Math.sin(angle) * radius);
+    ctx.lineTo(cx + Math.cos(angle) * (radius + length), cy + Math.sin(angle) * (radius + length));
+    ctx.stroke();
+  });
+}
+
+/**
+ * Start drawing on a canvas. Nothing is drawn without Web Audio support.
+ * @param {HTMLCanvasElement} canvas
+ * @param {Object} options
+ * @param {string} [options.mode] - One of VISUALIZER_MODES' ids
+ * @param {{ primary: string, secondary: string, tertiary: string }} options.palette
+ * @param {boolean} [options.reducedMotion]
+ * @returns {{ setMode: Function, setPalette: Function, setReducedMotion: Function, stop: Function }|null}
+ *   null when there's no analyser to draw from
+ */
+export function startVisualizer(canvas, { mode = getVisualizerMode(), palette, reducedMotion = false } = {}) {
+  const analyser = getOutputAnalyser();
+  const ctx = canvas?.getContext('2d');
+  if (!analyser || !ctx) return null;
+
+  analyser.fftSize = 4096;
+  const frequencies = new Uint8Array(analyser.frequencyBinCount);
+  const samples = new Uint8Array(analyser.fftSize);
+
+  let state = { mode, palette, reducedMotion };
+  let frameId = null;
+  let timerId = null;
+  let rotation = 0;
+
+  const applyMotion = () => {
+    analyser.smoothingTimeConstant = state.reducedMotion ? 0.95 : 0.8;
+  };
+  applyMotion();
+
+  const draw = () => {
+    const ratio = window.devicePixelRatio || 1;
+    const width = Math.round(canvas.clientWidth * ratio);
+    const height = Math.round(canvas.clientHeight * ratio);
+    if (canvas.width !== width || canvas.height !== height) {
+      canvas.width = width;
+      canvas.height = height;
+    }
+    ctx.clearRect(0, 0, width, height);
+    if (!width || !height) return;
+
+    const sampleRate = analyser.context.sampleRate;
+    if (state.mode === 'waveform') {
+      analyser.getByteTimeDomainData(samples);
+      drawWaveform(ctx, width, height, samples, state.palette, 2 * ratio);
+    } else if (state.mode === 'circular') {
+      analyser.getByteFrequencyData(frequencies);
+      if (!state.reducedMotion) rotation = (rotation + 0.002) % (Math.PI * 2);
+      drawCircular(ctx, width, height, logBands(frequencies, sampleRate, CIRCLE_BAR_COUNT), state.palette, rotation, 2 * ratio);
+    } else {
+      analyser.getByteFrequencyData(frequencies);
+      drawSpectrum(ctx, width, height, logBands(frequencies, sampleRate, BAR_COUNT), state.palette);
+    }
+  };
+
+  const schedule = () => {
+    if (state.reducedMotion) {
+      timerId = setTimeout(() => {
+        timerId = null;
+        draw();
+        schedule();
+      }, REDUCED_MOTION_FRAME_MS);
+    } else {
+      frameId = requestAnimationFrame(() => {
+        frameId = null;
+        draw();
+        schedule();
+      });
+    }
+  };
+
+  const cancel = () => {
+    if (frameId != null) cancelAnimationFrame(frameId);
+    if (timerId != null) clearTimeout(timerId);
+    frameId = null;
+    timerId = null;
+  };
+
+  draw();
+  schedule();
+
+  return {
+    setMode(next) {
+      if (VISUALIZER_MODES.some((m) => m.id === next)) state = { ...state, mode: next };
+    },
+    setPalette(next) {
+      if (next) state = { ...state, palette: next };
+    },
+    setReducedMotion(enabled) {
+      if (Boolean(enabled) === state.reducedMotion) return;
+      state = { ...state, reducedMotion: Boolean(enabled) };
+      applyMotion();
+      cancel();
+      schedule();
+    },
+    stop() {
+      cancel();
+      ctx.clearRect(0, 0, canvas.width, canvas.height);
+    }
+  };
+}
@@ -12,7 +12,8 @@
  * - Static assets: Cache-first (fast loads)
  * - API data: Network-first with cache fallback
  * - Cover art: Cache-first with long expiry
- * - Audio streams: Network-only (too large to cache)
+ * - Audio streams: Network-first; reduced-bitrate profile renditions
+ *   (?profile=high|normal|low) are also kept for offline playback
  * 
  * Dev Mode:
  * - Disabled on localhost/dev environments
@@ -31,10 +32,14 @@ function isDevMode() {
 
 const DEV_MODE = isDevMode();
 
-const CACHE_VERSION = 'v1';
+const CACHE_VERSION = 'v2';
 const STATIC_CACHE = `player0-static-${CACHE_VERSION}`;
 const API_CACHE = `player0-api-${CACHE_VERSION}`;
 const COVER_CACHE = `player0-covers-${CACHE_VERSION}`;
+const AUDIO_CACHE = `player0-audio-${CACHE_VERSION}`;
+
+// Max number of cached audio renditions (oldest are evicted first)
+const MAX_AUDIO_ENTRIES = 50;
 
 // Static assets to cache on install
 const STATIC_ASSETS = [
@@ -52,19 +57,47 @@ const STATIC_ASSETS = [
   '/css/library.css',
   '/css/mobile.css',
   '/css/player.css',
+  '/css/bookmarks.css',
+  '/css/visualizer.css',
+  '/css/karaoke.css',
+  '/css/lyrics-editor.css',
   '/css/sidebar.css',
   '/css/views.css',
+  '/css/settings.css',
+  '/css/stats.css',
+  '/css/health.css',
   '/js/api.js',
+  '/js/gapless.js',
+  '/js/audioGraph.js',
+  '/js/replayGain.js',
+  '/js/equalizer.js',
+  '/js/playbackRate.js',
+  '/js/bookmarks.js',
+  '/js/visualizer.js',
+  '/js/silenceTrim.js',
+  '/js/pitchWorklet.js',
+  '/js/playbackSession.js',
+  '/js/queuePanel.js',
+  '/js/sleepTimer.js',
   '/js/player.js',
   '/js/state.js',
+  '/js/streaming.js',
   '/js/ui.js',
   '/js/utils.js',
   '/js/components/song-row.js',
   '/js/app/albums.js',
   '/js/app/artists.js',
   '/js/app/dropdowns.js',
+  '/js/app/equalizerPanel.js',
+  '/js/app/visualizerView.js',
+  '/js/app/karaokeView.js',
+  '/js/app/waveformSeekbar.js',
+  '/js/app/lyricsEditor.js',
+  '/js/app/health.js',
   '/js/app/uiFeatures.js',
   '/js/app/library.js',
+  '/js/app/librarySync.js',
+  '/js/app/songSelection.js',
   '/js/app/navigation.js',
   '/js/app/playerSetup.js',
   '/js/app/playlistImportExport.js',
@@ -75,12 +108,14 @@ const STATIC_ASSETS = [
   '/js/app/shell.js',
   '/js/app/sidebar.js',
   '/js/app/stats.js',
+  '/js/app/statsWidgets.js',
   '/js/app/uiModals.js',
   '/js/app/views.js',
   '/js/app/viewSwitcher.js',
   '/views/album-detail.html',
   '/views/albums.html',
   '/views/artists.html',
+  '/views/health.html',
   '/views/library.html',
   '/views/playlist-detail.html',
   '/views/playlists.html',
@@ -137,7 +172,8 @@ self.addEventListener('activate', (event) => {
               return name.startsWith('player0-') && 
                      name !== STATIC_CACHE && 
                      name !== API_CACHE && 
-                     name !== COVER_CACHE;
+                     name !== COVER_CACHE &&
+                     name !== AUDIO_CACHE;
             })
             .map((name) => {
               console.log('[SW] Deleting old cache:', name);
@@ -176,8 +212,9 @@ self.addEventListener('fetch', (event) => {
     return;
   }
   
-  // Skip streaming endpoints (too large to cache)
+  // Handle audio streams - Network-first; profile renditions are cached for offline
   if (url.pathname.startsWith('/api/stream/')) {
+    event.respondWith(streamWithOfflineCache(event, url));
     return;
   }
   
@@ -331,6 +368,132 @@ async function networkFirstWithCache(request, cacheName) {
   }
 }
 
+/**
+ * Audio streams
+ * Serves a cached rendition of the exact URL (same profile) when present.
+ * Otherwise streams from the network and, for reduced-bitrate profiles, keeps a copy
+ * of that same response once it has arrived in full (no second download). Original
+ * files are never cached (too large), and nothing is stored while Data Saver is on.
+ * When offline, any cached profile of the same song is used instead.
+ */
+async function streamWithOfflineCache(event, url) {
+  const request = event.request;
+  const rangeHeader = request.headers.get('range');
+  const cache = await caches.open(AUDIO_CACHE);
+
+  const cached = await cache.match(url.href, { ignoreVary: true });
+  if (cached) {
+    return await rangeResponse(cached, rangeHeader);
+  }
+
+  try {
+    const response = await fetch(request);
+    const profile = url.searchParams.get('profile');
+    if (profile && profile !== 'original' && !prefersSavingData() && isCompleteBody(response)) {
+      event.waitUntil(cacheAudioRendition(cache, url.href, response.clone()));
+    }
+    return response;
+  } catch (error) {
+    const fallback = await cache.match(url.href, { ignoreSearch: true, ignoreVary: true });
+    if (fallback) {
+      return await rangeResponse(fallback, rangeHeader);
+    }
+    console.error('[SW] Stream fetch failed:', error);
+    return new Response('Offline', { status: 503, statusText: 'Service Unavailable' });
+  }
+}
+
+/**
+ * Whether the user asked the browser to reduce data usage (Data Saver)
+ */
+function prefersSavingData() {
+  return Boolean(self.navigator.connection?.saveData);
+}
+
+/**
+ * Whether a stream response carries the whole file: a 200, or the 206 answer to
+ * the "bytes=0-" request media elements start playback with.
+ */
+function isCompleteBody(response) {
+  if (response.status === 200) return true;
+  if (response.status !== 206) return false;
+
+  const m = /^bytes 0-(\d+)\/(\d+)$/.exec(response.headers.get('Content-Range') || '');
+  return Boolean(m) && parseInt(m[1], 10) + 1 === parseInt(m[2], 10);
+}
+
+/**
+ * Store a copy of a complete stream response in the audio cache once its body has
+ * fully arrived. A download that breaks off midway is dropped.
+ */
+async function cacheAudioRendition(cache, href, response) {
+  try {
+    const blob = await response.blob();
+    // The Cache API rejects 206 partials, so store it as the full 200 it represents.
+    await cache.put(href, new Response(blob, {
+      status: 200,
+      headers: {
+        'Content-Type': response.headers.get('Content-Type') || 'audio/mpeg',
+        'Content-Length': String(blob.size),
+        'Accept-Ranges': 'bytes'
+      }
+    }));
+
+    const keys = await cache.keys();
+    const excess = keys.length - MAX_AUDIO_ENTRIES;
+    for (let i = 0; i < excess; i++) {
+      await cache.delete(keys[i]);
+    }
+  } catch (error) {
+    console.warn('[SW] Failed to cache audio rendition:', error);
+  }
+}
+
+/**
+ * Answer a (possibly ranged) request from a full cached response.
+ * Mirrors the backend's single-range handling so seeking works offline.
+ */
+async function rangeResponse(cached, rangeHeader) {
+  if (!rangeHeader) {
+    return cached;
+  }
+
+  const blob = await cached.blob();
+  const size = blob.size;
+  const contentType = cached.headers.get('Content-Type') || 'audio/mpeg';
+  const m = /^bytes=(\d*)-(\d*)$/.exec(rangeHeader);
+
+  let start = NaN;
+  let end = NaN;
+  if (m && (m[1] || m[2])) {
+    if (!m[1]) {
+      start = Math.max(0, size - parseInt(m[2], 10));
+      end = size - 1;
+    } else {
+      start = parseInt(m[1], 10);
+      end = m[2] ? Math.min(parseInt(m[2], 10), size - 1) : size - 1;
+    }
+  }
+
+  if (!Number.isFinite(start) || !Number.isFinite(end) || start > end || start >= size) {
+    return new Response(null, {
+      status: 416,
+      headers: { 'Content-Range': `bytes */${size}` }
+    });
+  }
+
+  return new Response(blob.slice(start, end + 1, contentType), {
+    status: 206,
+    statusText: 'Partial Content',
+    headers: {
+      'Content-Type': contentType,
+      'Content-Length': String((end - start) + 1),
+      'Content-Range': `bytes ${start}-${end}/${size}`,
+      'Accept-Ranges': 'bytes'
+    }
+  });
+}
+
 // Listen for messages from the main thread
 self.addEventListener('message', (event) => {
   if (event.data && event.data.type === 'SKIP_WAITING') {